@@ -0,0 +1,511 @@
+/**
+ * Authentication API endpoint handler
+ * Provides admin login, password and API token management and access control middleware
+ * @module api/auth
+ */
+const express = require('express');
+const { getSettings, saveSettings } = require('../services/settings');
+const auth = require('../services/auth');
+const { createLogger } = require('../../logger');
+
+const { log, logError } = createLogger('auth');
+
+const router = express.Router();
+
+/**
+ * Read-only endpoints polled by Homepage widgets and Prometheus, and the token scope each one needs
+ * They stay public or require a token, depending on the publicWidgets setting
+ * @type {Array<{path: string, scope: string, prefix?: boolean}>}
+ */
+const READ_ROUTES = [
+  { path: '/api/users', scope: 'users:read' },
+  { path: '/api/media/recent', scope: 'media:read' },
+  { path: '/api/image', scope: 'media:read', prefix: true },
+  { path: '/api/libraries', scope: 'libraries:read', prefix: true },
+  { path: '/metrics', scope: 'metrics:read' }
+];
+
+/**
+ * Scopes given to the token created when widget endpoints are locked without one
+ * @type {Array<string>}
+ */
+const READ_SCOPES = ['users:read', 'media:read', 'libraries:read'];
+
+/**
+ * Delay before token usage counters are written to the settings file
+ * @type {number}
+ */
+const USAGE_FLUSH_DELAY = 5 * 60 * 1000; // 5 minutes
+
+/**
+ * Pending usage flush timer
+ * @type {NodeJS.Timeout|null}
+ */
+let usageFlushTimer = null;
+
+/**
+ * Endpoints that never require authentication
+ * The Tautulli webhook checks its own shared secret
+ * @type {Array<string>}
+ */
+const PUBLIC_ROUTES = ['/api/health', '/api/webhooks/tautulli'];
+
+/**
+ * Send an authentication error
+ *
+ * @param {Object} res - Express response object
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Object} Express response
+ */
+function sendAuthError(res, status, message) {
+  return res.status(status).json({
+    response: { result: 'error', message }
+  });
+}
+
+/**
+ * Set the admin session cookie
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} sessionId - Session ID
+ */
+function setSessionCookie(req, res, sessionId) {
+  const attributes = [
+    `${auth.SESSION_COOKIE}=${sessionId}`,
+    'HttpOnly',
+    'SameSite=Strict',
+    'Path=/',
+    `Max-Age=${Math.floor(auth.SESSION_TTL / 1000)}`
+  ];
+  if (req.secure) attributes.push('Secure');
+  res.setHeader('Set-Cookie', attributes.join('; '));
+}
+
+/**
+ * Clear the admin session cookie
+ *
+ * @param {Object} res - Express response object
+ */
+function clearSessionCookie(res) {
+  res.setHeader('Set-Cookie', `${auth.SESSION_COOKIE}=; HttpOnly; SameSite=Strict; Path=/; Max-Age=0`);
+}
+
+/**
+ * Write the pending token usage counters to the settings file
+ *
+ * @async
+ */
+async function flushTokenUsage() {
+  try {
+    const settings = await getSettings();
+    if (auth.applyPendingUsage(settings.auth.tokens)) {
+      await saveSettings(settings);
+    }
+  } catch (error) {
+    logError('Token Usage', error);
+  }
+}
+
+/**
+ * Schedule a usage flush unless one is already pending
+ */
+function scheduleUsageFlush() {
+  if (usageFlushTimer) return;
+  usageFlushTimer = setTimeout(() => {
+    usageFlushTimer = null;
+    flushTokenUsage();
+  }, USAGE_FLUSH_DELAY);
+  usageFlushTimer.unref();
+}
+
+/**
+ * Check if a request carries an API token with a scope, counting its use if so
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} settings - Settings object
+ * @param {string} scope - Required scope
+ * @returns {boolean} True if the token grants the scope
+ */
+function hasTokenScope(req, settings, scope) {
+  const record = auth.findApiToken(settings, auth.getRequestToken(req));
+  if (!auth.hasScope(record, scope)) return false;
+
+  auth.recordTokenUse(record.id);
+  scheduleUsageFlush();
+  return true;
+}
+
+/**
+ * Check if a request has admin access
+ * Every request does while no admin password is set
+ *
+ * @async
+ * @param {Object} req - Express request object
+ * @returns {Promise<boolean>} True for an admin session or an admin token
+ */
+async function isAdminRequest(req) {
+  const settings = await getSettings();
+  return !auth.isAuthEnabled(settings) || auth.hasAdminSession(req) ||
+    hasTokenScope(req, settings, 'admin');
+}
+
+/**
+ * Require an admin session or an admin token when an admin password is set
+ *
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+async function requireAdmin(req, res, next) {
+  try {
+    if (await isAdminRequest(req)) {
+      return next();
+    }
+    return sendAuthError(res, 401, 'Authentication required');
+  } catch (error) {
+    return sendAuthError(res, 500, 'Failed to check authentication');
+  }
+}
+
+/**
+ * Create middleware that allows a read endpoint publicly,
+ * or with a token granting the scope or an admin session
+ *
+ * @param {string} scope - Required token scope
+ * @returns {Function} Express middleware
+ */
+function requireScope(scope) {
+  return async (req, res, next) => {
+    try {
+      const settings = await getSettings();
+
+      if (hasTokenScope(req, settings, scope) || settings.auth.publicWidgets ||
+          auth.hasAdminSession(req)) {
+        return next();
+      }
+      return sendAuthError(res, 401, `A token with the ${scope} scope is required`);
+    } catch (error) {
+      return sendAuthError(res, 500, 'Failed to check authentication');
+    }
+  };
+}
+
+/**
+ * Access control for every /api route and /metrics
+ * Read endpoints and /metrics need their token scope, health and login are public, everything else needs an admin
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+function requireApiAccess(req, res, next) {
+  const routePath = req.originalUrl.split('?')[0].replace(/\/+$/, '');
+
+  if (PUBLIC_ROUTES.includes(routePath) || routePath.startsWith('/api/auth/')) {
+    return next();
+  }
+
+  const readRoute = req.method === 'GET' && READ_ROUTES.find(route =>
+    routePath === route.path || (route.prefix && routePath.startsWith(`${route.path}/`)));
+  if (readRoute) {
+    return requireScope(readRoute.scope)(req, res, next);
+  }
+
+  return requireAdmin(req, res, next);
+}
+
+/**
+ * Format a token record for API responses, without its hash
+ *
+ * @param {Object} record - Token record
+ * @returns {Object} Public token details
+ */
+function serializeToken(record) {
+  const { id, name, scopes, hint, createdAt, lastUsedAt, useCount } = auth.withPendingUsage(record);
+  return {
+    id,
+    name,
+    scopes,
+    hint,
+    created_at: createdAt,
+    last_used_at: lastUsedAt,
+    use_count: useCount || 0
+  };
+}
+
+/**
+ * Get the authentication state of the current client
+ *
+ * @route GET /api/auth/status
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with authentication state
+ */
+router.get('/status', async (req, res) => {
+  try {
+    const settings = await getSettings();
+    const enabled = auth.isAuthEnabled(settings);
+
+    res.json({
+      response: {
+        result: 'success',
+        enabled,
+        authenticated: !enabled || auth.hasAdminSession(req),
+        public_widgets: settings.auth.publicWidgets,
+        token_count: settings.auth.tokens.length
+      }
+    });
+  } catch (error) {
+    sendAuthError(res, 500, error.message);
+  }
+});
+
+/**
+ * Log in with the admin password
+ *
+ * @route POST /api/auth/login
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.password - Admin password
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response, sets the session cookie on success
+ */
+router.post('/login', async (req, res) => {
+  try {
+    const settings = await getSettings();
+    if (!auth.isAuthEnabled(settings)) {
+      return res.json({ response: { result: 'success', message: 'No admin password is set' } });
+    }
+
+    const retryDelay = auth.getLoginRetryDelay(req.ip);
+    if (retryDelay > 0) {
+      res.setHeader('Retry-After', Math.ceil(retryDelay / 1000));
+      return sendAuthError(res, 429, 'Too many failed login attempts, please try again later');
+    }
+
+    const valid = auth.verifyPassword(req.body?.password, settings.auth.passwordHash);
+    auth.recordLoginAttempt(req.ip, valid);
+
+    if (!valid) {
+      log(`Failed admin login from ${req.ip}`);
+      return sendAuthError(res, 401, 'Incorrect password');
+    }
+
+    const session = auth.createSession();
+    setSessionCookie(req, res, session.id);
+    res.json({ response: { result: 'success', expires_at: session.expiresAt } });
+  } catch (error) {
+    sendAuthError(res, 500, error.message);
+  }
+});
+
+/**
+ * Log out of the current admin session
+ *
+ * @route POST /api/auth/logout
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response, clears the session cookie
+ */
+router.post('/logout', (req, res) => {
+  auth.destroySession(auth.getCookie(req, auth.SESSION_COOKIE));
+  clearSessionCookie(res);
+  res.json({ response: { result: 'success' } });
+});
+
+/**
+ * Set, change or remove the admin password
+ * Changing the password signs out every other session
+ *
+ * @route POST /api/auth/password
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} [req.body.currentPassword] - Current password, required when one is set
+ * @param {string} req.body.newPassword - New password, empty to turn authentication off
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response
+ */
+router.post('/password', requireAdmin, async (req, res) => {
+  try {
+    const { currentPassword, newPassword = '' } = req.body || {};
+    const settings = await getSettings();
+
+    if (auth.isAuthEnabled(settings) && !auth.verifyPassword(currentPassword, settings.auth.passwordHash)) {
+      return sendAuthError(res, 401, 'Current password is incorrect');
+    }
+
+    if (typeof newPassword !== 'string' || (newPassword && newPassword.length < auth.MIN_PASSWORD_LENGTH)) {
+      return sendAuthError(res, 400, `Password must be at least ${auth.MIN_PASSWORD_LENGTH} characters`);
+    }
+
+    settings.auth = {
+      ...settings.auth,
+      passwordHash: newPassword ? auth.hashPassword(newPassword) : ''
+    };
+    await saveSettings(settings);
+
+    auth.destroyAllSessions();
+    if (newPassword) {
+      // Keep the admin who changed the password signed in
+      setSessionCookie(req, res, auth.createSession().id);
+      log('Admin password updated');
+    } else {
+      clearSessionCookie(res);
+      log('Admin password removed, authentication disabled');
+    }
+
+    res.json({ response: { result: 'success', enabled: !!newPassword } });
+  } catch (error) {
+    sendAuthError(res, 500, error.message);
+  }
+});
+
+/**
+ * Configure access to the read endpoints
+ * Locking them with no API token creates a read-only token, returned once
+ *
+ * @route POST /api/auth/widget-access
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {boolean} [req.body.publicWidgets] - Whether read endpoints are public
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the new token when one was created
+ */
+router.post('/widget-access', requireAdmin, async (req, res) => {
+  try {
+    const { publicWidgets } = req.body || {};
+    const settings = await getSettings();
+    let created = null;
+
+    if (typeof publicWidgets === 'boolean') {
+      settings.auth.publicWidgets = publicWidgets;
+    }
+
+    // Locking the widgets without a token would break every widget, so create one
+    if (!settings.auth.publicWidgets && settings.auth.tokens.length === 0) {
+      created = auth.createApiToken('Widget token', READ_SCOPES);
+      settings.auth.tokens.push(created.record);
+    }
+
+    auth.applyPendingUsage(settings.auth.tokens);
+    await saveSettings(settings);
+
+    res.json({
+      response: {
+        result: 'success',
+        public_widgets: settings.auth.publicWidgets,
+        token_count: settings.auth.tokens.length,
+        token: created?.token || null
+      }
+    });
+  } catch (error) {
+    sendAuthError(res, 500, error.message);
+  }
+});
+
+/**
+ * List API tokens with their usage, hashes are never returned
+ *
+ * @route GET /api/auth/tokens
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the tokens and the available scopes
+ */
+router.get('/tokens', requireAdmin, async (req, res) => {
+  try {
+    const settings = await getSettings();
+    res.json({
+      response: {
+        result: 'success',
+        tokens: settings.auth.tokens.map(serializeToken),
+        scopes: auth.TOKEN_SCOPES
+      }
+    });
+  } catch (error) {
+    sendAuthError(res, 500, error.message);
+  }
+});
+
+/**
+ * Create an API token
+ * The token is only returned once, it is stored hashed
+ *
+ * @route POST /api/auth/tokens
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.name - Display name
+ * @param {Array<string>} req.body.scopes - Scopes to grant
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the token details and its value
+ */
+router.post('/tokens', requireAdmin, async (req, res) => {
+  try {
+    const { name, scopes } = req.body || {};
+    const tokenName = typeof name === 'string' ? name.trim() : '';
+
+    if (!tokenName || tokenName.length > 64) {
+      return sendAuthError(res, 400, 'Token name must be between 1 and 64 characters');
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0 ||
+        !scopes.every(scope => auth.TOKEN_SCOPES.includes(scope))) {
+      return sendAuthError(res, 400, `Scopes must be one or more of: ${auth.TOKEN_SCOPES.join(', ')}`);
+    }
+
+    const settings = await getSettings();
+    const { token, record } = auth.createApiToken(tokenName, scopes);
+    settings.auth.tokens.push(record);
+    auth.applyPendingUsage(settings.auth.tokens);
+    await saveSettings(settings);
+
+    log(`API token created: ${tokenName} (${record.scopes.join(', ')})`);
+    res.json({
+      response: {
+        result: 'success',
+        ...serializeToken(record),
+        token
+      }
+    });
+  } catch (error) {
+    sendAuthError(res, 500, error.message);
+  }
+});
+
+/**
+ * Revoke an API token
+ *
+ * @route DELETE /api/auth/tokens/:id
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Token ID
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response
+ */
+router.delete('/tokens/:id', requireAdmin, async (req, res) => {
+  try {
+    const settings = await getSettings();
+    const record = settings.auth.tokens.find(token => token.id === req.params.id);
+
+    if (!record) {
+      return sendAuthError(res, 404, 'Token not found');
+    }
+
+    settings.auth.tokens = settings.auth.tokens.filter(token => token.id !== record.id);
+    auth.applyPendingUsage(settings.auth.tokens);
+    await saveSettings(settings);
+
+    log(`API token revoked: ${record.name}`);
+    res.json({ response: { result: 'success', token_count: settings.auth.tokens.length } });
+  } catch (error) {
+    sendAuthError(res, 500, error.message);
+  }
+});
+
+module.exports = {
+  authRouter: router,
+  isAdminRequest,
+  requireAdmin,
+  requireScope,
+  requireApiAccess
+};
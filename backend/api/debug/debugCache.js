@@ -7,7 +7,12 @@ const express = require('express');
 const fs = require('fs').promises;
 const path = require('path');
 const { cache } = require('../../services/cacheService');
-const { logError, log, colors } = require('../../../logger');
+const { clearMetadataCache } = require('../../services/metadataCache');
+const { getCacheSettings, saveCacheSettings } = require('../../services/cacheConfig');
+const { rescheduleJobs, getJobStatus } = require('../../services/scheduler');
+const { createLogger, colors } = require('../../../logger');
+
+const { log, logError } = createLogger('debug');
 
 const router = express.Router();
 
@@ -43,12 +48,12 @@ router.post('/refresh', async (req, res) => {
  * Force refresh specific cache data with improved feedback
  * 
  * @route POST /api/debug/refresh/:key
- * @param {string} key - Cache key to refresh (users, libraries, recent_media)
+ * @param {string} key - Cache key to refresh (users, libraries, recent_media, library_details)
  */
 router.post('/refresh/:key', async (req, res) => {
   try {
     const { key } = req.params;
-    const validKeys = ['users', 'libraries', 'recent_media'];
+    const validKeys = ['users', 'libraries', 'recent_media', 'library_details'];
     
     if (!key || !validKeys.includes(key)) {
       return res.status(400).json({ 
@@ -60,7 +65,7 @@ router.post('/refresh/:key', async (req, res) => {
     
     log(`Force refresh requested for ${key} from debug endpoint`);
     const startTime = Date.now();
-    const success = await cache.forceUpdate(key);
+    const success = await cache.forceUpdate(key, { force: true });
     const duration = Date.now() - startTime;
     
     if (success) {
@@ -89,6 +94,7 @@ router.post('/refresh/:key', async (req, res) => {
 
 /**
  * Clear entire cache
+ * Last known good data is dropped too, so the data is fetched again right away
  * 
  * @route POST /api/debug/clear-cache
  */
@@ -96,6 +102,11 @@ router.post('/clear-cache', async (req, res) => {
   try {
     log('Cache clear requested from debug endpoint');
     cache.flushAll();
+    clearMetadataCache();
+    
+    require('../../services/cacheService').initializeCache().catch(error => {
+      logError('Cache Clear Refresh', error);
+    });
     
     res.json({
       success: true,
@@ -112,20 +123,53 @@ router.post('/clear-cache', async (req, res) => {
   }
 });
 
+/**
+ * Get the cache settings and the state of every background job
+ * 
+ * @route GET /api/debug/cache-settings
+ */
+router.get('/cache-settings', (req, res) => {
+  res.json({
+    success: true,
+    settings: getCacheSettings(),
+    jobs: getJobStatus(),
+    timestamp: new Date().toISOString()
+  });
+});
+
 /**
  * Update cache settings with immediate application
- * Modified to simply return a message that cache settings are fixed
+ * Accepts partial settings, e.g. {"schedule": {"users": {"interval": 120}}, "ttl": {"users": 120}}.
+ * Values are in seconds; waiting jobs are rescheduled right away
  * 
  * @route POST /api/debug/cache-settings
+ * @param {Object} req.body.schedule - Per job interval, jitter, offset and webhook_interval
+ * @param {Object} req.body.adaptive - idle_backoff, idle_max_interval, suspend_after and webhook_window for adaptive polling
+ * @param {Object} req.body.ttl - TTL per cache key
+ * @param {number} req.body.max_requests - Background refreshes allowed per minute
  */
 router.post('/cache-settings', async (req, res) => {
   try {
+    const settings = await saveCacheSettings(req.body || {});
+    rescheduleJobs();
+    
     res.json({
       success: true,
-      message: "Cache settings are now fixed at 60-second refresh intervals for optimal performance.",
+      message: "Cache settings updated",
+      settings,
+      jobs: getJobStatus(),
       timestamp: new Date().toISOString()
     });
   } catch (error) {
+    if (error.details) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+        details: error.details,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
     logError('Cache Settings Update', error);
     res.status(500).json({
       success: false,
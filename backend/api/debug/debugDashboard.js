@@ -4,13 +4,18 @@
  * @module api/debug/debugDashboard
  */
 const express = require('express');
+const os = require('os');
 const { cache } = require('../../services/cacheService');
-const { logError } = require('../../../logger');
+const { tautulliService } = require('../../services/tautulli');
+const { getJobStatus } = require('../../services/scheduler');
+const { createLogger } = require('../../../logger');
 const { 
   getSystemInfo, 
   getCacheTTLSettings 
 } = require('./debugUtils');
 
+const { logError } = createLogger('debug');
+
 const router = express.Router();
 
 /**
@@ -382,7 +387,7 @@ router.get('/', async (req, res) => {
             <div class="cache-keys">
               <h2>Cache Keys (${keys.length})</h2>
               <div class="text-sm text-gray-400 mb-4">
-                All data refreshes every 60 seconds for optimal performance
+                Refresh intervals, TTLs and jitter are edited with POST /api/debug/cache-settings
               </div>
               <div class="cache-key-list">
                 ${keys.map(key => `<div class="cache-key">${key}</div>`).join('')}
@@ -601,11 +606,14 @@ router.get('/', async (req, res) => {
       `);
     } else {
       // Respond with JSON for API calls
+      const stats = cache.getStats();
+      const hitRate = cache.getHitRate();
+      const lastUpdated = cache.getLastSuccessfulTimestamp();
+      
       res.json({
         system: {
           environment: process.env.NODE_ENV || "development",
           port: process.env.TAUTULLI_CUSTOM_PORT || 3010,
-          refreshInterval: `60 seconds (fixed for optimal performance)`,
           serverTime: new Date().toISOString(),
           uptime: systemInfo.general.items.find(i => i.label === "Server Uptime").value,
           localIp: systemInfo.general.items.find(i => i.label === "Local IP Address").value,
@@ -621,9 +629,14 @@ router.get('/', async (req, res) => {
           }
         },
         tautulli: {
-          connected: !!systemInfo.tautulli.items.find(i => i.label === "Base URL").value,
-          baseUrl: systemInfo.tautulli.items.find(i => i.label === "Base URL").value,
-          apiKeyConfigured: !!systemInfo.tautulli.items.find(i => i.label === "API Key").value
+          connected: tautulliService.isConfigured(),
+          servers: tautulliService.getServers().map(({ id, name, baseUrl, apiKey }) => ({
+            id,
+            name,
+            baseUrl,
+            apiKeyConfigured: !!apiKey,
+            circuit: tautulliService.getCircuitState(id)
+          }))
         },
         cache: {
           keys: keys.length,
@@ -633,7 +646,8 @@ router.get('/', async (req, res) => {
           hitRate: hitRate.hitRate,
           lastUpdated: lastUpdated ? new Date(lastUpdated).toISOString() : null,
           verboseLogging: verboseLogging,
-          refreshInterval: "60 seconds (fixed)"
+          ttl: cacheTTLs,
+          jobs: getJobStatus()
         },
         config: {
           configuredLibraries: systemInfo.config.items.find(i => i.label === "Configured Libraries").value,
@@ -4,7 +4,9 @@
  * @module api/debug/debugLogging
  */
 const express = require('express');
-const { logError } = require('../../../logger');
+const { createLogger } = require('../../../logger');
+
+const { logError } = createLogger('debug');
 
 const router = express.Router();
 
@@ -0,0 +1,191 @@
+/**
+ * Debug log endpoints
+ * Provides access to recent log entries and runtime log level changes
+ * @module api/debug/debugLogs
+ */
+const express = require('express');
+const {
+  LOG_LEVELS,
+  LOG_BUFFER_SIZE,
+  getLogEntries,
+  getLogLevels,
+  setLogLevel,
+  matchesLogFilter,
+  onLogEntry
+} = require('../../../logger');
+const { openEventStream, sendEvent } = require('../../services/eventStream');
+
+const router = express.Router();
+
+/**
+ * Entries returned when no limit is given
+ * @type {number}
+ */
+const DEFAULT_LIMIT = 200;
+
+/**
+ * Maximum number of open tailing streams
+ * @type {number}
+ */
+const MAX_FOLLOWERS = 5;
+
+/**
+ * Number of open tailing streams
+ * @type {number}
+ */
+let followerCount = 0;
+
+/**
+ * Build a log filter from query parameters
+ *
+ * @param {Object} query - Request query parameters
+ * @param {string} [lastEventId] - Last-Event-ID header sent by reconnecting streams
+ * @returns {{filter?: Object, error?: string}} Filter or a validation error
+ */
+function parseLogFilter(query, lastEventId) {
+  const { level, module, q, after, limit } = query;
+
+  if (level && !Object.hasOwn(LOG_LEVELS, level)) {
+    return { error: `Invalid log level: ${level}. Must be one of: ${Object.keys(LOG_LEVELS).join(', ')}` };
+  }
+
+  const parsedLimit = limit !== undefined ? parseInt(limit) : DEFAULT_LIMIT;
+  if (isNaN(parsedLimit) || parsedLimit < 1) {
+    return { error: 'limit must be a positive number' };
+  }
+
+  return {
+    filter: {
+      level: level || undefined,
+      module: module || undefined,
+      search: q || undefined,
+      after: parseInt(lastEventId || after) || undefined,
+      limit: Math.min(parsedLimit, LOG_BUFFER_SIZE)
+    }
+  };
+}
+
+/**
+ * Write one log entry to a tailing stream
+ * The entry ID lets browsers resume after a reconnect through Last-Event-ID
+ *
+ * @param {Object} res - Express response object
+ * @param {Object} entry - Log entry
+ */
+function sendLogEntry(res, entry) {
+  sendEvent(res, 'log', entry, entry.id);
+}
+
+/**
+ * Get recent log entries
+ * With follow=true the matching entries are sent as a Server-Sent Events stream,
+ * followed by new entries as they are logged
+ *
+ * @route GET /api/debug/logs
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.level] - Most verbose level to include, e.g. warn returns errors and warnings
+ * @param {string} [req.query.module] - Only entries from this module
+ * @param {string} [req.query.q] - Case-insensitive text the message must contain
+ * @param {number} [req.query.after] - Only entries with a higher ID
+ * @param {number} [req.query.limit=200] - Most recent entries to return
+ * @param {string} [req.query.follow] - true to keep the connection open as an event stream
+ * @param {Object} res - Express response object
+ */
+router.get('/logs', (req, res) => {
+  const { filter, error } = parseLogFilter(req.query, req.get('Last-Event-ID'));
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  if (req.query.follow !== 'true') {
+    return res.json({
+      success: true,
+      logs: getLogEntries(filter),
+      levels: getLogLevels(),
+      buffer_size: LOG_BUFFER_SIZE,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  if (followerCount >= MAX_FOLLOWERS) {
+    return res.status(503).json({
+      success: false,
+      error: 'Too many log streams open',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // Nothing is logged from here on, a tailing stream would otherwise receive its own entries
+  const streamFilter = { ...filter, after: undefined };
+
+  openEventStream(req, res, {
+    onClose: () => {
+      removeListener();
+      followerCount--;
+    }
+  });
+  followerCount++;
+
+  getLogEntries(filter).forEach(entry => sendLogEntry(res, entry));
+
+  const removeListener = onLogEntry(entry => {
+    if (matchesLogFilter(entry, streamFilter)) {
+      sendLogEntry(res, entry);
+    }
+  });
+});
+
+/**
+ * Change log levels at runtime
+ * Changes last until the next restart; LOG_LEVEL and LOG_MODULE_LEVELS set the levels at startup
+ *
+ * @route POST /api/debug/logs/levels
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} [req.body.default] - Level for modules without their own level
+ * @param {Object.<string, string|null>} [req.body.modules] - Levels by module, null returns a module to the default
+ * @param {Object} res - Express response object
+ */
+router.post('/logs/levels', (req, res) => {
+  const { default: defaultLevel, modules = {} } = req.body || {};
+
+  if (!modules || typeof modules !== 'object' || Array.isArray(modules)) {
+    return res.status(400).json({
+      success: false,
+      error: 'modules must be an object of module names and levels',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const invalid = [
+    ...(defaultLevel !== undefined ? [defaultLevel] : []),
+    ...Object.values(modules).filter(level => level !== null)
+  ].filter(level => !Object.hasOwn(LOG_LEVELS, level));
+
+  if (invalid.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid log level: ${invalid.join(', ')}. Must be one of: ${Object.keys(LOG_LEVELS).join(', ')}`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  if (defaultLevel !== undefined) {
+    setLogLevel(null, defaultLevel);
+  }
+  Object.entries(modules).forEach(([module, level]) => setLogLevel(module, level));
+
+  res.json({
+    success: true,
+    levels: getLogLevels(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+module.exports = { logRoutes: router };
@@ -8,6 +8,7 @@ const { dashboardRoutes } = require('./debugDashboard');
 const { cacheRoutes } = require('./debugCache');
 const { settingsRoutes } = require('./debugSettings');
 const { loggingRoutes } = require('./debugLogging');
+const { logRoutes } = require('./debugLogs');
 
 const router = express.Router();
 
@@ -16,5 +17,6 @@ router.use('/', dashboardRoutes);
 router.use('/', cacheRoutes);
 router.use('/', settingsRoutes);
 router.use('/', loggingRoutes);
+router.use('/', logRoutes);
 
 module.exports = { debugRouter: router };
\ No newline at end of file
@@ -4,13 +4,16 @@
  * @module api/debug/debugSettings
  */
 const express = require('express');
-const { saveSettings, defaultSettings } = require('../../services/settings');
-const { logError, log } = require('../../../logger');
+const { getSettings, saveSettings, defaultSettings } = require('../../services/settings');
+const { createLogger } = require('../../../logger');
+
+const { log, logError } = createLogger('debug');
 
 const router = express.Router();
 
 /**
  * Reset settings to default values
+ * Authentication settings are kept
  * 
  * @route POST /api/debug/reset-settings
  */
@@ -18,8 +21,9 @@ router.post('/reset-settings', async (req, res) => {
   try {
     log('Settings reset requested from debug endpoint');
     
-    // Save default settings
-    await saveSettings(defaultSettings);
+    // Save default settings, keeping the admin password so the reset cannot unlock the app
+    const { auth } = await getSettings();
+    await saveSettings({ ...defaultSettings, auth });
     
     // Force cache refresh after settings reset
     await require('../../services/cacheService').initializeCache();
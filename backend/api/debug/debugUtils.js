@@ -95,42 +95,30 @@ function formatFileSize(bytes) {
 /**
  * Helper function to get cache TTL settings
  * 
- * @returns {Object} Cache TTL settings
+ * @returns {Object} Cache TTL settings in seconds and the background request limit
  */
 function getCacheTTLSettings() {
-  try {
-    // Try to get from the module
-    const cacheService = require('../../services/cacheService');
-    
-    // If the module exports the TTL settings directly, use them
-    if (cacheService.CACHE_TTL_SETTINGS) {
-      return {
-        users: cacheService.CACHE_TTL_SETTINGS.users || 300,
-        libraries: cacheService.CACHE_TTL_SETTINGS.libraries || 600,
-        recent_media: cacheService.CACHE_TTL_SETTINGS.recent_media || 600,
-        default: cacheService.CACHE_TTL_SETTINGS.default || 600,
-        max_requests: cacheService.MAX_REQUESTS_PER_MINUTE || 20
-      };
-    }
-    
-    // Otherwise, use default values
-    return {
-      users: 300,
-      libraries: 600,
-      recent_media: 600,
-      default: 600,
-      max_requests: 20
-    };
-  } catch (error) {
-    // Default values on error
-    return {
-      users: 300,
-      libraries: 600,
-      recent_media: 600,
-      default: 600,
-      max_requests: 20
-    };
-  }
+  const { ttl, max_requests } = require('../../services/cacheConfig').getCacheSettings();
+  return {
+    users: ttl.users,
+    libraries: ttl.libraries,
+    recent_media: ttl.recent_media,
+    default: ttl.default,
+    max_requests
+  };
+}
+
+/**
+ * Helper function to describe when a background job runs next
+ * 
+ * @param {Object} job - Job state from the scheduler
+ * @returns {string} Interval and next run
+ */
+function describeJob(job) {
+  const jitter = job.jitter > 0 ? ` (+${job.jitter}s jitter)` : '';
+  const nextRun = job.running ? 'running now' :
+    job.next_run_at ? `next ${new Date(job.next_run_at).toLocaleTimeString()}` : 'stopped';
+  return `Every ${job.interval}s${jitter}, ${nextRun}`;
 }
 
 /**
@@ -140,8 +128,11 @@ function getCacheTTLSettings() {
  * @returns {Object} System information data
  */
 async function getSystemInfo() {
-  const { getSettings } = require('../../services/settings');
+  const { getSettings, isDemoMode } = require('../../services/settings');
   const { cache } = require('../../services/cacheService');
+  const { tautulliService } = require('../../services/tautulli');
+  const { getJobStatus } = require('../../services/scheduler');
+  const { getPollingStatus } = require('../../services/pollingMode');
   
   // Get cache statistics
   const stats = cache.getStats();
@@ -151,15 +142,39 @@ async function getSystemInfo() {
   
   // Get system information
   const settings = await getSettings();
-  const { TAUTULLI_BASE_URL: baseUrl, TAUTULLI_API_KEY: apiKey } = settings.env;
+  const servers = tautulliService.getServers();
   
   // Get local IP address
   const localIp = getLocalIpAddress();
+  const polling = getPollingStatus();
   
   // Get current cache configuration
   const cacheService = require('../../services/cacheService');
   const verboseLogging = cacheService.isVerboseLoggingEnabled();
   
+  // One section per Tautulli server with its connection and circuit breaker state
+  const serverSections = {};
+  servers.forEach(({ id, name, baseUrl, apiKey }) => {
+    const circuit = tautulliService.getCircuitState(id);
+    const lastTransition = circuit.transitions[circuit.transitions.length - 1];
+    
+    serverSections[`tautulli_${id}`] = {
+      title: `Tautulli Server: ${name}`,
+      items: [
+        { label: "Server ID", value: id },
+        { label: "Base URL", value: baseUrl || "Not set" },
+        { label: "API Key", value: apiKey ? "**********" + apiKey.substr(-4) : "Not set" },
+        { label: "Circuit Breaker", value: circuit.state, 
+          status: circuit.state === 'closed' ? "good" : "bad" },
+        { label: "Consecutive Failures", value: `${circuit.failures} / ${circuit.threshold}` },
+        { label: "Circuit Cooldown", value: `${Math.round(circuit.cooldown / 1000)} seconds` },
+        { label: "Retry At", value: circuit.retryAt ? new Date(circuit.retryAt).toLocaleString() : "-" },
+        { label: "Last Transition", value: lastTransition ? 
+          `${lastTransition.from} → ${lastTransition.to} at ${new Date(lastTransition.at).toLocaleString()} (${lastTransition.reason})` : "None" }
+      ]
+    };
+  });
+  
   // Get system uptime in a more readable format
   const uptime = formatUptime(process.uptime());
   const systemUptime = formatUptime(os.uptime());
@@ -170,7 +185,6 @@ async function getSystemInfo() {
       items: [
         { label: "Environment", value: process.env.NODE_ENV || "development" },
         { label: "Server Port", value: process.env.TAUTULLI_CUSTOM_PORT || 3010 },
-        { label: "Refresh Interval", value: `${Math.round((process.env.TAUTULLI_REFRESH_INTERVAL || 300000)/1000)} seconds` },
         { label: "Server Time", value: new Date().toLocaleString() },
         { label: "Server Uptime", value: uptime },
         { label: "System Uptime", value: systemUptime },
@@ -183,12 +197,13 @@ async function getSystemInfo() {
     tautulli: {
       title: "Tautulli Connection",
       items: [
-        { label: "Connection Status", value: baseUrl ? "Connected" : "Not Configured", 
-          status: baseUrl ? "good" : "bad" },
-        { label: "Base URL", value: baseUrl || "Not set" },
-        { label: "API Key", value: apiKey ? "**********" + apiKey.substr(-4) : "Not set" }
+        { label: "Connection Status", value: servers.length > 0 ? "Connected" : "Not Configured", 
+          status: servers.length > 0 ? "good" : "bad" },
+        { label: "Configured Servers", value: servers.length > 0 ? servers.map(server => server.name).join(', ') : "None" },
+        { label: "Demo Mode", value: isDemoMode(settings) ? "Enabled" : "Disabled" }
       ]
     },
+    ...serverSections,
     cache: {
       title: "Cache Statistics",
       items: [
@@ -201,6 +216,22 @@ async function getSystemInfo() {
           status: verboseLogging ? "good" : null }
       ]
     },
+    schedule: {
+      title: "Refresh Schedule",
+      items: [
+        { label: "Polling Mode", value: polling.idle_level > 0 && polling.mode === 'idle' ?
+          `idle (backoff level ${polling.idle_level})` : polling.mode,
+          status: polling.mode === 'active' ? "good" : null },
+        { label: "Active Sessions", value: polling.active_sessions },
+        { label: "Last Client Activity", value: `${new Date(polling.last_activity_at).toLocaleString()} (${polling.last_activity_source})` },
+        { label: "Suspends At", value: polling.suspend_at ? new Date(polling.suspend_at).toLocaleString() : "-" },
+        ...getJobStatus().map(job => ({
+          label: job.name,
+          value: describeJob(job),
+          status: job.last_status === 'error' ? "bad" : null
+        }))
+      ]
+    },
     memory: {
       title: "Memory Usage",
       items: [
@@ -228,5 +259,6 @@ module.exports = {
   checkSettingsFile,
   formatFileSize,
   getCacheTTLSettings,
+  describeJob,
   getSystemInfo
 };
\ No newline at end of file
@@ -0,0 +1,132 @@
+/**
+ * Events API endpoint handler
+ * Streams cache updates to the dashboard as Server-Sent Events
+ * @module api/events
+ */
+const express = require('express');
+const { cache } = require('../services/cacheService');
+const { recordActivity } = require('../services/pollingMode');
+const { openEventStream, sendEvent } = require('../services/eventStream');
+const { createLogger, colors } = require('../../logger');
+
+const { log } = createLogger('events');
+
+const router = express.Router();
+
+/**
+ * Cache keys that can be subscribed to
+ * @type {Array<string>}
+ */
+const EVENT_TOPICS = ['users', 'recent_media', 'libraries'];
+
+/**
+ * How long browsers wait before reconnecting after the stream drops
+ * @type {number}
+ */
+const RETRY_DELAY = 5000; // 5 seconds
+
+/**
+ * Maximum number of open streams
+ * @type {number}
+ */
+const MAX_CLIENTS = 50;
+
+/**
+ * Number of open streams
+ * @type {number}
+ */
+let clientCount = 0;
+
+/**
+ * Parse the topics requested by a client
+ *
+ * @param {string} [value] - Comma separated topics
+ * @returns {Array<string>} Valid topics, all topics when none are given
+ */
+function parseTopics(value) {
+  if (typeof value !== 'string' || !value.trim()) {
+    return EVENT_TOPICS;
+  }
+
+  return value.split(',')
+    .map(topic => topic.trim())
+    .filter(topic => EVENT_TOPICS.includes(topic));
+}
+
+/**
+ * Stream cache update notifications
+ * Events only say which data changed; clients fetch the formatted data from the regular endpoints.
+ * Every open stream counts as a cache listener, so background refreshes run while it is open.
+ *
+ * @route GET /api/events
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.topics] - Comma separated topics: users, recent_media, libraries
+ * @param {Object} res - Express response object
+ * @returns {void} text/event-stream with ready, users, recent_media and libraries events
+ */
+router.get('/', (req, res) => {
+  const topics = parseTopics(req.query.topics);
+
+  if (topics.length === 0) {
+    return res.status(400).json({
+      response: { result: 'error', message: `Invalid topics, expected any of: ${EVENT_TOPICS.join(', ')}` }
+    });
+  }
+
+  if (clientCount >= MAX_CLIENTS) {
+    return res.status(503).json({
+      response: { result: 'error', message: 'Too many event streams open' }
+    });
+  }
+
+  // Recorded before the listeners are added so a suspended poller sees this as a new client
+  recordActivity('stream');
+  clientCount++;
+  log(`${colors.brightBlue}ℹ${colors.reset} Event stream opened (${clientCount} open): ${topics.join(', ')}`);
+
+  // A refresh notifies twice in the same tick (set and refresh), send one event for both
+  const pending = new Set();
+  const flushPending = () => {
+    pending.forEach(topic => {
+      sendEvent(res, topic, { topic, updated_at: Date.now(), ...cache.getStaleness(topic) });
+    });
+    pending.clear();
+  };
+
+  const listeners = topics.map(topic => {
+    const listener = () => {
+      if (pending.size === 0) setImmediate(flushPending);
+      pending.add(topic);
+    };
+    cache.addListener(topic, listener);
+    return { topic, listener };
+  });
+
+  openEventStream(req, res, {
+    retry: RETRY_DELAY,
+    onClose: () => {
+      pending.clear();
+      listeners.forEach(({ topic, listener }) => cache.removeListener(topic, listener));
+      // The suspend window starts when the last stream closes
+      recordActivity('stream');
+      clientCount--;
+      log(`${colors.brightBlue}ℹ${colors.reset} Event stream closed (${clientCount} open)`);
+    }
+  });
+  sendEvent(res, 'ready', { topics });
+});
+
+/**
+ * Get the number of open event streams
+ *
+ * @returns {number} Open streams
+ */
+function getEventClientCount() {
+  return clientCount;
+}
+
+module.exports = {
+  eventsRouter: router,
+  getEventClientCount
+};
@@ -0,0 +1,157 @@
+/**
+ * Format API endpoint handler
+ * Provides template validation and live previews for format fields
+ * @module api/format
+ */
+const express = require('express');
+const { cache } = require('../services/cacheService');
+const { getSettings } = require('../services/settings');
+const { analyzeTemplate, renderTemplate } = require('../services/templateEngine');
+const { buildWatchingUsers, buildUserTemplateValues } = require('./users');
+const { buildMediaTemplateValues, buildGroupTemplateValues, groupMediaItems } = require('./media');
+const { matchesSectionFilter, createUserKey, createSectionKey } = require('../services/servers');
+const { parseMediaFilters, createMediaFilter } = require('../services/mediaFilters');
+
+const router = express.Router();
+
+/**
+ * Template types accepted by the preview endpoint
+ * @type {Array<string>}
+ */
+const TEMPLATE_TYPES = ['users', 'shows', 'movies', 'music'];
+
+/**
+ * Default and maximum number of preview rows
+ * @type {number}
+ */
+const DEFAULT_PREVIEW_LIMIT = 5;
+const MAX_PREVIEW_LIMIT = 25;
+
+/**
+ * Get the variable names available to templates of a type
+ *
+ * @param {string} type - Template type (users, shows, movies, music)
+ * @returns {Array<string>} Variable names
+ */
+function getTemplateVariables(type) {
+  return Object.keys(type === 'users' ? buildUserTemplateValues({}, null) : buildMediaTemplateValues({}));
+}
+
+/**
+ * Build template values from cached user data
+ *
+ * @param {number} limit - Maximum number of rows
+ * @returns {Array<Object>} Template values per user
+ */
+function getUserPreviewValues(limit) {
+  const userData = cache.get('users', false);
+  if (!userData?.users?.data) return [];
+
+  const watchingUsers = buildWatchingUsers(userData.activity?.sessions);
+  const historyIndex = cache.get('user_history_index', false)?.users || {};
+  const userKey = (user) => createUserKey(user.server, user.user_id);
+
+  // Show active users first, like the users endpoint does
+  return [...userData.users.data]
+    .sort((a, b) => !!watchingUsers[userKey(b)] - !!watchingUsers[userKey(a)])
+    .slice(0, limit)
+    .map(user => buildUserTemplateValues(user, watchingUsers[userKey(user)], {
+      lastWatched: historyIndex[userKey(user)]
+    }));
+}
+
+/**
+ * Build template values from cached recent media
+ * Items are filtered and grouped like the recent media endpoint does, following each section's settings
+ *
+ * @async
+ * @param {string} type - Media type (shows, movies, music)
+ * @param {string} [sectionKey] - Section key to preview, defaults to all sections of the type
+ * @param {number} limit - Maximum number of rows
+ * @returns {Promise<Array<Object>>} Template values per media item
+ */
+async function getMediaPreviewValues(type, sectionKey, limit) {
+  const mediaData = cache.get('recent_media', false);
+  if (!Array.isArray(mediaData)) return [];
+
+  const settings = await getSettings();
+  const sectionFilters = sectionKey ? [String(sectionKey)] : (settings.sections?.[type] || []);
+
+  return mediaData
+    .filter(section => section.type === type &&
+      matchesSectionFilter(sectionFilters, section.server, section.sectionId))
+    .flatMap(section => {
+      const format = settings.mediaFormats?.[type]?.[createSectionKey(section.server, section.sectionId)];
+      const items = section.data
+        .filter(createMediaFilter(parseMediaFilters(format?.filters).filters))
+        .sort((a, b) => parseInt(b.added_at) - parseInt(a.added_at));
+      return groupMediaItems(items, format?.group);
+    })
+    .sort((a, b) => parseInt(b[0].added_at) - parseInt(a[0].added_at))
+    .slice(0, limit)
+    .map(items => buildMediaTemplateValues(items[0], buildGroupTemplateValues(items)));
+}
+
+/**
+ * Render a template against real cached items
+ *
+ * @route POST /api/format/preview
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.template - Template to render
+ * @param {string} req.body.type - Template type (users, shows, movies, music)
+ * @param {string} [req.body.section_id] - Media section key (server:id) to preview
+ * @param {number} [req.body.limit=5] - Number of preview rows
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with rendered rows and warnings
+ */
+router.post('/preview', async (req, res) => {
+  try {
+    const { template, type, section_id: sectionId } = req.body || {};
+
+    if (typeof template !== 'string') {
+      return res.status(400).json({
+        response: { result: 'error', message: 'template must be a string' }
+      });
+    }
+
+    if (!TEMPLATE_TYPES.includes(type)) {
+      return res.status(400).json({
+        response: { result: 'error', message: `type must be one of: ${TEMPLATE_TYPES.join(', ')}` }
+      });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.body.limit) || DEFAULT_PREVIEW_LIMIT, 1), MAX_PREVIEW_LIMIT);
+    const availableVariables = getTemplateVariables(type);
+    const { variables, warnings } = analyzeTemplate(template, availableVariables);
+
+    const values = type === 'users' ?
+      getUserPreviewValues(limit) :
+      await getMediaPreviewValues(type, sectionId, limit);
+
+    if (values.length === 0) {
+      warnings.push('No cached items available to preview');
+    }
+
+    res.json({
+      response: {
+        result: 'success',
+        type,
+        section_id: sectionId ? String(sectionId) : null,
+        preview: values.map(itemValues => renderTemplate(template, itemValues)),
+        variables,
+        available_variables: availableVariables,
+        warnings
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      response: {
+        result: 'error',
+        message: error.message
+      }
+    });
+  }
+});
+
+module.exports = { formatRouter: router };
@@ -0,0 +1,148 @@
+/**
+ * Image API endpoint handler
+ * Serves Plex artwork through the backend so browsers never contact Tautulli
+ * @module api/image
+ */
+const express = require('express');
+const { tautulliService } = require('../services/tautulli');
+const { cache } = require('../services/cacheService');
+const { getCachedImage, storeCachedImage } = require('../services/imageCache');
+
+const router = express.Router();
+
+/**
+ * How long browsers may cache artwork, in seconds
+ * @type {number}
+ */
+const IMAGE_MAX_AGE = 24 * 60 * 60; // 1 day
+
+/**
+ * Image served when artwork cannot be loaded
+ * @type {string}
+ */
+const PLACEHOLDER_URL = '/static/poster-placeholder.jpg';
+
+/**
+ * Supported image variants
+ * thumb and art are Plex item images, avatar is the image of a Tautulli user
+ * @type {Array<string>}
+ */
+const IMAGE_TYPES = ['thumb', 'art', 'avatar'];
+
+/**
+ * Largest width or height that can be requested
+ * @type {number}
+ */
+const MAX_DIMENSION = 2000;
+
+/**
+ * Parse a requested width or height
+ *
+ * @param {string} value - Query parameter value
+ * @returns {number|null} Dimension in pixels, or null to keep the original size
+ */
+function parseDimension(value) {
+  const dimension = parseInt(value, 10);
+  return dimension > 0 ? Math.min(dimension, MAX_DIMENSION) : null;
+}
+
+/**
+ * Get the Plex image path for a variant
+ * Avatars are looked up in the cached user list, where ratingKey is the user ID
+ *
+ * @param {string} type - Image variant
+ * @param {string} ratingKey - Plex rating key, or user ID for avatars
+ * @param {string} serverId - Server ID
+ * @returns {string|null} Image path or URL, null if the user has no avatar
+ */
+function getImagePath(type, ratingKey, serverId) {
+  if (type !== 'avatar') {
+    return `/library/metadata/${ratingKey}/${type}`;
+  }
+
+  const users = cache.get('users', false)?.users?.data || [];
+  const user = users.find(row => row.server === serverId && String(row.user_id) === ratingKey);
+  return user?.user_thumb || null;
+}
+
+/**
+ * Send a cached image with caching headers
+ * Conditional requests (If-None-Match, If-Modified-Since) are answered with 304
+ *
+ * @param {Object} res - Express response object
+ * @param {{path: string, contentType: string}} image - Cached image
+ */
+function sendImage(res, image) {
+  res.removeHeader('Pragma');
+  res.removeHeader('Expires');
+  res.setHeader('Cache-Control', `public, max-age=${IMAGE_MAX_AGE}`);
+  res.sendFile(image.path, {
+    headers: { 'Content-Type': image.contentType },
+    etag: true,
+    lastModified: true
+  }, (error) => {
+    if (error && !res.headersSent) {
+      res.redirect(PLACEHOLDER_URL);
+    }
+  });
+}
+
+/**
+ * Get artwork of a media item or the avatar of a user
+ * Images are cached on disk; an expired image is served while Tautulli cannot be reached
+ *
+ * @route GET /api/image/:ratingKey
+ * @param {Object} req - Express request object
+ * @param {string} req.params.ratingKey - Plex rating key of the item, or the user ID for avatars
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.server] - Server ID the item belongs to, defaults to the first server
+ * @param {string} [req.query.type=thumb] - Image variant: thumb, art or avatar
+ * @param {number} [req.query.width] - Resize width in pixels
+ * @param {number} [req.query.height] - Resize height in pixels
+ * @param {Object} res - Express response object
+ * @returns {Buffer} Image bytes, or a redirect to the placeholder
+ */
+router.get('/:ratingKey', async (req, res) => {
+  const { ratingKey } = req.params;
+  const { type = 'thumb' } = req.query;
+
+  if (!/^\d+$/.test(ratingKey) || !IMAGE_TYPES.includes(type)) {
+    return res.status(400).json({
+      response: { result: 'error', message: 'Invalid rating key or image type' }
+    });
+  }
+
+  const serverId = typeof req.query.server === 'string' ?
+    req.query.server :
+    tautulliService.getServers()[0]?.id;
+  const width = parseDimension(req.query.width);
+  const height = parseDimension(req.query.height);
+  const cacheKey = `${serverId}:${type}:${ratingKey}:${width || 0}x${height || 0}`;
+
+  let image = serverId ? await getCachedImage(cacheKey) : null;
+
+  if (serverId && (!image || image.expired)) {
+    try {
+      const imagePath = getImagePath(type, ratingKey, serverId);
+      if (!imagePath) {
+        throw new Error(`No ${type} image for ${ratingKey}`);
+      }
+
+      const fetched = await tautulliService.fetchImage(imagePath, { server: serverId, width, height });
+      image = await storeCachedImage(cacheKey, fetched.data, fetched.contentType);
+    } catch (error) {
+      // An expired copy is better than the placeholder while Tautulli is unavailable
+      if (!image) {
+        return res.redirect(PLACEHOLDER_URL);
+      }
+    }
+  }
+
+  if (!image) {
+    return res.redirect(PLACEHOLDER_URL);
+  }
+
+  sendImage(res, image);
+});
+
+module.exports = { imageRouter: router };
@@ -0,0 +1,344 @@
+/**
+ * Libraries API endpoint handler
+ * Provides library sections with their counts, plays and size, per server and as totals
+ * @module api/libraries
+ */
+const express = require('express');
+const { createLogger } = require('../../logger');
+const { getSettings } = require('../services/settings');
+const { cache } = require('../services/cacheService');
+const { tautulliService } = require('../services/tautulli');
+const { fetchLibraryData } = require('../services/cacheDataFetchers');
+const { DEBUG_MUSIC } = require('../services/cacheConfig');
+const { createSectionKey, parseSectionKey, parseServerFilter } = require('../services/servers');
+
+const router = express.Router();
+
+const { logError, debug, isLevelEnabled } = createLogger('api');
+
+/**
+ * Format a number of bytes for display
+ * 
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Formatted size (e.g. "1.5 TB")
+ */
+function formatFileSize(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB', 'PB'];
+  let size = bytes || 0;
+  let unit = 0;
+  
+  while (size >= 1024 && unit < units.length - 1) {
+    size /= 1024;
+    unit++;
+  }
+  
+  return unit === 0 ? `${size} ${units[unit]}` : `${size.toFixed(1)} ${units[unit]}`;
+}
+
+/**
+ * Format a play time for display
+ * 
+ * @param {number} totalSeconds - Play time in seconds
+ * @returns {string} Formatted play time (e.g. "3d 4h 12m", "4h 12m" or "12m")
+ */
+function formatPlayTime(totalSeconds) {
+  if (!totalSeconds) return '0m';
+  
+  const days = Math.floor(totalSeconds / 86400);
+  const hours = Math.floor((totalSeconds % 86400) / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  
+  if (days > 0) return `${days}d ${hours}h ${minutes}m`;
+  return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+}
+
+/**
+ * Get library sections data with configuration status
+ * 
+ * @async
+ * @param {Array<string>|null} [serverFilter=null] - Only include these server IDs
+ * @returns {Object} Library data with sections and totals
+ * @returns {Array} returns.sections - Array of library sections
+ * @returns {Object} returns.totals - Aggregated library statistics across servers
+ */
+async function getLibraryData(serverFilter = null) {
+  try {
+    // Check cache first
+    const cachedLibraries = cache.get('libraries', true);
+    if (cachedLibraries?.response?.data) {
+      const libraryData = await processLibraryData(cachedLibraries.response.data, serverFilter);
+      return libraryData;
+    }
+    
+    const libraries = await fetchLibraryData(cache.isVerboseLoggingEnabled());
+    const libraryData = await processLibraryData(libraries, serverFilter);
+    return libraryData;
+  } catch (error) {
+    logError('Library Data', error);
+    return {
+      sections: [],
+      totals: {
+        movies: { sections: 0, total_items: 0, total_items_formatted: '0' },
+        shows: { sections: 0, total_items: 0, total_items_formatted: '0', total_seasons: 0, total_seasons_formatted: '0', total_episodes: 0, total_episodes_formatted: '0' },
+        music: { sections: 0, total_items: 0, total_items_formatted: '0', total_albums: 0, total_albums_formatted: '0', total_tracks: 0, total_tracks_formatted: '0' }
+      }
+    };
+  }
+}
+
+/**
+ * Process library data with configuration status
+ * Extracted to a separate function for reusability
+ * 
+ * @async
+ * @param {Array} libraryData - Library data from every Tautulli server
+ * @param {Array<string>|null} [serverFilter=null] - Only include these server IDs
+ * @returns {Object} Processed library data with sections and totals
+ */
+async function processLibraryData(libraryData, serverFilter = null) {
+  const settings = await getSettings();
+  const serverOrder = tautulliService.getServers().map(server => server.id);
+  const configuredSections = {
+    shows: settings.sections?.shows || [],
+    movies: settings.sections?.movies || [],
+    music: settings.sections?.music || []
+  };
+
+  if (DEBUG_MUSIC && isLevelEnabled('debug')) {
+    debug('Configured music sections: ' + JSON.stringify(configuredSections.music));
+    debug('Library data sections: ' + JSON.stringify(libraryData.map(lib => 
+      `${lib.section_id} (${lib.section_type}): ${lib.section_name}`
+    )));
+  }
+
+  // Process sections and mark configured ones
+  const sections = libraryData
+    // Libraries of a removed server stay cached until the next library refresh
+    .filter(library => serverOrder.includes(library.server))
+    .filter(library => !serverFilter || serverFilter.includes(library.server))
+    .map(library => {
+      // Sections are configured per server, so match on the namespaced key
+      const sectionId = parseInt(library.section_id);
+      const sectionKey = createSectionKey(library.server, sectionId);
+      const isConfigured = library.section_type === 'movie' ? 
+        configuredSections.movies.includes(sectionKey) :
+        library.section_type === 'show' ? 
+        configuredSections.shows.includes(sectionKey) : 
+        (library.section_type === 'artist' || library.section_type === 'music') ? 
+        configuredSections.music.includes(sectionKey) : 
+        false;
+
+      // Ensure parent_count and child_count are properly parsed
+      const parsedParentCount = parseInt(library.parent_count) || 0;
+      const parsedChildCount = parseInt(library.child_count) || 0;
+
+      if (DEBUG_MUSIC && isLevelEnabled('debug') && (library.section_type === 'artist' || library.section_type === 'music')) {
+        debug(`Music library ${library.section_name} (${sectionKey}): configured=${isConfigured}`);
+        debug(`  Artists: ${library.count}, Albums: ${parsedParentCount}, Tracks: ${parsedChildCount}`);
+      }
+
+      return {
+        server: library.server,
+        server_name: library.server_name,
+        section_key: sectionKey,
+        section_name: library.section_name,
+        section_type: library.section_type,
+        count: parseInt(library.count) || 0,
+        section_id: sectionId,
+        count_formatted: new Intl.NumberFormat().format(parseInt(library.count) || 0),
+        configured: isConfigured,
+        ...(library.section_type === 'show' || 
+           library.section_type === 'artist' || 
+           library.section_type === 'music' ? {
+          parent_count: parsedParentCount,
+          child_count: parsedChildCount,
+          parent_count_formatted: new Intl.NumberFormat().format(parsedParentCount),
+          child_count_formatted: new Intl.NumberFormat().format(parsedChildCount)
+        } : {})
+      };
+    })
+    // Sort by server in settings order, then by section ID
+    .sort((a, b) => serverOrder.indexOf(a.server) - serverOrder.indexOf(b.server) || a.section_id - b.section_id);
+
+  // Calculate totals with explicit type checking
+  const totals = {
+    movies: { sections: 0, total_items: 0, total_items_formatted: '0' },
+    shows: { sections: 0, total_items: 0, total_items_formatted: '0', total_seasons: 0, total_seasons_formatted: '0', total_episodes: 0, total_episodes_formatted: '0' },
+    music: { sections: 0, total_items: 0, total_items_formatted: '0', total_albums: 0, total_albums_formatted: '0', total_tracks: 0, total_tracks_formatted: '0' }
+  };
+
+  sections.forEach(library => {
+    if (!library.configured) return;
+    
+    if (library.section_type === 'movie') {
+      totals.movies.sections++;
+      totals.movies.total_items += library.count;
+    } else if (library.section_type === 'show') {
+      totals.shows.sections++;
+      totals.shows.total_items += library.count;
+      totals.shows.total_seasons += library.parent_count;
+      totals.shows.total_episodes += library.child_count;
+    } else if (library.section_type === 'artist' || library.section_type === 'music') {
+      if (DEBUG_MUSIC && isLevelEnabled('debug')) {
+        debug(`Adding to music totals - Section ${library.section_key} (${library.section_name}):`);
+        debug(`  Artists: ${library.count}, Albums: ${library.parent_count}, Tracks: ${library.child_count}`);
+      }
+      totals.music.sections++;
+      totals.music.total_items += library.count;
+      totals.music.total_albums += library.parent_count;
+      totals.music.total_tracks += library.child_count;
+    }
+  });
+
+  // Format total numbers
+  totals.movies.total_items_formatted = new Intl.NumberFormat().format(totals.movies.total_items);
+  totals.shows.total_items_formatted = new Intl.NumberFormat().format(totals.shows.total_items);
+  totals.shows.total_seasons_formatted = new Intl.NumberFormat().format(totals.shows.total_seasons);
+  totals.shows.total_episodes_formatted = new Intl.NumberFormat().format(totals.shows.total_episodes);
+  totals.music.total_items_formatted = new Intl.NumberFormat().format(totals.music.total_items);
+  totals.music.total_albums_formatted = new Intl.NumberFormat().format(totals.music.total_albums);
+  totals.music.total_tracks_formatted = new Intl.NumberFormat().format(totals.music.total_tracks);
+
+  if (DEBUG_MUSIC && isLevelEnabled('debug')) {
+    debug("Final music totals: " + JSON.stringify({
+      sections: totals.music.sections,
+      artists: totals.music.total_items_formatted,
+      albums: totals.music.total_albums_formatted, 
+      tracks: totals.music.total_tracks_formatted
+    }));
+  }
+
+  return { sections, totals };
+}
+
+/**
+ * Add plays, play time, size and the last added item to processed sections
+ * Plays and play time come with the library list, size and last added item from the
+ * library_details cache key, which is refreshed on its own slower schedule
+ * 
+ * @param {Array} sections - Sections from processLibraryData
+ * @returns {Array} Sections with their details
+ */
+function addLibraryDetails(sections) {
+  const libraries = cache.get('libraries', false)?.response?.data || [];
+  const details = cache.get('library_details', true)?.sections || {};
+  
+  return sections.map(section => {
+    const library = libraries.find(lib => lib.section_key === section.section_key) || {};
+    const sectionDetails = details[section.section_key];
+    const plays = parseInt(library.plays) || 0;
+    const totalDuration = parseInt(library.duration) || 0;
+    const totalFileSize = sectionDetails?.total_file_size || 0;
+    
+    return {
+      ...section,
+      plays,
+      plays_formatted: new Intl.NumberFormat().format(plays),
+      total_duration: totalDuration,
+      total_duration_formatted: formatPlayTime(totalDuration),
+      total_file_size: totalFileSize,
+      total_file_size_formatted: formatFileSize(totalFileSize),
+      last_added: sectionDetails?.last_added || null
+    };
+  });
+}
+
+/**
+ * Get every library section with its details and the totals of configured sections
+ * 
+ * @route GET /api/libraries
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.server] - Comma-separated list of server IDs
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with sections and totals
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { sections, totals } = await getLibraryData(parseServerFilter(req.query.server));
+    
+    res.json({
+      response: {
+        result: 'success',
+        data: addLibraryDetails(sections),
+        totals,
+        restored: cache.isRestored('libraries'),
+        ...cache.getStaleness('libraries')
+      }
+    });
+  } catch (error) {
+    logError('Libraries Endpoint', error);
+    res.status(500).json({
+      response: {
+        result: 'error',
+        message: error.message
+      }
+    });
+  }
+});
+
+/**
+ * Get one library section with its details
+ * 
+ * @route GET /api/libraries/:sectionId
+ * @param {Object} req - Express request object
+ * @param {string} req.params.sectionId - Section key (server:id), or a bare section ID that only one server has
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the section
+ */
+router.get('/:sectionId', async (req, res) => {
+  try {
+    const { server, sectionId } = parseSectionKey(req.params.sectionId);
+    
+    if (isNaN(sectionId)) {
+      return res.status(400).json({
+        response: { result: 'error', message: 'Invalid section ID' }
+      });
+    }
+    
+    const { sections } = await getLibraryData(server ? [server] : null);
+    const matches = sections.filter(library => library.section_id === sectionId);
+    
+    if (matches.length === 0) {
+      return res.status(404).json({
+        response: { result: 'error', message: `Library section ${req.params.sectionId} not found` }
+      });
+    }
+    
+    // A bare ID is ambiguous once several servers have a section with it
+    if (matches.length > 1) {
+      const keys = matches.map(library => createSectionKey(library.server, library.section_id));
+      return res.status(409).json({
+        response: {
+          result: 'error',
+          message: `Library section ${req.params.sectionId} exists on several servers, use one of ${keys.join(', ')}`
+        }
+      });
+    }
+    
+    const [section] = matches;
+    
+    res.json({
+      response: {
+        result: 'success',
+        data: addLibraryDetails([section])[0],
+        restored: cache.isRestored('libraries'),
+        ...cache.getStaleness('libraries')
+      }
+    });
+  } catch (error) {
+    logError('Library Endpoint', error);
+    res.status(500).json({
+      response: {
+        result: 'error',
+        message: error.message
+      }
+    });
+  }
+});
+
+module.exports = {
+  librariesRouter: router,
+  getLibraryData,
+  formatFileSize
+};
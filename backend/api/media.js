@@ -4,38 +4,42 @@
  * @module api/media
  */
 const express = require('express');
+const { createLogger } = require('../../logger');
 const { getSettings, saveSettings } = require('../services/settings');
-const { cache } = require('../services/cacheService');
-const { tautulliService } = require('../services/tautulli');
+const { cache, queueUpdate } = require('../services/cacheService');
+const { OFFLINE_LABEL, DEFAULT_RECENT_MEDIA_DEPTH, MAX_RECENT_MEDIA_DEPTH } = require('../services/cacheConfig');
+const { analyzeTemplate, renderTemplate } = require('../services/templateEngine');
+const { getLibraryData, formatFileSize } = require('./libraries');
+const { parseSectionKey, matchesSectionFilter, parseServerFilter } = require('../services/servers');
+const { parseMediaFilters, createMediaFilter } = require('../services/mediaFilters');
+const { usesMetadataVariables } = require('../services/cacheDataFetchers');
 
 const router = express.Router();
 
-// Enable music-specific debugging only with verbose logging
-const DEBUG_MUSIC = false; // Set to false by default, will check verbose logging state
+const { logError, debug, isLevelEnabled } = createLogger('api');
 
-// Cache TTLs and keys
-const MEDIA_CACHE_TTL = 300; // 5 minutes
+// Enable music-specific debugging, logged at the debug level
+const DEBUG_MUSIC = false; // Set to false by default, also requires the debug level
+
+// Cache key prefix of the recent media fetched per section
 const RECENT_MEDIA_CACHE_PREFIX = 'recentMedia:';
 
-/**
- * Check if verbose logging is enabled
- * 
- * @returns {boolean} True if verbose logging is enabled
- */
-function isVerboseLoggingEnabled() {
-  return cache.isVerboseLoggingEnabled();
-}
+// Largest page of the merged recent media feed
+const MAX_RECENT_MEDIA_PAGE_SIZE = 100;
+
+// Actors listed by the ${actors} template variable, in billing order
+const MAX_TEMPLATE_ACTORS = 5;
 
 /**
- * Log message only when verbose logging is enabled
- * 
- * @param {string} message - Message to log
+ * Recent media grouping modes and the rating key shared by the items of a group
+ * show: episodes of one show, season: episodes of one season, album: tracks of one album
+ * @type {Object.<string, string>}
  */
-function verboseLog(message) {
-  if (isVerboseLoggingEnabled()) {
-    console.log(message);
-  }
-}
+const GROUP_MODES = {
+  show: 'grandparent_rating_key',
+  season: 'parent_rating_key',
+  album: 'parent_rating_key'
+};
 
 /**
  * Format duration from Plex runtime to human readable string
@@ -138,65 +142,142 @@ function formatShortDate(timestamp) {
 }
 
 /**
- * Format a single media item based on format fields with performance optimizations
+ * Format the episode or track numbers covered by a group of items
  * 
- * @param {Object} item - Media item object
- * @param {Array<Object>} formatFields - Format field definitions
- * @returns {Object} Formatted media item with all fields populated
+ * @param {Array<Object>} items - Items of one group
+ * @returns {string} Range string (e.g. "S02E01–E08", "S01E09–S02E02" or "01–08" for tracks)
  */
-function formatItem(item, formatFields) {
-  if (!formatFields?.length) {
-    return {};
+function formatEpisodeRange(items) {
+  const pad = value => String(value || '').padStart(2, '0');
+  const numbered = items
+    .filter(item => item.media_index !== undefined && item.media_index !== null && item.media_index !== '')
+    .sort((a, b) => (parseInt(a.parent_media_index) || 0) - (parseInt(b.parent_media_index) || 0) ||
+      parseInt(a.media_index) - parseInt(b.media_index));
+  if (numbered.length === 0) return '';
+
+  const first = numbered[0];
+  const last = numbered[numbered.length - 1];
+
+  if (first.media_type !== 'episode') {
+    return first === last ? pad(first.media_index) : `${pad(first.media_index)}–${pad(last.media_index)}`;
   }
 
-  const formattedDuration = formatDuration(item.duration);
-  const timestamp = parseInt(item.added_at);
+  const start = `S${pad(first.parent_media_index)}E${pad(first.media_index)}`;
+  if (first === last) return start;
+  if (first.parent_media_index === last.parent_media_index) return `${start}–E${pad(last.media_index)}`;
+  return `${start}–S${pad(last.parent_media_index)}E${pad(last.media_index)}`;
+}
 
-  // For TV shows, prioritize the show thumbnail (grandparent) over episode thumbnail
-  // For music, prioritize the artist thumbnail or album art
-  let ratingKey;
-  if (item.media_type === 'episode' || (item.grandparent_title && item.grandparent_rating_key)) {
-    // This is a TV show episode, use the show's rating key
-    ratingKey = item.grandparent_rating_key;
-  } else if (item.media_type === 'track' || item.media_type === 'album' || 
-            (item.grandparent_title && item.parent_rating_key)) {
-    // This is a music track or album, use the appropriate rating key
-    ratingKey = item.media_type === 'album' ? item.rating_key : item.parent_rating_key;
-  } else {
-    // For movies or when grandparent isn't available
-    ratingKey = item.rating_key || item.parent_rating_key;
-  }
+/**
+ * Build the template values describing a group of items
+ * An ungrouped item is a group of one
+ * 
+ * @param {Array<Object>} items - Items of one group, newest first
+ * @returns {Object} episode_count, episode_range and latest_added_relative values
+ */
+function buildGroupTemplateValues(items) {
+  return {
+    episode_count: String(items.length),
+    episode_range: formatEpisodeRange(items),
+    latest_added_relative: formatRelativeTime(parseInt(items[0]?.added_at))
+  };
+}
 
-  // Create result with necessary metadata - precompute commonly used values
-  const relativeTime = formatRelativeTime(timestamp);
-  const shortDate = formatShortDate(timestamp);
-  
-  const result = {
-    // Include the appropriate rating key for image proxy URL construction
-    ratingKey,
-    // Include additional info for display
-    added_at_relative: relativeTime
+/**
+ * Collapse items sharing a show, season or album rating key into groups
+ * Groups are ordered by their newest item; items without the rating key stay on their own
+ * 
+ * @param {Array<Object>} items - Recently added items, newest first
+ * @param {string} [mode] - Grouping mode, one of GROUP_MODES; anything else leaves every item on its own
+ * @returns {Array<Array<Object>>} Groups of items, newest first within each group
+ */
+function groupMediaItems(items, mode) {
+  const keyField = Object.hasOwn(GROUP_MODES, mode) ? GROUP_MODES[mode] : null;
+  if (!keyField) return items.map(item => [item]);
+
+  const groups = new Map();
+  return items.reduce((result, item) => {
+    const key = item[keyField];
+    if (!key) {
+      result.push([item]);
+    } else if (groups.has(key)) {
+      groups.get(key).push(item);
+    } else {
+      const group = [item];
+      groups.set(key, group);
+      result.push(group);
+    }
+    return result;
+  }, []);
+}
+
+/**
+ * Format a bitrate for display
+ * 
+ * @param {number} kbps - Bitrate in kilobits per second
+ * @returns {string} Formatted bitrate (e.g. "12.5 Mbps" or "320 kbps")
+ */
+function formatBitrate(kbps) {
+  if (!kbps) return '';
+  return kbps >= 1000 ? `${(kbps / 1000).toFixed(1)} Mbps` : `${kbps} kbps`;
+}
+
+/**
+ * Build the template values filled from an item's get_metadata enrichment
+ * Every value is empty until the item has been enriched
+ * 
+ * @param {Object} [metadata={}] - Raw metadata values attached by the recent media refresh
+ * @returns {Object} Template variable values, one per METADATA_VARIABLES entry
+ */
+function buildMetadataTemplateValues(metadata = {}) {
+  const dynamicRange = metadata.video_dynamic_range || '';
+
+  return {
+    summary: metadata.summary || '',
+    tagline: metadata.tagline || '',
+    directors: (metadata.directors || []).join(', '),
+    actors: (metadata.actors || []).slice(0, MAX_TEMPLATE_ACTORS).join(', '),
+    writers: (metadata.writers || []).join(', '),
+    audience_rating: metadata.audience_rating || '',
+    originally_available_at: metadata.originally_available_at || '',
+    audio_codec: String(metadata.audio_codec || '').toUpperCase(),
+    audio_channels: String(metadata.audio_channels || '').replace(/\(.*\)$/, ''),
+    video_codec: String(metadata.video_codec || '').toUpperCase(),
+    bitrate: formatBitrate(metadata.bitrate),
+    file_size: metadata.file_size ? formatFileSize(metadata.file_size) : '',
+    container: String(metadata.container || '').toUpperCase(),
+    hdr: dynamicRange && dynamicRange !== 'SDR' ? dynamicRange : ''
   };
-  
+}
+
+/**
+ * Build the values available to media format templates for a single item
+ * 
+ * @param {Object} item - Media item object
+ * @param {Object} [extraValues={}] - Request-level template values (e.g. offline)
+ * @returns {Object} Template variable values
+ */
+function buildMediaTemplateValues(item, extraValues = {}) {
+  const timestamp = parseInt(item.added_at);
+
   // Special handling for music items to ensure proper fields are set
   const isMusicItem = item.media_type === 'track' || 
                       item.media_type === 'album' || 
                       item.section_type === 'artist' ||
                       item.section_type === 'music';
   
-  // Use a pattern-based approach to reduce repeated replacements
-  const variableValues = {
+  return {
     title: item.title || '',
     year: item.year || '',
     grandparent_title: item.grandparent_title || '',
     parent_title: item.parent_title || '',
     parent_media_index: String(item.parent_media_index || '').padStart(2, '0'),
     media_index: String(item.media_index || '').padStart(2, '0'),
-    duration: formattedDuration,
+    duration: formatDuration(item.duration),
     content_rating: item.content_rating || '',
     video_resolution: item.video_resolution || '',
-    added_at_relative: relativeTime,
-    added_at_short: shortDate,
+    added_at_relative: formatRelativeTime(timestamp),
+    added_at_short: formatShortDate(timestamp),
     child_count: item.child_count || '0',
     
     // Music-specific attributes with enhanced reliability
@@ -205,246 +286,67 @@ function formatItem(item, formatFields) {
     studio: item.studio || '',
     genres: Array.isArray(item.genres) ? item.genres.join(', ') : (item.genre || ''),
     rating: item.rating || '',
-    tracks_count: isMusicItem ? (item.child_count || '0') : '0'
+    tracks_count: isMusicItem ? (item.child_count || '0') : '0',
+    server_name: item.server_name || '',
+    offline: '',
+    
+    // Grouped items override these through extraValues
+    ...buildGroupTemplateValues([item]),
+    
+    // Filled from get_metadata when a saved template uses them
+    ...buildMetadataTemplateValues(item.metadata),
+    
+    ...extraValues
   };
-
-  // Apply templates
-  for (const field of formatFields) {
-    if (!field.id || !field.template) continue;
-
-    let value = field.template;
-    for (const [key, val] of Object.entries(variableValues)) {
-      // Only replace if the pattern exists to avoid unnecessary operations
-      if (value.includes(`\${${key}}`)) {
-        value = value.replace(new RegExp(`\\$\{${key}}`, 'g'), val);
-      }
-    }
-
-    result[field.id] = value;
-  }
-
-  return result;
 }
 
 /**
- * Get library sections data with configuration status
+ * Format a single media item based on format fields with performance optimizations
  * 
- * @async
- * @returns {Object} Library data with sections and totals
- * @returns {Array} returns.sections - Array of library sections
- * @returns {Object} returns.totals - Aggregated library statistics
+ * @param {Object} item - Media item object
+ * @param {Array<Object>} formatFields - Format field definitions
+ * @param {Object} [extraValues={}] - Request-level template values (e.g. offline)
+ * @returns {Object} Formatted media item with all fields populated
  */
-async function getLibraryData() {
-  try {
-    // Check cache first
-    const cachedLibraries = cache.get('libraries', true);
-    if (cachedLibraries?.response?.data) {
-      const libraryData = await processLibraryData(cachedLibraries.response.data);
-      return libraryData;
-    }
-    
-    const response = await tautulliService.makeRequest('get_libraries_table');
-    if (!response?.response?.data?.data) {
-      throw new Error('Invalid library data format');
-    }
-
-    const libraryData = await processLibraryData(response.response.data.data);
-    return libraryData;
-  } catch (error) {
-    console.error('Library data error:', error);
-    return {
-      sections: [],
-      totals: {
-        movies: { sections: 0, total_items: 0, total_items_formatted: '0' },
-        shows: { sections: 0, total_items: 0, total_items_formatted: '0', total_seasons: 0, total_seasons_formatted: '0', total_episodes: 0, total_episodes_formatted: '0' },
-        music: { sections: 0, total_items: 0, total_items_formatted: '0', total_albums: 0, total_albums_formatted: '0', total_tracks: 0, total_tracks_formatted: '0' }
-      }
-    };
+function formatItem(item, formatFields, extraValues = {}) {
+  if (!formatFields?.length) {
+    return {};
   }
-}
-
-/**
- * Process library data with configuration status
- * Extracted to a separate function for reusability
- * 
- * @async
- * @param {Array} libraryData - Raw library data from Tautulli
- * @returns {Object} Processed library data with sections and totals
- */
-async function processLibraryData(libraryData) {
-  const settings = await getSettings();
-  const configuredSections = {
-    shows: settings.sections?.shows || [],
-    movies: settings.sections?.movies || [],
-    music: settings.sections?.music || []
-  };
 
-  if (DEBUG_MUSIC && isVerboseLoggingEnabled()) {
-    verboseLog('Configured music sections: ' + JSON.stringify(configuredSections.music));
-    verboseLog('Library data sections: ' + JSON.stringify(libraryData.map(lib => 
-      `${lib.section_id} (${lib.section_type}): ${lib.section_name}`
-    )));
+  // For TV shows, prioritize the show thumbnail (grandparent) over episode thumbnail
+  // For music, prioritize the artist thumbnail or album art
+  let ratingKey;
+  if (item.media_type === 'episode' || (item.grandparent_title && item.grandparent_rating_key)) {
+    // This is a TV show episode, use the show's rating key
+    ratingKey = item.grandparent_rating_key;
+  } else if (item.media_type === 'track' || item.media_type === 'album' || 
+            (item.grandparent_title && item.parent_rating_key)) {
+    // This is a music track or album, use the appropriate rating key
+    ratingKey = item.media_type === 'album' ? item.rating_key : item.parent_rating_key;
+  } else {
+    // For movies or when grandparent isn't available
+    ratingKey = item.rating_key || item.parent_rating_key;
   }
 
-  // Process sections and mark configured ones
-  const sections = libraryData
-    .map(library => {
-      // Fix the isConfigured check to ensure proper type conversion
-      const sectionId = parseInt(library.section_id);
-      const isConfigured = library.section_type === 'movie' ? 
-        configuredSections.movies.includes(sectionId) :
-        library.section_type === 'show' ? 
-        configuredSections.shows.includes(sectionId) : 
-        (library.section_type === 'artist' || library.section_type === 'music') ? 
-        configuredSections.music.includes(sectionId) : 
-        false;
-
-      // Ensure parent_count and child_count are properly parsed
-      const parsedParentCount = parseInt(library.parent_count) || 0;
-      const parsedChildCount = parseInt(library.child_count) || 0;
-
-      if (DEBUG_MUSIC && isVerboseLoggingEnabled() && (library.section_type === 'artist' || library.section_type === 'music')) {
-        verboseLog(`Music library ${library.section_name} (${sectionId}): configured=${isConfigured}`);
-        verboseLog(`  Artists: ${library.count}, Albums: ${parsedParentCount}, Tracks: ${parsedChildCount}`);
-      }
-
-      return {
-        section_name: library.section_name,
-        section_type: library.section_type,
-        count: parseInt(library.count) || 0,
-        section_id: sectionId,
-        count_formatted: new Intl.NumberFormat().format(parseInt(library.count) || 0),
-        configured: isConfigured,
-        ...(library.section_type === 'show' || 
-           library.section_type === 'artist' || 
-           library.section_type === 'music' ? {
-          parent_count: parsedParentCount,
-          child_count: parsedChildCount,
-          parent_count_formatted: new Intl.NumberFormat().format(parsedParentCount),
-          child_count_formatted: new Intl.NumberFormat().format(parsedChildCount)
-        } : {})
-      };
-    })
-    .sort((a, b) => a.section_id - b.section_id); // Sort by section ID
-
-  // Calculate totals with explicit type checking
-  const totals = {
-    movies: { sections: 0, total_items: 0, total_items_formatted: '0' },
-    shows: { sections: 0, total_items: 0, total_items_formatted: '0', total_seasons: 0, total_seasons_formatted: '0', total_episodes: 0, total_episodes_formatted: '0' },
-    music: { sections: 0, total_items: 0, total_items_formatted: '0', total_albums: 0, total_albums_formatted: '0', total_tracks: 0, total_tracks_formatted: '0' }
+  const variableValues = buildMediaTemplateValues(item, extraValues);
+  
+  const result = {
+    // Include the appropriate rating key for image proxy URL construction
+    ratingKey,
+    // Include additional info for display
+    added_at_relative: variableValues.added_at_relative
   };
 
-  sections.forEach(library => {
-    if (!library.configured) return;
-    
-    if (library.section_type === 'movie') {
-      totals.movies.sections++;
-      totals.movies.total_items += library.count;
-    } else if (library.section_type === 'show') {
-      totals.shows.sections++;
-      totals.shows.total_items += library.count;
-      totals.shows.total_seasons += library.parent_count;
-      totals.shows.total_episodes += library.child_count;
-    } else if (library.section_type === 'artist' || library.section_type === 'music') {
-      if (DEBUG_MUSIC && isVerboseLoggingEnabled()) {
-        verboseLog(`Adding to music totals - Section ${library.section_id} (${library.section_name}):`);
-        verboseLog(`  Artists: ${library.count}, Albums: ${library.parent_count}, Tracks: ${library.child_count}`);
-      }
-      totals.music.sections++;
-      totals.music.total_items += library.count;
-      totals.music.total_albums += library.parent_count;
-      totals.music.total_tracks += library.child_count;
-    }
-  });
+  // Apply templates
+  for (const field of formatFields) {
+    if (!field.id || !field.template) continue;
 
-  // Format total numbers
-  totals.movies.total_items_formatted = new Intl.NumberFormat().format(totals.movies.total_items);
-  totals.shows.total_items_formatted = new Intl.NumberFormat().format(totals.shows.total_items);
-  totals.shows.total_seasons_formatted = new Intl.NumberFormat().format(totals.shows.total_seasons);
-  totals.shows.total_episodes_formatted = new Intl.NumberFormat().format(totals.shows.total_episodes);
-  totals.music.total_items_formatted = new Intl.NumberFormat().format(totals.music.total_items);
-  totals.music.total_albums_formatted = new Intl.NumberFormat().format(totals.music.total_albums);
-  totals.music.total_tracks_formatted = new Intl.NumberFormat().format(totals.music.total_tracks);
-
-  if (DEBUG_MUSIC && isVerboseLoggingEnabled()) {
-    verboseLog("Final music totals: " + JSON.stringify({
-      sections: totals.music.sections,
-      artists: totals.music.total_items_formatted,
-      albums: totals.music.total_albums_formatted, 
-      tracks: totals.music.total_tracks_formatted
-    }));
+    result[field.id] = renderTemplate(field.template, variableValues);
   }
 
-  return { sections, totals };
+  return result;
 }
 
-/**
- * Register cache refresh callbacks
- */
-cache.registerRefreshCallback('recent_media', async () => {
-  const settings = await getSettings();
-  const configuredSections = {
-    shows: settings.sections?.shows || [],
-    movies: settings.sections?.movies || [],
-    music: settings.sections?.music || []
-  };
-
-  if (DEBUG_MUSIC && isVerboseLoggingEnabled()) {
-    verboseLog('Configured sections for refresh: ' + JSON.stringify(configuredSections));
-  }
-
-  // Fetch each section's recent media in parallel
-  const promises = [];
-  
-  for (const type of ['shows', 'movies', 'music']) {
-    for (const sectionId of configuredSections[type]) {
-      // Format section ID consistently
-      const parsedSectionId = parseInt(sectionId);
-      
-      if (DEBUG_MUSIC && isVerboseLoggingEnabled() && type === 'music') {
-        verboseLog(`Adding promise for music section ${parsedSectionId}`);
-      }
-      
-      promises.push(
-        tautulliService.makeRequest('get_recently_added', {
-          section_id: parsedSectionId,
-          count: 15
-        }).then(response => {
-          const hasItems = response?.response?.data?.recently_added?.length > 0;
-          
-          if (DEBUG_MUSIC && isVerboseLoggingEnabled() && type === 'music') {
-            verboseLog(`Got ${hasItems ? response.response.data.recently_added.length : 0} items for music section ${parsedSectionId}`);
-          }
-          
-          return {
-            type,
-            sectionId: parsedSectionId,
-            data: response?.response?.data?.recently_added || []
-          };
-        }).catch(error => {
-          console.error(`Error fetching recent media for ${type} section ${parsedSectionId}:`, error.message);
-          return {
-            type,
-            sectionId: parsedSectionId,
-            data: []
-          };
-        })
-      );
-    }
-  }
-
-  const results = await Promise.all(promises);
-  const filteredResults = results.filter(result => result.data.length > 0);
-  
-  if (DEBUG_MUSIC && isVerboseLoggingEnabled()) {
-    verboseLog('Music results after refresh: ' + 
-      JSON.stringify(filteredResults.filter(r => r.type === 'music')
-        .map(r => `Section ${r.sectionId}: ${r.data.length} items`)));
-  }
-  
-  return filteredResults;
-});
-
 /**
  * Get media format settings
  * 
@@ -472,21 +374,67 @@ router.get('/settings', async (req, res) => {
  * @param {Object} req - Express request object
  * @param {Object} req.body - Request body containing sections and formats
  * @param {Object} req.body.sections - Section configuration
- * @param {Object} req.body.formats - Format configuration
+ * @param {Object} req.body.formats - Format configuration, each section may set the recently added `depth` to fetch
  * @param {Object} res - Express response object
- * @returns {Object} JSON response indicating success or failure
+ * @returns {Object} JSON response indicating success or failure, with template warnings
  */
 router.post('/settings', async (req, res) => {
   try {
     const { sections, formats } = req.body;
     const settings = await getSettings();
 
-    if (DEBUG_MUSIC && isVerboseLoggingEnabled()) {
-      verboseLog('Saving media settings:');
-      verboseLog('- Sections: ' + JSON.stringify(sections));
-      verboseLog('- Formats: ' + JSON.stringify(formats));
+    const sectionFormats = Object.values(formats || {}).flatMap(typeSections => Object.entries(typeSections || {}));
+    const invalidDepth = sectionFormats.find(([, format]) => format?.depth !== undefined &&
+      !(Number.isInteger(format.depth) && format.depth >= 1 && format.depth <= MAX_RECENT_MEDIA_DEPTH));
+
+    if (invalidDepth) {
+      return res.status(400).json({
+        error: `Recent media depth of section ${invalidDepth[0]} must be a whole number from 1 to ${MAX_RECENT_MEDIA_DEPTH}`
+      });
+    }
+
+    const invalidGroup = sectionFormats.find(([, format]) => format?.group !== undefined && !Object.hasOwn(GROUP_MODES, format.group));
+
+    if (invalidGroup) {
+      return res.status(400).json({
+        error: `Grouping of section ${invalidGroup[0]} must be one of ${Object.keys(GROUP_MODES).join(', ')}`
+      });
     }
 
+    const invalidFilters = sectionFormats
+      .filter(([, format]) => format?.filters !== undefined)
+      .map(([sectionKey, format]) => [sectionKey, typeof format.filters === 'object' && format.filters !== null
+        ? parseMediaFilters(format.filters).errors
+        : ['filters must be an object']])
+      .find(([, errors]) => errors.length > 0);
+
+    if (invalidFilters) {
+      return res.status(400).json({
+        error: `Filters of section ${invalidFilters[0]}: ${invalidFilters[1][0]}`
+      });
+    }
+
+    if (DEBUG_MUSIC && isLevelEnabled('debug')) {
+      debug('Saving media settings:');
+      debug('- Sections: ' + JSON.stringify(sections));
+      debug('- Formats: ' + JSON.stringify(formats));
+    }
+
+    // Templates are saved as-is; problems are reported back as warnings
+    const variables = Object.keys(buildMediaTemplateValues({}));
+    const warnings = Object.entries(formats || {}).flatMap(([type, typeSections]) =>
+      Object.entries(typeSections || {}).flatMap(([sectionKey, format]) =>
+        (format?.fields || []).flatMap(field =>
+          analyzeTemplate(field.template, variables).warnings.map(message => ({
+            type,
+            section_id: sectionKey,
+            field: field.id,
+            message
+          }))
+        )
+      )
+    );
+
     await saveSettings({
       ...settings,
       sections: sections || { shows: [], movies: [], music: [] },
@@ -501,47 +449,136 @@ router.post('/settings', async (req, res) => {
       }
     });
 
-    res.json({ success: true });
+    // Sections whose depth changed or whose templates started using metadata are fetched again
+    // instead of waiting for the next refresh
+    const previousFormats = new Map(Object.values(settings.mediaFormats || {})
+      .flatMap(typeSections => Object.entries(typeSections || {})));
+    sectionFormats
+      .filter(([sectionKey, format]) => {
+        const previous = previousFormats.get(sectionKey);
+        return (format?.depth || DEFAULT_RECENT_MEDIA_DEPTH) !== (previous?.depth || DEFAULT_RECENT_MEDIA_DEPTH) ||
+          (usesMetadataVariables(format) && !usesMetadataVariables(previous));
+      })
+      .forEach(([sectionKey]) => queueUpdate('recent_media', sectionKey));
+
+    res.json({ success: true, warnings });
   } catch (error) {
     res.status(500).json({ error: 'Failed to save media settings' });
   }
 });
 
+/**
+ * Parse an optional non-negative integer query parameter
+ * 
+ * @param {string} value - Raw query value
+ * @returns {number|null} Parsed value, null if the parameter was not given, NaN if it is invalid
+ */
+function parseQueryInteger(value) {
+  if (value === undefined || value === '') return null;
+  const parsed = Number(value);
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : NaN;
+}
+
+/**
+ * Get default format fields for a media type
+ * 
+ * @param {string} mediaType - Media type (movies, shows, music)
+ * @returns {Array<Object>} Format field definitions
+ */
+function getDefaultFormatFields(mediaType) {
+  if (mediaType === 'music') {
+    return [{ id: 'field', template: '${parent_title} - ${title}' }];
+  }
+  if (mediaType === 'shows') {
+    return [{ id: 'field', template: '${grandparent_title} - S${parent_media_index}E${media_index} - ${title}' }];
+  }
+  return [{ id: 'field', template: '${title} (${year})' }];
+}
+
 /**
  * Get recent media from configured sections
+ * Items of every matching section are merged newest first; `before`/`after` narrow the feed by
+ * added_at and `start`/`count` page through what is left
  * 
  * @route GET /api/media/recent
  * @param {Object} req - Express request object
  * @param {Object} req.query - Query parameters
  * @param {string} [req.query.type] - Filter by media type (movies, shows, music)
- * @param {number} [req.query.count=15] - Number of items to return per section
- * @param {string} [req.query.section] - Comma-separated list of section IDs
+ * @param {number} [req.query.start=0] - Offset into the merged feed
+ * @param {number} [req.query.count] - Number of items to return, at most MAX_RECENT_MEDIA_PAGE_SIZE (default: all)
+ * @param {number} [req.query.before] - Only items added before this Unix timestamp
+ * @param {number} [req.query.after] - Only items added after this Unix timestamp
+ * @param {string} [req.query.section] - Comma-separated list of section keys (server:id) or bare section IDs
+ * @param {string} [req.query.server] - Comma-separated list of server IDs
  * @param {string} [req.query.fields] - Comma-separated list of fields to include
+ * @param {string} [req.query.group] - Group items by show, season or album, none to disable; defaults to each section's setting
+ * @param {string} [req.query.since] - Only items added within this duration (e.g. 24h, 7d)
+ * @param {string} [req.query.genre] - Comma-separated genres, items need one of them
+ * @param {string} [req.query.content_rating] - Comma-separated content ratings
+ * @param {number} [req.query.min_year] - Only items released in or after this year
+ * @param {number} [req.query.max_year] - Only items released in or before this year
+ * @param {string} [req.query.video_resolution] - Comma-separated resolutions (e.g. 4k, 1080)
+ * @param {string} [req.query.search] - Only items whose title, show or artist contains this text
+ * @param {string} [req.query.exclude] - Comma-separated rating keys of items, shows or albums to leave out
  * @param {Object} res - Express response object
- * @returns {Object} JSON response with recent media items
+ * @returns {Object} JSON response with recent media items from every server and the total matching count
  */
 router.get('/recent', async (req, res) => {
   try {
-    const { type, count = 15, section, fields } = req.query;
+    const { type, section, server, fields, group } = req.query;
+    const serverFilter = parseServerFilter(server);
     
     // Force no caching
     res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
     res.setHeader('Pragma', 'no-cache');
     res.setHeader('Expires', '0');
     
-    // Enable additional logging for debugging only if verbose logging is enabled
-    if (isVerboseLoggingEnabled()) {
-      verboseLog('Media request: ' + JSON.stringify({ type, count, section }));
+    const paging = {
+      start: parseQueryInteger(req.query.start),
+      count: parseQueryInteger(req.query.count),
+      before: parseQueryInteger(req.query.before),
+      after: parseQueryInteger(req.query.after)
+    };
+    const invalidParam = Object.keys(paging).find(name => Number.isNaN(paging[name]));
+    
+    if (invalidParam) {
+      return res.status(400).json({
+        response: {
+          result: 'error',
+          message: `${invalidParam} must be a non-negative integer`
+        }
+      });
+    }
+    
+    if (group !== undefined && group !== 'none' && !Object.hasOwn(GROUP_MODES, group)) {
+      return res.status(400).json({
+        response: {
+          result: 'error',
+          message: `group must be one of none, ${Object.keys(GROUP_MODES).join(', ')}`
+        }
+      });
     }
     
-    // Ensure count doesn't exceed max
-    const itemCount = Math.min(parseInt(count) || 15, 15);
+    // Request filters are combined with each section's saved filters, replacing those of the same name
+    const { filters: queryFilters, errors: filterErrors } = parseMediaFilters(req.query);
     
-    // Create a unique cache key based on query parameters
-    const cacheKey = `${RECENT_MEDIA_CACHE_PREFIX}${type || 'all'}:${itemCount}:${section || 'all'}:${fields || 'all'}`;
+    if (filterErrors.length > 0) {
+      return res.status(400).json({
+        response: {
+          result: 'error',
+          message: filterErrors[0]
+        }
+      });
+    }
+    
+    const { count, before, after } = paging;
+    const start = paging.start || 0;
+    const pageSize = count === null ? null : Math.min(count, MAX_RECENT_MEDIA_PAGE_SIZE);
     
-    // Clear this key from cache first to ensure fresh data
-    cache.cache.del(cacheKey);
+    // Enable additional logging for debugging only if verbose logging is enabled
+    if (isLevelEnabled('debug')) {
+      debug('Media request: ' + JSON.stringify({ type, start, count, before, after, section, server, queryFilters }));
+    }
     
     // Get settings and cached media data
     const settings = await getSettings();
@@ -552,8 +589,8 @@ router.get('/recent', async (req, res) => {
     
     // If media data isn't available yet, try to fetch directly or return empty response
     if (!mediaData) {
-      if (isVerboseLoggingEnabled()) {
-        verboseLog('Media data not found in cache, returning empty response');
+      if (isLevelEnabled('debug')) {
+        debug('Media data not found in cache, returning empty response');
       }
       
       // Return a friendly "loading" response instead of an error
@@ -562,14 +599,26 @@ router.get('/recent', async (req, res) => {
           result: 'loading',
           message: 'Media data is being loaded, please try again in a moment',
           data: [],
-          libraries: await getLibraryData() // Still try to get library data if possible
+          total: 0,
+          start,
+          count: 0,
+          has_more: false,
+          next_start: null,
+          libraries: await getLibraryData(serverFilter), // Still try to get library data if possible
+          ...cache.getStaleness('recent_media')
         }
       });
     }
 
-    if (isVerboseLoggingEnabled()) {
-      verboseLog(`Generating fresh media response with ${mediaData.length} sections`);
+    if (isLevelEnabled('debug')) {
+      debug(`Generating fresh media response with ${mediaData.length} sections`);
     }
+    
+    // Degraded mode: last known good data is served with its staleness reported
+    const staleness = cache.getStaleness('recent_media');
+    const extraValues = {
+      offline: staleness.stale ? OFFLINE_LABEL : ''
+    };
 
     // Determine which types to include
     const validTypes = ['shows', 'movies', 'music'];
@@ -581,20 +630,20 @@ router.get('/recent', async (req, res) => {
       throw new Error('No valid media types specified');
     }
 
-    // Get all sections for included types
+    // Get all section keys for included types
+    const requestedSections = section ? section.split(',').map(s => s.trim()).filter(Boolean) : null;
     const sectionsToUse = {};
     typesToInclude.forEach(mediaType => {
       const configuredSections = settings.sections?.[mediaType] || [];
-      // Filter by section if provided
-      if (section) {
-        const requestedSections = section.split(',').map(s => parseInt(s.trim()));
-        sectionsToUse[mediaType] = configuredSections.filter(s => requestedSections.includes(s));
-      } else {
-        sectionsToUse[mediaType] = configuredSections;
-      }
+      // Filter by server and section if provided
+      sectionsToUse[mediaType] = configuredSections.filter(sectionKey => {
+        const { server: serverId, sectionId } = parseSectionKey(sectionKey);
+        if (serverFilter && !serverFilter.includes(serverId)) return false;
+        return !requestedSections || matchesSectionFilter(requestedSections, serverId, sectionId);
+      });
     });
 
-    // Get all media items in a single array - use more efficient concatenation
+    // Collect the unformatted items of every section, only the requested page is formatted
     let allItems = [];
     
     // Process requested fields if provided
@@ -603,82 +652,100 @@ router.get('/recent', async (req, res) => {
     for (const mediaType of typesToInclude) {
       const sectionsForType = sectionsToUse[mediaType] || [];
       
-      if (DEBUG_MUSIC && isVerboseLoggingEnabled() && mediaType === 'music') {
-        verboseLog(`Processing music sections: ${sectionsForType.join(', ')}`);
-        verboseLog('Available media sections in cache: ' + 
-          JSON.stringify(mediaData.map(m => `${m.type}-${m.sectionId} (${m.data.length} items)`)));
+      if (DEBUG_MUSIC && isLevelEnabled('debug') && mediaType === 'music') {
+        debug(`Processing music sections: ${sectionsForType.join(', ')}`);
+        debug('Available media sections in cache: ' + 
+          JSON.stringify(mediaData.map(m => `${m.type}-${m.server}:${m.sectionId} (${m.data.length} items)`)));
       }
       
-      for (const sectionId of sectionsForType) {
+      for (const sectionKey of sectionsForType) {
+        const { server: serverId, sectionId } = parseSectionKey(sectionKey);
+        
         // Find the media for this section in cache with type conversion check
         const sectionMedia = mediaData.find(
           item => item.type === mediaType && 
-                 (item.sectionId === sectionId || 
-                  parseInt(item.sectionId) === parseInt(sectionId))
+                 item.server === serverId &&
+                 parseInt(item.sectionId) === sectionId
         );
         
         if (!sectionMedia || !sectionMedia.data.length) {
-          if (DEBUG_MUSIC && isVerboseLoggingEnabled() && mediaType === 'music') {
-            verboseLog(`No data found for music section ${sectionId}`);
+          if (DEBUG_MUSIC && isLevelEnabled('debug') && mediaType === 'music') {
+            debug(`No data found for music section ${sectionKey}`);
           }
           continue;
         }
         
         // Make sure format fields exist, if not use defaults
-        let formatFields = formats[mediaType]?.[sectionId]?.fields || [];
+        let formatFields = formats[mediaType]?.[sectionKey]?.fields || [];
         
-        // If no format fields exist, check if we need to use a default
         if (formatFields.length === 0) {
-          if (DEBUG_MUSIC && isVerboseLoggingEnabled() && mediaType === 'music') {
-            verboseLog(`No format fields for ${mediaType} section ${sectionId}, using default`);
-          }
-          if (mediaType === 'music') {
-            formatFields = [{ id: 'field', template: '${parent_title} - ${title}' }];
-          } else if (mediaType === 'shows') {
-            formatFields = [{ id: 'field', template: '${grandparent_title} - S${parent_media_index}E${media_index} - ${title}' }];
-          } else if (mediaType === 'movies') {
-            formatFields = [{ id: 'field', template: '${title} (${year})' }];
+          if (DEBUG_MUSIC && isLevelEnabled('debug') && mediaType === 'music') {
+            debug(`No format fields for ${mediaType} section ${sectionKey}, using default`);
           }
+          formatFields = getDefaultFormatFields(mediaType);
         }
         
-        // Process items with more robustness for music items
-        const formattedItems = sectionMedia.data
-          .slice(0, itemCount)
-          .map(item => {
-            try {
-              const formatted = formatItem(item, formatFields);
-              return {
-                ...formatted,
-                added_at: parseInt(item.added_at),
-                media_type: mediaType,
-                section_id: sectionId
-              };
-            } catch (err) {
-              console.error(`Error formatting ${mediaType} item:`, err);
-              // Return a minimal item to avoid breaking the whole response
-              return {
-                field: item.title || 'Unknown Item',
-                added_at: parseInt(item.added_at) || Date.now()/1000,
-                media_type: mediaType,
-                section_id: sectionId
-              };
-            }
-          });
+        // The request's group mode wins over the section's setting
+        const groupMode = group || formats[mediaType]?.[sectionKey]?.group;
+        const matchesFilters = createMediaFilter({
+          ...parseMediaFilters(formats[mediaType]?.[sectionKey]?.filters).filters,
+          ...queryFilters
+        });
+        const sortedItems = sectionMedia.data
+          .filter(matchesFilters)
+          .sort((a, b) => parseInt(b.added_at) - parseInt(a.added_at));
+        
+        const sectionItems = groupMediaItems(sortedItems, groupMode).map(items => ({
+          item: items[0],
+          items,
+          grouped: Object.hasOwn(GROUP_MODES, groupMode),
+          added_at: parseInt(items[0].added_at) || Math.floor(Date.now() / 1000),
+          mediaType,
+          sectionId,
+          sectionKey,
+          serverId,
+          formatFields
+        }));
           
-        if (DEBUG_MUSIC && isVerboseLoggingEnabled() && mediaType === 'music') {
-          verboseLog(`Added ${formattedItems.length} music items from section ${sectionId}`);
+        if (DEBUG_MUSIC && isLevelEnabled('debug') && mediaType === 'music') {
+          debug(`Added ${sectionItems.length} music items from section ${sectionKey}`);
         }
         
-        allItems = allItems.concat(formattedItems);
+        allItems = allItems.concat(sectionItems);
       }
     }
 
-    // Sort all items by added_at
+    // Sort all items by added_at, then narrow them by the timestamp cursors
     allItems.sort((a, b) => b.added_at - a.added_at);
+    const matchingItems = allItems.filter(entry =>
+      (before === null || entry.added_at < before) && (after === null || entry.added_at > after)
+    );
+    
+    const pageEnd = pageSize === null ? matchingItems.length : start + pageSize;
+    let pageItems = matchingItems.slice(start, pageEnd).map(entry => {
+      const base = {
+        added_at: entry.added_at,
+        media_type: entry.mediaType,
+        section_id: entry.sectionId,
+        section_key: entry.sectionKey,
+        server: entry.serverId,
+        ...(entry.grouped && { group_count: entry.items.length })
+      };
+      
+      // Process items with more robustness for music items
+      try {
+        const itemValues = { ...buildGroupTemplateValues(entry.items), ...extraValues };
+        return { ...formatItem(entry.item, entry.formatFields, itemValues), ...base };
+      } catch (err) {
+        logError(`Formatting ${entry.mediaType} item`, err);
+        // Return a minimal item to avoid breaking the whole response
+        return { field: entry.item.title || 'Unknown Item', ...base };
+      }
+    });
     
     // Filter fields if requested
     if (requestedFields) {
-      allItems = allItems.map(item => {
+      pageItems = pageItems.map(item => {
         const filteredItem = {};
         requestedFields.forEach(field => {
           if (field === 'added_at' || field === 'media_type' || field === 'section_id' || item[field] !== undefined) {
@@ -690,22 +757,28 @@ router.get('/recent', async (req, res) => {
     }
 
     // Get library data
-    const libraryData = await getLibraryData();
+    const libraryData = await getLibraryData(serverFilter);
+    const hasMore = start + pageItems.length < matchingItems.length;
 
     const responseData = {
       response: {
         result: 'success',
-        data: allItems,
-        libraries: libraryData
+        data: pageItems,
+        total: matchingItems.length,
+        start,
+        count: pageItems.length,
+        has_more: hasMore,
+        next_start: hasMore ? start + pageItems.length : null,
+        libraries: libraryData,
+        restored: cache.isRestored('recent_media'),
+        ...staleness
       }
     };
-    
-    // Cache the result
-    cache.set(cacheKey, responseData, MEDIA_CACHE_TTL);
+
 
     res.json(responseData);
   } catch (error) {
-    console.error('Error in media/recent endpoint:', error);
+    logError('Recent Media Endpoint', error);
     res.status(500).json({
       response: {
         result: 'error',
@@ -715,4 +788,4 @@ router.get('/recent', async (req, res) => {
   }
 });
 
-module.exports = { mediaRouter: router };
\ No newline at end of file
+module.exports = { mediaRouter: router, buildMediaTemplateValues, buildGroupTemplateValues, groupMediaItems, formatEpisodeRange };
\ No newline at end of file
@@ -0,0 +1,140 @@
+/**
+ * Metrics endpoint handler
+ * Exposes service, cache, HTTP and Plex usage metrics in the Prometheus text format
+ * @module api/metrics
+ */
+const express = require('express');
+const { cache } = require('../services/cacheService');
+const { tautulliService } = require('../services/tautulli');
+const { getPollingStatus, POLLING_MODES } = require('../services/pollingMode');
+const { renderFamily, renderRecordedMetrics } = require('../services/metrics');
+const { getEventClientCount } = require('./events');
+const { createLogger } = require('../../logger');
+
+const { logError } = createLogger('metrics');
+
+const router = express.Router();
+
+/**
+ * Stream decision labels by Tautulli transcode_decision
+ * @type {Object.<string, string>}
+ */
+const STREAM_DECISIONS = {
+  'direct play': 'direct_play',
+  copy: 'direct_stream',
+  transcode: 'transcode'
+};
+
+/**
+ * Circuit breaker states reported as one gauge per state
+ * @type {Array<string>}
+ */
+const CIRCUIT_STATES = ['closed', 'half-open', 'open'];
+
+/**
+ * Render gauges about current Plex usage from the cached data
+ * Peeked without triggering a refresh or counting as cache reads, so scrapes neither cause
+ * Tautulli requests nor skew the hit rate
+ *
+ * @returns {Array<string>} Metric families
+ */
+function renderUsageMetrics() {
+  const servers = tautulliService.getServers();
+  const sessions = cache.peek('users')?.activity?.sessions || [];
+  const libraries = cache.peek('libraries')?.response?.data || [];
+
+  const streams = [];
+  const decisions = [];
+  const watching = [];
+
+  servers.forEach(({ id }) => {
+    const serverSessions = sessions.filter(session => session.server === id);
+    streams.push({ labels: { server: id }, value: serverSessions.length });
+    watching.push({ labels: { server: id }, value: new Set(serverSessions.map(session => session.user_id)).size });
+
+    Object.entries(STREAM_DECISIONS).forEach(([decision, label]) => {
+      decisions.push({
+        labels: { server: id, decision: label },
+        value: serverSessions.filter(session => session.transcode_decision === decision).length
+      });
+    });
+  });
+
+  return [
+    renderFamily('active_streams', 'gauge', 'Streams playing now, by server', streams),
+    renderFamily('streams', 'gauge', 'Streams playing now, by server and transcode decision', decisions),
+    renderFamily('users_watching', 'gauge', 'Users with at least one stream playing, by server', watching),
+    renderFamily('library_items', 'gauge', 'Items per library section',
+      libraries.map(library => ({
+        labels: {
+          server: library.server,
+          section_id: library.section_id,
+          section_name: library.section_name,
+          section_type: library.section_type
+        },
+        value: parseInt(library.count) || 0
+      })))
+  ];
+}
+
+/**
+ * Render cache, Tautulli client and process metrics
+ *
+ * @returns {Array<string>} Metric families
+ */
+function renderServiceMetrics() {
+  const stats = cache.getStats();
+  const serviceMetrics = tautulliService.getMetrics();
+  const polling = getPollingStatus();
+  const queued = Object.values(serviceMetrics.queues).reduce((total, queue) => total + queue.queued, 0);
+
+  return [
+    renderFamily('cache_hits_total', 'counter', 'Cache reads served from fresh data', [{ value: stats.hits }]),
+    renderFamily('cache_misses_total', 'counter', 'Cache reads without fresh data', [{ value: stats.misses }]),
+    renderFamily('cache_stale_hits_total', 'counter', 'Cache reads served from stale data while refreshing',
+      [{ value: stats.staleHits }]),
+    renderFamily('cache_refreshes_total', 'counter', 'Cache refreshes started', [{ value: stats.refreshes }]),
+    renderFamily('cache_keys', 'gauge', 'Keys in the cache', [{ value: stats.totalKeys }]),
+    renderFamily('cache_memory_estimate_bytes', 'gauge', 'Estimated size of the cached data',
+      [{ value: stats.estimatedSize }]),
+    renderFamily('tautulli_deduplicated_requests_total', 'counter',
+      'Tautulli requests answered by an identical request in flight', [{ value: serviceMetrics.deduplicatedRequests }]),
+    renderFamily('tautulli_in_flight_requests', 'gauge', 'Tautulli requests being sent',
+      [{ value: serviceMetrics.inFlightRequests }]),
+    renderFamily('tautulli_queued_requests', 'gauge', 'Tautulli requests waiting for a free slot', [{ value: queued }]),
+    renderFamily('tautulli_circuit_state', 'gauge', 'Circuit breaker state by server, 1 for the current state',
+      Object.entries(serviceMetrics.circuits).flatMap(([server, circuit]) => CIRCUIT_STATES.map(state => ({
+        labels: { server, state },
+        value: circuit.state === state ? 1 : 0
+      })))),
+    renderFamily('polling_mode', 'gauge', 'Background polling mode, 1 for the current mode',
+      Object.values(POLLING_MODES).map(mode => ({ labels: { mode }, value: polling.mode === mode ? 1 : 0 }))),
+    renderFamily('event_streams', 'gauge', 'Open /api/events streams', [{ value: getEventClientCount() }]),
+    renderFamily('process_heap_bytes', 'gauge', 'Heap used by the process', [{ value: process.memoryUsage().heapUsed }])
+  ];
+}
+
+/**
+ * Get metrics for Prometheus
+ *
+ * @route GET /metrics
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {string} Metrics in the Prometheus text format
+ */
+router.get('/', (req, res) => {
+  try {
+    const families = [...renderRecordedMetrics(), ...renderServiceMetrics(), ...renderUsageMetrics()];
+
+    res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.send(`${families.join('\n')}\n`);
+  } catch (error) {
+    logError('Metrics', error);
+    res.status(500).json({
+      response: { result: 'error', message: 'Failed to collect metrics' }
+    });
+  }
+});
+
+module.exports = { metricsRouter: router };
@@ -4,37 +4,21 @@
  * @module api/users
  */
 const express = require('express');
-const axios = require('axios');
+const { createLogger } = require('../../logger');
 const { cache } = require('../services/cacheService');
 const { getSettings, saveSettings } = require('../services/settings');
+const { tautulliService } = require('../services/tautulli');
+const { OFFLINE_LABEL } = require('../services/cacheConfig');
+const { analyzeTemplate, renderTemplate } = require('../services/templateEngine');
+const { createUserKey, parseServerFilter } = require('../services/servers');
 
 const router = express.Router();
 
+const { debug, isLevelEnabled } = createLogger('api');
+
 // Cache TTLs and keys
 const USER_CACHE_TTL = 60; // 60 seconds
-const USER_HISTORY_CACHE_TTL = 300; // 5 minutes
 const USER_LIST_CACHE_PREFIX = 'userList:';
-const USER_HISTORY_CACHE_PREFIX = 'userHistory:';
-
-/**
- * Check if verbose logging is enabled
- * 
- * @returns {boolean} True if verbose logging is enabled
- */
-function isVerboseLoggingEnabled() {
-  return cache.isVerboseLoggingEnabled();
-}
-
-/**
- * Log message only when verbose logging is enabled
- * 
- * @param {string} message - Message to log
- */
-function verboseLog(message) {
-  if (isVerboseLoggingEnabled()) {
-    console.log(message);
-  }
-}
 
 /**
  * Format seconds into hours and minutes display string with optimized performance
@@ -90,119 +74,185 @@ function formatTimeDiff(timestamp) {
 }
 
 /**
- * Get user history from Tautulli API with caching
+ * Map active playing or paused sessions by user
  * 
- * @async
- * @param {string} baseUrl - Tautulli API base URL
- * @param {string} apiKey - Tautulli API key
- * @param {number|string} userId - User ID to get history for
- * @returns {Object|null} User's last played item or null if error
+ * @param {Array<Object>} [sessions] - Tautulli activity sessions from every server
+ * @returns {Object.<string, Object>} Watching state keyed by user key (server:user_id)
  */
-async function getUserHistory(baseUrl, apiKey, userId) {
-  // Create a cache key
-  const cacheKey = `${USER_HISTORY_CACHE_PREFIX}${userId}`;
-  
-  // Check cache first
-  const cachedHistory = cache.get(cacheKey);
-  if (cachedHistory) {
-    return cachedHistory;
-  }
-  
-  try {
-    verboseLog(`Fetching history for user ${userId}`);
-    const response = await axios.get(`${baseUrl}/api/v2`, {
-      params: {
-        apikey: apiKey,
-        cmd: 'get_history',
-        user_id: userId,
-        length: 1
-      },
-      timeout: 5000
-    });
-    
-    const historyData = response.data?.response?.data?.data?.[0] || null;
-    
-    // Cache the result
-    if (historyData) {
-      cache.set(cacheKey, historyData, USER_HISTORY_CACHE_TTL);
+function buildWatchingUsers(sessions) {
+  const watchingUsers = {};
+  (sessions || []).forEach(session => {
+    if (session.state === 'playing' || session.state === 'paused') {
+      // Ensure view_offset and duration values are properly converted to seconds
+      const viewOffset = Math.floor((session.view_offset || 0) / 1000);
+      const duration = Math.floor((session.duration || 0) / 1000);
+      
+      watchingUsers[createUserKey(session.server, session.user_id)] = {
+        current_media: session.grandparent_title ? `${session.grandparent_title} - ${session.title}` : session.title,
+        last_played_modified: formatShowTitle(session),
+        media_type: session.media_type,
+        progress_percent: session.progress_percent || '0',
+        view_offset: viewOffset,
+        duration: duration,
+        last_seen: Math.floor(Date.now() / 1000),
+        parent_media_index: session.parent_media_index,
+        media_index: session.media_index,
+        stream_container_decision: session.stream_container_decision || 'direct play',
+        state: session.state // Store the actual state
+      };
     }
-    
-    return historyData;
-  } catch (error) {
-    console.error(`Error fetching history for user ${userId}:`, error.message);
-    return null;
-  }
+  });
+  return watchingUsers;
 }
 
 /**
- * Register cache refresh callbacks
+ * Build the values available to user format templates
+ * 
+ * @param {Object} user - User row from get_users_table
+ * @param {Object} [watching] - Watching state from buildWatchingUsers()
+ * @param {Object} [options={}] - Additional values
+ * @param {Object} [options.lastWatched] - User's entry in the last watched history index
+ * @param {string} [options.offline=''] - Offline indicator text
+ * @returns {Object} Template variable values
+ */
+function buildUserTemplateValues(user, watching, options = {}) {
+  const { lastWatched, offline = '' } = options;
+  const lastPlayedModified = watching ? watching.last_played_modified :
+    lastWatched ? formatShowTitle(lastWatched) :
+    (user.last_played || 'Nothing');
+  const mediaType = watching ? watching.media_type : user.media_type;
+
+  return {
+    friendly_name: user.friendly_name || '',
+    total_plays: parseInt(user.plays || '0', 10),
+    is_watching: watching ? (watching.state === 'paused' ? 'Paused' : 'Watching') : 'Watched',
+    last_played: watching ? watching.current_media : (user.last_played || 'Nothing'),
+    last_played_modified: lastPlayedModified,
+    media_type: mediaType ? mediaType.charAt(0).toUpperCase() + mediaType.slice(1) : '',
+    progress_percent: watching ? `${watching.progress_percent}%` : '',
+    progress_time: watching ? `${formatTimeHHMM(watching.view_offset)} / ${formatTimeHHMM(watching.duration)}` : '',
+    last_seen_formatted: watching ? '🟢' : (user.last_seen ? formatTimeDiff(user.last_seen) : 'Never'),
+    stream_container_decision: watching ? watching.stream_container_decision : '',
+    server_name: user.server_name || '',
+    offline
+  };
+}
+
+/**
+ * Sort value getters for the columns accepted by order_column
+ * Each getter receives the user row and its watching state (if any)
+ * @type {Object.<string, Function>}
+ */
+const USER_SORT_COLUMNS = {
+  friendly_name: (user) => (user.friendly_name || '').toLowerCase(),
+  total_plays: (user) => parseInt(user.plays || '0', 10),
+  last_seen: (user, watching) => watching ? watching.last_seen : (parseInt(user.last_seen, 10) || 0),
+  watch_time: (user) => parseInt(user.duration || '0', 10),
+  is_watching: (user, watching) => watching ? (watching.state === 'paused' ? 1 : 2) : 0
+};
+
+/**
+ * Alternative names accepted for sort columns (template variables and Tautulli fields)
+ * @type {Object.<string, string>}
+ */
+const USER_SORT_ALIASES = {
+  plays: 'total_plays',
+  last_seen_formatted: 'last_seen',
+  duration: 'watch_time'
+};
+
+/**
+ * Resolve the requested sort column from plain or DataTables style parameters
+ * 
+ * @param {Object} query - Express query object
+ * @returns {{column: string|null, dir: string}} Sort column (null for default order) and direction
  */
-cache.registerRefreshCallback('users', async () => {
-  if (!process.env.TAUTULLI_BASE_URL || !process.env.TAUTULLI_API_KEY) {
-    return { activity: { sessions: [] }, users: { data: [] } };
+function resolveUserSort(query) {
+  let column = query.order_column;
+  let dir = query.order_dir;
+
+  // DataTables sends order[0][column] as an index into columns[i][data]
+  const dataTablesOrder = Array.isArray(query.order) ? query.order[0] : query.order?.[0];
+  if (!column && dataTablesOrder) {
+    const columnDef = query.columns?.[dataTablesOrder.column];
+    column = columnDef?.data || columnDef?.name;
+    dir = dir || dataTablesOrder.dir;
   }
-  
-  try {
-    verboseLog('Refreshing user data');
-    const [activityResponse, usersResponse] = await Promise.all([
-      axios.get(`${process.env.TAUTULLI_BASE_URL}/api/v2`, {
-        params: {
-          apikey: process.env.TAUTULLI_API_KEY,
-          cmd: 'get_activity'
-        },
-        timeout: 5000
-      }),
-      axios.get(`${process.env.TAUTULLI_BASE_URL}/api/v2`, {
-        params: {
-          apikey: process.env.TAUTULLI_API_KEY,
-          cmd: 'get_users_table',
-          length: 1000
-        },
-        timeout: 5000
-      })
-    ]);
-    
-    const userData = {
-      activity: activityResponse.data.response.data || { sessions: [] },
-      users: usersResponse.data.response.data || { data: [] }
-    };
-    
-    if (isVerboseLoggingEnabled()) {
-      verboseLog(`Fetched ${userData.activity.sessions?.length || 0} active sessions and ${userData.users.data?.length || 0} users`);
-    }
-    
-    return userData;
-  } catch (error) {
-    console.error("Error refreshing user data:", error.message);
-    throw error;
+
+  column = USER_SORT_ALIASES[column] || column;
+
+  return {
+    column: USER_SORT_COLUMNS[column] ? column : null,
+    dir: String(dir).toLowerCase() === 'desc' ? 'desc' : 'asc'
+  };
+}
+
+/**
+ * Sort the full user list before pagination
+ * Without a sort column users are ordered by activity: watching first, then most recently seen
+ * 
+ * @param {Array<Object>} users - User rows from get_users_table
+ * @param {Object.<string, Object>} watchingUsers - Watching state keyed by user key
+ * @param {string|null} column - Sort column from USER_SORT_COLUMNS
+ * @param {string} dir - Sort direction (asc/desc)
+ * @returns {Array<Object>} New sorted array
+ */
+function sortUsers(users, watchingUsers, column, dir) {
+  const byName = (a, b) => USER_SORT_COLUMNS.friendly_name(a).localeCompare(USER_SORT_COLUMNS.friendly_name(b));
+  const getWatching = (user) => watchingUsers[createUserKey(user.server, user.user_id)];
+
+  if (!column) {
+    const isWatching = (user) => (getWatching(user) ? 1 : 0);
+    const lastSeen = (user) => USER_SORT_COLUMNS.last_seen(user, getWatching(user));
+    return [...users].sort((a, b) =>
+      isWatching(b) - isWatching(a) || lastSeen(b) - lastSeen(a) || byName(a, b)
+    );
   }
-});
+
+  const getValue = USER_SORT_COLUMNS[column];
+  const direction = dir === 'desc' ? -1 : 1;
+
+  return [...users].sort((a, b) => {
+    const valueA = getValue(a, getWatching(a));
+    const valueB = getValue(b, getWatching(b));
+    const result = typeof valueA === 'string' ? valueA.localeCompare(valueB) : valueA - valueB;
+    // Ties are always broken by name so pages stay stable
+    return result * direction || byName(a, b);
+  });
+}
 
 /**
- * Get all users with activity information
+ * Get all users with activity information, merged across servers
  * 
  * @route GET /api/users
  * @param {Object} req - Express request object
  * @param {Object} req.query - Query parameters
- * @param {string} [req.query.order_column='friendly_name'] - Column to sort by
+ * @param {string} [req.query.order_column] - Column to sort by (friendly_name, total_plays, last_seen, watch_time, is_watching).
+ *   Without it users are ordered watching first, then by most recent activity
  * @param {string} [req.query.order_dir='asc'] - Sort direction (asc/desc)
- * @param {string} [req.query.search=''] - Search filter for usernames
+ * @param {Array<Object>} [req.query.order] - DataTables order parameters, used when order_column is absent
+ * @param {Array<Object>} [req.query.columns] - DataTables column definitions
+ * @param {string|Object} [req.query.search=''] - Search filter for usernames (or DataTables search[value])
+ * @param {string} [req.query.server] - Comma-separated list of server IDs
+ * @param {number} [req.query.draw=1] - DataTables draw counter, echoed back
  * @param {string} [req.query.fields=''] - Comma-separated list of fields to include
  * @param {number} [req.query.start=0] - Pagination start index
- * @param {number} [req.query.length=25] - Number of records to return
+ * @param {number} [req.query.length=25] - Number of records to return (-1 for all)
  * @param {Object} res - Express response object
  * @returns {Object} JSON response with user data
  */
 router.get('/', async (req, res) => {
   try {
     const { 
-      order_column = 'friendly_name', 
-      order_dir = 'asc', 
-      search = '',
       fields = '',
       start = 0,
       length = 25
     } = req.query;
+    const search = typeof req.query.search === 'object' ?
+      (req.query.search?.value || '') :
+      (req.query.search || '');
+    const { column: order_column, dir: order_dir } = resolveUserSort(req.query);
+    const serverFilter = parseServerFilter(req.query.server);
 
     // Force no caching
     res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
@@ -210,7 +260,7 @@ router.get('/', async (req, res) => {
     res.setHeader('Expires', '0');
 
     // Calculate cache key based on query parameters
-    const cacheKey = `${USER_LIST_CACHE_PREFIX}${order_column}:${order_dir}:${search}:${start}:${length}`;
+    const cacheKey = `${USER_LIST_CACHE_PREFIX}${order_column || 'default'}:${order_dir}:${search}:${req.query.server || 'all'}:${start}:${length}`;
     
     // Clear this key from cache first to ensure fresh data
     cache.cache.del(cacheKey);
@@ -218,7 +268,7 @@ router.get('/', async (req, res) => {
     const settings = await getSettings();
     const formatFields = settings.userFormats?.fields || [];
 
-    if (!process.env.TAUTULLI_BASE_URL || !process.env.TAUTULLI_API_KEY) {
+    if (!tautulliService.isConfigured()) {
       throw new Error('Tautulli configuration missing');
     }
 
@@ -226,152 +276,59 @@ router.get('/', async (req, res) => {
     // This ensures we don't use stale data
     const userData = cache.get('users', true);
     if (!userData) {
-      throw new Error('User data not available');
+      const lastError = cache.getLastError('users');
+      throw new Error(lastError ? `User data not available: ${lastError.message}` : 'User data not available');
     }
+    
+    // Degraded mode: last known good data is served with its staleness reported
+    const staleness = cache.getStaleness('users');
 
-    if (isVerboseLoggingEnabled()) {
-      verboseLog(`Generating fresh user data response with ${userData.activity.sessions?.length || 0} active sessions`);
+    if (isLevelEnabled('debug')) {
+      debug(`Generating fresh user data response with ${userData.activity.sessions?.length || 0} active sessions`);
     }
 
-    const watchingUsers = {};
-    userData.activity.sessions?.forEach(session => {
-      if (session.state === 'playing' || session.state === 'paused') {
-        // Ensure view_offset and duration values are properly converted to seconds
-        const viewOffset = Math.floor((session.view_offset || 0) / 1000);
-        const duration = Math.floor((session.duration || 0) / 1000);
-        
-        watchingUsers[session.user_id] = {
-          current_media: session.grandparent_title ? `${session.grandparent_title} - ${session.title}` : session.title,
-          last_played_modified: formatShowTitle(session),
-          media_type: session.media_type,
-          progress_percent: session.progress_percent || '0',
-          view_offset: viewOffset,
-          duration: duration,
-          last_seen: Math.floor(Date.now() / 1000),
-          parent_media_index: session.parent_media_index,
-          media_index: session.media_index,
-          stream_container_decision: session.stream_container_decision || 'direct play',
-          state: session.state // Store the actual state
-        };
-      }
-    });
+    const watchingUsers = buildWatchingUsers(userData.activity.sessions);
 
-    const allUsers = userData.users.data || [];
+    const allUsers = (userData.users.data || [])
+      .filter(user => !serverFilter || serverFilter.includes(user.server));
     const filteredUsers = search ? 
-      allUsers.filter(user => user.friendly_name.toLowerCase().includes(search.toLowerCase())) : 
+      allUsers.filter(user => (user.friendly_name || '').toLowerCase().includes(search.toLowerCase())) : 
       allUsers;
     
-    const recordsTotal = filteredUsers.length;
-
-    // Process user data with parallel history fetches if needed
-    const historyPromises = [];
-    const transformedUsers = filteredUsers
-      .slice(parseInt(start), parseInt(start) + parseInt(length))
-      .map((user, index) => {
-        const watching = watchingUsers[user.user_id];
-        const lastSeen = watching ? watching.last_seen : parseInt(user.last_seen, 10);
-
-        let lastPlayedModified = '';
-        let historyPromise = null;
-        
-        if (watching) {
-          lastPlayedModified = watching.last_played_modified;
-        } else if (user.last_played) {
-          // We'll need to fetch history. Create a placeholder that will be updated
-          lastPlayedModified = user.last_played;
-          
-          // Create and store a promise to fetch history data
-          historyPromise = getUserHistory(
-            process.env.TAUTULLI_BASE_URL,
-            process.env.TAUTULLI_API_KEY,
-            user.user_id
-          ).then(lastSession => {
-            if (lastSession) {
-              return formatShowTitle(lastSession);
-            }
-            return user.last_played;
-          }).catch(() => user.last_played);
-          
-          historyPromises.push({ index, promise: historyPromise });
-        } else {
-          lastPlayedModified = 'Nothing';
-        }
-
-        const baseUser = {
-          friendly_name: user.friendly_name || '',
-          total_plays: parseInt(user.plays || '0', 10),
-          is_watching: watching ? (watching.state === 'paused' ? 'Paused' : 'Watching') : 'Watched',
-          last_played: watching ? watching.current_media : (user.last_played || 'Nothing'),
-          last_played_modified: lastPlayedModified,
-          media_type: watching ? watching.media_type.charAt(0).toUpperCase() + watching.media_type.slice(1) : 
-                     (user.media_type ? user.media_type.charAt(0).toUpperCase() + user.media_type.slice(1) : ''),
-          progress_percent: watching ? `${watching.progress_percent}%` : '',
-          progress_time: watching ? `${formatTimeHHMM(watching.view_offset)} / ${formatTimeHHMM(watching.duration)}` : '',
-          last_seen_formatted: watching ? '🟢' : (user.last_seen ? formatTimeDiff(user.last_seen) : 'Never'),
-          stream_container_decision: watching ? watching.stream_container_decision : '',
-          _last_seen: lastSeen,
-          _is_watching: !!watching,
-          _index: index // Used for updating history data
-        };
-
-        return formatFields.reduce((acc, field, fieldIndex) => {
-          let result = field.template;
-          Object.entries(baseUser).forEach(([key, value]) => {
-            if (key.startsWith('_')) return; // Skip internal properties
-            result = result.replace(new RegExp(`\\$\{${key}}`, 'g'), value || '');
-          });
-          
+    // Sort the full list so pagination is consistent across pages
+    const sortedUsers = sortUsers(filteredUsers, watchingUsers, order_column, order_dir);
+
+    // DataTables uses length=-1 for "show all"
+    const pageStart = parseInt(start) || 0;
+    const pageLength = parseInt(length) === -1 ? sortedUsers.length : (parseInt(length) || 25);
+
+    // Last watched items come from the background-maintained history index
+    const historyIndex = cache.get('user_history_index')?.users || {};
+
+    const transformedUsers = sortedUsers
+      .slice(pageStart, pageStart + pageLength)
+      .map(user => {
+        const userKey = createUserKey(user.server, user.user_id);
+        const templateValues = buildUserTemplateValues(user, watchingUsers[userKey], {
+          lastWatched: historyIndex[userKey],
+          offline: staleness.stale ? OFFLINE_LABEL : ''
+        });
+
+        const formatted = formatFields.reduce((acc, field, fieldIndex) => {
           // Use 'field' as the key for the first field, regardless of its ID in the database
           const fieldKey = fieldIndex === 0 ? 'field' : field.id;
-          acc[fieldKey] = result;
-          
-          acc._last_seen = lastSeen;
-          acc._is_watching = !!watching;
-          acc._index = index;
+          acc[fieldKey] = renderTemplate(field.template, templateValues);
           return acc;
         }, {});
-      });
 
-    // Wait for all history promises to resolve and update the transformedUsers
-    if (historyPromises.length > 0) {
-      if (isVerboseLoggingEnabled()) {
-        verboseLog(`Fetching history for ${historyPromises.length} users`);
-      }
-      
-      await Promise.all(historyPromises.map(({ promise }) => promise))
-        .then(results => {
-          historyPromises.forEach(({ index, promise }, i) => {
-            const user = transformedUsers.find(u => u._index === index);
-            if (user) {
-              // Update the field value with the fetched history
-              formatFields.forEach((field, fieldIndex) => {
-                const fieldKey = fieldIndex === 0 ? 'field' : field.id;
-                if (user[fieldKey]) {
-                  user[fieldKey] = user[fieldKey].replace(
-                    user.last_played_modified,
-                    results[i] || user.last_played_modified
-                  );
-                }
-              });
-            }
-          });
-        });
-    }
-
-    // Clean up internal properties
-    const sortedUsers = transformedUsers.sort((a, b) => {
-      if (a._is_watching && !b._is_watching) return -1;
-      if (!a._is_watching && b._is_watching) return 1;
-      return (b._last_seen || 0) - (a._last_seen || 0);
-    });
-
-    const cleanedUsers = sortedUsers.map(({ _last_seen, _is_watching, _index, ...user }) => user);
+        return { ...formatted, user_id: user.user_id, server: user.server };
+      });
 
     // Filter fields if requested
-    let finalUsers = cleanedUsers;
+    let finalUsers = transformedUsers;
     if (fields) {
       const fieldsList = fields.split(',');
-      finalUsers = cleanedUsers.map(user => {
+      finalUsers = transformedUsers.map(user => {
         const filteredUser = {};
         fieldsList.forEach(field => {
           if (user[field] !== undefined) {
@@ -386,9 +343,11 @@ router.get('/', async (req, res) => {
       response: {
         result: 'success',
         data: finalUsers,
-        recordsTotal: recordsTotal,
+        recordsTotal: allUsers.length,
         recordsFiltered: filteredUsers.length,
-        draw: parseInt(req.query.draw) || 1
+        draw: parseInt(req.query.draw) || 1,
+        restored: cache.isRestored('users'),
+        ...staleness
       }
     };
 
@@ -424,7 +383,7 @@ router.get('/format-settings', async (req, res) => {
     if (userFormats.fields.length > 0) {
       // If the first field has id 'status_message', change it to 'field'
       if (userFormats.fields[0].id === 'status_message') {
-        verboseLog('Normalizing user format field ID from status_message to field');
+        debug('Normalizing user format field ID from status_message to field');
         userFormats.fields[0].id = 'field';
       }
     }
@@ -443,7 +402,7 @@ router.get('/format-settings', async (req, res) => {
  * @param {Object} req.body - Request body
  * @param {Array<Object>} req.body.fields - Format field definitions
  * @param {Object} res - Express response object
- * @returns {Object} JSON response indicating success or failure
+ * @returns {Object} JSON response indicating success or failure, with template warnings
  */
 router.post('/format-settings', async (req, res) => {
   try {
@@ -457,10 +416,16 @@ router.post('/format-settings', async (req, res) => {
       fields[0].id = 'field';
     }
     
-    if (isVerboseLoggingEnabled()) {
-      verboseLog('Saving user format settings: ' + JSON.stringify(fields));
+    if (isLevelEnabled('debug')) {
+      debug('Saving user format settings: ' + JSON.stringify(fields));
     }
     
+    // Templates are saved as-is; problems are reported back as warnings
+    const variables = Object.keys(buildUserTemplateValues({}, null));
+    const warnings = fields.flatMap(field =>
+      analyzeTemplate(field.template, variables).warnings.map(message => ({ field: field.id, message }))
+    );
+    
     const settings = await getSettings();
     await saveSettings({
       ...settings,
@@ -475,10 +440,10 @@ router.post('/format-settings', async (req, res) => {
       }
     });
     
-    res.json({ success: true });
+    res.json({ success: true, warnings });
   } catch (error) {
     res.status(500).json({ error: 'Failed to save settings' });
   }
 });
 
-module.exports = { userRouter: router };
\ No newline at end of file
+module.exports = { userRouter: router, buildWatchingUsers, buildUserTemplateValues, resolveUserSort, sortUsers };
\ No newline at end of file
@@ -0,0 +1,172 @@
+/**
+ * Webhook API endpoint handler
+ * Receives Tautulli notification agent webhooks and manages their shared secret
+ * @module api/webhook
+ */
+const express = require('express');
+const { createLogger } = require('../../logger');
+const { getSettings, saveSettings } = require('../services/settings');
+const { tautulliService } = require('../services/tautulli');
+const auth = require('../services/auth');
+const {
+  WEBHOOK_EVENTS,
+  normalizeEvent,
+  verifyWebhookSecret,
+  handleWebhookEvent,
+  isReceivingWebhooks,
+  getWebhookStats
+} = require('../services/webhookService');
+
+const { log } = createLogger('webhooks');
+
+const router = express.Router();
+
+/**
+ * Header carrying the webhook secret
+ * @type {string}
+ */
+const SECRET_HEADER = 'x-webhook-secret';
+
+/**
+ * Send a webhook error
+ *
+ * @param {Object} res - Express response object
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Object} Express response
+ */
+function sendWebhookError(res, status, message) {
+  return res.status(status).json({
+    response: { result: 'error', message }
+  });
+}
+
+/**
+ * Receive a Tautulli webhook
+ * Refreshes only the cache data affected by the event instead of waiting for the next poll
+ *
+ * @route POST /api/webhooks/tautulli
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Webhook payload configured in the Tautulli notification agent
+ * @param {string} req.body.event - recently_added, play, pause, stop or watched (Tautulli's created and resume are accepted too)
+ * @param {string|number} [req.body.section_id] - Library section of the item
+ * @param {string} [req.body.server] - Server ID, also accepted as ?server=, defaults to the first server
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the refreshed cache keys
+ */
+router.post('/tautulli', async (req, res) => {
+  try {
+    const settings = await getSettings();
+
+    if (!settings.webhooks.secretHash) {
+      return sendWebhookError(res, 403, 'Webhooks are disabled, generate a webhook secret first');
+    }
+
+    const secret = req.get(SECRET_HEADER) || req.query.secret;
+    if (!verifyWebhookSecret(settings, typeof secret === 'string' ? secret : '')) {
+      return sendWebhookError(res, 401, 'Invalid webhook secret');
+    }
+
+    const body = req.body || {};
+    const event = normalizeEvent(body.event || body.action);
+    if (!event) {
+      return sendWebhookError(res, 400,
+        `Unsupported event, expected one of: ${Object.keys(WEBHOOK_EVENTS).join(', ')}`);
+    }
+
+    const servers = tautulliService.getServers();
+    const serverId = body.server || req.query.server || servers[0]?.id;
+    if (!servers.some(server => server.id === serverId)) {
+      return sendWebhookError(res, 400, `Unknown Tautulli server: ${serverId || 'none configured'}`);
+    }
+
+    const refreshed = handleWebhookEvent(event, { serverId, sectionId: body.section_id });
+
+    res.json({
+      response: {
+        result: 'success',
+        event,
+        server: serverId,
+        refreshed
+      }
+    });
+  } catch (error) {
+    sendWebhookError(res, 500, error.message);
+  }
+});
+
+/**
+ * Get the webhook configuration and counters
+ *
+ * @route GET /api/webhooks/status
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the webhook state
+ */
+router.get('/status', async (req, res) => {
+  try {
+    const settings = await getSettings();
+    const stats = getWebhookStats();
+
+    res.json({
+      response: {
+        result: 'success',
+        enabled: !!settings.webhooks.secretHash,
+        events: Object.keys(WEBHOOK_EVENTS),
+        received: stats.received,
+        rejected: stats.rejected,
+        last_received_at: stats.lastReceivedAt,
+        last_event: stats.lastEvent,
+        reduced_polling: isReceivingWebhooks()
+      }
+    });
+  } catch (error) {
+    sendWebhookError(res, 500, error.message);
+  }
+});
+
+/**
+ * Generate a new webhook secret, replacing the previous one
+ * The secret is only returned once, it is stored hashed
+ *
+ * @route POST /api/webhooks/secret
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with the secret
+ */
+router.post('/secret', async (req, res) => {
+  try {
+    const settings = await getSettings();
+    const secret = auth.generateToken();
+    settings.webhooks = { ...settings.webhooks, secretHash: auth.hashToken(secret) };
+    await saveSettings(settings);
+
+    log('Tautulli webhook secret generated');
+    res.json({ response: { result: 'success', secret } });
+  } catch (error) {
+    sendWebhookError(res, 500, error.message);
+  }
+});
+
+/**
+ * Remove the webhook secret, which disables webhooks
+ *
+ * @route DELETE /api/webhooks/secret
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response
+ */
+router.delete('/secret', async (req, res) => {
+  try {
+    const settings = await getSettings();
+    settings.webhooks = { ...settings.webhooks, secretHash: '' };
+    await saveSettings(settings);
+
+    log('Tautulli webhooks disabled');
+    res.json({ response: { result: 'success', enabled: false } });
+  } catch (error) {
+    sendWebhookError(res, 500, error.message);
+  }
+});
+
+module.exports = { webhookRouter: router };
@@ -3,17 +3,36 @@
  * Provides caching with stale-while-revalidate pattern, validation, and request deduplication
  * @module services/PersistentCache
  */
+const fs = require('fs').promises;
+const path = require('path');
 const NodeCache = require('node-cache');
-const { logError, log, colors } = require('../../logger');
+const { createLogger, setLogLevel, isLevelEnabled, colors } = require('../../logger');
+const cacheConfig = require('./cacheConfig');
 const { 
   getTTLForKey, 
   shouldSuppressLogging, 
   VALIDATION_SCHEMAS, 
   RETRY_INTERVALS,
-  MAX_REQUESTS_PER_MINUTE,
-  CACHE_TTL_SETTINGS
+  CACHE_TTL_SETTINGS,
+  CACHE_SNAPSHOT_PATH,
+  PERSISTED_KEYS,
+  SNAPSHOT_SAVE_DELAY
 } = require('./cacheConfig');
 
+/**
+ * Logger module of the cache services, verbose logging is its debug level
+ * @type {string}
+ */
+const LOG_MODULE = 'cache';
+
+/**
+ * Logger modules switched to the debug level by verbose logging
+ * @type {Array<string>}
+ */
+const VERBOSE_MODULES = [LOG_MODULE, 'api', 'tautulli'];
+
+const { log, logError, debug } = createLogger(LOG_MODULE);
+
 /**
  * Enhanced persistent cache with validation, fallback, request deduplication,
  * and stale-while-revalidate pattern
@@ -57,8 +76,8 @@ class PersistentCache {
     this.lastRefreshAttempts = {};
     this.keyConsecutiveFailures = {};
     
-    // Verbose logging flag
-    this.verboseLoggingEnabled = false;
+    // Last upstream error per key, cleared when fresh data is stored
+    this.lastErrors = {};
     
     // Stats for monitoring
     this.stats = {
@@ -86,6 +105,13 @@ class PersistentCache {
       recent_media: new Set()
     };
     
+    // Disk snapshot state for warm starts
+    this.snapshot = {
+      timer: null,
+      lastSaved: null,
+      restoredKeys: new Set()
+    };
+    
     // Set up periodic memory usage check
     this._setupMemoryCheck();
   }
@@ -96,11 +122,11 @@ class PersistentCache {
    * @private
    */
   _setupMemoryCheck() {
-    // Check memory usage every minute
+    // Check memory usage every minute, without keeping the process alive
     setInterval(() => {
       this._updateMemoryUsage();
       this._cleanupIfNeeded();
-    }, 60000);
+    }, 60000).unref();
   }
   
   /**
@@ -122,9 +148,7 @@ class PersistentCache {
       this.memoryUsage.estimatedSize = totalSize;
       this.memoryUsage.lastCheck = Date.now();
       
-      if (this.verboseLoggingEnabled) {
-        log(`${colors.brightBlue}ℹ${colors.reset} Cache memory usage: ${this.stats.memoryUsage}MB (estimated cache: ${Math.round(totalSize/1024/1024)}MB)`);
-      }
+      debug(`${colors.brightBlue}ℹ${colors.reset} Cache memory usage: ${this.stats.memoryUsage}MB (estimated cache: ${Math.round(totalSize/1024/1024)}MB)`);
     } catch (error) {
       // Ignore errors in memory usage calculation
     }
@@ -187,9 +211,7 @@ class PersistentCache {
     
     // If memory usage is high (> 200MB) or we have many keys, clean up
     if (this.stats.memoryUsage > 200 || this.cache.keys().length > 500) {
-      if (this.verboseLoggingEnabled) {
-        log(`${colors.brightYellow}⚠${colors.reset} High memory usage (${this.stats.memoryUsage}MB) or many keys (${this.cache.keys().length}), cleaning up`);
-      }
+      debug(`${colors.brightYellow}⚠${colors.reset} High memory usage (${this.stats.memoryUsage}MB) or many keys (${this.cache.keys().length}), cleaning up`);
       
       // Get all metadata entries
       const entries = Array.from(this.metadata.entries());
@@ -227,9 +249,7 @@ class PersistentCache {
         if (removedCount >= toRemove) break;
       }
       
-      if (this.verboseLoggingEnabled) {
-        log(`${colors.brightGreen}✓${colors.reset} Removed ${removedCount} items (${Math.round(removedSize/1024/1024)}MB)`);
-      }
+      debug(`${colors.brightGreen}✓${colors.reset} Removed ${removedCount} items (${Math.round(removedSize/1024/1024)}MB)`);
       
       this.memoryUsage.lastCleanup = now;
     }
@@ -248,9 +268,7 @@ class PersistentCache {
     
     this.listeners[key].add(callback);
     
-    if (this.verboseLoggingEnabled) {
-      log(`${colors.brightBlue}ℹ${colors.reset} Added listener for ${key}, total listeners: ${this.listeners[key].size}`);
-    }
+    debug(`${colors.brightBlue}ℹ${colors.reset} Added listener for ${key}, total listeners: ${this.listeners[key].size}`);
   }
   
   /**
@@ -264,9 +282,7 @@ class PersistentCache {
     
     this.listeners[key].delete(callback);
     
-    if (this.verboseLoggingEnabled) {
-      log(`${colors.brightBlue}ℹ${colors.reset} Removed listener for ${key}, total listeners: ${this.listeners[key].size}`);
-    }
+    debug(`${colors.brightBlue}ℹ${colors.reset} Removed listener for ${key}, total listeners: ${this.listeners[key].size}`);
   }
   
   /**
@@ -288,8 +304,8 @@ class PersistentCache {
   notifyListeners(key, data) {
     if (!this.listeners[key]) return;
     
-    if (this.verboseLoggingEnabled && this.listeners[key].size > 0) {
-      log(`${colors.brightBlue}ℹ${colors.reset} Notifying ${this.listeners[key].size} listeners for ${key}`);
+    if (this.listeners[key].size > 0) {
+      debug(`${colors.brightBlue}ℹ${colors.reset} Notifying ${this.listeners[key].size} listeners for ${key}`);
     }
     
     for (const callback of this.listeners[key]) {
@@ -303,23 +319,24 @@ class PersistentCache {
   
   /**
    * Set verbose logging state
+   * Verbose logging is the debug level of the cache, API and Tautulli modules, disabling it returns them to the default level
    * 
    * @param {boolean} enabled - Whether to enable verbose logging
    * @returns {boolean} New verbose logging state
    */
   setVerboseLogging(enabled) {
-    this.verboseLoggingEnabled = !!enabled;
-    log(`${colors.brightBlue}ℹ${colors.reset} Cache verbose logging ${this.verboseLoggingEnabled ? 'enabled' : 'disabled'}`);
-    return this.verboseLoggingEnabled;
+    VERBOSE_MODULES.forEach(module => setLogLevel(module, enabled ? 'debug' : null));
+    log(`${colors.brightBlue}ℹ${colors.reset} Cache verbose logging ${this.isVerboseLoggingEnabled() ? 'enabled' : 'disabled'}`);
+    return this.isVerboseLoggingEnabled();
   }
   
   /**
    * Check if verbose logging is enabled
    * 
-   * @returns {boolean} Verbose logging state
+   * @returns {boolean} True if the cache module logs debug entries
    */
   isVerboseLoggingEnabled() {
-    return this.verboseLoggingEnabled;
+    return isLevelEnabled(LOG_MODULE, 'debug');
   }
   
   /**
@@ -328,7 +345,7 @@ class PersistentCache {
    * @returns {boolean} New verbose logging state
    */
   toggleVerboseLogging() {
-    const newState = !this.verboseLoggingEnabled;
+    const newState = !this.isVerboseLoggingEnabled();
     this.setVerboseLogging(newState);
     return newState;
   }
@@ -345,10 +362,9 @@ class PersistentCache {
       this.requestRateLimitReset = now + 60000;
     }
     
-    if (this.requestsInCurrentMinute >= MAX_REQUESTS_PER_MINUTE) {
-      if (this.verboseLoggingEnabled) {
-        log(`${colors.yellow}⚠${colors.reset} Rate limit reached, delaying refresh`);
-      }
+    // Read on every check, the limit can be changed at runtime
+    if (this.requestsInCurrentMinute >= cacheConfig.MAX_REQUESTS_PER_MINUTE) {
+      debug(`${colors.yellow}⚠${colors.reset} Rate limit reached, delaying refresh`);
       return false;
     }
     
@@ -360,7 +376,7 @@ class PersistentCache {
    * Register a refresh callback for a specific cache key
    * 
    * @param {string} key - Cache key
-   * @param {Function} callback - Async function to refresh the data
+   * @param {Function} callback - Async function to refresh the data, called with the refresh options
    */
   registerRefreshCallback(key, callback) {
     if (typeof callback === 'function') {
@@ -373,9 +389,10 @@ class PersistentCache {
    * Trigger background refresh for a specific key with improved request deduplication
    * 
    * @param {string} key - Cache key to refresh
+   * @param {Object} [options={}] - Refresh options passed to the refresh callback
    * @returns {Promise<boolean>} Promise that resolves to success status
    */
-  async triggerBackgroundRefresh(key) {
+  async triggerBackgroundRefresh(key, options = {}) {
     // Skip if no callback or already refreshing
     if (!this.refreshCallbacks[key]) {
       return false;
@@ -383,9 +400,7 @@ class PersistentCache {
     
     // Check if this key is already being refreshed
     if (this.refreshingKeys[key]) {
-      if (this.verboseLoggingEnabled) {
-        log(`${colors.brightBlue}ℹ${colors.reset} Refresh already in progress for ${key}, skipping duplicate refresh`);
-      }
+      debug(`${colors.brightBlue}ℹ${colors.reset} Refresh already in progress for ${key}, skipping duplicate refresh`);
       this.stats.deduplicatedRequests++;
       
       // Return the existing Promise if one exists
@@ -409,9 +424,7 @@ class PersistentCache {
     const backoffTime = RETRY_INTERVALS[backoffIndex];
     
     if (failures > 0 && (now - lastAttempt) < backoffTime) {
-      if (this.verboseLoggingEnabled) {
-        log(`${colors.yellow}⚠${colors.reset} Backoff active for ${key}, skipping refresh`);
-      }
+      debug(`${colors.yellow}⚠${colors.reset} Backoff active for ${key}, skipping refresh`);
       return false;
     }
     
@@ -419,7 +432,7 @@ class PersistentCache {
     this.lastRefreshAttempts[key] = now;
     
     // Create a promise for this refresh operation
-    const refreshPromise = this._performRefresh(key);
+    const refreshPromise = this._performRefresh(key, options);
     
     // Store the promise to enable deduplication of simultaneous requests
     this.pendingRequests.set(key, refreshPromise);
@@ -437,18 +450,18 @@ class PersistentCache {
    * 
    * @private
    * @param {string} key - Cache key to refresh
+   * @param {Object} [options={}] - Refresh options passed to the refresh callback
    * @returns {Promise<boolean>} Promise that resolves to success status
    */
-  async _performRefresh(key) {
+  async _performRefresh(key, options = {}) {
     this.refreshingKeys[key] = true;
     this.stats.refreshes++;
+    const startedAt = Date.now();
     
     try {
-      if (this.verboseLoggingEnabled) {
-        log(`${colors.brightBlue}ℹ${colors.reset} Background refresh started for ${key}`);
-      }
+      debug(`${colors.brightBlue}ℹ${colors.reset} Background refresh started for ${key}`);
       
-      const data = await this.refreshCallbacks[key]();
+      const data = await this.refreshCallbacks[key](options);
       
       // Only update cache if data is valid
       if (data) {
@@ -457,12 +470,13 @@ class PersistentCache {
         // Reset failures counter on success
         this.keyConsecutiveFailures[key] = 0;
         
+        // Clear the degraded state unless the callback reported a partial failure
+        this.clearError(key, startedAt);
+        
         // Notify listeners about updated data
         this.notifyListeners(key, data);
         
-        if (this.verboseLoggingEnabled) {
-          log(`${colors.brightGreen}✓${colors.reset} Background refresh completed for ${key}`);
-        }
+        debug(`${colors.brightGreen}✓${colors.reset} Background refresh completed for ${key}`);
         return true;
       } else {
         throw new Error(`Invalid or empty data returned for ${key}`);
@@ -472,6 +486,7 @@ class PersistentCache {
       
       // Increment failures counter
       this.keyConsecutiveFailures[key] = (this.keyConsecutiveFailures[key] || 0) + 1;
+      this.recordError(key, error);
       
       return false;
     } finally {
@@ -484,9 +499,11 @@ class PersistentCache {
    * This is useful for API endpoints to ensure fresh data
    * 
    * @param {string} key - Cache key to update
+   * @param {Object} [options={}] - Refresh options
+   * @param {boolean} [options.force] - Skip shortcuts that reuse recently verified data
    * @returns {Promise<boolean>} True if update was successful
    */
-  async forceUpdate(key) {
+  async forceUpdate(key, options = {}) {
     if (!this.refreshCallbacks[key]) {
       return false;
     }
@@ -500,7 +517,7 @@ class PersistentCache {
     
     this.refreshingKeys[key] = false;
     
-    return this.triggerBackgroundRefresh(key);
+    return this.triggerBackgroundRefresh(key, options);
   }
 
   /**
@@ -546,13 +563,11 @@ class PersistentCache {
         if (timeSinceLastAttempt > backoffTime && this.checkRateLimit()) {
           this.triggerBackgroundRefresh(key).catch(err => {
             // Silently handle errors as we're returning stale data anyway
-            if (this.verboseLoggingEnabled) {
-              logError(`Background Refresh Error - ${key}`, err);
-            }
+            debug(`Background refresh of ${key} failed: ${err.message}`);
           });
           
-          if (!shouldSuppressLogging(key, this.verboseLoggingEnabled) && this.verboseLoggingEnabled) {
-            log(`${colors.yellow}⚠${colors.reset} Serving stale data for ${key} while refreshing in background`);
+          if (!shouldSuppressLogging(key, this.isVerboseLoggingEnabled())) {
+            debug(`${colors.yellow}⚠${colors.reset} Serving stale data for ${key} while refreshing in background`);
           }
         }
       }
@@ -614,9 +629,16 @@ class PersistentCache {
           
           this.metadata.set(key, meta);
 
+          // Fresh data replaces anything restored from disk and is queued for the next snapshot
+          if (PERSISTED_KEYS.includes(key)) {
+            this.snapshot.restoredKeys.delete(key);
+            meta.restored = false;
+            this._scheduleSnapshot();
+          }
+
           // Only log if not silent and the key doesn't match patterns that generate excessive logs
-          if (!silent && !shouldSuppressLogging(key, this.verboseLoggingEnabled) && this.verboseLoggingEnabled) {
-            log(`${colors.brightGreen}✓${colors.reset} Cache updated successfully for ${key} (${Math.round(size/1024)}KB)`);
+          if (!silent && !shouldSuppressLogging(key, this.isVerboseLoggingEnabled())) {
+            debug(`${colors.brightGreen}✓${colors.reset} Cache updated successfully for ${key} (${Math.round(size/1024)}KB)`);
           }
           
           // Notify listeners about the change
@@ -652,6 +674,18 @@ class PersistentCache {
     }
   }
   
+  /**
+   * Get the newest value for a key, fresh or stale, without counting it as a read
+   * Every successful set also stores the value as last known good, so no lookup
+   * in the underlying cache is needed, which would add to its hit statistics
+   * 
+   * @param {string} key - Cache key
+   * @returns {*} Newest value or null if nothing was cached yet
+   */
+  peek(key) {
+    return this.lastSuccessful[key] || null;
+  }
+
   /**
    * Get metadata for a cache key
    * 
@@ -671,8 +705,222 @@ class PersistentCache {
     return this.lastSuccessful.timestamp;
   }
 
+  /**
+   * Check whether the value for a key was restored from the disk snapshot
+   * and has not yet been replaced by a successful refresh
+   * 
+   * @param {string} key - Cache key
+   * @returns {boolean} True if the value came from the snapshot
+   */
+  isRestored(key) {
+    return this.snapshot.restoredKeys.has(key);
+  }
+  
+  /**
+   * Get the age of the data stored for a key
+   * 
+   * @param {string} key - Cache key
+   * @returns {number|null} Age in seconds or null if the key has never been set
+   */
+  getDataAge(key) {
+    const updated = this.metadata.get(key)?.updated;
+    if (!updated) return null;
+    return Math.max(0, Math.round((Date.now() - updated) / 1000));
+  }
+  
+  /**
+   * Record an upstream error for a key
+   * The previous good payload keeps being served and is reported as stale
+   * 
+   * @param {string} key - Cache key
+   * @param {Error|Object|string} error - Error that prevented the refresh
+   */
+  recordError(key, error) {
+    const message = typeof error === 'string' ? error : (error?.message || 'Unknown error');
+    this.lastErrors[key] = {
+      message,
+      timestamp: Date.now()
+    };
+  }
+  
+  /**
+   * Clear the recorded upstream error for a key
+   * 
+   * @param {string} key - Cache key
+   * @param {number} [before=Infinity] - Only clear errors recorded before this timestamp
+   */
+  clearError(key, before = Infinity) {
+    const lastError = this.lastErrors[key];
+    if (lastError && lastError.timestamp < before) {
+      delete this.lastErrors[key];
+    }
+  }
+  
+  /**
+   * Get the last upstream error recorded for a key
+   * 
+   * @param {string} key - Cache key
+   * @returns {{message: string, timestamp: number}|null} Last error or null
+   */
+  getLastError(key) {
+    return this.lastErrors[key] || null;
+  }
+  
+  /**
+   * Build the staleness envelope returned with API responses
+   * Data is stale when it was restored from disk or the last refresh failed
+   * 
+   * @param {string} key - Cache key
+   * @returns {{stale: boolean, data_age_seconds: number|null, last_error: string|null}} Staleness info
+   */
+  getStaleness(key) {
+    const lastError = this.getLastError(key);
+    return {
+      stale: this.isRestored(key) || !!lastError,
+      data_age_seconds: this.getDataAge(key),
+      last_error: lastError ? lastError.message : null
+    };
+  }
+  
+  /**
+   * Schedule a snapshot write, throttled to one write per SNAPSHOT_SAVE_DELAY
+   * 
+   * @private
+   */
+  _scheduleSnapshot() {
+    if (this.snapshot.timer) return;
+    
+    this.snapshot.timer = setTimeout(() => {
+      this.snapshot.timer = null;
+      this.saveSnapshot().catch(error => logError('Cache Snapshot Save', error));
+    }, SNAPSHOT_SAVE_DELAY);
+    
+    // Don't keep the process alive just to write a snapshot
+    this.snapshot.timer.unref();
+  }
+  
+  /**
+   * Write the persisted keys and their timestamps to the snapshot file
+   * Uses a temporary file and rename for an atomic write
+   * 
+   * @async
+   * @returns {Promise<boolean>} True if the snapshot was written
+   */
+  async saveSnapshot() {
+    if (this.snapshot.timer) {
+      clearTimeout(this.snapshot.timer);
+      this.snapshot.timer = null;
+    }
+    
+    const entries = {};
+    for (const key of PERSISTED_KEYS) {
+      if (!this.lastSuccessful[key]) continue;
+      entries[key] = {
+        value: this.lastSuccessful[key],
+        updated: this.metadata.get(key)?.updated || this.lastSuccessful.timestamp
+      };
+    }
+    
+    if (Object.keys(entries).length === 0) {
+      return false;
+    }
+    
+    const snapshot = {
+      version: 1,
+      savedAt: Date.now(),
+      lastSuccessful: {
+        timestamp: this.lastSuccessful.timestamp
+      },
+      entries
+    };
+    
+    await fs.mkdir(path.dirname(CACHE_SNAPSHOT_PATH), { recursive: true });
+    const tempFile = `${CACHE_SNAPSHOT_PATH}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify(snapshot), 'utf8');
+    await fs.rename(tempFile, CACHE_SNAPSHOT_PATH);
+    
+    this.snapshot.lastSaved = snapshot.savedAt;
+    
+    debug(`${colors.brightGreen}✓${colors.reset} Cache snapshot saved (${Object.keys(entries).join(', ')})`);
+    
+    return true;
+  }
+  
+  /**
+   * Load the snapshot file into the stale data store
+   * Restored values are only served as stale data, so the first read
+   * triggers a background refresh while the old payload is returned
+   * 
+   * @async
+   * @returns {Promise<Array<string>>} Keys that were restored
+   */
+  async loadSnapshot() {
+    let snapshot;
+    try {
+      const data = await fs.readFile(CACHE_SNAPSHOT_PATH, 'utf8');
+      snapshot = JSON.parse(data);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logError('Cache Snapshot Load', error);
+      }
+      return [];
+    }
+    
+    const restored = [];
+    for (const key of PERSISTED_KEYS) {
+      const entry = snapshot?.entries?.[key];
+      if (!entry || entry.value === undefined || entry.value === null) continue;
+      
+      // Skip entries that no longer pass validation
+      const validator = VALIDATION_SCHEMAS[key];
+      if (validator && !validator(entry.value)) continue;
+      
+      // Never overwrite data that was fetched before the snapshot finished loading
+      if (this.lastSuccessful[key]) continue;
+      
+      this.lastSuccessful[key] = entry.value;
+      this.metadata.set(key, {
+        accessCount: 0,
+        lastAccessed: Date.now(),
+        size: this._estimateObjectSize(entry.value),
+        updated: entry.updated || snapshot.savedAt,
+        restored: true
+      });
+      this.snapshot.restoredKeys.add(key);
+      restored.push(key);
+    }
+    
+    if (!this.lastSuccessful.timestamp && snapshot?.lastSuccessful?.timestamp) {
+      this.lastSuccessful.timestamp = snapshot.lastSuccessful.timestamp;
+    }
+    
+    if (restored.length > 0) {
+      const age = Math.round((Date.now() - snapshot.savedAt) / 1000);
+      log(`${colors.brightGreen}✓${colors.reset} Restored ${restored.join(', ')} from cache snapshot (${age}s old)`);
+    }
+    
+    return restored;
+  }
+  
+  /**
+   * Get snapshot status for health and debug reporting
+   * 
+   * @returns {Object} Snapshot status
+   */
+  getSnapshotStatus() {
+    return {
+      lastSaved: this.snapshot.lastSaved,
+      restoredKeys: [...this.snapshot.restoredKeys],
+      ages: PERSISTED_KEYS.reduce((acc, key) => {
+        acc[key] = this.getDataAge(key);
+        return acc;
+      }, {})
+    };
+  }
+
   /**
    * Flush all cache entries
+   * Last known good and restored values go too, so nothing old is served as fresh afterwards
    */
   flushAll() {
     this.cache.flushAll();
@@ -682,6 +930,16 @@ class PersistentCache {
     // Reset failure tracking
     this.keyConsecutiveFailures = {};
     this.lastRefreshAttempts = {};
+    this.lastErrors = {};
+    
+    // Flushed keys no longer hold last known good or restored data
+    this.lastSuccessful = {
+      libraries: null,
+      users: null,
+      recent_media: null,
+      timestamp: null
+    };
+    this.snapshot.restoredKeys.clear();
     
     // Reset memory usage tracking
     this.memoryUsage = {
@@ -714,6 +972,7 @@ class PersistentCache {
       staleHits: this.stats.staleHits,
       partialUpdates: this.stats.partialUpdates,
       memoryUsage: this.stats.memoryUsage,
+      estimatedSize: this.memoryUsage.estimatedSize,
       totalKeys: this.cache.keys().length,
       metadataSize: this.metadata.size
     };
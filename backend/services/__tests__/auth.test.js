@@ -0,0 +1,214 @@
+/**
+ * Authentication tests
+ * Run with `node --test backend`
+ */
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const path = require('path');
+const auth = require('../auth');
+const { requireApiAccess } = require('../../api/auth');
+
+/**
+ * Settings file read by the access control middleware
+ * @type {string}
+ */
+const SETTINGS_FILE = path.join(__dirname, '..', '..', '..', 'config', 'settings.json');
+
+/**
+ * Failed logins allowed before a client is locked out, matches the service
+ * @type {number}
+ */
+const MAX_LOGIN_ATTEMPTS = 5;
+
+/**
+ * Serve settings to the middleware instead of the settings file
+ *
+ * @param {Object} authSettings - Auth section of the settings
+ */
+function useSettings(authSettings) {
+  const readFile = fs.readFile;
+  mock.method(fs, 'readFile', async (file, ...args) => {
+    if (file !== SETTINGS_FILE) return readFile(file, ...args);
+    return JSON.stringify({
+      servers: [{ id: 'home', name: 'Home', baseUrl: 'http://127.0.0.1:1', apiKey: 'key' }],
+      auth: authSettings
+    });
+  });
+}
+
+/**
+ * Run a request through the access control middleware
+ *
+ * @param {string} method - HTTP method
+ * @param {string} url - Request URL
+ * @param {Object} [headers] - Request headers
+ * @returns {Promise<{allowed: boolean, status: number|null}>} Whether the request reached the route
+ */
+async function access(method, url, headers = {}) {
+  let allowed = false;
+  const res = {
+    statusCode: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json() {
+      return this;
+    }
+  };
+
+  await requireApiAccess({ method, originalUrl: url, headers, query: {} }, res, () => {
+    allowed = true;
+  });
+  return { allowed, status: res.statusCode };
+}
+
+describe('password hashing', () => {
+  it('verifies the password it hashed', () => {
+    const hash = auth.hashPassword('correct horse');
+
+    assert.match(hash, /^scrypt\$[0-9a-f]+\$[0-9a-f]+$/);
+    assert.strictEqual(auth.verifyPassword('correct horse', hash), true);
+    assert.strictEqual(auth.verifyPassword('wrong horse', hash), false);
+  });
+
+  it('salts every hash', () => {
+    assert.notStrictEqual(auth.hashPassword('correct horse'), auth.hashPassword('correct horse'));
+  });
+
+  it('rejects malformed hashes', () => {
+    assert.strictEqual(auth.verifyPassword('correct horse', ''), false);
+    assert.strictEqual(auth.verifyPassword('correct horse', 'md5$salt$key'), false);
+  });
+});
+
+describe('sessions', () => {
+  afterEach(() => {
+    mock.restoreAll();
+    auth.destroyAllSessions();
+  });
+
+  it('accepts a session until it expires', () => {
+    const { id, expiresAt } = auth.createSession();
+    const cookie = { headers: { cookie: `${auth.SESSION_COOKIE}=${id}` } };
+
+    assert.strictEqual(auth.hasAdminSession(cookie), true);
+
+    mock.method(Date, 'now', () => expiresAt - 1);
+    assert.strictEqual(auth.hasAdminSession(cookie), true);
+
+    mock.method(Date, 'now', () => expiresAt);
+    assert.strictEqual(auth.hasAdminSession(cookie), false);
+  });
+
+  it('rejects destroyed and unknown sessions', () => {
+    const { id } = auth.createSession();
+    auth.destroySession(id);
+
+    assert.strictEqual(auth.hasAdminSession({ headers: { cookie: `${auth.SESSION_COOKIE}=${id}` } }), false);
+    assert.strictEqual(auth.hasAdminSession({ headers: {} }), false);
+  });
+});
+
+describe('login lockout', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('locks a client out after too many failed logins', () => {
+    for (let attempt = 1; attempt < MAX_LOGIN_ATTEMPTS; attempt++) {
+      auth.recordLoginAttempt('lockout', false);
+      assert.strictEqual(auth.getLoginRetryDelay('lockout'), 0);
+    }
+
+    auth.recordLoginAttempt('lockout', false);
+    assert.ok(auth.getLoginRetryDelay('lockout') > 0);
+    assert.strictEqual(auth.getLoginRetryDelay('other client'), 0);
+  });
+
+  it('lets the client try again once the window has passed', () => {
+    const start = Date.now();
+    for (let attempt = 0; attempt < MAX_LOGIN_ATTEMPTS; attempt++) {
+      auth.recordLoginAttempt('window', false);
+    }
+    const delay = auth.getLoginRetryDelay('window');
+
+    mock.method(Date, 'now', () => start + delay + 1000);
+    assert.strictEqual(auth.getLoginRetryDelay('window'), 0);
+  });
+
+  it('resets the count after a successful login', () => {
+    for (let attempt = 1; attempt < MAX_LOGIN_ATTEMPTS; attempt++) {
+      auth.recordLoginAttempt('success', false);
+    }
+    auth.recordLoginAttempt('success', true);
+    auth.recordLoginAttempt('success', false);
+
+    assert.strictEqual(auth.getLoginRetryDelay('success'), 0);
+  });
+});
+
+describe('requireApiAccess', () => {
+  const usersToken = auth.createApiToken('Users', ['users:read']);
+  const adminToken = auth.createApiToken('Admin', ['admin']);
+  const bearer = ({ token }) => ({ authorization: `Bearer ${token}` });
+
+  beforeEach(() => {
+    useSettings({
+      passwordHash: auth.hashPassword('correct horse'),
+      publicWidgets: false,
+      tokens: [usersToken.record, adminToken.record]
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    auth.destroyAllSessions();
+  });
+
+  it('keeps public routes open', async () => {
+    assert.deepStrictEqual(await access('GET', '/api/health'), { allowed: true, status: null });
+    assert.deepStrictEqual(await access('POST', '/api/webhooks/tautulli'), { allowed: true, status: null });
+    assert.deepStrictEqual(await access('POST', '/api/auth/login'), { allowed: true, status: null });
+  });
+
+  it('requires a token for read routes when widgets are not public', async () => {
+    assert.deepStrictEqual(await access('GET', '/api/users'), { allowed: false, status: 401 });
+    assert.deepStrictEqual(await access('GET', '/metrics'), { allowed: false, status: 401 });
+  });
+
+  it('allows read routes publicly when widgets are public', async () => {
+    useSettings({ passwordHash: auth.hashPassword('correct horse'), publicWidgets: true, tokens: [] });
+
+    assert.strictEqual((await access('GET', '/api/media/recent?count=5')).allowed, true);
+    assert.strictEqual((await access('POST', '/api/media/settings')).allowed, false);
+  });
+
+  it('only allows the scopes a token was granted', async () => {
+    assert.strictEqual((await access('GET', '/api/users', bearer(usersToken))).allowed, true);
+    assert.strictEqual((await access('GET', '/api/media/recent', bearer(usersToken))).allowed, false);
+    assert.strictEqual((await access('GET', '/api/libraries/totals', bearer(usersToken))).allowed, false);
+    assert.strictEqual((await access('POST', '/api/users/format', bearer(usersToken))).allowed, false);
+  });
+
+  it('lets the admin scope imply every other scope', async () => {
+    for (const url of ['/api/users', '/api/media/recent', '/api/image/poster', '/api/libraries/totals', '/metrics']) {
+      assert.strictEqual((await access('GET', url, bearer(adminToken))).allowed, true, url);
+    }
+    assert.strictEqual((await access('POST', '/api/media/settings', bearer(adminToken))).allowed, true);
+  });
+
+  it('accepts an admin session on every route', async () => {
+    const { id } = auth.createSession();
+    const cookie = { cookie: `${auth.SESSION_COOKIE}=${id}` };
+
+    assert.strictEqual((await access('GET', '/metrics', cookie)).allowed, true);
+    assert.strictEqual((await access('POST', '/api/media/settings', cookie)).allowed, true);
+  });
+
+  it('rejects unknown tokens', async () => {
+    assert.deepStrictEqual(await access('GET', '/api/users', { authorization: 'Bearer nope' }),
+      { allowed: false, status: 401 });
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Cache data fetcher tests
+ * Run with `node --test backend`
+ */
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { tautulliService } = require('../tautulli');
+const { cache } = require('../cacheService');
+const { fetchUserHistoryIndex } = require('../cacheDataFetchers');
+
+/**
+ * Answer get_history like Tautulli, newest stop time first
+ *
+ * @param {Array<Object>} rows - History rows
+ * @returns {Function} makeRequest stub
+ */
+function historyResponder(rows) {
+  return async (cmd, params) => {
+    assert.strictEqual(cmd, 'get_history');
+    assert.strictEqual(params.order_column, 'stopped');
+    const sorted = [...rows].sort((a, b) => b.stopped - a.stopped);
+    return {
+      response: {
+        result: 'success',
+        data: { data: sorted.slice(params.start, params.start + params.length) }
+      }
+    };
+  };
+}
+
+describe('fetchUserHistoryIndex', () => {
+  beforeEach(() => {
+    tautulliService.setServers([{ id: 'home', name: 'Home', baseUrl: 'http://127.0.0.1:1', apiKey: 'key' }]);
+    cache.flushAll();
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('indexes the last stopped item per user', async () => {
+    mock.method(tautulliService, 'makeRequest', historyResponder([
+      { user_id: 1, title: 'Older', date: 100, stopped: 200 },
+      { user_id: 1, title: 'Newer', date: 300, stopped: 400 },
+      { user_id: 2, title: 'Other', date: 150, stopped: 250 }
+    ]));
+
+    const index = await fetchUserHistoryIndex(false);
+
+    assert.strictEqual(index.users['home:1'].title, 'Newer');
+    assert.strictEqual(index.users['home:2'].title, 'Other');
+    assert.strictEqual(index.newest.home, 400);
+  });
+
+  it('picks up a long session that started before rows already indexed', async () => {
+    const rows = [
+      // Episode 10:05 to 10:30, indexed while the movie is still playing
+      { user_id: 1, title: 'Episode', date: 36300, stopped: 37800 }
+    ];
+    mock.method(tautulliService, 'makeRequest', historyResponder(rows));
+    cache.set('user_history_index', await fetchUserHistoryIndex(false));
+
+    // Movie 10:00 to 12:00, written when it stops
+    rows.push({ user_id: 1, title: 'Movie', date: 36000, stopped: 43200 });
+    const index = await fetchUserHistoryIndex(false);
+
+    assert.strictEqual(index.users['home:1'].title, 'Movie');
+    assert.strictEqual(index.newest.home, 43200);
+  });
+
+  it('reads rows stopped in the same second as the newest indexed row again', async () => {
+    const rows = [{ user_id: 1, title: 'First', date: 100, stopped: 500 }];
+    mock.method(tautulliService, 'makeRequest', historyResponder(rows));
+    cache.set('user_history_index', await fetchUserHistoryIndex(false));
+
+    rows.push({ user_id: 2, title: 'Same second', date: 200, stopped: 500 });
+    const index = await fetchUserHistoryIndex(false);
+
+    assert.strictEqual(index.users['home:1'].title, 'First');
+    assert.strictEqual(index.users['home:2'].title, 'Same second');
+  });
+
+  it('skips sessions that are still playing', async () => {
+    mock.method(tautulliService, 'makeRequest', historyResponder([
+      { user_id: 1, title: 'Playing', date: 900, stopped: 0 },
+      { user_id: 1, title: 'Finished', date: 100, stopped: 200 }
+    ]));
+
+    const index = await fetchUserHistoryIndex(false);
+
+    assert.strictEqual(index.users['home:1'].title, 'Finished');
+    assert.strictEqual(index.newest.home, 200);
+  });
+});
@@ -0,0 +1,179 @@
+/**
+ * Recent media grouping and paging tests
+ * Run with `node --test backend`
+ */
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const path = require('path');
+const express = require('express');
+const { cache } = require('../cacheService');
+const { mediaRouter, groupMediaItems, formatEpisodeRange } = require('../../api/media');
+
+/**
+ * Settings file read by the media routes
+ * @type {string}
+ */
+const SETTINGS_FILE = path.join(__dirname, '..', '..', '..', 'config', 'settings.json');
+
+/**
+ * Create an episode
+ *
+ * @param {number} season - Season number
+ * @param {number} episode - Episode number
+ * @param {Object} [fields] - Other fields
+ * @returns {Object} Recently added episode
+ */
+function createEpisode(season, episode, fields = {}) {
+  return { media_type: 'episode', parent_media_index: String(season), media_index: String(episode), ...fields };
+}
+
+describe('formatEpisodeRange', () => {
+  it('formats a single episode', () => {
+    assert.strictEqual(formatEpisodeRange([createEpisode(2, 1)]), 'S02E01');
+  });
+
+  it('formats episodes of one season in order', () => {
+    assert.strictEqual(formatEpisodeRange([createEpisode(2, 8), createEpisode(2, 1), createEpisode(2, 3)]), 'S02E01–E08');
+  });
+
+  it('formats episodes across seasons', () => {
+    assert.strictEqual(formatEpisodeRange([createEpisode(2, 2), createEpisode(1, 9)]), 'S01E09–S02E02');
+  });
+
+  it('formats track numbers', () => {
+    const tracks = [{ media_type: 'track', media_index: 8 }, { media_type: 'track', media_index: 1 }];
+    assert.strictEqual(formatEpisodeRange(tracks), '01–08');
+  });
+
+  it('is empty without numbered items', () => {
+    assert.strictEqual(formatEpisodeRange([{ media_type: 'movie' }]), '');
+  });
+});
+
+describe('groupMediaItems', () => {
+  const items = [
+    createEpisode(1, 3, { grandparent_rating_key: 'a', parent_rating_key: 'a1' }),
+    createEpisode(2, 1, { grandparent_rating_key: 'b', parent_rating_key: 'b2' }),
+    createEpisode(2, 1, { grandparent_rating_key: 'a', parent_rating_key: 'a2' }),
+    { media_type: 'movie' },
+    createEpisode(1, 2, { grandparent_rating_key: 'a', parent_rating_key: 'a1' })
+  ];
+  const sizes = (groups) => groups.map(group => group.length);
+
+  it('groups episodes of a show in order of their newest item', () => {
+    const groups = groupMediaItems(items, 'show');
+
+    assert.deepStrictEqual(sizes(groups), [3, 1, 1]);
+    assert.deepStrictEqual(groups[0], [items[0], items[2], items[4]]);
+  });
+
+  it('groups episodes of a season', () => {
+    assert.deepStrictEqual(sizes(groupMediaItems(items, 'season')), [2, 1, 1, 1]);
+  });
+
+  it('keeps every item on its own for other modes', () => {
+    assert.deepStrictEqual(sizes(groupMediaItems(items, undefined)), [1, 1, 1, 1, 1]);
+    assert.deepStrictEqual(sizes(groupMediaItems(items, 'none')), [1, 1, 1, 1, 1]);
+    assert.deepStrictEqual(sizes(groupMediaItems(items, 'constructor')), [1, 1, 1, 1, 1]);
+  });
+});
+
+describe('GET /api/media/recent paging', () => {
+  let server;
+  let baseUrl;
+
+  // Ten movies added at 1010, 1009, ... 1001
+  const movies = Array.from({ length: 10 }, (_, index) => ({
+    rating_key: String(index + 1),
+    title: `Movie ${index + 1}`,
+    year: '2020',
+    added_at: String(1001 + index)
+  }));
+
+  /**
+   * Request recent media
+   *
+   * @param {string} query - Query string
+   * @returns {Promise<Object>} Response body
+   */
+  async function getRecent(query) {
+    const response = await fetch(`${baseUrl}/api/media/recent?${query}`);
+    return response.json();
+  }
+
+  before(async () => {
+    const app = express();
+    app.use('/api/media', mediaRouter);
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+  });
+
+  beforeEach(() => {
+    const readFile = fs.readFile;
+    mock.method(fs, 'readFile', async (file, ...args) => {
+      if (file !== SETTINGS_FILE) return readFile(file, ...args);
+      return JSON.stringify({
+        servers: [{ id: 'home', name: 'Home', baseUrl: 'http://127.0.0.1:1', apiKey: 'key' }],
+        sections: { movies: ['home:1'], shows: [], music: [] }
+      });
+    });
+
+    cache.flushAll();
+    cache.set('libraries', { response: { data: [] } });
+    cache.set('recent_media', [{ type: 'movies', server: 'home', sectionId: 1, data: movies }]);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('returns the whole feed newest first without paging parameters', async () => {
+    const { response } = await getRecent('');
+
+    assert.strictEqual(response.result, 'success');
+    assert.strictEqual(response.total, 10);
+    assert.strictEqual(response.has_more, false);
+    assert.deepStrictEqual(response.data.map(item => item.added_at), [1010, 1009, 1008, 1007, 1006, 1005, 1004, 1003, 1002, 1001]);
+  });
+
+  it('pages through the feed with start and count', async () => {
+    const first = (await getRecent('count=4')).response;
+    assert.deepStrictEqual(first.data.map(item => item.added_at), [1010, 1009, 1008, 1007]);
+    assert.strictEqual(first.has_more, true);
+    assert.strictEqual(first.next_start, 4);
+
+    const last = (await getRecent('start=8&count=4')).response;
+    assert.deepStrictEqual(last.data.map(item => item.added_at), [1002, 1001]);
+    assert.strictEqual(last.total, 10);
+    assert.strictEqual(last.has_more, false);
+    assert.strictEqual(last.next_start, null);
+  });
+
+  it('narrows the feed with the before and after cursors', async () => {
+    const { response } = await getRecent('before=1008&after=1003');
+
+    assert.deepStrictEqual(response.data.map(item => item.added_at), [1007, 1006, 1005, 1004]);
+    assert.strictEqual(response.total, 4);
+  });
+
+  it('pages within the cursor window', async () => {
+    const { response } = await getRecent('before=1008&count=2&start=2');
+
+    assert.deepStrictEqual(response.data.map(item => item.added_at), [1005, 1004]);
+    assert.strictEqual(response.total, 7);
+    assert.strictEqual(response.next_start, 4);
+  });
+
+  it('rejects invalid paging parameters', async () => {
+    for (const query of ['start=-1', 'count=two', 'before=1.5']) {
+      const { response } = await getRecent(query);
+      assert.strictEqual(response.result, 'error', query);
+    }
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Recent media filter tests
+ * Run with `node --test backend`
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { parseMediaFilters, createMediaFilter } = require('../mediaFilters');
+
+describe('parseMediaFilters', () => {
+  it('parses every filter', () => {
+    const { filters, errors } = parseMediaFilters({
+      since: '7d',
+      genre: 'Drama, Comedy',
+      content_rating: 'TV-MA',
+      min_year: '2000',
+      max_year: 2010,
+      video_resolution: '2160p,1080',
+      search: ' Office ',
+      exclude: ['12', ' 34 ']
+    });
+
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(filters, {
+      since: 604800,
+      genre: ['drama', 'comedy'],
+      content_rating: ['tv-ma'],
+      min_year: 2000,
+      max_year: 2010,
+      video_resolution: ['4k', '1080'],
+      search: 'office',
+      exclude: ['12', '34']
+    });
+  });
+
+  it('leaves out missing and empty filters', () => {
+    assert.deepStrictEqual(parseMediaFilters({ genre: '', since: null }), { filters: {}, errors: [] });
+    assert.deepStrictEqual(parseMediaFilters(undefined), { filters: {}, errors: [] });
+  });
+
+  it('reports invalid values', () => {
+    const { filters, errors } = parseMediaFilters({ since: 'yesterday', min_year: 'new', genre: 'Drama' });
+
+    assert.deepStrictEqual(filters, { genre: ['drama'] });
+    assert.deepStrictEqual(errors, ['since must be a duration such as 30m, 24h, 7d or 2w', 'min_year must be a year']);
+  });
+});
+
+describe('createMediaFilter', () => {
+  const now = 1000000;
+  const episode = {
+    rating_key: '3',
+    parent_rating_key: '2',
+    grandparent_rating_key: '1',
+    title: 'Pilot',
+    grandparent_title: 'The Office',
+    added_at: String(now - 3600),
+    genres: ['Comedy'],
+    content_rating: 'TV-14',
+    year: '2005',
+    video_resolution: '1080'
+  };
+  const matches = (source, item = episode) => createMediaFilter(parseMediaFilters(source).filters, now)(item);
+
+  it('matches everything without filters', () => {
+    assert.strictEqual(matches({}), true);
+  });
+
+  it('matches items added within the since duration', () => {
+    assert.strictEqual(matches({ since: '2h' }), true);
+    assert.strictEqual(matches({ since: '30m' }), false);
+  });
+
+  it('matches genres, content ratings and resolutions case insensitively', () => {
+    assert.strictEqual(matches({ genre: 'drama,comedy' }), true);
+    assert.strictEqual(matches({ genre: 'Drama' }), false);
+    assert.strictEqual(matches({ genre: 'comedy' }, { ...episode, genres: undefined, genre: 'Comedy, Drama' }), true);
+    assert.strictEqual(matches({ content_rating: 'tv-14' }), true);
+    assert.strictEqual(matches({ video_resolution: '1080p' }), true);
+    assert.strictEqual(matches({ video_resolution: '4K' }, { ...episode, video_resolution: '4k' }), true);
+    assert.strictEqual(matches({ video_resolution: '720' }), false);
+  });
+
+  it('matches the year range', () => {
+    assert.strictEqual(matches({ min_year: 2005, max_year: 2005 }), true);
+    assert.strictEqual(matches({ min_year: 2006 }), false);
+    assert.strictEqual(matches({ max_year: 2004 }), false);
+  });
+
+  it('searches the title, show and artist', () => {
+    assert.strictEqual(matches({ search: 'pilot' }), true);
+    assert.strictEqual(matches({ search: 'office' }), true);
+    assert.strictEqual(matches({ search: 'parks' }), false);
+  });
+
+  it('excludes items by their own, parent or grandparent rating key', () => {
+    assert.strictEqual(matches({ exclude: '3' }), false);
+    assert.strictEqual(matches({ exclude: '1' }), false);
+    assert.strictEqual(matches({ exclude: '4,5' }), true);
+  });
+
+  it('does not match items without the filtered field', () => {
+    assert.strictEqual(matches({ video_resolution: '1080' }, { ...episode, video_resolution: undefined }), false);
+    assert.strictEqual(matches({ content_rating: 'tv-14' }, { ...episode, content_rating: undefined }), false);
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * Tautulli circuit breaker tests
+ * Run with `node --test backend`
+ */
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { tautulliService } = require('../tautulli');
+
+/**
+ * Command without a rate limit, so requests are sent right away
+ * @type {string}
+ */
+const CMD = 'get_server_info';
+
+/**
+ * Options keeping each call to a single request
+ * @type {Object}
+ */
+const REQUEST_OPTIONS = { maxRetries: 1, deduplicate: false, useConditionalGet: false };
+
+/**
+ * Create the error axios throws when Tautulli cannot be reached
+ *
+ * @returns {Error} Connection error
+ */
+function connectionError() {
+  return Object.assign(new Error('connect ECONNREFUSED'), { isAxiosError: true });
+}
+
+/**
+ * Create a successful Tautulli response
+ *
+ * @returns {Object} Axios-style response
+ */
+function successResponse() {
+  return { status: 200, headers: {}, data: { response: { result: 'success', data: {} } } };
+}
+
+/**
+ * Fail requests until the circuit opens
+ *
+ * @returns {Promise<number>} Time the circuit opened
+ */
+async function openCircuit() {
+  const { threshold } = tautulliService.getCircuitState();
+  const send = mock.method(tautulliService, '_sendRequest', async () => { throw connectionError(); });
+
+  for (let attempt = 0; attempt < threshold; attempt++) {
+    await assert.rejects(tautulliService.makeRequest(CMD, {}, REQUEST_OPTIONS));
+  }
+  send.mock.restore();
+  return Date.parse(tautulliService.getCircuitState().openedAt);
+}
+
+/**
+ * Move the clock past the cooldown of the open circuit
+ *
+ * @param {number} openedAt - Time the circuit opened
+ */
+function skipCooldown(openedAt) {
+  const { cooldown } = tautulliService.getCircuitState();
+  mock.method(Date, 'now', () => openedAt + cooldown);
+}
+
+describe('Tautulli circuit breaker', () => {
+  beforeEach(() => {
+    // A fresh server list gives every test a closed circuit
+    tautulliService.setServers([]);
+    tautulliService.setServers([{ id: 'home', name: 'Home', baseUrl: 'http://127.0.0.1:1', apiKey: 'key' }]);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('stays closed below the failure threshold', async () => {
+    const { threshold } = tautulliService.getCircuitState();
+    mock.method(tautulliService, '_sendRequest', async () => { throw connectionError(); });
+
+    for (let attempt = 1; attempt < threshold; attempt++) {
+      await assert.rejects(tautulliService.makeRequest(CMD, {}, REQUEST_OPTIONS));
+    }
+
+    assert.strictEqual(tautulliService.getCircuitState().state, 'closed');
+    assert.strictEqual(tautulliService.getCircuitState().failures, threshold - 1);
+  });
+
+  it('does not count answers from a reachable server as failures', async () => {
+    const { threshold } = tautulliService.getCircuitState();
+    mock.method(tautulliService, '_sendRequest', async () => {
+      throw Object.assign(new Error('Unauthorized'), { isAxiosError: true, response: { status: 401 } });
+    });
+
+    for (let attempt = 0; attempt < threshold; attempt++) {
+      await assert.rejects(tautulliService.makeRequest(CMD, {}, REQUEST_OPTIONS));
+    }
+
+    assert.strictEqual(tautulliService.getCircuitState().state, 'closed');
+  });
+
+  it('opens after consecutive failures and then fails fast', async () => {
+    await openCircuit();
+    const send = mock.method(tautulliService, '_sendRequest', async () => successResponse());
+
+    await assert.rejects(tautulliService.makeRequest(CMD, {}, REQUEST_OPTIONS), { code: 'CIRCUIT_OPEN' });
+    assert.strictEqual(send.mock.callCount(), 0);
+    assert.strictEqual(tautulliService.getCircuitState().state, 'open');
+  });
+
+  it('keeps failing fast until the cooldown has passed', async () => {
+    const openedAt = await openCircuit();
+    const { cooldown } = tautulliService.getCircuitState();
+    const send = mock.method(tautulliService, '_sendRequest', async () => successResponse());
+
+    mock.method(Date, 'now', () => openedAt + cooldown - 1);
+    await assert.rejects(tautulliService.makeRequest(CMD, {}, REQUEST_OPTIONS), { code: 'CIRCUIT_OPEN' });
+    assert.strictEqual(send.mock.callCount(), 0);
+
+    skipCooldown(openedAt);
+    await tautulliService.makeRequest(CMD, {}, REQUEST_OPTIONS);
+    assert.strictEqual(send.mock.callCount(), 1);
+  });
+
+  it('closes again when the half-open probe succeeds', async () => {
+    skipCooldown(await openCircuit());
+    mock.method(tautulliService, '_sendRequest', async () => successResponse());
+
+    await tautulliService.makeRequest(CMD, {}, REQUEST_OPTIONS);
+
+    const { state, failures, transitions } = tautulliService.getCircuitState();
+    assert.strictEqual(state, 'closed');
+    assert.strictEqual(failures, 0);
+    assert.deepStrictEqual(transitions.map(({ from, to }) => `${from} -> ${to}`),
+      ['closed -> open', 'open -> half-open', 'half-open -> closed']);
+  });
+
+  it('reopens and restarts the cooldown when the probe fails', async () => {
+    const openedAt = await openCircuit();
+    skipCooldown(openedAt);
+    mock.method(tautulliService, '_sendRequest', async () => { throw connectionError(); });
+
+    await assert.rejects(tautulliService.makeRequest(CMD, {}, REQUEST_OPTIONS));
+
+    const { state, openedAt: reopenedAt } = tautulliService.getCircuitState();
+    assert.strictEqual(state, 'open');
+    assert.ok(Date.parse(reopenedAt) > openedAt);
+    await assert.rejects(tautulliService.makeRequest(CMD, {}, REQUEST_OPTIONS), { code: 'CIRCUIT_OPEN' });
+  });
+
+  it('sends a single probe while half-open', async () => {
+    skipCooldown(await openCircuit());
+    let answerProbe;
+    const send = mock.method(tautulliService, '_sendRequest', () => new Promise(resolve => {
+      answerProbe = () => resolve(successResponse());
+    }));
+
+    const probe = tautulliService.makeRequest(CMD, { probe: 1 }, REQUEST_OPTIONS);
+    const other = tautulliService.makeRequest(CMD, { probe: 2 }, REQUEST_OPTIONS);
+
+    await assert.rejects(other, { code: 'CIRCUIT_OPEN' });
+    assert.strictEqual(tautulliService.getCircuitState().state, 'half-open');
+    assert.strictEqual(send.mock.callCount(), 1);
+
+    answerProbe();
+    await probe;
+    assert.strictEqual(tautulliService.getCircuitState().state, 'closed');
+  });
+});
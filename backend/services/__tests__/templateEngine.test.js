@@ -0,0 +1,137 @@
+/**
+ * Template engine tests
+ * Run with `node --test backend`
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { renderTemplate, analyzeTemplate } = require('../templateEngine');
+
+describe('renderTemplate', () => {
+  describe('${variable} syntax', () => {
+    it('renders plain variables as before', () => {
+      const values = { grandparent_title: 'Show', parent_media_index: 1, media_index: 2, title: 'Pilot' };
+      assert.strictEqual(
+        renderTemplate('${grandparent_title} - S${parent_media_index}E${media_index} - ${title}', values),
+        'Show - S1E2 - Pilot'
+      );
+    });
+
+    it('renders unknown and empty variables as empty text', () => {
+      assert.strictEqual(renderTemplate('${title} (${year})', { title: 'Movie', year: null }), 'Movie ()');
+      assert.strictEqual(renderTemplate('[${missing}]', {}), '[]');
+    });
+
+    it('keeps zero values', () => {
+      assert.strictEqual(renderTemplate('${count}', { count: 0 }), '0');
+    });
+
+    it('joins arrays', () => {
+      assert.strictEqual(renderTemplate('${genres}', { genres: ['Action', 'Drama'] }), 'Action, Drama');
+    });
+
+    it('resolves dotted paths', () => {
+      assert.strictEqual(renderTemplate('${media.codec}', { media: { codec: 'hevc' } }), 'hevc');
+      assert.strictEqual(renderTemplate('${media.codec}', { media: null }), '');
+    });
+
+    it('does not resolve prototype properties', () => {
+      assert.strictEqual(renderTemplate('${constructor}', {}), '');
+      assert.strictEqual(renderTemplate('${title.constructor.name}', { title: 'Movie' }), '');
+      assert.strictEqual(renderTemplate('${media.__proto__}', { media: {} }), '');
+      assert.strictEqual(renderTemplate('{{#if toString}}yes{{else}}no{{/if}}', {}), 'no');
+    });
+
+    it('ignores prototype members used as filters', () => {
+      assert.strictEqual(renderTemplate('${title|hasOwnProperty}', { title: 'Movie' }), 'Movie');
+      assert.strictEqual(renderTemplate('${title|toString|constructor}', { title: 'Movie' }), 'Movie');
+    });
+
+    it('renders escaped expressions literally', () => {
+      assert.strictEqual(renderTemplate('\\${title} \\{{#if x}}', { title: 'Movie' }), '${title} {{#if x}}');
+    });
+
+    it('returns an empty string without a template', () => {
+      assert.strictEqual(renderTemplate('', { title: 'Movie' }), '');
+      assert.strictEqual(renderTemplate(null), '');
+    });
+  });
+
+  describe('filters', () => {
+    it('uses the default for empty values', () => {
+      assert.strictEqual(renderTemplate('${year|default:"?"}', { year: '' }), '?');
+      assert.strictEqual(renderTemplate('${year|default:"?"}', { year: 2001 }), '2001');
+    });
+
+    it('applies filters left to right', () => {
+      assert.strictEqual(renderTemplate('${title|truncate:8|upper}', { title: 'A long title' }), 'A LONG…');
+      assert.strictEqual(renderTemplate('${title|trim|capitalize}', { title: '  movie ' }), 'Movie');
+      assert.strictEqual(renderTemplate('${title|lower}', { title: 'MOVIE' }), 'movie');
+    });
+
+    it('pads and rounds numbers', () => {
+      assert.strictEqual(renderTemplate('S${season|pad}E${episode|pad:3}', { season: 1, episode: 7 }), 'S01E007');
+      assert.strictEqual(renderTemplate('${progress|round:1}', { progress: '45.67%' }), '45.7%');
+      assert.strictEqual(renderTemplate('${progress|round}', { progress: 'n/a' }), 'n/a');
+    });
+
+    it('skips filters on empty values and ignores unknown filters', () => {
+      assert.strictEqual(renderTemplate('${title|upper}', {}), '');
+      assert.strictEqual(renderTemplate('${title|nope}', { title: 'Movie' }), 'Movie');
+    });
+  });
+
+  describe('sections', () => {
+    it('renders #if sections for set values', () => {
+      const template = '${title}{{#if year}} (${year}){{/if}}';
+      assert.strictEqual(renderTemplate(template, { title: 'Movie', year: 2001 }), 'Movie (2001)');
+      assert.strictEqual(renderTemplate(template, { title: 'Movie' }), 'Movie');
+    });
+
+    it('treats numeric zero as false', () => {
+      const template = '{{#if plays}}${plays} plays{{else}}Never played{{/if}}';
+      assert.strictEqual(renderTemplate(template, { plays: '0' }), 'Never played');
+      assert.strictEqual(renderTemplate(template, { plays: 3 }), '3 plays');
+      assert.strictEqual(renderTemplate('{{#if progress}}on{{/if}}', { progress: '0%' }), '');
+    });
+
+    it('renders #unless sections with else', () => {
+      const template = '{{#unless watching}}Idle{{else}}Watching ${title}{{/unless}}';
+      assert.strictEqual(renderTemplate(template, { watching: false }), 'Idle');
+      assert.strictEqual(renderTemplate(template, { watching: true, title: 'Movie' }), 'Watching Movie');
+    });
+
+    it('nests sections', () => {
+      const template = '{{#if a}}A{{#if b}}B{{/if}}{{/if}}';
+      assert.strictEqual(renderTemplate(template, { a: 1, b: 1 }), 'AB');
+      assert.strictEqual(renderTemplate(template, { a: 1 }), 'A');
+    });
+  });
+});
+
+describe('analyzeTemplate', () => {
+  it('lists the variables a template uses', () => {
+    const { variables, warnings } = analyzeTemplate('${title}{{#if year}} (${year|default:"?"}){{/if}}', ['title', 'year']);
+    assert.deepStrictEqual(variables.sort(), ['title', 'year']);
+    assert.deepStrictEqual(warnings, []);
+  });
+
+  it('warns about unknown variables and filters', () => {
+    const { warnings } = analyzeTemplate('${titel|shout}', ['title']);
+    assert.deepStrictEqual(warnings, ['Unknown variable "titel"', 'Unknown filter "shout" on "titel"']);
+  });
+
+  it('warns about prototype members used as filters', () => {
+    assert.deepStrictEqual(analyzeTemplate('${title|hasOwnProperty}', ['title']).warnings,
+      ['Unknown filter "hasOwnProperty" on "title"']);
+  });
+
+  it('accepts dotted paths below known variables', () => {
+    assert.deepStrictEqual(analyzeTemplate('${media.codec}', ['media']).warnings, []);
+  });
+
+  it('warns about syntax problems', () => {
+    assert.deepStrictEqual(analyzeTemplate('${title', ['title']).warnings, ['Unterminated "${" expression']);
+    assert.deepStrictEqual(analyzeTemplate('{{#if year}}x', ['year']).warnings, ['Missing {{/if}} for {{#if year}}']);
+    assert.deepStrictEqual(analyzeTemplate('x{{/if}}', []).warnings, ['Unexpected {{/if}}']);
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * User sorting tests
+ * Run with `node --test backend`
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { resolveUserSort, sortUsers } = require('../../api/users');
+
+describe('resolveUserSort', () => {
+  it('reads order_column and order_dir', () => {
+    assert.deepStrictEqual(resolveUserSort({ order_column: 'total_plays', order_dir: 'DESC' }),
+      { column: 'total_plays', dir: 'desc' });
+  });
+
+  it('accepts template variable and Tautulli field names', () => {
+    assert.strictEqual(resolveUserSort({ order_column: 'plays' }).column, 'total_plays');
+    assert.strictEqual(resolveUserSort({ order_column: 'last_seen_formatted' }).column, 'last_seen');
+    assert.strictEqual(resolveUserSort({ order_column: 'duration' }).column, 'watch_time');
+  });
+
+  it('reads DataTables order parameters', () => {
+    const query = {
+      order: [{ column: '1', dir: 'desc' }],
+      columns: [{ data: 'friendly_name' }, { data: 'last_seen_formatted' }]
+    };
+    assert.deepStrictEqual(resolveUserSort(query), { column: 'last_seen', dir: 'desc' });
+  });
+
+  it('falls back to the default order for unknown columns', () => {
+    assert.deepStrictEqual(resolveUserSort({}), { column: null, dir: 'asc' });
+    assert.deepStrictEqual(resolveUserSort({ order_column: 'password', order_dir: 'sideways' }),
+      { column: null, dir: 'asc' });
+    assert.strictEqual(resolveUserSort({ order_column: 'constructor' }).column, null);
+  });
+});
+
+describe('sortUsers', () => {
+  const users = [
+    { server: 'home', user_id: 1, friendly_name: 'carol', plays: '5', last_seen: '300', duration: '100' },
+    { server: 'home', user_id: 2, friendly_name: 'Alice', plays: '20', last_seen: '100', duration: '900' },
+    { server: 'home', user_id: 3, friendly_name: 'bob', plays: '5', last_seen: '200', duration: '400' }
+  ];
+  const names = (sorted) => sorted.map(user => user.friendly_name);
+
+  it('orders watching users first, then by most recent activity', () => {
+    const watching = { 'home:2': { state: 'playing', last_seen: 1000 } };
+
+    assert.deepStrictEqual(names(sortUsers(users, watching, null, 'asc')), ['Alice', 'carol', 'bob']);
+    assert.deepStrictEqual(names(sortUsers(users, {}, null, 'asc')), ['carol', 'bob', 'Alice']);
+  });
+
+  it('sorts names case insensitively', () => {
+    assert.deepStrictEqual(names(sortUsers(users, {}, 'friendly_name', 'asc')), ['Alice', 'bob', 'carol']);
+    assert.deepStrictEqual(names(sortUsers(users, {}, 'friendly_name', 'desc')), ['carol', 'bob', 'Alice']);
+  });
+
+  it('sorts numbers numerically and breaks ties by name', () => {
+    assert.deepStrictEqual(names(sortUsers(users, {}, 'total_plays', 'desc')), ['Alice', 'bob', 'carol']);
+    assert.deepStrictEqual(names(sortUsers(users, {}, 'total_plays', 'asc')), ['bob', 'carol', 'Alice']);
+    assert.deepStrictEqual(names(sortUsers(users, {}, 'watch_time', 'asc')), ['carol', 'bob', 'Alice']);
+  });
+
+  it('ranks playing above paused above idle users', () => {
+    const watching = { 'home:1': { state: 'paused' }, 'home:3': { state: 'playing' } };
+    assert.deepStrictEqual(names(sortUsers(users, watching, 'is_watching', 'desc')), ['bob', 'carol', 'Alice']);
+  });
+
+  it('leaves the input untouched', () => {
+    sortUsers(users, {}, 'friendly_name', 'asc');
+    assert.deepStrictEqual(names(users), ['carol', 'Alice', 'bob']);
+  });
+});
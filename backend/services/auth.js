@@ -0,0 +1,401 @@
+/**
+ * Authentication service
+ * Handles the admin password, login sessions and scoped API tokens
+ * @module services/auth
+ */
+const crypto = require('crypto');
+
+/**
+ * Name of the cookie holding the admin session ID
+ * @type {string}
+ */
+const SESSION_COOKIE = 'tum_session';
+
+/**
+ * Lifetime of an admin session in milliseconds
+ * @type {number}
+ */
+const SESSION_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+/**
+ * Failed logins allowed per client within the lockout window
+ * @type {number}
+ */
+const MAX_LOGIN_ATTEMPTS = 5;
+
+/**
+ * Window in which failed logins are counted, in milliseconds
+ * @type {number}
+ */
+const LOGIN_LOCKOUT_WINDOW = 15 * 60 * 1000; // 15 minutes
+
+/**
+ * Minimum admin password length
+ * @type {number}
+ */
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Scopes an API token can be granted
+ * admin grants every other scope as well as the settings endpoints
+ * @type {Array<string>}
+ */
+const TOKEN_SCOPES = ['users:read', 'media:read', 'libraries:read', 'metrics:read', 'admin'];
+
+/**
+ * Length of the derived scrypt key in bytes
+ * @type {number}
+ */
+const KEY_LENGTH = 64;
+
+/**
+ * Active admin sessions keyed by session ID
+ * Sessions live in memory, so a restart signs everyone out
+ * @type {Map<string, {createdAt: number, expiresAt: number}>}
+ */
+const sessions = new Map();
+
+/**
+ * Failed login attempts keyed by client address
+ * @type {Map<string, {count: number, firstAttempt: number}>}
+ */
+const loginAttempts = new Map();
+
+/**
+ * Token usage not yet written to the settings file, keyed by token ID
+ * Counting in memory keeps widget polling from rewriting the settings on every request
+ * @type {Map<string, {count: number, lastUsedAt: number}>}
+ */
+const pendingTokenUsage = new Map();
+
+/**
+ * Hash a password with a random salt
+ *
+ * @param {string} password - Plain text password
+ * @returns {string} Hash in the form scrypt$salt$key
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const key = crypto.scryptSync(password, salt, KEY_LENGTH).toString('hex');
+  return `scrypt$${salt}$${key}`;
+}
+
+/**
+ * Check a password against a stored hash
+ *
+ * @param {string} password - Plain text password
+ * @param {string} storedHash - Hash from hashPassword()
+ * @returns {boolean} True if the password matches
+ */
+function verifyPassword(password, storedHash) {
+  const [scheme, salt, key] = String(storedHash || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !key || typeof password !== 'string') {
+    return false;
+  }
+
+  const expected = Buffer.from(key, 'hex');
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Hash a token for storage
+ * Tokens are long random values, so a plain SHA-256 digest is enough
+ *
+ * @param {string} token - Token value
+ * @returns {string} Hex digest
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Generate a new random token
+ *
+ * @returns {string} Token value
+ */
+function generateToken() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+/**
+ * Check a token against a stored hash in constant time
+ *
+ * @param {string} token - Token presented by the client
+ * @param {string} storedHash - Hash from hashToken()
+ * @returns {boolean} True if the token matches
+ */
+function verifyToken(token, storedHash) {
+  if (!token || !storedHash) return false;
+  const expected = Buffer.from(storedHash, 'hex');
+  const actual = Buffer.from(hashToken(token), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Create a new API token record
+ * The plain token is only returned here, the record stores its hash
+ *
+ * @param {string} name - Display name
+ * @param {Array<string>} scopes - Granted scopes
+ * @returns {{token: string, record: Object}} Plain token and the record to store
+ */
+function createApiToken(name, scopes) {
+  const token = generateToken();
+  return {
+    token,
+    record: {
+      id: crypto.randomBytes(6).toString('hex'),
+      name,
+      scopes: TOKEN_SCOPES.filter(scope => scopes.includes(scope)),
+      tokenHash: hashToken(token),
+      hint: token.slice(-4),
+      createdAt: Date.now(),
+      lastUsedAt: null,
+      useCount: 0
+    }
+  };
+}
+
+/**
+ * Find the stored API token matching a presented token
+ *
+ * @param {Object} settings - Settings object
+ * @param {string} token - Token presented by the client
+ * @returns {Object|null} Matching token record
+ */
+function findApiToken(settings, token) {
+  if (!token) return null;
+  return (settings?.auth?.tokens || []).find(record => verifyToken(token, record.tokenHash)) || null;
+}
+
+/**
+ * Check if a token record grants a scope
+ *
+ * @param {Object} record - Token record
+ * @param {string} scope - Required scope
+ * @returns {boolean} True if the token has the scope or the admin scope
+ */
+function hasScope(record, scope) {
+  return !!record && (record.scopes.includes(scope) || record.scopes.includes('admin'));
+}
+
+/**
+ * Count a use of an API token
+ *
+ * @param {string} tokenId - Token ID
+ */
+function recordTokenUse(tokenId) {
+  const usage = pendingTokenUsage.get(tokenId) || { count: 0, lastUsedAt: 0 };
+  usage.count++;
+  usage.lastUsedAt = Date.now();
+  pendingTokenUsage.set(tokenId, usage);
+}
+
+/**
+ * Get a token record with its unsaved usage included
+ *
+ * @param {Object} record - Token record from the settings
+ * @returns {Object} Token record with current usage counters
+ */
+function withPendingUsage(record) {
+  const usage = pendingTokenUsage.get(record.id);
+  if (!usage) return record;
+  return {
+    ...record,
+    useCount: (record.useCount || 0) + usage.count,
+    lastUsedAt: usage.lastUsedAt
+  };
+}
+
+/**
+ * Move the unsaved usage counters into the token records
+ * Clears the pending counters, the caller is expected to save the result
+ *
+ * @param {Array<Object>} tokens - Token records from the settings
+ * @returns {boolean} True if any record changed
+ */
+function applyPendingUsage(tokens) {
+  if (pendingTokenUsage.size === 0) return false;
+
+  tokens.forEach((record, index) => {
+    tokens[index] = withPendingUsage(record);
+  });
+  pendingTokenUsage.clear();
+  return true;
+}
+
+/**
+ * Check if an admin password has been set
+ *
+ * @param {Object} settings - Settings object
+ * @returns {boolean} True if the admin UI and write routes require a login
+ */
+function isAuthEnabled(settings) {
+  return !!settings?.auth?.passwordHash;
+}
+
+/**
+ * Start a new admin session
+ *
+ * @returns {{id: string, expiresAt: number}} Session ID and expiry time
+ */
+function createSession() {
+  pruneSessions();
+  const id = crypto.randomBytes(32).toString('hex');
+  const now = Date.now();
+  sessions.set(id, { createdAt: now, expiresAt: now + SESSION_TTL });
+  return { id, expiresAt: now + SESSION_TTL };
+}
+
+/**
+ * Check if a session ID belongs to an active session
+ *
+ * @param {string} sessionId - Session ID from the cookie
+ * @returns {boolean} True if the session is valid
+ */
+function isValidSession(sessionId) {
+  const session = sessionId && sessions.get(sessionId);
+  if (!session) return false;
+
+  if (session.expiresAt <= Date.now()) {
+    sessions.delete(sessionId);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * End a session
+ *
+ * @param {string} sessionId - Session ID from the cookie
+ */
+function destroySession(sessionId) {
+  if (sessionId) sessions.delete(sessionId);
+}
+
+/**
+ * End every session, used when the admin password changes
+ */
+function destroyAllSessions() {
+  sessions.clear();
+}
+
+/**
+ * Remove expired sessions
+ */
+function pruneSessions() {
+  const now = Date.now();
+  for (const [id, session] of sessions) {
+    if (session.expiresAt <= now) sessions.delete(id);
+  }
+}
+
+/**
+ * Check if a client has used up its failed login attempts
+ *
+ * @param {string} clientId - Client address
+ * @returns {number} Milliseconds until the client may try again, 0 if allowed
+ */
+function getLoginRetryDelay(clientId) {
+  const attempts = loginAttempts.get(clientId);
+  if (!attempts) return 0;
+
+  const elapsed = Date.now() - attempts.firstAttempt;
+  if (elapsed >= LOGIN_LOCKOUT_WINDOW) {
+    loginAttempts.delete(clientId);
+    return 0;
+  }
+  return attempts.count >= MAX_LOGIN_ATTEMPTS ? LOGIN_LOCKOUT_WINDOW - elapsed : 0;
+}
+
+/**
+ * Record the result of a login attempt
+ *
+ * @param {string} clientId - Client address
+ * @param {boolean} success - Whether the password was correct
+ */
+function recordLoginAttempt(clientId, success) {
+  if (success) {
+    loginAttempts.delete(clientId);
+    return;
+  }
+
+  const attempts = loginAttempts.get(clientId);
+  if (!attempts || Date.now() - attempts.firstAttempt >= LOGIN_LOCKOUT_WINDOW) {
+    loginAttempts.set(clientId, { count: 1, firstAttempt: Date.now() });
+  } else {
+    attempts.count++;
+  }
+}
+
+/**
+ * Read a cookie from a request
+ *
+ * @param {Object} req - Express request object
+ * @param {string} name - Cookie name
+ * @returns {string|null} Cookie value
+ */
+function getCookie(req, name) {
+  const header = req.headers.cookie || '';
+  for (const part of header.split(';')) {
+    const separatorIndex = part.indexOf('=');
+    if (separatorIndex === -1) continue;
+    if (part.slice(0, separatorIndex).trim() === name) {
+      return decodeURIComponent(part.slice(separatorIndex + 1).trim());
+    }
+  }
+  return null;
+}
+
+/**
+ * Check if a request carries a valid admin session
+ *
+ * @param {Object} req - Express request object
+ * @returns {boolean} True if the request is from a logged in admin
+ */
+function hasAdminSession(req) {
+  return isValidSession(getCookie(req, SESSION_COOKIE));
+}
+
+/**
+ * Get the token sent with a request
+ * Accepted as "Authorization: Bearer <token>", an X-API-Key header or a ?token= query parameter
+ *
+ * @param {Object} req - Express request object
+ * @returns {string|null} Token value
+ */
+function getRequestToken(req) {
+  const authorization = req.headers.authorization || '';
+  if (authorization.startsWith('Bearer ')) {
+    return authorization.slice(7).trim();
+  }
+  return req.headers['x-api-key'] || (typeof req.query.token === 'string' ? req.query.token : null);
+}
+
+module.exports = {
+  SESSION_COOKIE,
+  SESSION_TTL,
+  MIN_PASSWORD_LENGTH,
+  TOKEN_SCOPES,
+  hashPassword,
+  verifyPassword,
+  hashToken,
+  generateToken,
+  verifyToken,
+  createApiToken,
+  findApiToken,
+  hasScope,
+  recordTokenUse,
+  withPendingUsage,
+  applyPendingUsage,
+  isAuthEnabled,
+  createSession,
+  destroySession,
+  destroyAllSessions,
+  getLoginRetryDelay,
+  recordLoginAttempt,
+  getCookie,
+  hasAdminSession,
+  getRequestToken
+};
@@ -5,7 +5,9 @@
  */
 const fs = require('fs').promises;
 const path = require('path');
-const { logError, log, colors } = require('../../logger');
+const { createLogger, colors } = require('../../logger');
+
+const { log, logError } = createLogger('cache');
 
 /**
  * Enable music-specific debugging
@@ -15,25 +17,74 @@ const DEBUG_MUSIC = false; // Disabled by default to reduce console spam
 
 /**
  * Cache TTL settings by key type (in seconds)
- * These values will be updated at runtime from persistent settings
+ * Updated in place from the cache settings file, so modules holding a reference see changes
  * @type {Object.<string, number>}
  */
-let CACHE_TTL_SETTINGS = {
+const CACHE_TTL_SETTINGS = {
   users: 60,              // User data expires after 60 seconds
   libraries: 60,          // Library data expires after 60 seconds
   recent_media: 60,       // Recent media data expires after 60 seconds
   userHistory: 60,        // User history expires after 60 seconds
   userList: 60,           // User lists expire after 60 seconds
   recentMedia: 60,        // Media views expire after 60 seconds
+  user_history_index: 300, // Last watched index is refreshed incrementally in the background
+  library_details: 3600,  // File sizes and last added items change slowly
   default: 60             // Default TTL for other cache types
 };
 
 /**
- * Interval for background updates in milliseconds
- * Can be updated at runtime from persistent settings
- * @type {number}
+ * Default TTLs, restored for keys missing from the cache settings file
+ * @type {Object.<string, number>}
+ */
+const DEFAULT_TTL_SETTINGS = { ...CACHE_TTL_SETTINGS };
+
+/**
+ * Default background refresh schedule (in seconds)
+ * interval: time between runs, jitter: random delay added to each run so jobs do not fire together,
+ * offset: extra delay before the first run, webhook_interval: interval once Tautulli webhooks are received
+ * @type {Object.<string, {interval: number, jitter: number, offset: number, webhook_interval: number}>}
+ */
+const DEFAULT_SCHEDULE = {
+  active_users: { interval: 5, jitter: 0, offset: 0, webhook_interval: 15 },
+  users: { interval: 60, jitter: 5, offset: 0, webhook_interval: 300 },
+  recent_media: { interval: 60, jitter: 5, offset: 20, webhook_interval: 600 },
+  libraries: { interval: 60, jitter: 5, offset: 40, webhook_interval: 600 },
+  user_history_index: { interval: 60, jitter: 5, offset: 30, webhook_interval: 300 },
+  library_details: { interval: 3600, jitter: 60, offset: 50, webhook_interval: 21600 }
+};
+
+/**
+ * Current background refresh schedule, updated from the cache settings file
+ * @type {Object.<string, {interval: number, jitter: number, offset: number, webhook_interval: number}>}
+ */
+let SCHEDULE = cloneSchedule(DEFAULT_SCHEDULE);
+
+/**
+ * Default adaptive polling settings
+ * idle_backoff: factor the activity job intervals grow by with each poll that finds no sessions (1 disables backoff),
+ * idle_max_interval: longest interval reached by backing off (in seconds),
+ * suspend_after: seconds without client requests or open event streams before polling stops (0 never suspends),
+ * webhook_window: seconds after the last Tautulli webhook that jobs keep their webhook_interval
+ * @type {{idle_backoff: number, idle_max_interval: number, suspend_after: number, webhook_window: number}}
+ */
+const DEFAULT_ADAPTIVE = {
+  idle_backoff: 2,
+  idle_max_interval: 300,
+  suspend_after: 900,
+  webhook_window: 3600
+};
+
+/**
+ * Current adaptive polling settings, updated from the cache settings file
+ * @type {{idle_backoff: number, idle_max_interval: number, suspend_after: number, webhook_window: number}}
+ */
+let ADAPTIVE = { ...DEFAULT_ADAPTIVE };
+
+/**
+ * Allowed range of schedule values and TTLs (in seconds)
+ * @type {{min: number, max: number}}
  */
-let UPDATE_INTERVAL = 60000; // 60 seconds default
+const SETTING_LIMITS = { min: 1, max: 86400 };
 
 /**
  * Maximum requests allowed per minute to prevent excess API calls
@@ -48,6 +99,12 @@ let MAX_REQUESTS_PER_MINUTE = 20;
  */
 const RETRY_INTERVALS = [10000, 30000, 60000, 120000]; // Backoff times
 
+/**
+ * Text rendered by the ${offline} template variable while data is stale
+ * @type {string}
+ */
+const OFFLINE_LABEL = '(offline)';
+
 /**
  * Validation schemas for cache entries
  * Ensure data is in the expected format before caching
@@ -63,6 +120,8 @@ const VALIDATION_SCHEMAS = {
     return false;
   },
   users: (value) => value?.activity && value?.users,
+  user_history_index: (value) => value?.users && typeof value.users === 'object' && !Array.isArray(value.users),
+  library_details: (value) => value?.sections && typeof value.sections === 'object' && !Array.isArray(value.sections),
   recent_media: (value) => Array.isArray(value) && value.every(item => 
     item?.type && item?.sectionId && Array.isArray(item?.data)
   )
@@ -71,8 +130,196 @@ const VALIDATION_SCHEMAS = {
 // Settings file path
 const CACHE_SETTINGS_PATH = path.join(__dirname, '..', '..', 'config', 'cache-settings.json');
 
+/**
+ * Snapshot file used to warm-start the cache after a restart
+ * Lives in the config volume so it survives container recreation
+ * @type {string}
+ */
+const CACHE_SNAPSHOT_PATH = path.join(__dirname, '..', '..', 'config', 'cache-snapshot.json');
+
+/**
+ * Cache keys that are written to the snapshot file
+ * @type {Array<string>}
+ */
+const PERSISTED_KEYS = ['users', 'libraries', 'recent_media', 'user_history_index', 'library_details'];
+
+/**
+ * Minimum delay between snapshot writes in milliseconds
+ * Active user updates call set() every few seconds, so writes are throttled
+ * @type {number}
+ */
+const SNAPSHOT_SAVE_DELAY = 30000;
+
+/**
+ * Directory holding cached artwork
+ * Lives in the config volume so posters survive container recreation
+ * @type {string}
+ */
+const IMAGE_CACHE_DIR = path.join(__dirname, '..', '..', 'config', 'image-cache');
+
+/**
+ * Maximum size of the artwork cache in bytes, least recently used images are removed first
+ * @type {number}
+ */
+const IMAGE_CACHE_MAX_BYTES = (parseInt(process.env.IMAGE_CACHE_MAX_MB) || 200) * 1024 * 1024;
+
+/**
+ * Age in milliseconds after which cached artwork is fetched again
+ * @type {number}
+ */
+const IMAGE_CACHE_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+/**
+ * Maximum number of items kept in the media metadata cache, least recently used items are removed first
+ * @type {number}
+ */
+const METADATA_CACHE_MAX_ENTRIES = parseInt(process.env.METADATA_CACHE_MAX_ENTRIES) || 2000;
+
+/**
+ * Age in milliseconds after which the metadata of an item is fetched again
+ * @type {number}
+ */
+const METADATA_CACHE_TTL = 24 * 60 * 60 * 1000; // 1 day
+
+/**
+ * Number of history rows requested per get_history page when building the last watched index
+ * @type {number}
+ */
+const HISTORY_INDEX_PAGE_SIZE = 100;
+
+/**
+ * Maximum number of get_history pages fetched per index refresh
+ * Users whose last play is older than this window keep their Tautulli last_played value
+ * @type {number}
+ */
+const HISTORY_INDEX_MAX_PAGES = 10;
+
+/**
+ * Number of recently added items fetched per section unless the section's media format sets a depth
+ * @type {number}
+ */
+const DEFAULT_RECENT_MEDIA_DEPTH = 15;
+
+/**
+ * Largest recently added depth a section can be configured with
+ * @type {number}
+ */
+const MAX_RECENT_MEDIA_DEPTH = 100;
+
+/**
+ * Copy a schedule so callers cannot change the current one
+ * 
+ * @param {Object} schedule - Schedule to copy
+ * @returns {Object} Copy of the schedule
+ */
+function cloneSchedule(schedule) {
+  return Object.fromEntries(Object.entries(schedule).map(([job, timing]) => [job, { ...timing }]));
+}
+
+/**
+ * Check a number of seconds against SETTING_LIMITS
+ * 
+ * @param {*} value - Value to check
+ * @param {number} [min=SETTING_LIMITS.min] - Smallest allowed value
+ * @returns {boolean} True if the value is a whole number within the limits
+ */
+function isValidSeconds(value, min = SETTING_LIMITS.min) {
+  return Number.isInteger(value) && value >= min && value <= SETTING_LIMITS.max;
+}
+
+/**
+ * Merge cache setting changes into the current values
+ * Files written before the schedule existed kept TTLs at the top level, those are read as TTLs
+ * 
+ * @param {Object} updates - Partial settings: schedule, adaptive, ttl and max_requests
+ * @returns {{settings: Object, errors: Array<string>}} Merged settings and the rejected values
+ */
+function mergeCacheSettings(updates) {
+  const settings = getCacheSettings();
+  const errors = [];
+  
+  const legacyTTL = Object.fromEntries(Object.entries(updates || {})
+    .filter(([key]) => Object.hasOwn(DEFAULT_TTL_SETTINGS, key)));
+  
+  Object.entries({ ...legacyTTL, ...updates?.ttl }).forEach(([key, value]) => {
+    if (!Object.hasOwn(DEFAULT_TTL_SETTINGS, key)) {
+      errors.push(`Unknown TTL key: ${key}`);
+    } else if (!isValidSeconds(value)) {
+      errors.push(`TTL for ${key} must be ${SETTING_LIMITS.min} to ${SETTING_LIMITS.max} seconds`);
+    } else {
+      settings.ttl[key] = value;
+    }
+  });
+  
+  Object.entries(updates?.schedule || {}).forEach(([job, timing]) => {
+    if (!Object.hasOwn(settings.schedule, job)) {
+      errors.push(`Unknown job: ${job}`);
+      return;
+    }
+    
+    Object.entries(timing || {}).forEach(([field, value]) => {
+      if (!Object.hasOwn(DEFAULT_SCHEDULE[job], field)) {
+        errors.push(`Unknown field for ${job}: ${field}`);
+      } else if (!isValidSeconds(value, field === 'jitter' || field === 'offset' ? 0 : SETTING_LIMITS.min)) {
+        errors.push(`${field} for ${job} must be a whole number of seconds up to ${SETTING_LIMITS.max}`);
+      } else {
+        settings.schedule[job][field] = value;
+      }
+    });
+  });
+  
+  Object.entries(updates?.adaptive || {}).forEach(([field, value]) => {
+    if (!Object.hasOwn(DEFAULT_ADAPTIVE, field)) {
+      errors.push(`Unknown adaptive polling field: ${field}`);
+    } else if (field === 'idle_backoff' && !(Number.isInteger(value) && value >= 1 && value <= 10)) {
+      errors.push('idle_backoff must be 1 to 10');
+    } else if (field !== 'idle_backoff' && !isValidSeconds(value, field === 'suspend_after' ? 0 : SETTING_LIMITS.min)) {
+      errors.push(`${field} must be a whole number of seconds up to ${SETTING_LIMITS.max}`);
+    } else {
+      settings.adaptive[field] = value;
+    }
+  });
+  
+  if (updates?.max_requests !== undefined) {
+    if (Number.isInteger(updates.max_requests) && updates.max_requests >= 1 && updates.max_requests <= 1000) {
+      settings.max_requests = updates.max_requests;
+    } else {
+      errors.push('max_requests must be 1 to 1000');
+    }
+  }
+  
+  return { settings, errors };
+}
+
+/**
+ * Make merged cache settings the current ones
+ * 
+ * @param {Object} settings - Settings from mergeCacheSettings()
+ */
+function applyCacheSettings(settings) {
+  Object.assign(CACHE_TTL_SETTINGS, settings.ttl);
+  SCHEDULE = cloneSchedule(settings.schedule);
+  ADAPTIVE = { ...settings.adaptive };
+  MAX_REQUESTS_PER_MINUTE = settings.max_requests;
+}
+
+/**
+ * Get the current cache settings
+ * 
+ * @returns {{schedule: Object, adaptive: Object, ttl: Object.<string, number>, max_requests: number}} Copy of the current settings
+ */
+function getCacheSettings() {
+  return {
+    schedule: cloneSchedule(SCHEDULE),
+    adaptive: { ...ADAPTIVE },
+    ttl: { ...CACHE_TTL_SETTINGS },
+    max_requests: MAX_REQUESTS_PER_MINUTE
+  };
+}
+
 /**
  * Load cache settings from config file
+ * Invalid values are logged and keep their defaults
  * 
  * @async
  * @returns {Promise<boolean>} True if settings were loaded successfully
@@ -80,25 +327,14 @@ const CACHE_SETTINGS_PATH = path.join(__dirname, '..', '..', 'config', 'cache-se
 async function loadCacheSettings() {
   try {
     const data = await fs.readFile(CACHE_SETTINGS_PATH, 'utf8');
-    const settings = JSON.parse(data);
-    
-    // Force 60 seconds for all TTL settings regardless of what's in the file
-    CACHE_TTL_SETTINGS.users = 60;
-    CACHE_TTL_SETTINGS.libraries = 60;
-    CACHE_TTL_SETTINGS.recent_media = 60;
-    CACHE_TTL_SETTINGS.default = 60;
-    CACHE_TTL_SETTINGS.userHistory = 60;
-    CACHE_TTL_SETTINGS.userList = 60;
-    CACHE_TTL_SETTINGS.recentMedia = 60;
+    const { settings, errors } = mergeCacheSettings(JSON.parse(data));
     
-    // Keep the max requests setting but force refresh interval to 60 seconds
-    MAX_REQUESTS_PER_MINUTE = settings.max_requests || 20;
-    UPDATE_INTERVAL = 60000;
-    
-    // Update environment variable for consistency
-    process.env.TAUTULLI_REFRESH_INTERVAL = "60000";
+    if (errors.length > 0) {
+      log(`${colors.yellow}⚠${colors.reset} Ignoring invalid cache settings: ${errors.join('; ')}`);
+    }
     
-    log(`${colors.brightGreen}✓${colors.reset} Loaded cache settings with 60-second refresh enforced`);
+    applyCacheSettings(settings);
+    log(`${colors.brightGreen}✓${colors.reset} Loaded cache settings`);
     return true;
   } catch (error) {
     if (error.code !== 'ENOENT') {
@@ -108,6 +344,34 @@ async function loadCacheSettings() {
   }
 }
 
+/**
+ * Validate, save and apply cache setting changes
+ * Uses a temporary file and rename for an atomic write
+ * 
+ * @async
+ * @param {Object} updates - Partial settings: schedule, adaptive, ttl and max_requests
+ * @returns {Promise<Object>} The new cache settings
+ * @throws {Error} If any value is invalid, with the problems in error.details
+ */
+async function saveCacheSettings(updates) {
+  const { settings, errors } = mergeCacheSettings(updates);
+  
+  if (errors.length > 0) {
+    const error = new Error('Invalid cache settings');
+    error.details = errors;
+    throw error;
+  }
+  
+  const tempFile = `${CACHE_SETTINGS_PATH}.tmp`;
+  await fs.mkdir(path.dirname(CACHE_SETTINGS_PATH), { recursive: true });
+  await fs.writeFile(tempFile, JSON.stringify(settings, null, 2), 'utf8');
+  await fs.rename(tempFile, CACHE_SETTINGS_PATH);
+  
+  applyCacheSettings(settings);
+  log(`${colors.brightGreen}✓${colors.reset} Cache settings saved`);
+  return getCacheSettings();
+}
+
 // Try loading settings at module initialization
 loadCacheSettings().catch(() => {
   log(`${colors.yellow}⚠${colors.reset} Using default cache settings`);
@@ -160,12 +424,30 @@ function shouldSuppressLogging(key, verboseLogging) {
 
 module.exports = {
   DEBUG_MUSIC,
-  get UPDATE_INTERVAL() { return UPDATE_INTERVAL; },
   get CACHE_TTL_SETTINGS() { return CACHE_TTL_SETTINGS; },
   get MAX_REQUESTS_PER_MINUTE() { return MAX_REQUESTS_PER_MINUTE; },
+  get SCHEDULE() { return SCHEDULE; },
+  get ADAPTIVE() { return ADAPTIVE; },
+  DEFAULT_SCHEDULE,
+  DEFAULT_ADAPTIVE,
   RETRY_INTERVALS,
   VALIDATION_SCHEMAS,
+  CACHE_SNAPSHOT_PATH,
+  PERSISTED_KEYS,
+  SNAPSHOT_SAVE_DELAY,
+  IMAGE_CACHE_DIR,
+  IMAGE_CACHE_MAX_BYTES,
+  IMAGE_CACHE_TTL,
+  METADATA_CACHE_MAX_ENTRIES,
+  METADATA_CACHE_TTL,
+  OFFLINE_LABEL,
+  HISTORY_INDEX_PAGE_SIZE,
+  HISTORY_INDEX_MAX_PAGES,
+  DEFAULT_RECENT_MEDIA_DEPTH,
+  MAX_RECENT_MEDIA_DEPTH,
   getTTLForKey,
   shouldSuppressLogging,
+  getCacheSettings,
+  saveCacheSettings,
   loadCacheSettings // Export so it can be called when settings are updated
 };
\ No newline at end of file
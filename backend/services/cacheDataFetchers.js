@@ -2,100 +2,200 @@
  * Data fetching functions for the cache service
  * @module services/cacheDataFetchers
  */
-const { logError, log, colors } = require('../../logger');
-const { DEBUG_MUSIC } = require('./cacheConfig');
+const { createLogger, colors } = require('../../logger');
+const {
+  DEBUG_MUSIC,
+  HISTORY_INDEX_PAGE_SIZE,
+  HISTORY_INDEX_MAX_PAGES,
+  DEFAULT_RECENT_MEDIA_DEPTH,
+  MAX_RECENT_MEDIA_DEPTH
+} = require('./cacheConfig');
+const { createSectionKey, createUserKey } = require('./servers');
+const { analyzeTemplate } = require('./templateEngine');
+const { getCachedMetadata, storeCachedMetadata } = require('./metadataCache');
+
+const { logError, warn, debug, trace } = createLogger('cache');
+
+/**
+ * Template variables filled from Tautulli's get_metadata
+ * Recently added items are only enriched for sections whose saved templates use one of them
+ * @type {Array<string>}
+ */
+const METADATA_VARIABLES = [
+  'summary', 'tagline', 'directors', 'actors', 'writers', 'audience_rating', 'originally_available_at',
+  'audio_codec', 'audio_channels', 'video_codec', 'bitrate', 'file_size', 'container', 'hdr'
+];
 
 /**
- * Fetch library data from Tautulli
+ * Run a fetch against every configured Tautulli server in parallel
+ * A server that fails is reported in its result instead of failing the other servers
+ * 
+ * @async
+ * @param {string} context - Description used when logging failures
+ * @param {Function} fetchServer - Called with each server, resolves to that server's data
+ * @returns {Promise<Array<{server: Object, data: *, error: Error|undefined}>>} Results in server order
+ * @throws {Error} If no server is configured or every server failed
+ */
+async function fetchFromServers(context, fetchServer) {
+  // Break circular dependency by requiring tautulliService at runtime
+  const { tautulliService } = require('./tautulli');
+  const servers = tautulliService.getServers();
+  
+  if (servers.length === 0) {
+    throw new Error('Tautulli configuration missing');
+  }
+  
+  const settled = await Promise.allSettled(servers.map(server => fetchServer(server)));
+  const results = settled.map((outcome, index) => ({
+    server: servers[index],
+    data: outcome.value,
+    error: outcome.reason
+  }));
+  
+  const failed = results.filter(result => result.error);
+  if (failed.length === results.length) {
+    throw failed[0].error;
+  }
+  
+  failed.forEach(({ server, error }) => {
+    logError(`${context} - ${server.name}`, { message: error.message || 'Unknown error' });
+  });
+  
+  return results;
+}
+
+/**
+ * Fetch library data from every Tautulli server
+ * Libraries of a server that cannot be reached are kept from the previous fetch
  * 
  * @async
  * @param {boolean} verboseLogging - Whether verbose logging is enabled
- * @returns {Promise<Array>} Array of library objects
+ * @returns {Promise<Array>} Array of library objects tagged with their server
+ * @throws {Error} If every server is unreachable or returns an invalid payload
  */
 async function fetchLibraryData(verboseLogging) {
   try {
-    // Break circular dependency by requiring tautulliService at runtime
+    // Break circular dependency by requiring modules at runtime
     const { tautulliService } = require('./tautulli');
+    const { cache } = require('./cacheService');
     
-    if (verboseLogging) {
-      log(`${colors.brightBlue}ℹ${colors.reset} Fetching library data from Tautulli`);
-    }
+    debug(`${colors.brightBlue}ℹ${colors.reset} Fetching library data from Tautulli`);
     
-    const data = await tautulliService.makeRequest('get_libraries_table', {}, {
-      deduplicate: true,
-      maxRetries: 2,
-      timeout: 10000,
-      useConditionalGet: true
+    const results = await fetchFromServers('Library Data Fetch', async server => {
+      const data = await tautulliService.makeRequest('get_libraries_table', {}, {
+        deduplicate: true,
+        maxRetries: 2,
+        timeout: 10000,
+        useConditionalGet: true,
+        server: server.id
+      });
+      
+      if (!data?.response?.data?.data) {
+        throw new Error('Invalid library data format received');
+      }
+      
+      return data.response.data.data
+        .map(library => ({
+          server: server.id,
+          server_name: server.name,
+          section_key: createSectionKey(server.id, library.section_id),
+          section_name: library.section_name,
+          section_type: library.section_type,
+          count: library.count,
+          section_id: library.section_id,
+          plays: library.plays,
+          duration: library.duration,
+          last_played: library.last_played,
+          ...(library.section_type === 'show' ? {
+            parent_count: library.parent_count,
+            child_count: library.child_count
+          } : {}),
+          ...(library.section_type === 'artist' || library.section_type === 'music' ? {
+            parent_count: library.parent_count,
+            child_count: library.child_count
+          } : {})
+        }))
+        .sort((a, b) => a.section_id - b.section_id);
     });
     
-    if (!data?.response?.data?.data) {
-      log(`${colors.yellow}⚠${colors.reset} Invalid library data format received`);
-      return [];
-    }
+    const previousLibraries = cache.get('libraries', false)?.response?.data || [];
+    const libraries = results.flatMap(({ server, data, error }) => error ?
+      previousLibraries.filter(library => library.server === server.id) :
+      data);
 
-    if (verboseLogging) {
-      log(`${colors.brightGreen}✓${colors.reset} Fetched library data: ${data.response.data.data.length} libraries`);
-    }
+    debug(`${colors.brightGreen}✓${colors.reset} Fetched library data: ${libraries.length} libraries from ${results.length} server(s)`);
 
-    return data.response.data.data
-      .map(library => ({
-        section_name: library.section_name,
-        section_type: library.section_type,
-        count: library.count,
-        section_id: library.section_id,
-        ...(library.section_type === 'show' ? {
-          parent_count: library.parent_count,
-          child_count: library.child_count
-        } : {}),
-        ...(library.section_type === 'artist' || library.section_type === 'music' ? {
-          parent_count: library.parent_count,
-          child_count: library.child_count
-        } : {})
-      }))
-      .sort((a, b) => a.section_id - b.section_id);
+    return libraries;
   } catch (error) {
     const errorMessage = error.message || 'Unknown error';
     logError('Library Data Fetch', { message: errorMessage });
-    return [];
+    // Rethrow so the cache keeps serving the last good payload
+    throw error;
   }
 }
 
 /**
- * Fetch user data from Tautulli API
+ * Fetch the active sessions of every Tautulli server
+ * Sessions of a server that cannot be reached are kept from the cached user data
+ * 
+ * @async
+ * @param {Object} [cachedData] - Cached user data to fall back on
+ * @returns {Promise<Array>} Active sessions tagged with their server
+ * @throws {Error} If every server is unreachable
+ */
+async function fetchActiveSessions(cachedData) {
+  const { tautulliService } = require('./tautulli');
+  
+  const results = await fetchFromServers('Active Sessions Fetch', async server => {
+    const sessions = await tautulliService.getActiveSessions({ server: server.id });
+    return sessions.map(session => ({ ...session, server: server.id, server_name: server.name }));
+  });
+  
+  const previousSessions = cachedData?.activity?.sessions || [];
+  return results.flatMap(({ server, data, error }) => error ?
+    previousSessions.filter(session => session.server === server.id) :
+    data);
+}
+
+/**
+ * Fetch user data from every Tautulli server
+ * Users and sessions are merged into one payload, each row tagged with its server
  * 
  * @async
  * @param {boolean} verboseLogging - Whether verbose logging is enabled
+ * @param {Object} [options={}] - Fetch options
+ * @param {boolean} [options.force] - Always fetch, never reuse recently verified data
  * @returns {Promise<Object>} Object containing activity and users data
+ * @throws {Error} If every server fails
  */
-async function fetchUserData(verboseLogging) {
+async function fetchUserData(verboseLogging, { force = false } = {}) {
   try {
     // Break circular dependency by requiring tautulliService at runtime
     const { tautulliService } = require('./tautulli');
     const { cache } = require('./cacheService');
     
-    if (verboseLogging) {
-      log(`${colors.brightBlue}ℹ${colors.reset} Fetching user data from Tautulli`);
-    }
+    debug(`${colors.brightBlue}ℹ${colors.reset} Fetching user data from Tautulli`);
     
     // Check if we can use cached data with a quick check for changes
     const cacheKey = 'users';
     const cachedData = cache.get(cacheKey);
     const metadata = cache.getMetadata(cacheKey);
     
-    if (cachedData && metadata && metadata.lastCheck) {
+    // Cached data fetched for a different server list is never reused, nor on a forced refresh
+    const serverIds = tautulliService.getServers().map(server => server.id).join(',');
+    
+    if (!force && cachedData && metadata && metadata.lastCheck && metadata.servers === serverIds) {
       // If we checked less than 15 seconds ago, return cached data
       const timeSinceLastCheck = Date.now() - metadata.lastCheck;
       if (timeSinceLastCheck < 15000) {
-        if (verboseLogging) {
-          log(`${colors.brightBlue}ℹ${colors.reset} Using recently verified user data (${Math.round(timeSinceLastCheck/1000)}s ago)`);
-        }
+        debug(`${colors.brightBlue}ℹ${colors.reset} Using recently verified user data (${Math.round(timeSinceLastCheck/1000)}s ago)`);
         return cachedData;
       }
       
       // For active users, we can check if any of them have changed status
       // This is much more efficient than a full refresh
       try {
-        const activeSessions = await tautulliService.getActiveSessions();
+        const activeSessions = await fetchActiveSessions(cachedData);
         const lastActiveSessions = metadata.activeSessions || [];
         
         // Compare current sessions to last known sessions
@@ -105,9 +205,7 @@ async function fetchUserData(verboseLogging) {
         
         if (!sessionsChanged) {
           // If sessions haven't changed, we can reuse the cached data
-          if (verboseLogging) {
-            log(`${colors.brightBlue}ℹ${colors.reset} No change in active sessions, reusing cached user data`);
-          }
+          debug(`${colors.brightBlue}ℹ${colors.reset} No change in active sessions, reusing cached user data`);
           
           // Update the last check time
           cache.updateMetadata(cacheKey, {
@@ -118,14 +216,10 @@ async function fetchUserData(verboseLogging) {
           return cachedData;
         }
         
-        if (verboseLogging) {
-          log(`${colors.brightBlue}ℹ${colors.reset} Active sessions changed, updating user data`);
-        }
+        debug(`${colors.brightBlue}ℹ${colors.reset} Active sessions changed, updating user data`);
       } catch (error) {
         // If checking active sessions fails, fallback to full refresh
-        if (verboseLogging) {
-          log(`${colors.yellow}⚠${colors.reset} Failed to check active sessions: ${error.message}`);
-        }
+        debug(`${colors.yellow}⚠${colors.reset} Failed to check active sessions: ${error.message}`);
       }
     }
     
@@ -135,31 +229,287 @@ async function fetchUserData(verboseLogging) {
       { command: 'get_users_table', params: { length: 1000 } }
     ];
     
-    const [activityResponse, usersResponse] = await tautulliService.batchRequests(requests, {
-      maxConcurrent: 2,
-      timeout: 10000
+    const results = await fetchFromServers('User Data Fetch', async server => {
+      const [activityResponse, usersResponse] = await tautulliService.batchRequests(requests, {
+        maxConcurrent: 2,
+        timeout: 10000,
+        server: server.id
+      });
+
+      // batchRequests reports failures inline, never cache a partial or empty payload
+      const failedResponse = [activityResponse, usersResponse].find(response => response?.error);
+      if (failedResponse) {
+        throw new Error(failedResponse.error);
+      }
+
+      const tag = row => ({ ...row, server: server.id, server_name: server.name });
+      return {
+        sessions: (activityResponse?.response?.data?.sessions || []).map(tag),
+        users: (usersResponse?.response?.data?.data || []).map(tag)
+      };
     });
 
+    // Servers that failed keep their previous rows
+    const serverData = results.map(({ server, data, error }) => error ? {
+      sessions: (cachedData?.activity?.sessions || []).filter(session => session.server === server.id),
+      users: (cachedData?.users?.data || []).filter(user => user.server === server.id)
+    } : data);
+
     const userData = {
-      activity: activityResponse?.response?.data || { sessions: [] },
-      users: usersResponse?.response?.data || { data: [] }
+      activity: { sessions: serverData.flatMap(data => data.sessions) },
+      users: { data: serverData.flatMap(data => data.users) }
     };
 
-    if (verboseLogging) {
-      log(`${colors.brightGreen}✓${colors.reset} Fetched user data: ${userData.activity.sessions?.length || 0} active sessions, ${userData.users.data?.length || 0} users`);
-    }
+    debug(`${colors.brightGreen}✓${colors.reset} Fetched user data: ${userData.activity.sessions?.length || 0} active sessions, ${userData.users.data?.length || 0} users`);
 
     // Store active sessions in metadata for later comparison
     cache.updateMetadata(cacheKey, {
       lastCheck: Date.now(),
-      activeSessions: userData.activity.sessions || []
+      activeSessions: userData.activity.sessions || [],
+      servers: serverIds
     });
 
     return userData;
   } catch (error) {
     const errorMessage = error.message || 'Unknown error';
     logError('User Data Fetch', { message: errorMessage });
-    return { activity: { sessions: [] }, users: { data: [] } };
+    // Rethrow so the cache keeps serving the last good payload
+    throw error;
+  }
+}
+
+/**
+ * Add the last watched item per user of one server to the index from paged get_history calls
+ * Refreshes are incremental: paging stops at the newest entry already in the index.
+ * The first build stops once every user with plays has an entry or the page limit is hit.
+ * Rows are paged by their stop time, since Tautulli only writes a history row when the session stops;
+ * the start date of a long session can be older than rows already indexed.
+ * 
+ * @async
+ * @private
+ * @param {Object} server - Server to read history from
+ * @param {Object} users - Index entries keyed by user key, updated in place
+ * @param {number} previousNewest - Newest history stop time already indexed for the server
+ * @param {Array<string>} usersWithPlays - User keys of the server's users with plays
+ * @returns {Promise<{newest: number, updated: number, pages: number}>} Newest stop time and refresh counters
+ * @throws {Error} If a history page cannot be fetched
+ */
+async function indexServerHistory(server, users, previousNewest, usersWithPlays) {
+  const { tautulliService } = require('./tautulli');
+  
+  let newest = previousNewest;
+  const seen = new Set();
+  let pages = 0;
+  let reachedIndexed = false;
+  
+  while (pages < HISTORY_INDEX_MAX_PAGES && !reachedIndexed) {
+    const response = await tautulliService.makeRequest('get_history', {
+      start: pages * HISTORY_INDEX_PAGE_SIZE,
+      length: HISTORY_INDEX_PAGE_SIZE,
+      order_column: 'stopped',
+      order_dir: 'desc'
+    }, {
+      deduplicate: true,
+      useConditionalGet: false,
+      server: server.id
+    });
+    pages++;
+    
+    if (response?.response?.result !== 'success') {
+      throw new Error(response?.response?.message || 'Invalid history response');
+    }
+    
+    const rows = response.response.data?.data || [];
+    
+    for (const row of rows) {
+      const stopped = parseInt(row.stopped || 0, 10);
+      
+      // Sessions that are still playing have no stop time yet
+      if (!stopped) continue;
+      
+      // Everything from here on is already in the index, rows stopped in the same second are read again
+      if (previousNewest && stopped < previousNewest) {
+        reachedIndexed = true;
+        break;
+      }
+      
+      newest = Math.max(newest, stopped);
+      
+      // Rows are newest first, so the first row per user is their last watched item
+      const userKey = createUserKey(server.id, row.user_id);
+      if (seen.has(userKey)) continue;
+      seen.add(userKey);
+      
+      // Entries indexed before stop times were kept only have their start date
+      const previous = users[userKey];
+      if (previous && stopped < (previous.stopped || previous.date || 0)) continue;
+      
+      users[userKey] = {
+        title: row.title || '',
+        grandparent_title: row.grandparent_title || '',
+        parent_media_index: row.parent_media_index,
+        media_index: row.media_index,
+        media_type: row.media_type || '',
+        rating_key: row.rating_key,
+        date: parseInt(row.date || row.started || 0, 10),
+        stopped
+      };
+    }
+    
+    const allIndexed = usersWithPlays.length > 0 && usersWithPlays.every(userKey => users[userKey]);
+    if (rows.length < HISTORY_INDEX_PAGE_SIZE || (!previousNewest && allIndexed)) {
+      break;
+    }
+  }
+  
+  return { newest, updated: seen.size, pages };
+}
+
+/**
+ * Build the last watched item per user across every Tautulli server
+ * A server that cannot be reached keeps its previous entries
+ * 
+ * @async
+ * @param {boolean} verboseLogging - Whether verbose logging is enabled
+ * @returns {Promise<Object>} Index with entries keyed by user key and the newest history stop time per server
+ * @throws {Error} If every server fails
+ */
+async function fetchUserHistoryIndex(verboseLogging) {
+  try {
+    // Break circular dependency by requiring modules at runtime
+    const { cache } = require('./cacheService');
+    
+    // Indexes from before servers were namespaced are keyed by bare user ID and are rebuilt
+    const cachedIndex = cache.get('user_history_index', false);
+    const previous = cachedIndex?.newest && typeof cachedIndex.newest === 'object' ? cachedIndex : null;
+    const users = { ...(previous?.users || {}) };
+    const newest = { ...(previous?.newest || {}) };
+    
+    // Users Tautulli reports plays for; once all are indexed the first build can stop early
+    const userRows = cache.get('users', false)?.users?.data || [];
+    
+    const results = await fetchFromServers('User History Index Fetch', server => {
+      const usersWithPlays = userRows
+        .filter(user => user.server === server.id && parseInt(user.plays || '0', 10) > 0)
+        .map(user => createUserKey(server.id, user.user_id));
+      return indexServerHistory(server, users, newest[server.id] || 0, usersWithPlays);
+    });
+    
+    results.forEach(({ server, data }) => {
+      if (data) newest[server.id] = data.newest;
+    });
+    
+    if (verboseLogging) {
+      const updated = results.reduce((sum, { data }) => sum + (data?.updated || 0), 0);
+      const pages = results.reduce((sum, { data }) => sum + (data?.pages || 0), 0);
+      debug(`${colors.brightBlue}ℹ${colors.reset} History index: ${updated} users updated from ${pages} page(s), ${Object.keys(users).length} indexed`);
+    }
+    
+    return { users, newest };
+  } catch (error) {
+    logError('User History Index Fetch', { message: error.message || 'Unknown error' });
+    // Rethrow so the cache keeps serving the previous index
+    throw error;
+  }
+}
+
+/**
+ * Fetch the size and newest item of one library section
+ * 
+ * @async
+ * @param {Object} server - Tautulli server
+ * @param {number|string} sectionId - Tautulli section ID
+ * @returns {Promise<Object>} Total file size in bytes and the last added item, null for empty sections
+ * @throws {Error} If Tautulli returns an invalid payload
+ */
+async function fetchSectionDetails(server, sectionId) {
+  const { tautulliService } = require('./tautulli');
+  
+  // Sorted by added date, so the only row returned is the newest item
+  const data = await tautulliService.makeRequest('get_library_media_info', {
+    section_id: sectionId,
+    order_column: 'added_at',
+    order_dir: 'desc',
+    start: 0,
+    length: 1
+  }, {
+    deduplicate: true,
+    maxRetries: 2,
+    timeout: 30000,
+    server: server.id
+  });
+  
+  if (!data?.response?.data) {
+    throw new Error(`Invalid library media info received for section ${sectionId}`);
+  }
+  
+  const newest = data.response.data.data?.[0];
+  return {
+    total_file_size: parseInt(data.response.data.total_file_size) || 0,
+    last_added: newest ? {
+      rating_key: newest.rating_key,
+      title: newest.title,
+      year: newest.year || '',
+      media_type: newest.media_type,
+      added_at: parseInt(newest.added_at) || 0
+    } : null
+  };
+}
+
+/**
+ * Fetch the size and last added item of every cached library section
+ * Sections are requested one at a time per server, as Tautulli builds the media info table on demand.
+ * A server that cannot be reached keeps its previous entries
+ * 
+ * @async
+ * @param {boolean} verboseLogging - Whether verbose logging is enabled
+ * @returns {Promise<Object>} Details keyed by section key
+ * @throws {Error} If the library list is not cached yet or every server fails
+ */
+async function fetchLibraryDetails(verboseLogging) {
+  try {
+    // Break circular dependency by requiring modules at runtime
+    const { cache } = require('./cacheService');
+    
+    const libraries = cache.get('libraries', false)?.response?.data;
+    if (!libraries) {
+      throw new Error('Library data unavailable');
+    }
+    
+    const previous = cache.get('library_details', false)?.sections || {};
+    const sections = {};
+    
+    const results = await fetchFromServers('Library Details Fetch', async server => {
+      const serverSections = {};
+      for (const library of libraries.filter(lib => lib.server === server.id)) {
+        // Tagged with the server so a server that fails later can keep its entries
+        serverSections[library.section_key] = {
+          server: server.id,
+          ...await fetchSectionDetails(server, library.section_id)
+        };
+      }
+      return serverSections;
+    });
+    
+    results.forEach(({ server, data, error }) => {
+      if (!error) {
+        Object.assign(sections, data);
+        return;
+      }
+      Object.entries(previous)
+        .filter(([, details]) => details.server === server.id)
+        .forEach(([sectionKey, details]) => { sections[sectionKey] = details; });
+    });
+    
+    if (verboseLogging) {
+      debug(`${colors.brightGreen}✓${colors.reset} Fetched library details for ${Object.keys(sections).length} sections`);
+    }
+    
+    return { sections };
+  } catch (error) {
+    logError('Library Details Fetch', { message: error.message || 'Unknown error' });
+    // Rethrow so the cache keeps serving the previous details
+    throw error;
   }
 }
 
@@ -174,19 +524,19 @@ async function fetchUserData(verboseLogging) {
 function compareSessionsEqual(sessionsA, sessionsB) {
   if (sessionsA.length !== sessionsB.length) return false;
   
-  // Create maps of session by user
+  // Create maps of session by user on each server
   const mapA = new Map();
   const mapB = new Map();
   
   sessionsA.forEach(session => {
-    mapA.set(session.user_id, {
+    mapA.set(createUserKey(session.server, session.user_id), {
       state: session.state,
       progress_percent: session.progress_percent
     });
   });
   
   sessionsB.forEach(session => {
-    mapB.set(session.user_id, {
+    mapB.set(createUserKey(session.server, session.user_id), {
       state: session.state,
       progress_percent: session.progress_percent
     });
@@ -217,32 +567,33 @@ function compareSessionsEqual(sessionsA, sessionsB) {
  * @returns {Promise<boolean>} True if update was successful
  */
 async function updateActiveUserData(verboseLogging) {
+  const { cache } = require('./cacheService');
+  
   try {
-    const { tautulliService } = require('./tautulli');
-    const { cache } = require('./cacheService');
-    
     // Get the cached user data
     const cacheKey = 'users';
     const userData = cache.get(cacheKey);
     if (!userData) return false;
     
     // Get just the active sessions
-    const activeSessions = await tautulliService.getActiveSessions();
+    const activeSessions = await fetchActiveSessions(userData);
     
     // Track progress data to ensure it's being captured
     if (verboseLogging) {
       const progressData = activeSessions.map(s => 
-        `${s.user_id}: ${s.progress_percent}% (${s.view_offset}/${s.duration})`
+        `${s.server}:${s.user_id}: ${s.progress_percent}% (${s.view_offset}/${s.duration})`
       ).join(', ');
       
-      log(`${colors.brightBlue}ℹ${colors.reset} Active sessions progress data: ${progressData}`);
+      debug(`${colors.brightBlue}ℹ${colors.reset} Active sessions progress data: ${progressData}`);
     }
     
-    // Update the cached user data with new sessions
-    userData.activity.sessions = activeSessions;
-    
-    // Update the cache
-    cache.set(cacheKey, userData);
+    // Only changed sessions are stored, so listeners are not notified for every poll
+    const sessionsChanged = !compareSessionsEqual(activeSessions, userData.activity?.sessions || []);
+    if (sessionsChanged) {
+      userData.activity.sessions = activeSessions;
+      cache.set(cacheKey, userData);
+    }
+    cache.clearError(cacheKey);
     
     // Update metadata
     cache.updateMetadata(cacheKey, {
@@ -251,13 +602,15 @@ async function updateActiveUserData(verboseLogging) {
       partialUpdate: true
     });
     
-    if (verboseLogging) {
-      log(`${colors.brightGreen}✓${colors.reset} Updated active user sessions: ${activeSessions.length} sessions`);
-    }
+    debug(sessionsChanged
+      ? `${colors.brightGreen}✓${colors.reset} Updated active user sessions: ${activeSessions.length} sessions`
+      : `${colors.brightBlue}ℹ${colors.reset} Active user sessions unchanged: ${activeSessions.length} sessions`);
     
     return true;
   } catch (error) {
     logError('Active User Update', { message: error.message || 'Unknown error' });
+    // Keep the previous sessions and mark the user data as stale
+    cache.recordError('users', error);
     return false;
   }
 }
@@ -266,36 +619,38 @@ async function updateActiveUserData(verboseLogging) {
  * Fetch recent media for a specific section
  * 
  * @async
+ * @param {string} serverId - Server the section belongs to
  * @param {number|string} sectionId - Tautulli section ID
  * @param {string} mediaType - Media type (movies, shows, music)
- * @param {Object} configuredSections - All configured section IDs by type
+ * @param {Object} configuredSections - All configured section keys by type
  * @param {boolean} verboseLogging - Whether verbose logging is enabled
- * @returns {Promise<Object>} Object with section media data
+ * @param {number} [depth=DEFAULT_RECENT_MEDIA_DEPTH] - Number of recently added items to fetch, at most MAX_RECENT_MEDIA_DEPTH
+ * @returns {Promise<Object>} Object with section media data, including an error message if the fetch failed
  */
-async function fetchRecentMedia(sectionId, mediaType, configuredSections, verboseLogging) {
+async function fetchRecentMedia(serverId, sectionId, mediaType, configuredSections, verboseLogging,
+  depth = DEFAULT_RECENT_MEDIA_DEPTH) {
   try {
     // Break circular dependency by requiring tautulliService at runtime
     const { tautulliService } = require('./tautulli');
     const { cache } = require('./cacheService');
     
     const parsedSectionId = parseInt(sectionId);
+    const sectionKey = createSectionKey(serverId, parsedSectionId);
     
     // Determine correct section type based on configuration
     const actualType = 
-      configuredSections.music.includes(parsedSectionId) ? 'music' :
-      configuredSections.shows.includes(parsedSectionId) ? 'shows' :
+      configuredSections.music.includes(sectionKey) ? 'music' :
+      configuredSections.shows.includes(sectionKey) ? 'shows' :
       'movies';
     
-    if (DEBUG_MUSIC && actualType === 'music' && verboseLogging) {
-      console.log(`Fetching section ${parsedSectionId} as ${actualType} (requested as ${mediaType})`);
+    if (DEBUG_MUSIC && actualType === 'music') {
+      trace(`Fetching section ${parsedSectionId} as ${actualType} (requested as ${mediaType})`);
     }
     
-    if (verboseLogging) {
-      log(`${colors.brightBlue}ℹ${colors.reset} Fetching recent media for section ${parsedSectionId} (${actualType})`);
-    }
+    debug(`${colors.brightBlue}ℹ${colors.reset} Fetching recent media for section ${sectionKey} (${actualType})`);
     
     // Check if we have a cached version and if we need to refresh
-    const cacheKey = `recentMedia:${parsedSectionId}`;
+    const cacheKey = `recentMedia:${sectionKey}`;
     const cachedData = cache.get(cacheKey);
     const metadata = cache.getMetadata(cacheKey);
     
@@ -303,36 +658,36 @@ async function fetchRecentMedia(sectionId, mediaType, configuredSections, verbos
       // If we checked less than 30 seconds ago, return cached data
       const timeSinceLastCheck = Date.now() - metadata.lastCheck;
       if (timeSinceLastCheck < 30000) {
-        if (verboseLogging) {
-          log(`${colors.brightBlue}ℹ${colors.reset} Using recently checked media data for section ${parsedSectionId} (${Math.round(timeSinceLastCheck/1000)}s ago)`);
-        }
+        debug(`${colors.brightBlue}ℹ${colors.reset} Using recently checked media data for section ${sectionKey} (${Math.round(timeSinceLastCheck/1000)}s ago)`);
         return cachedData;
       }
     }
     
     const response = await tautulliService.makeRequest('get_recently_added', {
       section_id: parsedSectionId,
-      count: 15
+      count: Number.isInteger(depth) && depth > 0 ? Math.min(depth, MAX_RECENT_MEDIA_DEPTH) : DEFAULT_RECENT_MEDIA_DEPTH
     }, {
       deduplicate: true,
       timeout: 10000,
-      useConditionalGet: true
+      useConditionalGet: true,
+      server: serverId
     });
 
-    if (DEBUG_MUSIC && actualType === 'music' && verboseLogging) {
+    if (DEBUG_MUSIC && actualType === 'music') {
       const itemCount = response?.response?.data?.recently_added?.length || 0;
-      console.log(`Section ${parsedSectionId} returned ${itemCount} items`);
+      trace(`Section ${parsedSectionId} returned ${itemCount} items`);
     }
 
     const itemCount = response?.response?.data?.recently_added?.length || 0;
-    if (verboseLogging) {
-      log(`${colors.brightGreen}✓${colors.reset} Fetched ${itemCount} recent items for section ${parsedSectionId}`);
-    }
+    debug(`${colors.brightGreen}✓${colors.reset} Fetched ${itemCount} recent items for section ${sectionKey}`);
 
+    // Items carry their server name for the ${server_name} template variable
+    const serverName = tautulliService.getServers().find(server => server.id === serverId)?.name || '';
     const result = {
       type: actualType, // Use the correct type based on configuration
+      server: serverId,
       sectionId: parsedSectionId,
-      data: response?.response?.data?.recently_added || []
+      data: (response?.response?.data?.recently_added || []).map(item => ({ ...item, server_name: serverName }))
     };
     
     // Update metadata
@@ -343,19 +698,135 @@ async function fetchRecentMedia(sectionId, mediaType, configuredSections, verbos
     return result;
   } catch (error) {
     const errorMessage = error.message || 'Unknown error';
-    logError(`Recent Media Fetch - Section ${sectionId}`, { message: errorMessage });
+    logError(`Recent Media Fetch - Section ${serverId}:${sectionId}`, { message: errorMessage });
     return {
       type: mediaType,
+      server: serverId,
       sectionId,
-      data: []
+      data: [],
+      error: errorMessage
     };
   }
 }
 
+/**
+ * Check whether a section's format templates use metadata variables
+ * 
+ * @param {Object} [format] - Saved media format of the section
+ * @returns {boolean} True if any field template references a METADATA_VARIABLES entry
+ */
+function usesMetadataVariables(format) {
+  return (format?.fields || []).some(field => analyzeTemplate(field?.template).variables
+    .some(name => METADATA_VARIABLES.includes(name.split('.')[0])));
+}
+
+/**
+ * Pick the enrichment fields from a get_metadata payload
+ * Media details come from the first version of the item and its first file
+ * 
+ * @param {Object} data - get_metadata response data
+ * @returns {Object} Raw metadata values
+ */
+function extractMetadata(data) {
+  const media = data.media_info?.[0] || {};
+  const part = media.parts?.[0] || {};
+  const streams = part.streams || [];
+  const videoStream = streams.find(stream => String(stream.type) === '1') || {};
+  const audioStream = streams.find(stream => String(stream.type) === '2') || {};
+
+  return {
+    summary: data.summary || '',
+    tagline: data.tagline || '',
+    directors: data.directors || [],
+    actors: data.actors || [],
+    writers: data.writers || [],
+    audience_rating: data.audience_rating || '',
+    originally_available_at: data.originally_available_at || '',
+    audio_codec: media.audio_codec || audioStream.audio_codec || '',
+    audio_channels: audioStream.audio_channel_layout || media.audio_channels || '',
+    video_codec: media.video_codec || videoStream.video_codec || '',
+    bitrate: parseInt(media.bitrate) || 0,
+    file_size: parseInt(part.file_size) || 0,
+    container: media.container || '',
+    video_dynamic_range: videoStream.video_dynamic_range || media.video_dynamic_range || ''
+  };
+}
+
+/**
+ * Fetch the metadata of an item, cached per rating key
+ * 
+ * @async
+ * @param {string} serverId - Server the item belongs to
+ * @param {string|number} ratingKey - Item rating key
+ * @returns {Promise<Object|null>} Raw metadata values, null if Tautulli does not know the item
+ */
+async function fetchMediaMetadata(serverId, ratingKey) {
+  // Break circular dependency by requiring tautulliService at runtime
+  const { tautulliService } = require('./tautulli');
+
+  const cached = getCachedMetadata(serverId, ratingKey);
+  if (cached) return cached;
+
+  const response = await tautulliService.makeRequest('get_metadata', {
+    rating_key: ratingKey
+  }, {
+    deduplicate: true,
+    timeout: 10000,
+    server: serverId
+  });
+
+  // Tautulli answers unknown rating keys with an empty object
+  const data = response?.response?.data;
+  if (!data || Object.keys(data).length === 0) return null;
+
+  const metadata = extractMetadata(data);
+  storeCachedMetadata(serverId, ratingKey, metadata);
+  return metadata;
+}
+
+/**
+ * Attach metadata to the items of sections whose templates use metadata variables
+ * Items whose metadata cannot be fetched are kept without it
+ * 
+ * @async
+ * @param {Array<Object>} sections - Section results from fetchRecentMedia, updated in place
+ * @param {Object} [mediaFormats] - Saved media formats by type and section key
+ */
+async function enrichRecentMedia(sections, mediaFormats) {
+  for (const section of sections) {
+    const sectionKey = createSectionKey(section.server, section.sectionId);
+    if (section.error || !section.data.length || !usesMetadataVariables(mediaFormats?.[section.type]?.[sectionKey])) {
+      continue;
+    }
+
+    let failed = 0;
+    const metadata = await Promise.all(section.data.map(item =>
+      fetchMediaMetadata(section.server, item.rating_key).catch(() => {
+        failed++;
+        return null;
+      })
+    ));
+
+    section.data = section.data.map((item, index) => metadata[index] ? { ...item, metadata: metadata[index] } : item);
+
+    if (failed > 0) {
+      warn(`${colors.yellow}⚠${colors.reset} Metadata unavailable for ${failed} recent items of section ${sectionKey}`);
+    } else {
+      debug(`${colors.brightGreen}✓${colors.reset} Enriched ${section.data.length} recent items of section ${sectionKey}`);
+    }
+  }
+}
+
 module.exports = {
+  METADATA_VARIABLES,
   fetchLibraryData,
   fetchUserData,
   fetchRecentMedia,
+  fetchMediaMetadata,
+  enrichRecentMedia,
+  usesMetadataVariables,
+  fetchUserHistoryIndex,
+  fetchLibraryDetails,
   updateActiveUserData,
   compareSessionsEqual
 };
\ No newline at end of file
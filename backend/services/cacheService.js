@@ -3,15 +3,23 @@
  * Provides caching with stale-while-revalidate pattern, validation, and background updates
  * @module services/cacheService
  */
-const { logError, log, colors } = require('../../logger');
+const { createLogger, colors } = require('../../logger');
 const PersistentCache = require('./PersistentCache');
 const { 
   fetchLibraryData, 
   fetchUserData, 
   fetchRecentMedia,
+  enrichRecentMedia,
+  fetchUserHistoryIndex,
+  fetchLibraryDetails,
   updateActiveUserData 
 } = require('./cacheDataFetchers');
 const cacheConfig = require('./cacheConfig');
+const scheduler = require('./scheduler');
+const pollingMode = require('./pollingMode');
+
+const { log, logError, warn, debug, trace } = createLogger('cache');
+const { createSectionKey } = require('./servers');
 
 /**
  * Track consecutive failures for backoff strategy
@@ -25,35 +33,12 @@ let consecutiveFailures = 0;
  */
 let updateInProgress = false;
 
-/**
- * Reference to the interval timer for background updates
- * @type {NodeJS.Timeout|null}
- */
-let updateTimer = null;
-
-/**
- * Reference to the interval timer for active user updates
- * @type {NodeJS.Timeout|null}
- */
-let activeUserUpdateTimer = null;
-
-/**
- * Reference to the interval timer for media updates
- * @type {NodeJS.Timeout|null}
- */
-let mediaUpdateTimer = null;
-
-/**
- * Reference to the interval timer for library updates
- * @type {NodeJS.Timeout|null}
- */
-let libraryUpdateTimer = null;
-
 /**
  * Update queue for batching multiple update requests
- * @type {Set<string>}
+ * Maps each cache key to the section keys to refresh, or null for a full refresh
+ * @type {Map<string, Set<string>|null>}
  */
-const updateQueue = new Set();
+const updateQueue = new Map();
 
 /**
  * Timer for processing the update queue
@@ -69,9 +54,10 @@ const cache = new PersistentCache();
  * This allows critical data to load quickly while media data loads asynchronously
  * 
  * @async
- * @param {Array} libraryData - Library data from Tautulli
+ * @param {Array} libraryData - Library data from every Tautulli server
+ * @param {Array<string>} [onlySections] - Section keys to refresh, the other sections keep their cached items
  */
-async function processMediaUpdates(libraryData) {
+async function processMediaUpdates(libraryData, onlySections = null) {
   try {
     // Get settings to determine which sections are configured for which type
     const { getSettings } = require('./settings');
@@ -83,18 +69,27 @@ async function processMediaUpdates(libraryData) {
     };
 
     const verboseLogging = cache.isVerboseLoggingEnabled();
+    
+    // Libraries of a removed server stay cached until the next library refresh
+    const { tautulliService } = require('./tautulli');
+    const serverIds = tautulliService.getServers().map(server => server.id);
 
-    // Extract all section IDs organized by type
-    const sections = libraryData.reduce((acc, lib) => {
+    // Extract all sections organized by type
+    const sections = libraryData.filter(lib => serverIds.includes(lib.server)).reduce((acc, lib) => {
       // Determine correct type based on configuration, not just section_type
       let type;
       const sectionId = parseInt(lib.section_id);
+      const sectionKey = createSectionKey(lib.server, sectionId);
+      
+      if (onlySections && !onlySections.includes(sectionKey)) {
+        return acc;
+      }
       
-      if (configuredSections.music.includes(sectionId)) {
+      if (configuredSections.music.includes(sectionKey)) {
         type = 'music';
-      } else if (configuredSections.shows.includes(sectionId)) {
+      } else if (configuredSections.shows.includes(sectionKey)) {
         type = 'shows';
-      } else if (configuredSections.movies.includes(sectionId)) {
+      } else if (configuredSections.movies.includes(sectionKey)) {
         type = 'movies';
       } else {
         // Default to original section type mapping
@@ -104,26 +99,26 @@ async function processMediaUpdates(libraryData) {
       }
       
       if (!acc[type]) acc[type] = [];
-      acc[type].push(sectionId);
+      acc[type].push({ server: lib.server, sectionId, depth: settings.mediaFormats?.[type]?.[sectionKey]?.depth });
       return acc;
     }, {});
     
     // Prepare all media requests
     const mediaRequests = [];
     
-    Object.entries(sections).forEach(([type, sectionIds]) => {
-      sectionIds.forEach(sectionId => {
+    Object.entries(sections).forEach(([type, typeSections]) => {
+      typeSections.forEach(({ server, sectionId, depth }) => {
         mediaRequests.push({
           type,
+          server,
           sectionId,
+          depth,
           configuredSections
         });
       });
     });
     
-    if (verboseLogging) {
-      log(`${colors.brightBlue}ℹ${colors.reset} Processing ${mediaRequests.length} media update requests`);
-    }
+    debug(`${colors.brightBlue}ℹ${colors.reset} Processing ${mediaRequests.length} media update requests`);
     
     // Process in optimized batches with throttling
     const batchSize = 2; // Reduced batch size for better resource management
@@ -135,8 +130,8 @@ async function processMediaUpdates(libraryData) {
       
       // Process batch in parallel
       const batchPromises = batch.map(request => {
-        const { type, sectionId, configuredSections } = request;
-        return fetchRecentMedia(sectionId, type, configuredSections, verboseLogging);
+        const { type, server, sectionId, depth, configuredSections } = request;
+        return fetchRecentMedia(server, sectionId, type, configuredSections, verboseLogging, depth);
       });
       
       // Wait for batch to complete
@@ -149,23 +144,56 @@ async function processMediaUpdates(libraryData) {
       }
     }
     
+    // If every section failed Tautulli is unreachable, keep the previous payload untouched
+    const failedResults = results.filter(result => result.error);
+    if (failedResults.length > 0 && failedResults.length === results.length) {
+      throw new Error(failedResults[0].error);
+    }
+    
+    // Metadata is only fetched for sections whose templates use it
+    await enrichRecentMedia(results, settings.mediaFormats);
+    
+    // Sections that failed keep their previous items instead of disappearing
+    const previousMedia = cache.get('recent_media', false) || [];
+    const mergedResults = results.map(result => {
+      if (!result.error) return result;
+      return previousMedia.find(
+        previous => previous.server === result.server && parseInt(previous.sectionId) === parseInt(result.sectionId)
+      ) || result;
+    });
+    
+    // A partial refresh replaces its sections in place and keeps the rest of the payload
+    if (onlySections) {
+      const resultKey = result => createSectionKey(result.server, result.sectionId);
+      const refreshed = new Map(mergedResults.map(result => [resultKey(result), result]));
+      const kept = previousMedia.map(previous => {
+        const result = refreshed.get(resultKey(previous));
+        refreshed.delete(resultKey(previous));
+        return result || previous;
+      });
+      mergedResults.splice(0, mergedResults.length, ...kept, ...refreshed.values());
+    }
+    
     // Filter and update cache with valid results only
-    const validResults = results.filter(result => result.data.length > 0);
+    const validResults = mergedResults.filter(result => result.data.length > 0);
     
-    if (cacheConfig.DEBUG_MUSIC && verboseLogging) {
+    if (cacheConfig.DEBUG_MUSIC) {
       const musicResults = validResults.filter(r => r.type === 'music');
       if (musicResults.length > 0) {
-        console.log('Music results being cached:', 
-          musicResults.map(r => `${r.type}-${r.sectionId} (${r.data.length} items)`));
+        trace(`Music results being cached: ${musicResults
+          .map(r => `${r.type}-${r.server}:${r.sectionId} (${r.data.length} items)`).join(', ')}`);
       }
     }
     
-    // Set with a shorter TTL for recent media (changed from 60 to match our refresh requirements)
-    cache.set('recent_media', validResults, 60); // 60 seconds TTL
+    // TTL comes from the cache settings
+    cache.set('recent_media', validResults);
     
-    if (verboseLogging) {
-      log(`${colors.brightGreen}✓${colors.reset} Media cache updated successfully with ${validResults.length} sections`);
+    // Partial failures still mark the payload as stale
+    if (failedResults.length > 0) {
+      cache.recordError('recent_media', failedResults[0].error);
     }
+    
+    debug(`${colors.brightGreen}✓${colors.reset} Media cache updated successfully with ${validResults.length} sections`);
   } catch (error) {
     logError('Media Update Process', error);
     throw error;
@@ -181,12 +209,14 @@ async function processMediaUpdates(libraryData) {
  * @returns {Promise<boolean>} True if successful, false otherwise
  */
 async function updateCacheItem(key, fetchFunction) {
+  const startedAt = Date.now();
+  
   try {
     const verboseLogging = cache.isVerboseLoggingEnabled();
     const data = await fetchFunction(verboseLogging);
     
     if (!data) {
-      log(`${colors.yellow}⚠${colors.reset} Empty data returned for ${key}, skipping cache update`);
+      warn(`${colors.yellow}⚠${colors.reset} Empty data returned for ${key}, skipping cache update`);
       return false;
     }
     
@@ -197,20 +227,24 @@ async function updateCacheItem(key, fetchFunction) {
     );
     
     if (success) {
+      cache.clearError(key, startedAt);
       log(`${colors.brightGreen}✓${colors.reset} Cache updated successfully for ${key}`);
     } else {
-      log(`${colors.yellow}⚠${colors.reset} Failed to update cache for ${key}`);
+      warn(`${colors.yellow}⚠${colors.reset} Failed to update cache for ${key}`);
     }
     
     return success;
   } catch (error) {
     logError(`Cache Update - ${key}`, error);
+    // Keep the previous payload and report it as stale
+    cache.recordError(key, error);
     return false;
   }
 }
 
 /**
  * Update active user sessions without a full refresh
+ * The session count found drives the adaptive polling mode
  * 
  * @async
  * @returns {Promise<boolean>} True if successful
@@ -219,32 +253,79 @@ async function updateActiveUsers() {
   try {
     const verboseLogging = cache.isVerboseLoggingEnabled();
     
-    // Only update if there's someone listening for user data
-    if (cache.getListenerCount('users') > 0) {
-      if (verboseLogging) {
-        log(`${colors.brightBlue}ℹ${colors.reset} Updating active user sessions`);
-      }
-      
-      const success = await updateActiveUserData(verboseLogging);
-      
-      if (success && verboseLogging) {
-        log(`${colors.brightGreen}✓${colors.reset} Active user sessions updated`);
-      }
-      
-      return success;
-    }
+    debug(`${colors.brightBlue}ℹ${colors.reset} Updating active user sessions`);
+    
+    const success = await updateActiveUserData(verboseLogging);
     
-    if (verboseLogging) {
-      log(`${colors.brightBlue}ℹ${colors.reset} No listeners for user data, skipping active user update`);
+    if (success) {
+      pollingMode.recordSessions(cache.get('users', false)?.activity?.sessions?.length || 0);
+      
+      debug(`${colors.brightGreen}✓${colors.reset} Active user sessions updated`);
     }
     
-    return false;
+    return success;
   } catch (error) {
     logError('Active User Update', error);
     return false;
   }
 }
 
+/**
+ * Jobs whose data only changes with playback, they back off while nothing is playing
+ * @type {Array<string>}
+ */
+const ACTIVITY_JOBS = ['active_users', 'users', 'user_history_index'];
+
+/**
+ * Get the timing of a background job from the cache settings
+ * Jobs switch to their webhook_interval while Tautulli webhooks are being received,
+ * activity jobs are stretched further by the idle backoff
+ * 
+ * @param {string} job - Job name (active_users, users, recent_media, libraries, user_history_index, library_details)
+ * @returns {{interval: number, jitter: number, offset: number}} Timing in milliseconds
+ */
+function getJobTiming(job) {
+  const { isReceivingWebhooks } = require('./webhookService');
+  const timing = cacheConfig.SCHEDULE[job];
+  let interval = isReceivingWebhooks() ? timing.webhook_interval : timing.interval;
+  
+  if (ACTIVITY_JOBS.includes(job)) {
+    interval = pollingMode.scaleInterval(interval);
+  }
+  
+  return {
+    interval: interval * 1000,
+    jitter: timing.jitter * 1000,
+    offset: timing.offset * 1000
+  };
+}
+
+/**
+ * Check whether a background job should skip its run
+ * 
+ * @returns {boolean} True during a full update or while polling is suspended
+ */
+function shouldSkipJob() {
+  return updateInProgress || pollingMode.isPollingSuspended();
+}
+
+/**
+ * Create a job that refreshes a cache key while someone is listening for it
+ * 
+ * @param {string} key - Cache key
+ * @returns {Function} Job function, resolves to false when the refresh was skipped
+ */
+function createRefreshJob(key) {
+  return async () => {
+    if (shouldSkipJob() || cache.getListenerCount(key) === 0) {
+      return false;
+    }
+    
+    debug(`${colors.brightBlue}ℹ${colors.reset} Scheduled ${key} refresh`);
+    return cache.forceUpdate(key);
+  };
+}
+
 /**
  * Process the update queue to batch updates
  * 
@@ -256,22 +337,39 @@ async function processUpdateQueue() {
   const itemsToUpdate = [...updateQueue];
   updateQueue.clear();
   
-  for (const key of itemsToUpdate) {
-    if (cache.refreshCallbacks[key]) {
-      await cache.forceUpdate(key).catch(err => {
-        logError(`Queue Update Error - ${key}`, err);
-      });
+  for (const [key, sectionKeys] of itemsToUpdate) {
+    try {
+      // Refresh only the queued media sections when the library list is already known
+      const libraryData = cache.get('libraries', false)?.response?.data;
+      if (key === 'recent_media' && sectionKeys && libraryData) {
+        const startedAt = Date.now();
+        await processMediaUpdates(libraryData, [...sectionKeys]);
+        cache.clearError(key, startedAt);
+      } else if (cache.refreshCallbacks[key]) {
+        // Queued updates come from webhooks and settings changes, the data is known to be stale
+        await cache.forceUpdate(key, { force: true });
+      }
+    } catch (err) {
+      logError(`Queue Update Error - ${key}`, err);
     }
   }
 }
 
 /**
  * Queue an item for update, with batching for efficiency
+ * Section refreshes of the same key are merged, a full refresh replaces them
  * 
  * @param {string} key - Cache key to update
+ * @param {string} [sectionKey] - Only refresh this section (`server:id`), recent_media only
  */
-function queueUpdate(key) {
-  updateQueue.add(key);
+function queueUpdate(key, sectionKey = null) {
+  if (!updateQueue.has(key)) {
+    updateQueue.set(key, sectionKey ? new Set([sectionKey]) : null);
+  } else if (!sectionKey) {
+    updateQueue.set(key, null);
+  } else if (updateQueue.get(key)) {
+    updateQueue.get(key).add(sectionKey);
+  }
   
   // Set a timer to process the queue if not already scheduled
   if (!queueProcessTimer) {
@@ -291,7 +389,7 @@ function queueUpdate(key) {
  */
 async function initializeCache() {
   if (updateInProgress) {
-    log(`${colors.yellow}⚠${colors.reset} Update already in progress, skipping...`);
+    warn(`${colors.yellow}⚠${colors.reset} Update already in progress, skipping...`);
     return false;
   }
 
@@ -299,11 +397,13 @@ async function initializeCache() {
     updateInProgress = true;
 
     // Initialize with empty data if no configuration
-    if (!process.env.TAUTULLI_BASE_URL || !process.env.TAUTULLI_API_KEY) {
+    const { tautulliService } = require('./tautulli');
+    if (!tautulliService.isConfigured()) {
       cache.set('libraries', { response: { result: 'success', data: [] } });
       cache.set('users', { activity: { sessions: [] }, users: { data: [] } });
       cache.set('recent_media', []);
-      log(`${colors.yellow}⚠${colors.reset} No Tautulli configuration found, using empty cache`);
+      cache.set('library_details', { sections: {} });
+      warn(`${colors.yellow}⚠${colors.reset} No Tautulli configuration found, using empty cache`);
       return true;
     }
 
@@ -320,15 +420,23 @@ async function initializeCache() {
     const criticalResults = await Promise.all(criticalPromises);
     const criticalSuccess = criticalResults.some(Boolean);
     
-    // Stage 2: Process media updates in the background for faster initial load
+    // Stage 2: Process media updates and library details in the background for faster initial load
     const libraryData = cache.get('libraries');
     if (libraryData?.response?.data) {
       // We don't wait for media data to complete initialization
       processMediaUpdates(libraryData.response.data).catch(err => {
         logError('Background Media Update', err);
       });
+      updateCacheItem('library_details', fetchLibraryDetails).catch(err => {
+        logError('Background Library Details Update', err);
+      });
     }
     
+    // Stage 3: Build the last watched index once the user list is known
+    updateCacheItem('user_history_index', fetchUserHistoryIndex).catch(err => {
+      logError('Background History Index Update', err);
+    });
+    
     // Reset consecutive failures on success
     if (criticalSuccess) {
       consecutiveFailures = 0;
@@ -357,10 +465,10 @@ function registerCacheCallbacks() {
   log(`${colors.brightBlue}ℹ${colors.reset} Registering cache refresh callbacks`);
   
   // Register callback for user data refresh
-  cache.registerRefreshCallback('users', async () => {
+  cache.registerRefreshCallback('users', async ({ force } = {}) => {
     try {
-      log(`${colors.brightBlue}ℹ${colors.reset} Refreshing user data`);
-      return await fetchUserData(cache.isVerboseLoggingEnabled());
+      debug(`${colors.brightBlue}ℹ${colors.reset} Refreshing user data`);
+      return await fetchUserData(cache.isVerboseLoggingEnabled(), { force });
     } catch (error) {
       logError('User Refresh Callback', error);
       throw error;
@@ -370,25 +478,48 @@ function registerCacheCallbacks() {
   // Register callback for library data refresh
   cache.registerRefreshCallback('libraries', async () => {
     try {
-      log(`${colors.brightBlue}ℹ${colors.reset} Refreshing library data`);
-      return await fetchLibraryData(cache.isVerboseLoggingEnabled());
+      debug(`${colors.brightBlue}ℹ${colors.reset} Refreshing library data`);
+      const data = await fetchLibraryData(cache.isVerboseLoggingEnabled());
+      // Store in the same envelope as updateCacheItem so readers find response.data
+      return { response: { result: 'success', data } };
     } catch (error) {
       logError('Library Refresh Callback', error);
       throw error;
     }
   });
   
+  // Register callback for last watched index refresh
+  cache.registerRefreshCallback('user_history_index', async () => {
+    try {
+      return await fetchUserHistoryIndex(cache.isVerboseLoggingEnabled());
+    } catch (error) {
+      logError('History Index Refresh Callback', error);
+      throw error;
+    }
+  });
+  
+  // Register callback for library details refresh
+  cache.registerRefreshCallback('library_details', async () => {
+    try {
+      debug(`${colors.brightBlue}ℹ${colors.reset} Refreshing library details`);
+      return await fetchLibraryDetails(cache.isVerboseLoggingEnabled());
+    } catch (error) {
+      logError('Library Details Refresh Callback', error);
+      throw error;
+    }
+  });
+  
   // Register callback for media data refresh
   cache.registerRefreshCallback('recent_media', async () => {
     try {
-      log(`${colors.brightBlue}ℹ${colors.reset} Refreshing recent media data`);
+      debug(`${colors.brightBlue}ℹ${colors.reset} Refreshing recent media data`);
       
       // Get library data to process media updates
       let libraryData = cache.get('libraries');
       
       // If library data isn't in cache, try to fetch it directly
       if (!libraryData?.response?.data) {
-        log(`${colors.yellow}⚠${colors.reset} Library data not found in cache, attempting direct fetch`);
+        warn(`${colors.yellow}⚠${colors.reset} Library data not found in cache, attempting direct fetch`);
         
         try {
           // Fetch library data directly
@@ -407,10 +538,10 @@ function registerCacheCallbacks() {
             cache.set('libraries', libraryData);
             log(`${colors.brightGreen}✓${colors.reset} Successfully fetched library data directly`);
           } else {
-            log(`${colors.yellow}⚠${colors.reset} Failed to fetch library data directly`);
+            warn(`${colors.yellow}⚠${colors.reset} Failed to fetch library data directly`);
           }
         } catch (fetchError) {
-          log(`${colors.yellow}⚠${colors.reset} Error fetching library data: ${fetchError.message}`);
+          warn(`${colors.yellow}⚠${colors.reset} Error fetching library data: ${fetchError.message}`);
         }
       }
       
@@ -419,20 +550,17 @@ function registerCacheCallbacks() {
         // Process media updates from library data
         await processMediaUpdates(libraryData.response.data);
       } else {
-        // Log warning but don't fail completely
-        log(`${colors.yellow}⚠${colors.reset} Unable to refresh media data, library data unavailable`);
+        throw new Error('Unable to refresh media data, library data unavailable');
       }
       
-      // Return the updated or existing media data
-      return cache.get('recent_media') || [];
+      // Return the updated media data
+      return cache.get('recent_media', false) || [];
     } catch (error) {
       logError('Media Refresh Callback', error);
       
-      // Return existing data instead of failing completely
-      const existingData = cache.get('recent_media');
-      log(`${colors.yellow}⚠${colors.reset} Returning existing media data due to refresh error`);
-      
-      return existingData || [];
+      // Rethrow so the existing data is kept and reported as stale
+      warn(`${colors.yellow}⚠${colors.reset} Keeping existing media data due to refresh error`);
+      throw error;
     }
   });
   
@@ -441,121 +569,46 @@ function registerCacheCallbacks() {
 
 /**
  * Start background updates for cache data
- * Sets up an interval to periodically refresh cache
- * Uses progressive backoff for failures
+ * Registers one scheduler job per cache key, timed by the schedule in the cache settings
  */
 function startBackgroundUpdates() {
   // Setup refresh callbacks for cache
   registerCacheCallbacks();
   
-  // Clear any existing timers
-  if (updateTimer) {
-    clearInterval(updateTimer);
-    log(`${colors.yellow}⚠${colors.reset} Cleared existing update timer`);
-  }
+  // Progress of active sessions, cheaper than a full user refresh
+  // Runs for HTTP clients too, the sessions it finds decide the polling mode
+  scheduler.addJob('active_users', async () => {
+    if (shouldSkipJob()) return false;
+    return updateActiveUsers();
+  }, () => getJobTiming('active_users'));
   
-  if (activeUserUpdateTimer) {
-    clearInterval(activeUserUpdateTimer);
-  }
+  scheduler.addJob('users', createRefreshJob('users'), () => getJobTiming('users'));
+  scheduler.addJob('recent_media', createRefreshJob('recent_media'), () => getJobTiming('recent_media'));
+  scheduler.addJob('libraries', createRefreshJob('libraries'), () => getJobTiming('libraries'));
   
-  if (mediaUpdateTimer) {
-    clearInterval(mediaUpdateTimer);
-  }
-  
-  if (libraryUpdateTimer) {
-    clearInterval(libraryUpdateTimer);
-  }
-
-  log(`${colors.brightBlue}ℹ${colors.reset} Starting background updates with 60-second intervals`);
+  // Not gated on listeners: /api/users reads it without fetching history itself
+  scheduler.addJob('user_history_index', async () => {
+    if (shouldSkipJob()) return false;
+    return cache.forceUpdate('user_history_index');
+  }, () => getJobTiming('user_history_index'));
   
-  // 1. Schedule active user updates every 5 seconds (CHANGED FROM 15 SECONDS)
-  // This provides more frequent progress updates for better user experience
-  activeUserUpdateTimer = setInterval(async () => {
-    try {
-      if (!updateInProgress) {
-        await updateActiveUsers();
-      }
-    } catch (error) {
-      logError('Active User Update Error', error);
-    }
-  }, 5000); // Every 5 seconds for more real-time progress updates
+  // Not gated on listeners either: one request per library on a slow cadence
+  scheduler.addJob('library_details', async () => {
+    if (shouldSkipJob()) return false;
+    return cache.forceUpdate('library_details');
+  }, () => getJobTiming('library_details'));
   
-  // 2. Schedule full user data refresh every 60 seconds
-  updateTimer = setInterval(async () => {
-    try {
-      if (updateInProgress) return;
-      
-      if (cache.getListenerCount('users') > 0) {
-        log(`${colors.brightBlue}ℹ${colors.reset} Scheduled full user data refresh`);
-        await cache.forceUpdate('users');
-      }
-    } catch (error) {
-      logError('User Refresh Error', error);
-    }
-  }, 60000); // Every 60 seconds
-  
-  // 3. Schedule media data refresh every 60 seconds, offset by 20 seconds
-  setTimeout(() => {
-    mediaUpdateTimer = setInterval(async () => {
-      try {
-        if (updateInProgress) return;
-        
-        if (cache.getListenerCount('recent_media') > 0) {
-          log(`${colors.brightBlue}ℹ${colors.reset} Scheduled media data refresh`);
-          await cache.forceUpdate('recent_media');
-        }
-      } catch (error) {
-        logError('Media Refresh Error', error);
-      }
-    }, 60000); // Force 60 seconds
-  }, 20000); // Start after 20 seconds offset
-  
-  // 4. Schedule library data refresh every 60 seconds (changed from 5 minutes)
-  setTimeout(() => {
-    libraryUpdateTimer = setInterval(async () => {
-      try {
-        if (updateInProgress) return;
-        
-        if (cache.getListenerCount('libraries') > 0) {
-          log(`${colors.brightBlue}ℹ${colors.reset} Scheduled library data refresh`);
-          await cache.forceUpdate('libraries');
-        }
-      } catch (error) {
-        logError('Library Refresh Error', error);
-      }
-    }, 60000); // Every 60 seconds (changed from 300000)
-  }, 40000); // Start after 40 seconds offset
-  
-  log(`${colors.brightGreen}✓${colors.reset} Background updates started with 60-second intervals`);
+  scheduler.startScheduler();
 }
 
 /**
- * Stop all background update timers
- * Cleans up timer references to prevent memory leaks
+ * Stop all background update jobs
+ * Runs in progress finish, queued updates are dropped
  */
 function stopBackgroundUpdates() {
   log(`${colors.brightBlue}ℹ${colors.reset} Stopping all background update timers`);
   
-  // Clear all interval timers
-  if (updateTimer) {
-    clearInterval(updateTimer);
-    updateTimer = null;
-  }
-  
-  if (activeUserUpdateTimer) {
-    clearInterval(activeUserUpdateTimer);
-    activeUserUpdateTimer = null;
-  }
-  
-  if (mediaUpdateTimer) {
-    clearInterval(mediaUpdateTimer);
-    mediaUpdateTimer = null;
-  }
-  
-  if (libraryUpdateTimer) {
-    clearInterval(libraryUpdateTimer);
-    libraryUpdateTimer = null;
-  }
+  scheduler.stopScheduler();
   
   // Clear the queue process timer if active
   if (queueProcessTimer) {
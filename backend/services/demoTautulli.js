@@ -0,0 +1,743 @@
+/**
+ * Demo Tautulli service
+ * Answers Tautulli API commands with canned data so the app runs without a Tautulli server
+ * @module services/demoTautulli
+ */
+const { createSectionKey } = require('./servers');
+
+/**
+ * Connection used in place of the configured servers while demo mode is enabled
+ * The .invalid domain can never resolve, so nothing is sent over the network by mistake
+ * @type {{id: string, name: string, baseUrl: string, apiKey: string}}
+ */
+const DEMO_SERVER = Object.freeze({
+  id: 'demo',
+  name: 'Demo Server',
+  baseUrl: 'http://tautulli.demo.invalid',
+  apiKey: 'demo'
+});
+
+/**
+ * Time the demo data is generated relative to, in seconds
+ * @type {number}
+ */
+const DEMO_START = Math.floor(Date.now() / 1000);
+
+/**
+ * Maximum number of completed plays kept in the simulated history
+ * @type {number}
+ */
+const MAX_HISTORY_ROWS = 500;
+
+/**
+ * Estimated file size of one minute of video, used for the demo library sizes
+ * @type {number}
+ */
+const BYTES_PER_VIDEO_MINUTE = 40 * 1024 * 1024;
+
+/**
+ * Estimated file size of one music track
+ * @type {number}
+ */
+const BYTES_PER_TRACK = 9 * 1024 * 1024;
+
+/**
+ * Demo library sections
+ * @type {Array<{section_id: number, section_name: string, section_type: string}>}
+ */
+const LIBRARIES = [
+  { section_id: 1, section_name: 'Movies', section_type: 'movie' },
+  { section_id: 2, section_name: 'TV Shows', section_type: 'show' },
+  { section_id: 3, section_name: 'Music', section_type: 'artist' },
+  { section_id: 4, section_name: 'Documentaries', section_type: 'movie' }
+];
+
+/**
+ * Demo movies by section ID, newest additions first
+ * @type {Object.<number, Array<Object>>}
+ */
+const MOVIES = {
+  1: [
+    { title: 'The Lighthouse Keeper', year: 2023, minutes: 118, content_rating: 'PG-13', video_resolution: '4k', genres: ['Drama', 'Mystery'], studio: 'Harbor Pictures', rating: '7.8' },
+    { title: 'Midnight Circuit', year: 2022, minutes: 104, content_rating: 'R', video_resolution: '1080', genres: ['Action', 'Thriller'], studio: 'Northwind Studios', rating: '6.9' },
+    { title: 'Paper Moons', year: 2021, minutes: 96, content_rating: 'PG', video_resolution: '1080', genres: ['Comedy', 'Romance'], studio: 'Bluebird Films', rating: '7.1' },
+    { title: 'Echoes of Orion', year: 2023, minutes: 142, content_rating: 'PG-13', video_resolution: '4k', genres: ['Science Fiction', 'Adventure'], studio: 'Stellar Works', rating: '8.2' },
+    { title: 'The Last Orchard', year: 2020, minutes: 110, content_rating: 'PG', video_resolution: '1080', genres: ['Drama', 'Family'], studio: 'Harbor Pictures', rating: '7.4' },
+    { title: 'Glass Harbor', year: 2019, minutes: 127, content_rating: 'R', video_resolution: '1080', genres: ['Crime', 'Drama'], studio: 'Northwind Studios', rating: '7.6' },
+    { title: 'Small Hours', year: 2022, minutes: 91, content_rating: 'PG-13', video_resolution: '720', genres: ['Horror'], studio: 'Lantern House', rating: '6.3' },
+    { title: 'A Map of Tomorrow', year: 2021, minutes: 133, content_rating: 'PG', video_resolution: '4k', genres: ['Animation', 'Adventure'], studio: 'Paperkite Animation', rating: '8.0' },
+    { title: 'Copper Canyon', year: 2018, minutes: 115, content_rating: 'PG-13', video_resolution: '1080', genres: ['Western'], studio: 'Bluebird Films', rating: '6.8' },
+    { title: 'The Quiet Signal', year: 2020, minutes: 108, content_rating: 'PG-13', video_resolution: '1080', genres: ['Science Fiction', 'Mystery'], studio: 'Stellar Works', rating: '7.2' },
+    { title: 'Summer on Vine Street', year: 2017, minutes: 99, content_rating: 'PG', video_resolution: '720', genres: ['Comedy', 'Family'], studio: 'Lantern House', rating: '6.5' },
+    { title: 'Ironwood', year: 2019, minutes: 121, content_rating: 'R', video_resolution: '1080', genres: ['Action', 'War'], studio: 'Northwind Studios', rating: '7.0' }
+  ],
+  4: [
+    { title: 'Deep Blue Cities', year: 2022, minutes: 88, content_rating: 'G', video_resolution: '4k', genres: ['Documentary', 'Nature'], studio: 'Open Sky Docs', rating: '8.4' },
+    { title: 'Making the Modern Bridge', year: 2021, minutes: 74, content_rating: 'G', video_resolution: '1080', genres: ['Documentary', 'History'], studio: 'Open Sky Docs', rating: '7.7' },
+    { title: 'The Salt Road', year: 2020, minutes: 95, content_rating: 'PG', video_resolution: '1080', genres: ['Documentary', 'Travel'], studio: 'Wayfarer Media', rating: '7.9' },
+    { title: 'Night Shift at the Observatory', year: 2023, minutes: 82, content_rating: 'G', video_resolution: '4k', genres: ['Documentary', 'Science'], studio: 'Wayfarer Media', rating: '8.1' }
+  ]
+};
+
+/**
+ * Demo TV shows, newest additions first
+ * @type {Array<Object>}
+ */
+const SHOWS = [
+  { title: 'Harborview', year: 2021, seasons: 3, episodes: 10, minutes: 48, content_rating: 'TV-14', studio: 'Northwind Television', genres: ['Drama'], rating: '8.3' },
+  { title: 'The Night Desk', year: 2022, seasons: 2, episodes: 8, minutes: 52, content_rating: 'TV-MA', studio: 'Lantern House', genres: ['Crime', 'Thriller'], rating: '8.0' },
+  { title: 'Starlight Diner', year: 2019, seasons: 5, episodes: 12, minutes: 24, content_rating: 'TV-PG', studio: 'Bluebird Television', genres: ['Comedy'], rating: '7.5' },
+  { title: 'Outpost Seven', year: 2023, seasons: 1, episodes: 10, minutes: 55, content_rating: 'TV-14', studio: 'Stellar Works', genres: ['Science Fiction', 'Drama'], rating: '8.6' },
+  { title: 'Kitchen Confidential Live', year: 2020, seasons: 4, episodes: 10, minutes: 42, content_rating: 'TV-G', studio: 'Open Sky Television', genres: ['Reality', 'Food'], rating: '6.9' }
+];
+
+/**
+ * Episode titles, picked by episode number
+ * @type {Array<string>}
+ */
+const EPISODE_TITLES = [
+  'Pilot', 'Low Tide', 'The Long Night', 'Crossroads', 'Open Water', 'Second Chances',
+  'Static', 'The Visitor', 'Breaking Point', 'Homecoming', 'Loose Ends', 'First Light'
+];
+
+/**
+ * Demo music albums, newest additions first
+ * @type {Array<Object>}
+ */
+const ALBUMS = [
+  { artist: 'The Paper Lanterns', album: 'Northern Lights', year: 2023, tracks: 11, genres: ['Indie Rock'], studio: 'Kite Records' },
+  { artist: 'Mira Sol', album: 'Golden Hour', year: 2022, tracks: 9, genres: ['Pop', 'Soul'], studio: 'Sunday Music' },
+  { artist: 'Blue Static', album: 'Frequencies', year: 2021, tracks: 12, genres: ['Electronic'], studio: 'Circuit Sound' },
+  { artist: 'The Orchard Band', album: 'Harvest Songs', year: 2020, tracks: 10, genres: ['Folk'], studio: 'Kite Records' },
+  { artist: 'Nightjar', album: 'After Hours', year: 2023, tracks: 8, genres: ['Jazz'], studio: 'Blue Room' },
+  { artist: 'Mira Sol', album: 'Early Mornings', year: 2019, tracks: 10, genres: ['Pop'], studio: 'Sunday Music' }
+];
+
+/**
+ * Names credited in the demo metadata, picked by item
+ * @type {Array<string>}
+ */
+const CREDITS = [
+  'Avery Stone', 'Jordan Hale', 'Riley Park', 'Sam Whitaker', 'Dana Cole', 'Quinn Rivers',
+  'Harper Lane', 'Emerson Gray', 'Rowan Blake', 'Sydney Moore', 'Parker Quinn', 'Reese Hollis'
+];
+
+/**
+ * Demo users
+ * @type {Array<{user_id: number, friendly_name: string, platform: string, player: string}>}
+ */
+const USERS = [
+  { user_id: 1001, friendly_name: 'Alex', platform: 'Roku', player: 'Living Room' },
+  { user_id: 1002, friendly_name: 'Jordan', platform: 'Android', player: 'Pixel 8' },
+  { user_id: 1003, friendly_name: 'Sam', platform: 'Chrome', player: 'Plex Web' },
+  { user_id: 1004, friendly_name: 'Riley', platform: 'tvOS', player: 'Apple TV' },
+  { user_id: 1005, friendly_name: 'Casey', platform: 'iOS', player: 'iPhone' },
+  { user_id: 1006, friendly_name: 'Morgan', platform: 'Windows', player: 'Plex for Windows' }
+];
+
+/**
+ * Build a demo movie item
+ *
+ * @param {number} sectionId - Section ID
+ * @param {Object} movie - Movie definition
+ * @param {number} index - Position in the section
+ * @returns {Object} Item in the shape returned by get_recently_added
+ */
+function buildMovieItem(sectionId, movie, index) {
+  return {
+    section_id: String(sectionId),
+    library_name: LIBRARIES.find(library => library.section_id === sectionId).section_name,
+    media_type: 'movie',
+    rating_key: String(sectionId * 10000 + index + 1),
+    parent_rating_key: '',
+    grandparent_rating_key: '',
+    title: movie.title,
+    full_title: movie.title,
+    parent_title: '',
+    grandparent_title: '',
+    year: String(movie.year),
+    duration: String(movie.minutes * 60000),
+    content_rating: movie.content_rating,
+    video_resolution: movie.video_resolution,
+    genres: movie.genres,
+    studio: movie.studio,
+    rating: movie.rating,
+    thumb: `/library/metadata/${sectionId * 10000 + index + 1}/thumb`,
+    added_at: String(DEMO_START - index * 86400 - sectionId * 3600)
+  };
+}
+
+/**
+ * Build a demo episode item
+ *
+ * @param {Object} show - Show definition
+ * @param {number} showIndex - Position of the show in the catalogue
+ * @param {number} season - Season number
+ * @param {number} episode - Episode number
+ * @returns {Object} Item in the shape returned by get_recently_added
+ */
+function buildEpisodeItem(show, showIndex, season, episode) {
+  const showKey = 20000 + showIndex * 1000;
+  const title = EPISODE_TITLES[(episode - 1) % EPISODE_TITLES.length];
+  return {
+    section_id: '2',
+    library_name: 'TV Shows',
+    media_type: 'episode',
+    rating_key: String(showKey + season * 100 + episode),
+    parent_rating_key: String(showKey + season * 100),
+    grandparent_rating_key: String(showKey),
+    title,
+    full_title: `${show.title} - ${title}`,
+    parent_title: `Season ${season}`,
+    grandparent_title: show.title,
+    parent_media_index: String(season),
+    media_index: String(episode),
+    year: String(show.year + season - 1),
+    duration: String(show.minutes * 60000),
+    content_rating: show.content_rating,
+    video_resolution: '1080',
+    genres: show.genres,
+    studio: show.studio,
+    rating: show.rating,
+    thumb: `/library/metadata/${showKey + season * 100 + episode}/thumb`
+  };
+}
+
+/**
+ * Build a demo album item
+ *
+ * @param {Object} album - Album definition
+ * @param {number} index - Position in the catalogue
+ * @returns {Object} Item in the shape returned by get_recently_added
+ */
+function buildAlbumItem(album, index) {
+  const albumKey = 30000 + index * 100;
+  return {
+    section_id: '3',
+    library_name: 'Music',
+    media_type: 'album',
+    rating_key: String(albumKey),
+    parent_rating_key: String(31000 + index),
+    grandparent_rating_key: '',
+    title: album.album,
+    full_title: `${album.artist} - ${album.album}`,
+    parent_title: album.artist,
+    grandparent_title: '',
+    year: String(album.year),
+    child_count: String(album.tracks),
+    genres: album.genres,
+    studio: album.studio,
+    thumb: `/library/metadata/${albumKey}/thumb`,
+    added_at: String(DEMO_START - index * 172800 - 5400)
+  };
+}
+
+/**
+ * Build a demo track from an album
+ *
+ * @param {Object} album - Album definition
+ * @param {number} index - Position of the album in the catalogue
+ * @param {number} track - Track number
+ * @returns {Object} Playable track item
+ */
+function buildTrackItem(album, index, track) {
+  const albumItem = buildAlbumItem(album, index);
+  return {
+    ...albumItem,
+    media_type: 'track',
+    rating_key: String(30000 + index * 100 + track),
+    parent_rating_key: albumItem.rating_key,
+    grandparent_rating_key: albumItem.parent_rating_key,
+    title: `Track ${track}`,
+    full_title: `${album.artist} - Track ${track}`,
+    parent_title: album.album,
+    grandparent_title: album.artist,
+    media_index: String(track),
+    parent_media_index: '1',
+    duration: String((180 + (track * 37) % 120) * 1000)
+  };
+}
+
+/**
+ * Recently added items by section ID, newest first
+ * @type {Object.<string, Array<Object>>}
+ */
+const RECENTLY_ADDED = {
+  1: MOVIES[1].map((movie, index) => buildMovieItem(1, movie, index)),
+  2: SHOWS.flatMap((show, showIndex) =>
+    // The latest three episodes of every show, interleaved by the time they were added
+    [0, 1, 2].map(offset => {
+      const episode = show.episodes - offset;
+      return {
+        ...buildEpisodeItem(show, showIndex, show.seasons, episode),
+        added_at: String(DEMO_START - (offset * SHOWS.length + showIndex) * 21600 - 1800)
+      };
+    })
+  ).sort((a, b) => parseInt(b.added_at) - parseInt(a.added_at)),
+  3: ALBUMS.map(buildAlbumItem),
+  4: MOVIES[4].map((movie, index) => buildMovieItem(4, movie, index))
+};
+
+/**
+ * Items each simulated session plays in order, looping at the end
+ * @type {Array<{user_id: number, state: string, transcode_decision: string, startPercent: number, items: Array<Object>}>}
+ */
+const SESSION_PLAYLISTS = [
+  {
+    user_id: 1002,
+    state: 'playing',
+    transcode_decision: 'direct play',
+    startPercent: 35,
+    items: Array.from({ length: SHOWS[0].episodes }, (_, i) => buildEpisodeItem(SHOWS[0], 0, 2, i + 1))
+  },
+  {
+    user_id: 1004,
+    state: 'playing',
+    transcode_decision: 'transcode',
+    startPercent: 70,
+    items: RECENTLY_ADDED[1].slice(0, 4)
+  },
+  {
+    user_id: 1005,
+    state: 'playing',
+    transcode_decision: 'direct play',
+    startPercent: 10,
+    items: Array.from({ length: ALBUMS[1].tracks }, (_, i) => buildTrackItem(ALBUMS[1], 1, i + 1))
+  },
+  {
+    user_id: 1001,
+    state: 'paused',
+    transcode_decision: 'copy',
+    startPercent: 55,
+    items: Array.from({ length: SHOWS[2].episodes }, (_, i) => buildEpisodeItem(SHOWS[2], 2, 5, i + 1))
+  }
+];
+
+/**
+ * Build the play history from before the demo started, newest first
+ *
+ * @returns {Array<Object>} History rows in the shape returned by get_history
+ */
+function buildInitialHistory() {
+  const playable = [
+    ...RECENTLY_ADDED[1],
+    ...RECENTLY_ADDED[2],
+    ...RECENTLY_ADDED[4],
+    ...ALBUMS.map((album, index) => buildTrackItem(album, index, 1))
+  ];
+  const rows = [];
+
+  // Every user watched something every few hours, each with their own rhythm
+  USERS.forEach((user, userIndex) => {
+    for (let play = 0; play < 12; play++) {
+      const item = playable[(userIndex * 7 + play * 5) % playable.length];
+      const stopped = DEMO_START - (userIndex + 1) * 2700 - play * (userIndex + 3) * 3600;
+      rows.push(buildHistoryRow(user, item, stopped));
+    }
+  });
+
+  return rows.sort((a, b) => b.date - a.date);
+}
+
+/**
+ * Build a history row for a completed play
+ *
+ * @param {Object} user - Demo user
+ * @param {Object} item - Item that was played
+ * @param {number} stopped - When playback stopped, in seconds
+ * @returns {Object} History row
+ */
+function buildHistoryRow(user, item, stopped) {
+  const duration = Math.floor(parseInt(item.duration || 0) / 1000);
+  return {
+    date: stopped - duration,
+    started: stopped - duration,
+    stopped,
+    duration,
+    paused_counter: 0,
+    section_id: item.section_id,
+    user_id: user.user_id,
+    friendly_name: user.friendly_name,
+    platform: user.platform,
+    player: user.player,
+    media_type: item.media_type,
+    rating_key: item.rating_key,
+    parent_rating_key: item.parent_rating_key,
+    grandparent_rating_key: item.grandparent_rating_key,
+    title: item.title,
+    parent_title: item.parent_title,
+    grandparent_title: item.grandparent_title,
+    full_title: item.full_title,
+    parent_media_index: item.parent_media_index || '',
+    media_index: item.media_index || '',
+    year: item.year,
+    percent_complete: 100,
+    watched_status: 1
+  };
+}
+
+/**
+ * Play history, newest first
+ * @type {Array<Object>}
+ */
+const history = buildInitialHistory();
+
+/**
+ * Simulated playback state per session
+ * @type {Array<Object>}
+ */
+const sessions = SESSION_PLAYLISTS.map((playlist, index) => ({
+  ...playlist,
+  session_key: String(index + 1),
+  itemIndex: 0,
+  viewOffset: Math.floor(parseInt(playlist.items[0].duration) * playlist.startPercent / 100),
+  updatedAt: Date.now()
+}));
+
+/**
+ * Advance playing sessions to the current time
+ * Finished items are added to the history and the next item in the playlist starts
+ */
+function advanceSessions() {
+  const now = Date.now();
+
+  for (const session of sessions) {
+    if (session.state === 'playing') {
+      session.viewOffset += now - session.updatedAt;
+
+      let item = session.items[session.itemIndex];
+      while (session.viewOffset >= parseInt(item.duration)) {
+        session.viewOffset -= parseInt(item.duration);
+        const stopped = Math.floor((now - session.viewOffset) / 1000);
+        history.unshift(buildHistoryRow(USERS.find(user => user.user_id === session.user_id), item, stopped));
+
+        session.itemIndex = (session.itemIndex + 1) % session.items.length;
+        item = session.items[session.itemIndex];
+      }
+    }
+    session.updatedAt = now;
+  }
+
+  history.splice(MAX_HISTORY_ROWS);
+}
+
+/**
+ * Build the get_activity payload
+ *
+ * @returns {Object} Activity data
+ */
+function getActivity() {
+  advanceSessions();
+
+  const activeSessions = sessions.map(session => {
+    const item = session.items[session.itemIndex];
+    const user = USERS.find(u => u.user_id === session.user_id);
+    const duration = parseInt(item.duration);
+    return {
+      ...item,
+      session_key: session.session_key,
+      user_id: user.user_id,
+      user: user.friendly_name,
+      friendly_name: user.friendly_name,
+      platform: user.platform,
+      player: user.player,
+      state: session.state,
+      view_offset: String(session.viewOffset),
+      progress_percent: String(Math.floor(session.viewOffset / duration * 100)),
+      transcode_decision: session.transcode_decision,
+      stream_container_decision: session.transcode_decision === 'transcode' ? 'transcode' : 'direct play'
+    };
+  });
+
+  return {
+    stream_count: String(activeSessions.length),
+    stream_count_direct_play: String(activeSessions.filter(s => s.transcode_decision === 'direct play').length),
+    stream_count_direct_stream: String(activeSessions.filter(s => s.transcode_decision === 'copy').length),
+    stream_count_transcode: String(activeSessions.filter(s => s.transcode_decision === 'transcode').length),
+    sessions: activeSessions
+  };
+}
+
+/**
+ * Build the get_users_table payload
+ *
+ * @returns {Object} Users table data
+ */
+function getUsersTable() {
+  advanceSessions();
+
+  const now = Math.floor(Date.now() / 1000);
+  const data = USERS.map(user => {
+    const plays = history.filter(row => row.user_id === user.user_id);
+    const last = plays[0];
+    const session = sessions.find(s => s.user_id === user.user_id);
+    return {
+      user_id: user.user_id,
+      friendly_name: user.friendly_name,
+      username: user.friendly_name.toLowerCase(),
+      user_thumb: '',
+      is_active: 1,
+      plays: plays.length,
+      duration: plays.reduce((total, row) => total + row.duration, 0),
+      last_seen: session ? now : (last?.stopped || null),
+      last_played: last?.full_title || last?.title || '',
+      media_type: last?.media_type || '',
+      rating_key: last?.rating_key || '',
+      platform: user.platform,
+      player: user.player
+    };
+  });
+
+  return { recordsTotal: data.length, recordsFiltered: data.length, draw: 1, data };
+}
+
+/**
+ * Build the get_libraries_table payload
+ *
+ * @returns {Object} Libraries table data
+ */
+function getLibrariesTable() {
+  advanceSessions();
+
+  const data = LIBRARIES.map(library => {
+    const plays = history.filter(row => row.section_id === String(library.section_id));
+    const base = {
+      ...library,
+      section_id: String(library.section_id),
+      is_active: 1,
+      plays: plays.length,
+      duration: plays.reduce((total, row) => total + row.duration, 0),
+      last_played: plays[0]?.full_title || plays[0]?.title || ''
+    };
+    switch (library.section_id) {
+      case 2:
+        return {
+          ...base,
+          count: String(SHOWS.length),
+          parent_count: String(SHOWS.reduce((total, show) => total + show.seasons, 0)),
+          child_count: String(SHOWS.reduce((total, show) => total + show.seasons * show.episodes, 0))
+        };
+      case 3:
+        return {
+          ...base,
+          count: String(new Set(ALBUMS.map(album => album.artist)).size),
+          parent_count: String(ALBUMS.length),
+          child_count: String(ALBUMS.reduce((total, album) => total + album.tracks, 0))
+        };
+      default:
+        return { ...base, count: String(MOVIES[library.section_id].length) };
+    }
+  });
+
+  return { recordsTotal: data.length, recordsFiltered: data.length, draw: 1, data };
+}
+
+/**
+ * Estimate the total file size of a demo library section
+ *
+ * @param {number} sectionId - Section ID
+ * @returns {number} Size in bytes
+ */
+function getSectionFileSize(sectionId) {
+  switch (sectionId) {
+    case 2:
+      return SHOWS.reduce((total, show) => total + show.seasons * show.episodes * show.minutes, 0) * BYTES_PER_VIDEO_MINUTE;
+    case 3:
+      return ALBUMS.reduce((total, album) => total + album.tracks, 0) * BYTES_PER_TRACK;
+    default:
+      return (MOVIES[sectionId] || []).reduce((total, movie) => total + movie.minutes, 0) * BYTES_PER_VIDEO_MINUTE;
+  }
+}
+
+/**
+ * Build the get_library_media_info payload
+ * Rows are always the newest additions first, whatever order is requested
+ *
+ * @param {Object} params - Command parameters
+ * @returns {Object} Library media info data
+ */
+function getLibraryMediaInfo(params) {
+  const sectionId = parseInt(params.section_id);
+  const items = RECENTLY_ADDED[sectionId] || [];
+  const start = parseInt(params.start) || 0;
+  const length = parseInt(params.length) || 25;
+
+  return {
+    recordsTotal: items.length,
+    recordsFiltered: items.length,
+    draw: 1,
+    total_file_size: getSectionFileSize(sectionId),
+    filtered_file_size: getSectionFileSize(sectionId),
+    data: items.slice(start, start + length)
+  };
+}
+
+/**
+ * Build the get_recently_added payload
+ *
+ * @param {Object} params - Command parameters
+ * @returns {Object} Recently added data
+ */
+function getRecentlyAdded(params) {
+  const start = parseInt(params.start) || 0;
+  const count = parseInt(params.count) || 25;
+  const items = params.section_id ?
+    RECENTLY_ADDED[parseInt(params.section_id)] || [] :
+    Object.values(RECENTLY_ADDED).flat().sort((a, b) => parseInt(b.added_at) - parseInt(a.added_at));
+
+  return { recently_added: items.slice(start, start + count) };
+}
+
+/**
+ * Build the get_metadata payload for a recently added item
+ * Tautulli answers unknown rating keys with an empty object
+ *
+ * @param {Object} params - Command parameters
+ * @returns {Object} Metadata of the item
+ */
+function getMetadata(params) {
+  const item = Object.values(RECENTLY_ADDED).flat().find(entry => entry.rating_key === String(params.rating_key));
+  if (!item) return {};
+
+  const seed = parseInt(item.rating_key);
+  const credit = (offset) => CREDITS[(seed + offset) % CREDITS.length];
+  const isMusic = item.media_type === 'album';
+  const is4k = item.video_resolution === '4k';
+  const minutes = parseInt(item.duration) / 60000 || 0;
+
+  return {
+    rating_key: item.rating_key,
+    media_type: item.media_type,
+    title: item.title,
+    summary: `${item.full_title} is part of the demo library.`,
+    tagline: item.media_type === 'movie' ? 'Every story has a beginning.' : '',
+    directors: isMusic ? [] : [credit(0)],
+    writers: isMusic ? [] : [credit(1), credit(2)],
+    actors: isMusic ? [] : [credit(3), credit(4), credit(5), credit(6), credit(7), credit(8)],
+    audience_rating: item.rating || '',
+    originally_available_at: `${item.year}-0${(seed % 9) + 1}-1${seed % 10}`,
+    media_info: isMusic ? [] : [{
+      container: 'mkv',
+      bitrate: String(is4k ? 24000 : 8000),
+      video_codec: is4k ? 'hevc' : 'h264',
+      video_resolution: item.video_resolution,
+      audio_codec: 'eac3',
+      audio_channels: '6',
+      parts: [{
+        file_size: String(Math.round(minutes * BYTES_PER_VIDEO_MINUTE * (is4k ? 3 : 1))),
+        streams: [
+          { type: '1', video_codec: is4k ? 'hevc' : 'h264', video_dynamic_range: is4k ? 'HDR' : 'SDR' },
+          { type: '2', audio_codec: 'eac3', audio_channel_layout: '5.1(side)' }
+        ]
+      }]
+    }]
+  };
+}
+
+/**
+ * Build the get_history payload
+ *
+ * @param {Object} params - Command parameters
+ * @returns {Object} History data
+ */
+function getHistory(params) {
+  advanceSessions();
+
+  const start = parseInt(params.start) || 0;
+  const length = parseInt(params.length) || 25;
+  const rows = params.user_id ?
+    history.filter(row => String(row.user_id) === String(params.user_id)) :
+    history;
+
+  return {
+    recordsTotal: history.length,
+    recordsFiltered: rows.length,
+    draw: 1,
+    data: rows.slice(start, start + length)
+  };
+}
+
+/**
+ * Build the get_server_info payload
+ *
+ * @returns {Object} Server information
+ */
+function getServerInfo() {
+  return {
+    pms_name: 'Demo Plex Server',
+    pms_version: '1.40.0.0000',
+    pms_platform: 'Linux',
+    pms_ip: '127.0.0.1',
+    pms_port: 32400,
+    pms_is_remote: 0,
+    pms_ssl: 0,
+    pms_url: 'http://127.0.0.1:32400',
+    pms_identifier: 'demo'
+  };
+}
+
+/**
+ * Handlers for the supported commands
+ * @type {Object.<string, Function>}
+ */
+const COMMAND_HANDLERS = {
+  get_activity: getActivity,
+  get_users_table: getUsersTable,
+  get_libraries_table: getLibrariesTable,
+  get_library_media_info: getLibraryMediaInfo,
+  get_recently_added: getRecentlyAdded,
+  get_metadata: getMetadata,
+  get_history: getHistory,
+  get_server_info: getServerInfo
+};
+
+/**
+ * Answer a Tautulli API command with demo data
+ *
+ * @param {string} cmd - Tautulli API command
+ * @param {Object} [params={}] - Command parameters
+ * @returns {Object} Response in the Tautulli API format
+ */
+function handleDemoCommand(cmd, params = {}) {
+  const handler = COMMAND_HANDLERS[cmd];
+
+  if (!handler) {
+    return {
+      response: { result: 'error', message: `Command ${cmd} is not available in demo mode`, data: {} }
+    };
+  }
+
+  return {
+    response: { result: 'success', message: null, data: handler(params) }
+  };
+}
+
+/**
+ * Check if a base URL points at the demo server
+ *
+ * @param {string} baseUrl - Tautulli base URL
+ * @returns {boolean} True for the demo server
+ */
+function isDemoServerUrl(baseUrl) {
+  return String(baseUrl || '').replace(/\/+$/, '') === DEMO_SERVER.baseUrl;
+}
+
+/**
+ * Get the section keys of every demo library by media type
+ *
+ * @returns {{shows: Array<string>, movies: Array<string>, music: Array<string>}} Section keys by type
+ */
+function getDemoSections() {
+  const keysFor = (sectionType) => LIBRARIES
+    .filter(library => library.section_type === sectionType)
+    .map(library => createSectionKey(DEMO_SERVER.id, library.section_id));
+
+  return { shows: keysFor('show'), movies: keysFor('movie'), music: keysFor('artist') };
+}
+
+module.exports = {
+  DEMO_SERVER,
+  handleDemoCommand,
+  isDemoServerUrl,
+  getDemoSections
+};
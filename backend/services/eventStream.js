@@ -0,0 +1,62 @@
+/**
+ * Server-Sent Events helpers
+ * Shared by the dashboard event stream and the tailing debug log stream
+ * @module services/eventStream
+ */
+
+/**
+ * Interval between keep-alive comments, below common proxy idle timeouts
+ * @type {number}
+ */
+const HEARTBEAT_INTERVAL = 25000; // 25 seconds
+
+/**
+ * Start an event stream response with keep-alive comments until the client disconnects
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} [options={}] - Stream options
+ * @param {number} [options.retry] - Milliseconds browsers wait before reconnecting after the stream drops
+ * @param {Function} [options.onClose] - Called once the client disconnected
+ */
+function openEventStream(req, res, { retry, onClose } = {}) {
+  // no-transform keeps compression from buffering the stream
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+
+  if (retry) {
+    res.write(`retry: ${retry}\n\n`);
+  }
+
+  const heartbeat = setInterval(() => {
+    res.write(': ping\n\n');
+  }, HEARTBEAT_INTERVAL);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    if (onClose) onClose();
+  });
+}
+
+/**
+ * Write one event to a stream
+ *
+ * @param {Object} res - Express response object
+ * @param {string} event - Event name
+ * @param {Object} data - Event payload
+ * @param {string|number} [id] - Event ID, sent back by reconnecting browsers as Last-Event-ID
+ */
+function sendEvent(res, event, data, id) {
+  const idLine = id !== undefined ? `id: ${id}\n` : '';
+  res.write(`${idLine}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+module.exports = {
+  HEARTBEAT_INTERVAL,
+  openEventStream,
+  sendEvent
+};
@@ -0,0 +1,218 @@
+/**
+ * Artwork cache
+ * Keeps images fetched from Tautulli on disk with a least recently used size limit
+ * @module services/imageCache
+ */
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { createLogger } = require('../../logger');
+const { IMAGE_CACHE_DIR, IMAGE_CACHE_MAX_BYTES, IMAGE_CACHE_TTL } = require('./cacheConfig');
+
+const { log, logError } = createLogger('images');
+
+/**
+ * File extensions by image content type
+ * The extension is the only metadata kept, so the index can be rebuilt from the directory
+ * @type {Object.<string, string>}
+ */
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif'
+};
+
+/**
+ * Cached images keyed by the hash of their cache key, in least to most recently used order
+ * @type {Map<string, {file: string, size: number, contentType: string, storedAt: number}>}
+ */
+const entries = new Map();
+
+/**
+ * Total size of the cached images in bytes
+ * @type {number}
+ */
+let totalBytes = 0;
+
+/**
+ * Pending initialization, shared by every caller
+ * @type {Promise<void>|null}
+ */
+let initPromise = null;
+
+/**
+ * Hit and miss counters
+ * @type {{hits: number, misses: number, evictions: number}}
+ */
+const stats = { hits: 0, misses: 0, evictions: 0 };
+
+/**
+ * Hash a cache key, the hash is also the file name without its extension
+ *
+ * @param {string} key - Cache key
+ * @returns {string} Hex digest
+ */
+function hashKey(key) {
+  return crypto.createHash('sha1').update(key).digest('hex');
+}
+
+/**
+ * Load the cache index from the cache directory
+ * Files are ordered by access time, which is updated whenever an image is served
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+function initImageCache() {
+  if (!initPromise) {
+    initPromise = (async () => {
+      try {
+        await fs.mkdir(IMAGE_CACHE_DIR, { recursive: true });
+        const contentTypes = Object.fromEntries(
+          Object.entries(EXTENSIONS).map(([contentType, extension]) => [extension, contentType])
+        );
+
+        const files = [];
+        for (const file of await fs.readdir(IMAGE_CACHE_DIR)) {
+          const extension = path.extname(file).slice(1);
+          if (!contentTypes[extension]) continue;
+
+          const stat = await fs.stat(path.join(IMAGE_CACHE_DIR, file));
+          files.push({ file, stat, contentType: contentTypes[extension] });
+        }
+
+        files
+          .sort((a, b) => a.stat.atimeMs - b.stat.atimeMs)
+          .forEach(({ file, stat, contentType }) => {
+            entries.set(path.basename(file, path.extname(file)), {
+              file,
+              size: stat.size,
+              contentType,
+              storedAt: stat.mtimeMs
+            });
+            totalBytes += stat.size;
+          });
+
+        await evictImages();
+        log(`Image cache loaded: ${entries.size} images, ${(totalBytes / 1024 / 1024).toFixed(1)} MB`);
+      } catch (error) {
+        logError('Image Cache Init', error);
+      }
+    })();
+  }
+  return initPromise;
+}
+
+/**
+ * Remove least recently used images until the cache fits its size limit
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+async function evictImages() {
+  for (const [key, entry] of entries) {
+    if (totalBytes <= IMAGE_CACHE_MAX_BYTES) break;
+
+    entries.delete(key);
+    totalBytes -= entry.size;
+    stats.evictions++;
+    await fs.unlink(path.join(IMAGE_CACHE_DIR, entry.file)).catch(() => {});
+  }
+}
+
+/**
+ * Look up a cached image and mark it as recently used
+ *
+ * @async
+ * @param {string} key - Cache key
+ * @returns {Promise<{path: string, contentType: string, expired: boolean}|null>} Cached image or null
+ */
+async function getCachedImage(key) {
+  await initImageCache();
+
+  const hash = hashKey(key);
+  const entry = entries.get(hash);
+  if (!entry) {
+    stats.misses++;
+    return null;
+  }
+
+  // Move the image to the most recently used end
+  entries.delete(hash);
+  entries.set(hash, entry);
+  stats.hits++;
+
+  // The access time survives restarts, the modification time stays the time the image was stored
+  const filePath = path.join(IMAGE_CACHE_DIR, entry.file);
+  fs.utimes(filePath, new Date(), new Date(entry.storedAt)).catch(() => {});
+
+  return {
+    path: filePath,
+    contentType: entry.contentType,
+    expired: Date.now() - entry.storedAt > IMAGE_CACHE_TTL
+  };
+}
+
+/**
+ * Store an image in the cache
+ *
+ * @async
+ * @param {string} key - Cache key
+ * @param {Buffer} data - Image bytes
+ * @param {string} contentType - Image content type
+ * @returns {Promise<{path: string, contentType: string, expired: boolean}>} Stored image
+ * @throws {Error} If the content type is not an image or the file cannot be written
+ */
+async function storeCachedImage(key, data, contentType) {
+  await initImageCache();
+
+  const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+  const extension = EXTENSIONS[type];
+  if (!extension) {
+    throw new Error(`Unsupported image type: ${contentType}`);
+  }
+
+  const hash = hashKey(key);
+  const file = `${hash}.${extension}`;
+  const filePath = path.join(IMAGE_CACHE_DIR, file);
+  const tempFile = `${filePath}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  await fs.writeFile(tempFile, data);
+  await fs.rename(tempFile, filePath);
+
+  const previous = entries.get(hash);
+  if (previous) {
+    totalBytes -= previous.size;
+    entries.delete(hash);
+    if (previous.file !== file) {
+      await fs.unlink(path.join(IMAGE_CACHE_DIR, previous.file)).catch(() => {});
+    }
+  }
+
+  entries.set(hash, { file, size: data.length, contentType: type, storedAt: Date.now() });
+  totalBytes += data.length;
+  await evictImages();
+
+  return { path: filePath, contentType: type, expired: false };
+}
+
+/**
+ * Get artwork cache statistics
+ *
+ * @returns {{images: number, bytes: number, maxBytes: number, hits: number, misses: number, evictions: number}} Cache statistics
+ */
+function getImageCacheStats() {
+  return {
+    images: entries.size,
+    bytes: totalBytes,
+    maxBytes: IMAGE_CACHE_MAX_BYTES,
+    ...stats
+  };
+}
+
+module.exports = {
+  initImageCache,
+  getCachedImage,
+  storeCachedImage,
+  getImageCacheStats
+};
@@ -0,0 +1,150 @@
+/**
+ * Recent media filters
+ * Parses filters from query parameters or saved section formats and matches recently added items against them
+ * @module services/mediaFilters
+ */
+
+/**
+ * Names of the supported filters, as query parameters and saved format keys
+ * @type {Array<string>}
+ */
+const FILTER_NAMES = ['since', 'genre', 'content_rating', 'min_year', 'max_year', 'video_resolution', 'search', 'exclude'];
+
+/**
+ * Seconds per unit of a `since` duration
+ * @type {Object.<string, number>}
+ */
+const DURATION_UNITS = {
+  m: 60,
+  h: 3600,
+  d: 86400,
+  w: 604800
+};
+
+/**
+ * Normalize a video resolution so "4K", "2160p" and Tautulli's "4k" match
+ *
+ * @param {string|number} value - Resolution
+ * @returns {string} Normalized resolution (e.g. "4k", "1080", "sd")
+ */
+function normalizeResolution(value) {
+  const resolution = String(value).trim().toLowerCase().replace(/p$/, '');
+  return resolution === '2160' ? '4k' : resolution;
+}
+
+/**
+ * Split a comma-separated value or an array into trimmed, non-empty strings
+ *
+ * @param {string|Array<string>} value - Filter value
+ * @returns {Array<string>} Values
+ */
+function parseList(value) {
+  const values = Array.isArray(value) ? value : String(value).split(',');
+  return values.map(entry => String(entry).trim()).filter(Boolean);
+}
+
+/**
+ * Parse a duration such as "30m", "24h", "7d" or "2w"
+ *
+ * @param {string} value - Duration
+ * @returns {number|null} Seconds, null if the value is not a duration
+ */
+function parseDuration(value) {
+  const match = /^(\d+)\s*([mhdw])$/i.exec(String(value).trim());
+  return match ? parseInt(match[1]) * DURATION_UNITS[match[2].toLowerCase()] : null;
+}
+
+/**
+ * Parse filters given as query parameters or saved with a section format
+ * Filters that are missing or empty are left out
+ *
+ * @param {Object} [source={}] - Object holding the filter values by name
+ * @returns {{filters: Object, errors: Array<string>}} Parsed filters and a message per invalid value
+ */
+function parseMediaFilters(source = {}) {
+  const filters = {};
+  const errors = [];
+
+  FILTER_NAMES.forEach(name => {
+    const value = source?.[name];
+    if (value === undefined || value === null || value === '') return;
+
+    if (name === 'since') {
+      const seconds = parseDuration(value);
+      if (seconds === null) {
+        errors.push('since must be a duration such as 30m, 24h, 7d or 2w');
+      } else {
+        filters.since = seconds;
+      }
+    } else if (name === 'min_year' || name === 'max_year') {
+      const year = Number(value);
+      if (!Number.isInteger(year)) {
+        errors.push(`${name} must be a year`);
+      } else {
+        filters[name] = year;
+      }
+    } else if (name === 'search') {
+      filters.search = String(value).trim().toLowerCase();
+    } else if (name === 'video_resolution') {
+      filters.video_resolution = parseList(value).map(normalizeResolution);
+    } else if (name === 'exclude') {
+      filters.exclude = parseList(value);
+    } else {
+      filters[name] = parseList(value).map(entry => entry.toLowerCase());
+    }
+  });
+
+  return { filters, errors };
+}
+
+/**
+ * Create a function matching items against parsed filters
+ * Items without the field a filter checks do not match it
+ *
+ * @param {Object} filters - Filters from parseMediaFilters
+ * @param {number} [now] - Current Unix timestamp in seconds, `since` counts back from it
+ * @returns {Function} Called with a Tautulli recently added item, returns true if it matches every filter
+ */
+function createMediaFilter(filters, now = Math.floor(Date.now() / 1000)) {
+  const checks = [];
+
+  if (filters.since !== undefined) {
+    checks.push(item => parseInt(item.added_at) >= now - filters.since);
+  }
+  if (filters.genre?.length) {
+    checks.push(item => {
+      const genres = Array.isArray(item.genres) ? item.genres : parseList(item.genre || '');
+      return genres.some(genre => filters.genre.includes(String(genre).toLowerCase()));
+    });
+  }
+  if (filters.content_rating?.length) {
+    checks.push(item => filters.content_rating.includes(String(item.content_rating || '').toLowerCase()));
+  }
+  if (filters.min_year !== undefined) {
+    checks.push(item => parseInt(item.year) >= filters.min_year);
+  }
+  if (filters.max_year !== undefined) {
+    checks.push(item => parseInt(item.year) <= filters.max_year);
+  }
+  if (filters.video_resolution?.length) {
+    checks.push(item => !!item.video_resolution &&
+      filters.video_resolution.includes(normalizeResolution(item.video_resolution)));
+  }
+  if (filters.search) {
+    checks.push(item => [item.title, item.parent_title, item.grandparent_title]
+      .some(title => String(title || '').toLowerCase().includes(filters.search)));
+  }
+  if (filters.exclude?.length) {
+    // Excluding a show or album excludes its episodes and tracks too
+    checks.push(item => ![item.rating_key, item.parent_rating_key, item.grandparent_rating_key]
+      .some(key => key !== undefined && key !== null && filters.exclude.includes(String(key))));
+  }
+
+  return item => checks.every(check => check(item));
+}
+
+module.exports = {
+  FILTER_NAMES,
+  parseMediaFilters,
+  createMediaFilter
+};
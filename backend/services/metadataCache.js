@@ -0,0 +1,99 @@
+/**
+ * Media metadata cache
+ * Keeps the metadata of recently added items in memory with a least recently used entry limit,
+ * separate from the core cache so per item entries never fill it
+ * @module services/metadataCache
+ */
+const { METADATA_CACHE_MAX_ENTRIES, METADATA_CACHE_TTL } = require('./cacheConfig');
+
+/**
+ * Cached metadata keyed by `server:ratingKey`, in least to most recently used order
+ * @type {Map<string, {metadata: Object, storedAt: number}>}
+ */
+const entries = new Map();
+
+/**
+ * Hit and miss counters
+ * @type {{hits: number, misses: number, evictions: number}}
+ */
+const stats = { hits: 0, misses: 0, evictions: 0 };
+
+/**
+ * Create the key of an item
+ *
+ * @param {string} serverId - Server the item belongs to
+ * @param {string|number} ratingKey - Item rating key
+ * @returns {string} Cache key
+ */
+function createKey(serverId, ratingKey) {
+  return `${serverId}:${ratingKey}`;
+}
+
+/**
+ * Look up the metadata of an item and mark it as recently used
+ * Expired entries are removed
+ *
+ * @param {string} serverId - Server the item belongs to
+ * @param {string|number} ratingKey - Item rating key
+ * @returns {Object|null} Cached metadata or null
+ */
+function getCachedMetadata(serverId, ratingKey) {
+  const key = createKey(serverId, ratingKey);
+  const entry = entries.get(key);
+  entries.delete(key);
+
+  if (!entry || Date.now() - entry.storedAt > METADATA_CACHE_TTL) {
+    stats.misses++;
+    return null;
+  }
+
+  // Move the entry to the most recently used end
+  entries.set(key, entry);
+  stats.hits++;
+  return entry.metadata;
+}
+
+/**
+ * Store the metadata of an item, removing the least recently used entries over the limit
+ *
+ * @param {string} serverId - Server the item belongs to
+ * @param {string|number} ratingKey - Item rating key
+ * @param {Object} metadata - Metadata values
+ */
+function storeCachedMetadata(serverId, ratingKey, metadata) {
+  const key = createKey(serverId, ratingKey);
+  entries.delete(key);
+  entries.set(key, { metadata, storedAt: Date.now() });
+
+  while (entries.size > METADATA_CACHE_MAX_ENTRIES) {
+    entries.delete(entries.keys().next().value);
+    stats.evictions++;
+  }
+}
+
+/**
+ * Remove every cached entry
+ */
+function clearMetadataCache() {
+  entries.clear();
+}
+
+/**
+ * Get metadata cache statistics
+ *
+ * @returns {{entries: number, maxEntries: number, hits: number, misses: number, evictions: number}} Cache statistics
+ */
+function getMetadataCacheStats() {
+  return {
+    entries: entries.size,
+    maxEntries: METADATA_CACHE_MAX_ENTRIES,
+    ...stats
+  };
+}
+
+module.exports = {
+  getCachedMetadata,
+  storeCachedMetadata,
+  clearMetadataCache,
+  getMetadataCacheStats
+};
@@ -0,0 +1,193 @@
+/**
+ * Prometheus metrics
+ * Counters and histograms recorded by the services, rendered in the Prometheus text exposition format
+ * @module services/metrics
+ */
+
+/**
+ * Prefix of every metric name
+ * @type {string}
+ */
+const METRIC_PREFIX = 'tautulli_manager_';
+
+/**
+ * Histogram buckets for request durations (in seconds)
+ * @type {Array<number>}
+ */
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Escape a label value for the text format
+ *
+ * @param {*} value - Label value
+ * @returns {string} Escaped value
+ */
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Format labels for a sample line
+ *
+ * @param {Object.<string, *>} labels - Label names and values
+ * @returns {string} Labels in braces, or an empty string without labels
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Format a sample value, Prometheus spells infinity as +Inf
+ *
+ * @param {number} value - Sample value
+ * @returns {string} Formatted value
+ */
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  return Number.isFinite(value) ? String(value) : '0';
+}
+
+/**
+ * Render a metric family from samples
+ *
+ * @param {string} name - Metric name without the prefix
+ * @param {string} type - counter, gauge or histogram
+ * @param {string} help - Help text
+ * @param {Array<{labels?: Object, value: number, suffix?: string}>} samples - Samples of the family
+ * @returns {string} Family in the text format
+ */
+function renderFamily(name, type, help, samples) {
+  const fullName = METRIC_PREFIX + name;
+  const lines = [`# HELP ${fullName} ${help}`, `# TYPE ${fullName} ${type}`];
+
+  samples.forEach(({ labels = {}, value, suffix = '' }) => {
+    lines.push(`${fullName}${suffix}${formatLabels(labels)} ${formatValue(value)}`);
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Create a counter whose values are kept by label set
+ *
+ * @param {string} name - Metric name without the prefix
+ * @param {string} help - Help text
+ * @returns {{inc: Function, render: Function}} Counter
+ */
+function createCounter(name, help) {
+  const values = new Map();
+
+  return {
+    /**
+     * @param {Object} [labels] - Label values, always given in the same order
+     * @param {number} [amount=1] - Amount to add
+     */
+    inc(labels = {}, amount = 1) {
+      const key = formatLabels(labels);
+      const entry = values.get(key) || { labels, value: 0 };
+      entry.value += amount;
+      values.set(key, entry);
+    },
+    render() {
+      return renderFamily(name, 'counter', help, [...values.values()]);
+    }
+  };
+}
+
+/**
+ * Create a histogram whose buckets are kept by label set
+ *
+ * @param {string} name - Metric name without the prefix
+ * @param {string} help - Help text
+ * @param {Array<number>} [buckets=DURATION_BUCKETS] - Upper bounds, in increasing order
+ * @returns {{observe: Function, render: Function}} Histogram
+ */
+function createHistogram(name, help, buckets = DURATION_BUCKETS) {
+  const values = new Map();
+
+  return {
+    /**
+     * @param {Object} labels - Label values, always given in the same order
+     * @param {number} value - Observed value
+     */
+    observe(labels, value) {
+      const key = formatLabels(labels);
+      const entry = values.get(key) || { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+      buckets.forEach((bound, index) => {
+        if (value <= bound) entry.counts[index]++;
+      });
+      entry.sum += value;
+      entry.count++;
+      values.set(key, entry);
+    },
+    render() {
+      const samples = [];
+      values.forEach(({ labels, counts, sum, count }) => {
+        buckets.forEach((bound, index) => {
+          samples.push({ labels: { ...labels, le: bound }, value: counts[index], suffix: '_bucket' });
+        });
+        samples.push({ labels: { ...labels, le: '+Inf' }, value: count, suffix: '_bucket' });
+        samples.push({ labels, value: sum, suffix: '_sum' });
+        samples.push({ labels, value: count, suffix: '_count' });
+      });
+      return renderFamily(name, 'histogram', help, samples);
+    }
+  };
+}
+
+const httpRequests = createCounter('http_requests_total', 'HTTP requests handled, by route and status');
+const httpDuration = createHistogram('http_request_duration_seconds', 'HTTP request duration, by route');
+const tautulliRequests = createCounter('tautulli_requests_total',
+  'Requests sent to Tautulli, by server, command and result');
+const tautulliRetries = createCounter('tautulli_retries_total', 'Retried Tautulli requests, by server and command');
+const tautulliDuration = createHistogram('tautulli_request_duration_seconds',
+  'Tautulli request duration including retries, by server and command');
+
+/**
+ * Record a handled HTTP request
+ *
+ * @param {string} method - HTTP method
+ * @param {string} route - Route pattern, not the raw path, to keep label values bounded
+ * @param {number} status - Response status code
+ * @param {number} seconds - Duration in seconds
+ */
+function recordHttpRequest(method, route, status, seconds) {
+  httpRequests.inc({ method, route, status });
+  httpDuration.observe({ method, route }, seconds);
+}
+
+/**
+ * Record a finished Tautulli request
+ *
+ * @param {string} server - Server ID
+ * @param {string} cmd - Tautulli API command
+ * @param {boolean} success - Whether a response was received
+ * @param {number} retries - Attempts after the first one
+ * @param {number} seconds - Duration in seconds
+ */
+function recordTautulliRequest(server, cmd, success, retries, seconds) {
+  tautulliRequests.inc({ server, cmd, result: success ? 'success' : 'failure' });
+  if (retries > 0) {
+    tautulliRetries.inc({ server, cmd }, retries);
+  }
+  tautulliDuration.observe({ server, cmd }, seconds);
+}
+
+/**
+ * Render the recorded counters and histograms
+ *
+ * @returns {Array<string>} Metric families in the text format
+ */
+function renderRecordedMetrics() {
+  return [httpRequests, httpDuration, tautulliRequests, tautulliRetries, tautulliDuration]
+    .map(metric => metric.render());
+}
+
+module.exports = {
+  METRIC_PREFIX,
+  renderFamily,
+  recordHttpRequest,
+  recordTautulliRequest,
+  renderRecordedMetrics
+};
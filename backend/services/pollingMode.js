@@ -0,0 +1,193 @@
+/**
+ * Adaptive polling state
+ * Tracks playback sessions and client activity to decide how often background jobs poll Tautulli
+ * @module services/pollingMode
+ */
+const { createLogger, colors } = require('../../logger');
+const cacheConfig = require('./cacheConfig');
+const scheduler = require('./scheduler');
+
+const { log } = createLogger('scheduler');
+
+/**
+ * Polling modes
+ * active: sessions are playing, jobs run at their configured interval;
+ * idle: nothing is playing, activity jobs back off with every poll that finds no sessions;
+ * suspended: no client asked for data within suspend_after, jobs skip their work
+ * @type {Object.<string, string>}
+ */
+const POLLING_MODES = {
+  ACTIVE: 'active',
+  IDLE: 'idle',
+  SUSPENDED: 'suspended'
+};
+
+/**
+ * Highest idle level, keeps the backoff factor finite
+ * @type {number}
+ */
+const MAX_IDLE_LEVEL = 20;
+
+/**
+ * Cache keys whose listeners are open event streams
+ * @type {Array<string>}
+ */
+const STREAM_TOPICS = ['users', 'recent_media', 'libraries'];
+
+/**
+ * Polling state
+ * Startup counts as client activity so the cache is warmed before polling can be suspended
+ * @type {{mode: string, activeSessions: number, idleLevel: number, lastActivityAt: number, lastActivitySource: string}}
+ */
+const state = {
+  mode: POLLING_MODES.IDLE,
+  activeSessions: 0,
+  idleLevel: 0,
+  lastActivityAt: Date.now(),
+  lastActivitySource: 'startup'
+};
+
+/**
+ * Check whether a dashboard has an event stream open
+ * Open streams keep polling alive without sending requests
+ *
+ * @returns {boolean} True if any cache key has listeners
+ */
+function hasOpenStreams() {
+  const { cache } = require('./cacheService');
+  return STREAM_TOPICS.some(topic => cache.getListenerCount(topic) > 0);
+}
+
+/**
+ * Get the time polling is suspended at if no client shows up
+ *
+ * @returns {number|null} Timestamp in milliseconds, null if polling never suspends
+ */
+function getSuspendAt() {
+  const { suspend_after: suspendAfter } = cacheConfig.ADAPTIVE;
+  if (suspendAfter === 0 || hasOpenStreams()) return null;
+  return state.lastActivityAt + suspendAfter * 1000;
+}
+
+/**
+ * Work out the current polling mode, logging changes
+ *
+ * @returns {string} One of POLLING_MODES
+ */
+function getPollingMode() {
+  const suspendAt = getSuspendAt();
+  let mode = POLLING_MODES.IDLE;
+
+  if (suspendAt !== null && Date.now() >= suspendAt) {
+    mode = POLLING_MODES.SUSPENDED;
+  } else if (state.activeSessions > 0) {
+    mode = POLLING_MODES.ACTIVE;
+  }
+
+  if (mode !== state.mode) {
+    log(`${colors.brightBlue}ℹ${colors.reset} Polling mode changed from ${state.mode} to ${mode}`);
+    state.mode = mode;
+  }
+
+  return mode;
+}
+
+/**
+ * Check whether background jobs should skip their work
+ *
+ * @returns {boolean} True while polling is suspended
+ */
+function isPollingSuspended() {
+  return getPollingMode() === POLLING_MODES.SUSPENDED;
+}
+
+/**
+ * Return to fast polling, applying the shorter intervals to jobs that are already waiting
+ *
+ * @param {string} reason - What woke polling up, for the log
+ */
+function wake(reason) {
+  state.idleLevel = 0;
+  log(`${colors.brightGreen}✓${colors.reset} Fast polling resumed by ${reason}`);
+  scheduler.rescheduleJobs();
+  getPollingMode();
+}
+
+/**
+ * Record a client asking for data or a Tautulli webhook
+ * Any activity after polling was suspended or backed off returns to fast polling
+ *
+ * @param {string} source - request, stream or webhook
+ */
+function recordActivity(source) {
+  const wasSuspended = getPollingMode() === POLLING_MODES.SUSPENDED;
+
+  state.lastActivityAt = Date.now();
+  state.lastActivitySource = source;
+
+  if (wasSuspended || state.idleLevel > 0) {
+    wake(source);
+  }
+}
+
+/**
+ * Record the number of playing sessions found by a poll
+ * Each poll without sessions raises the idle level, the first session resets it
+ *
+ * @param {number} count - Active session count
+ */
+function recordSessions(count) {
+  const wasBackedOff = state.idleLevel > 0;
+  state.activeSessions = count;
+
+  if (count === 0) {
+    state.idleLevel = Math.min(state.idleLevel + 1, MAX_IDLE_LEVEL);
+  } else if (wasBackedOff) {
+    wake('active sessions');
+  }
+
+  getPollingMode();
+}
+
+/**
+ * Stretch a job interval by the idle backoff
+ * Intervals grow by idle_backoff per idle level up to idle_max_interval; longer configured intervals are kept
+ *
+ * @param {number} interval - Configured interval in seconds
+ * @returns {number} Interval to use in seconds
+ */
+function scaleInterval(interval) {
+  const { idle_backoff: backoff, idle_max_interval: maxInterval } = cacheConfig.ADAPTIVE;
+  if (state.activeSessions > 0 || state.idleLevel === 0) return interval;
+
+  const scaled = interval * Math.pow(backoff, state.idleLevel);
+  return Math.max(interval, Math.min(scaled, maxInterval));
+}
+
+/**
+ * Get the polling state for the health endpoint
+ *
+ * @returns {Object} Mode, session count, idle level and activity timestamps
+ */
+function getPollingStatus() {
+  const suspendAt = getSuspendAt();
+  return {
+    mode: getPollingMode(),
+    active_sessions: state.activeSessions,
+    idle_level: state.idleLevel,
+    open_streams: hasOpenStreams(),
+    last_activity_at: state.lastActivityAt,
+    last_activity_source: state.lastActivitySource,
+    suspend_at: suspendAt
+  };
+}
+
+module.exports = {
+  POLLING_MODES,
+  getPollingMode,
+  isPollingSuspended,
+  recordActivity,
+  recordSessions,
+  scaleInterval,
+  getPollingStatus
+};
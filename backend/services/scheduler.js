@@ -0,0 +1,205 @@
+/**
+ * Background job scheduler
+ * Runs named jobs on timers whose interval and jitter are read again before every run,
+ * so schedule changes apply without a restart
+ * @module services/scheduler
+ */
+const { createLogger, colors } = require('../../logger');
+
+const { log, logError } = createLogger('scheduler');
+
+/**
+ * Registered jobs by name
+ * @type {Map<string, Object>}
+ */
+const jobs = new Map();
+
+/**
+ * Whether jobs are being scheduled
+ * @type {boolean}
+ */
+let started = false;
+
+/**
+ * Pick the delay before a job's next run
+ *
+ * @param {{interval: number, jitter: number}} timing - Timing in milliseconds
+ * @returns {number} Delay in milliseconds
+ */
+function pickDelay({ interval, jitter = 0 }) {
+  return interval + Math.round(Math.random() * jitter);
+}
+
+/**
+ * Schedule the next run of a job
+ *
+ * @param {Object} job - Job state
+ * @param {number} [delay] - Delay in milliseconds, defaults to the job's interval plus jitter
+ */
+function scheduleNext(job, delay) {
+  clearTimeout(job.timer);
+
+  const waitFor = delay !== undefined ? delay : pickDelay(job.getTiming());
+  job.waitStartedAt = Date.now();
+  job.nextRunAt = job.waitStartedAt + waitFor;
+  job.timer = setTimeout(() => runJob(job), waitFor);
+
+  // Pending jobs alone should not keep the process alive
+  job.timer.unref();
+}
+
+/**
+ * Run a job and schedule its next run once it finished
+ * A job returning false was skipped, e.g. because nobody is listening for its data
+ *
+ * @async
+ * @param {Object} job - Job state
+ */
+async function runJob(job) {
+  job.timer = null;
+  job.nextRunAt = null;
+  job.running = true;
+  const startedAt = Date.now();
+
+  try {
+    const result = await job.run();
+    job.lastStatus = result === false ? 'skipped' : 'ok';
+    job.lastError = null;
+  } catch (error) {
+    job.lastStatus = 'error';
+    job.lastError = error.message;
+    logError(`Scheduled Job - ${job.name}`, error);
+  } finally {
+    job.running = false;
+    job.runs++;
+    job.lastRunAt = startedAt;
+    job.lastDurationMs = Date.now() - startedAt;
+
+    // The job may have been removed or the scheduler stopped while it ran
+    if (started && jobs.get(job.name) === job) {
+      scheduleNext(job);
+    }
+  }
+}
+
+/**
+ * Register a job, replacing a job with the same name
+ *
+ * @param {string} name - Job name
+ * @param {Function} run - Async function doing the work, may return false when it skipped the work
+ * @param {Function} getTiming - Returns {interval, jitter, offset} in milliseconds, called before every run
+ */
+function addJob(name, run, getTiming) {
+  removeJob(name);
+
+  const job = {
+    name,
+    run,
+    getTiming,
+    timer: null,
+    running: false,
+    runs: 0,
+    waitStartedAt: null,
+    nextRunAt: null,
+    lastRunAt: null,
+    lastDurationMs: null,
+    lastStatus: null,
+    lastError: null
+  };
+  jobs.set(name, job);
+
+  if (started) {
+    const timing = getTiming();
+    scheduleNext(job, (timing.offset || 0) + pickDelay(timing));
+  }
+}
+
+/**
+ * Remove a job, a run in progress finishes but is not scheduled again
+ *
+ * @param {string} name - Job name
+ */
+function removeJob(name) {
+  const job = jobs.get(name);
+  if (!job) return;
+
+  clearTimeout(job.timer);
+  jobs.delete(name);
+}
+
+/**
+ * Start scheduling every registered job
+ * First runs are delayed by each job's offset so jobs do not start together
+ */
+function startScheduler() {
+  if (started) return;
+  started = true;
+
+  jobs.forEach(job => {
+    const timing = job.getTiming();
+    scheduleNext(job, (timing.offset || 0) + pickDelay(timing));
+  });
+
+  log(`${colors.brightGreen}✓${colors.reset} Scheduler started with ${jobs.size} jobs`);
+}
+
+/**
+ * Stop scheduling jobs, runs in progress are allowed to finish
+ */
+function stopScheduler() {
+  started = false;
+
+  jobs.forEach(job => {
+    clearTimeout(job.timer);
+    job.timer = null;
+    job.nextRunAt = null;
+  });
+}
+
+/**
+ * Apply changed timings to waiting jobs
+ * The time a job has already waited counts toward its new interval
+ */
+function rescheduleJobs() {
+  if (!started) return;
+
+  jobs.forEach(job => {
+    if (!job.timer) return;
+    const elapsed = Date.now() - job.waitStartedAt;
+    scheduleNext(job, Math.max(0, pickDelay(job.getTiming()) - elapsed));
+  });
+
+  log(`${colors.brightBlue}ℹ${colors.reset} Scheduler timings updated`);
+}
+
+/**
+ * Get the state of every job
+ *
+ * @returns {Array<Object>} Job states with their timing in seconds and timestamps in milliseconds
+ */
+function getJobStatus() {
+  return [...jobs.values()].map(job => {
+    const { interval, jitter = 0 } = job.getTiming();
+    return {
+      name: job.name,
+      interval: interval / 1000,
+      jitter: jitter / 1000,
+      running: job.running,
+      runs: job.runs,
+      next_run_at: job.nextRunAt,
+      last_run_at: job.lastRunAt,
+      last_duration_ms: job.lastDurationMs,
+      last_status: job.lastStatus,
+      last_error: job.lastError
+    };
+  });
+}
+
+module.exports = {
+  addJob,
+  removeJob,
+  startScheduler,
+  stopScheduler,
+  rescheduleJobs,
+  getJobStatus
+};
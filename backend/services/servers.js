@@ -0,0 +1,177 @@
+/**
+ * Tautulli server helpers
+ * Server IDs, the namespaced keys used for sections and users across servers, and API key masking
+ * @module services/servers
+ */
+
+/**
+ * ID given to the connection migrated from the single-server settings format
+ * @type {string}
+ */
+const DEFAULT_SERVER_ID = 'default';
+
+/**
+ * Separator between the server ID and the Tautulli ID in namespaced keys
+ * Server IDs never contain it, so "home:2" always splits into server "home" and ID 2
+ * @type {string}
+ */
+const KEY_SEPARATOR = ':';
+
+/**
+ * Value returned in place of a saved API key
+ * Sending it back when saving keeps the saved key
+ * @type {string}
+ */
+const MASKED_SECRET = '********';
+
+/**
+ * Create a unique server ID from a display name
+ * IDs only contain lowercase letters, digits and underscores so they are safe in keys and URLs
+ *
+ * @param {string} name - Server display name
+ * @param {Array<string>} [existingIds=[]] - IDs already in use
+ * @returns {string} New server ID
+ */
+function createServerId(name, existingIds = []) {
+  const base = String(name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '') || 'server';
+
+  let id = base;
+  let suffix = 2;
+  while (existingIds.includes(id)) {
+    id = `${base}_${suffix++}`;
+  }
+  return id;
+}
+
+/**
+ * Create the namespaced key for a library section
+ *
+ * @param {string} serverId - Server ID
+ * @param {number|string} sectionId - Tautulli section ID
+ * @returns {string} Section key (e.g. "home:2")
+ */
+function createSectionKey(serverId, sectionId) {
+  return `${serverId}${KEY_SEPARATOR}${parseInt(sectionId)}`;
+}
+
+/**
+ * Split a section key into its server and section ID
+ * Bare section IDs (e.g. "2") are accepted and match that section on every server
+ *
+ * @param {number|string} key - Section key or bare section ID
+ * @returns {{server: string|null, sectionId: number}} Server ID (null for bare IDs) and section ID
+ */
+function parseSectionKey(key) {
+  const value = String(key).trim();
+  const separatorIndex = value.lastIndexOf(KEY_SEPARATOR);
+
+  if (separatorIndex === -1) {
+    return { server: null, sectionId: parseInt(value) };
+  }
+
+  return {
+    server: value.slice(0, separatorIndex),
+    sectionId: parseInt(value.slice(separatorIndex + 1))
+  };
+}
+
+/**
+ * Check if a section matches any of the requested section filters
+ *
+ * @param {Array<string>} filters - Section keys or bare section IDs
+ * @param {string} serverId - Server the section belongs to
+ * @param {number|string} sectionId - Tautulli section ID
+ * @returns {boolean} True if the section matches a filter
+ */
+function matchesSectionFilter(filters, serverId, sectionId) {
+  return filters.some(filter => {
+    const parsed = parseSectionKey(filter);
+    return parsed.sectionId === parseInt(sectionId) && (parsed.server === null || parsed.server === serverId);
+  });
+}
+
+/**
+ * Create the key used to identify a user on a specific server
+ * The same Plex account has the same user ID on every server it is shared with
+ *
+ * @param {string} serverId - Server ID
+ * @param {number|string} userId - Tautulli user ID
+ * @returns {string} User key (e.g. "home:1234")
+ */
+function createUserKey(serverId, userId) {
+  return `${serverId}${KEY_SEPARATOR}${userId}`;
+}
+
+/**
+ * Parse a comma-separated ?server= filter
+ *
+ * @param {string} [value] - Query value
+ * @returns {Array<string>|null} Server IDs, or null when not filtering
+ */
+function parseServerFilter(value) {
+  if (!value || typeof value !== 'string') return null;
+  const ids = value.split(',').map(id => id.trim()).filter(Boolean);
+  return ids.length > 0 ? ids : null;
+}
+
+/**
+ * Check if a value is the masked placeholder for a saved secret
+ *
+ * @param {string} value - Value sent by the client
+ * @returns {boolean} True if the saved secret should be kept
+ */
+function isMaskedSecret(value) {
+  return value === MASKED_SECRET;
+}
+
+/**
+ * Resolve a masked API key to the saved key of a server
+ * The saved key is only sent to the URL it was saved with, so changing the URL requires entering the key again
+ *
+ * @param {string} serverId - ID of the saved server
+ * @param {string} baseUrl - Tautulli base URL the key will be sent to
+ * @param {Array<Object>} savedServers - Servers currently saved
+ * @returns {string|null} Saved API key, null if the server is unknown or its URL changed
+ */
+function resolveMaskedApiKey(serverId, baseUrl, savedServers) {
+  const normalizeUrl = (url) => String(url || '').trim().replace(/\/+$/, '');
+  const saved = (savedServers || []).find(server => server.id === serverId);
+
+  if (!saved?.apiKey || normalizeUrl(saved.baseUrl) !== normalizeUrl(baseUrl)) {
+    return null;
+  }
+  return saved.apiKey;
+}
+
+/**
+ * Prepare a server connection for the browser with its API key masked
+ *
+ * @param {Object} server - Server connection
+ * @returns {{id: string, name: string, baseUrl: string, apiKey: string, hasApiKey: boolean}} Masked connection
+ */
+function maskServer(server) {
+  return {
+    id: server.id,
+    name: server.name,
+    baseUrl: server.baseUrl,
+    apiKey: server.apiKey ? MASKED_SECRET : '',
+    hasApiKey: !!server.apiKey
+  };
+}
+
+module.exports = {
+  DEFAULT_SERVER_ID,
+  MASKED_SECRET,
+  createServerId,
+  createSectionKey,
+  parseSectionKey,
+  matchesSectionFilter,
+  createUserKey,
+  parseServerFilter,
+  isMaskedSecret,
+  resolveMaskedApiKey,
+  maskServer
+};
@@ -5,7 +5,11 @@
  */
 const fs = require('fs').promises;
 const path = require('path');
-const logger = require('../../logger');
+const { createLogger } = require('../../logger');
+const { DEFAULT_SERVER_ID, createServerId, createSectionKey, parseSectionKey } = require('./servers');
+const { DEMO_SERVER, getDemoSections } = require('./demoTautulli');
+
+const logger = createLogger('settings');
 
 /**
  * Configuration directory path
@@ -83,10 +87,17 @@ const defaultSettings = {
       ]
     }
   },
-  env: {
-    TAUTULLI_BASE_URL: '',
-    TAUTULLI_API_KEY: ''
-  }
+  servers: [],
+  demoMode: false,
+  auth: {
+    passwordHash: '',     // Empty when no admin password is set
+    publicWidgets: true,  // Read endpoints need no token
+    tokens: []            // Scoped API tokens, stored hashed
+  },
+  webhooks: {
+    secretHash: ''        // Empty while Tautulli webhooks are disabled
+  },
+  env: {}
 };
 
 /**
@@ -104,14 +115,169 @@ const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
  * @returns {boolean} True if valid, false otherwise
  */
 function validateSettings(settings) {
-  const requiredKeys = ['userFormats', 'sections', 'mediaFormats', 'env'];
+  const requiredKeys = ['userFormats', 'sections', 'mediaFormats', 'servers', 'auth', 'env'];
   return requiredKeys.every(key => key in settings) &&
          Array.isArray(settings.sections.shows) &&
          Array.isArray(settings.sections.movies) &&
          Array.isArray(settings.sections.music) &&
-         typeof settings.env === 'object' &&
-         'TAUTULLI_BASE_URL' in settings.env &&
-         'TAUTULLI_API_KEY' in settings.env;
+         Array.isArray(settings.servers) &&
+         settings.servers.every(server => server?.id && typeof server.baseUrl === 'string') &&
+         typeof settings.auth === 'object' &&
+         Array.isArray(settings.auth.tokens) &&
+         typeof settings.env === 'object';
+}
+
+/**
+ * Normalize Tautulli server connections and namespace sections by server
+ * Migrates the single TAUTULLI_BASE_URL/TAUTULLI_API_KEY connection into the server list
+ * and prefixes bare section IDs (and their formats) with the first server's ID
+ * 
+ * @param {Object} settings - Settings object to normalize
+ * @returns {Object} Settings with normalized servers and sections
+ */
+function normalizeServers(settings) {
+  const { TAUTULLI_BASE_URL, TAUTULLI_API_KEY, ...env } = settings.env || {};
+  let servers = Array.isArray(settings.servers) ? settings.servers : [];
+  
+  if (servers.length === 0 && TAUTULLI_BASE_URL) {
+    logger.log('Migrating Tautulli connection to the server list');
+    servers = [{
+      id: DEFAULT_SERVER_ID,
+      name: 'Tautulli',
+      baseUrl: TAUTULLI_BASE_URL,
+      apiKey: TAUTULLI_API_KEY || ''
+    }];
+  }
+  
+  const ids = [];
+  settings.servers = servers.map((server, index) => {
+    const name = server.name || `Tautulli ${index + 1}`;
+    // IDs are used in section keys, so anything that is not a plain slug is regenerated
+    const validId = /^[a-z0-9_]+$/.test(server.id || '') && !ids.includes(server.id);
+    const id = validId ? server.id : createServerId(name, ids);
+    ids.push(id);
+    return {
+      id,
+      name,
+      baseUrl: (server.baseUrl || '').replace(/\/+$/, ''),
+      apiKey: server.apiKey || ''
+    };
+  });
+  settings.env = env;
+  
+  // Sections saved before multi-server support belong to the first server
+  const fallbackServer = settings.servers[0]?.id;
+  if (fallbackServer) {
+    const toKey = (sectionId) => /^\d+$/.test(String(sectionId)) ? createSectionKey(fallbackServer, sectionId) : sectionId;
+    
+    ['shows', 'movies', 'music'].forEach(type => {
+      if (Array.isArray(settings.sections?.[type])) {
+        settings.sections[type] = settings.sections[type].map(toKey);
+      }
+      if (settings.mediaFormats?.[type]) {
+        settings.mediaFormats[type] = Object.fromEntries(
+          Object.entries(settings.mediaFormats[type]).map(([sectionId, format]) => [toKey(sectionId), format])
+        );
+      }
+    });
+  }
+  
+  return settings;
+}
+
+/**
+ * Normalize authentication settings
+ * Migrates the single widget token into the API token list with the read scopes
+ * 
+ * @param {Object} settings - Settings object to normalize
+ * @returns {Object} Settings with normalized auth
+ */
+function normalizeAuth(settings) {
+  const { widgetTokenHash, ...auth } = settings.auth || {};
+  auth.tokens = Array.isArray(auth.tokens) ? auth.tokens.filter(token => token?.id && token.tokenHash) : [];
+  
+  if (widgetTokenHash && !auth.tokens.some(token => token.tokenHash === widgetTokenHash)) {
+    logger.log('Migrating widget token to the API token list');
+    auth.tokens.push({
+      id: 'widget',
+      name: 'Widget token',
+      scopes: ['users:read', 'media:read', 'libraries:read'],
+      tokenHash: widgetTokenHash,
+      hint: '',
+      createdAt: null,
+      lastUsedAt: null,
+      useCount: 0
+    });
+  }
+  
+  settings.auth = auth;
+  return settings;
+}
+
+/**
+ * Check if demo mode is enabled
+ * DEMO_MODE=true in the environment enables it regardless of the saved setting
+ * 
+ * @param {Object} settings - Settings object
+ * @returns {boolean} True if the built-in demo server replaces the configured servers
+ */
+function isDemoMode(settings) {
+  return process.env.DEMO_MODE === 'true' || settings?.demoMode === true;
+}
+
+/**
+ * Select every demo library when demo mode is enabled and none of them is selected yet
+ * Only sections are touched, the saved Tautulli servers stay as they are
+ * 
+ * @param {Object} settings - Settings object
+ * @returns {Object} Settings with demo sections
+ */
+function applyDemoSections(settings) {
+  if (!isDemoMode(settings)) return settings;
+  
+  const hasDemoSections = ['shows', 'movies', 'music'].some(type =>
+    settings.sections[type].some(key => parseSectionKey(key).server === DEMO_SERVER.id));
+  
+  if (!hasDemoSections) {
+    const demoSections = getDemoSections();
+    ['shows', 'movies', 'music'].forEach(type => {
+      settings.sections[type] = [...settings.sections[type], ...demoSections[type]];
+    });
+  }
+  
+  return settings;
+}
+
+/**
+ * Remove the demo libraries added by applyDemoSections
+ * They are only added when settings are read, so they never end up in the settings file
+ * 
+ * @param {Object} settings - Settings object
+ * @returns {Object} Copy of the settings without demo sections
+ */
+function stripDemoSections(settings) {
+  if (!settings.sections) return settings;
+  
+  const sections = { ...settings.sections };
+  ['shows', 'movies', 'music'].forEach(type => {
+    if (Array.isArray(sections[type])) {
+      sections[type] = sections[type].filter(key => parseSectionKey(key).server !== DEMO_SERVER.id);
+    }
+  });
+  
+  return { ...settings, sections };
+}
+
+/**
+ * Push the configured servers to the Tautulli client
+ * In demo mode the built-in demo server is used instead
+ * 
+ * @param {Object} settings - Settings object
+ */
+function applyServers(settings) {
+  // Break circular dependency by requiring tautulliService at runtime
+  const { tautulliService } = require('./tautulli');
+  tautulliService.setServers(isDemoMode(settings) ? [DEMO_SERVER] : (settings.servers || []));
 }
 
 /**
@@ -191,12 +357,15 @@ async function initSettings() {
       if (!validateSettings(currentSettings)) {
         logger.log('Invalid settings detected, restoring defaults');
         await saveSettings(defaultSettings);
+        return;
       }
 
-      // Update environment variables from settings
-      if (currentSettings.env) {
-        process.env.TAUTULLI_BASE_URL = currentSettings.env.TAUTULLI_BASE_URL || '';
-        process.env.TAUTULLI_API_KEY = currentSettings.env.TAUTULLI_API_KEY || '';
+      // Persist the migrated server list once, later reads no longer need to migrate
+      const storedSettings = JSON.parse(await fs.readFile(CONFIG_FILE, 'utf8'));
+      if (!Array.isArray(storedSettings.servers)) {
+        await saveSettings(currentSettings);
+      } else {
+        applyServers(currentSettings);
       }
     } catch (error) {
       // File doesn't exist or can't be accessed, create with defaults
@@ -233,14 +402,25 @@ async function getSettings() {
           ...defaultSettings.sections,
           ...settings.sections
         },
+        auth: {
+          ...defaultSettings.auth,
+          ...settings.auth
+        },
+        webhooks: {
+          ...defaultSettings.webhooks,
+          ...settings.webhooks
+        },
         env: {
           ...defaultSettings.env,
           ...settings.env
         }
       };
 
-      // Normalize user format fields
+      // Normalize user format fields, server connections and auth
       normalizeUserFormats(mergedSettings);
+      normalizeServers(mergedSettings);
+      normalizeAuth(mergedSettings);
+      applyDemoSections(mergedSettings);
 
       if (!validateSettings(mergedSettings)) {
         throw new Error('Invalid settings format');
@@ -265,11 +445,11 @@ async function getSettings() {
 async function saveSettings(settings) {
   return retryOperation(async () => {
     try {
-      // Normalize user format fields before saving
-      settings = normalizeUserFormats(settings);
+      // Normalize user format fields, server connections and auth before saving
+      settings = normalizeAuth(normalizeServers(normalizeUserFormats(stripDemoSections(settings))));
       
       // Log what we're about to save
-      logger.log('Saving user formats:', JSON.stringify(settings.userFormats, null, 2));
+      logger.debug(`Saving user formats: ${JSON.stringify(settings.userFormats)}`);
       
       // Validate settings before saving
       if (!validateSettings(settings)) {
@@ -289,11 +469,8 @@ async function saveSettings(settings) {
       // Rename temporary file to actual file (atomic operation)
       await fs.rename(tempFile, CONFIG_FILE);
 
-      // Update environment variables
-      if (settings.env) {
-        process.env.TAUTULLI_BASE_URL = settings.env.TAUTULLI_BASE_URL || '';
-        process.env.TAUTULLI_API_KEY = settings.env.TAUTULLI_API_KEY || '';
-      }
+      // Update the Tautulli client connections
+      applyServers(settings);
 
       return settings;
     } catch (error) {
@@ -307,6 +484,7 @@ module.exports = {
   initSettings,
   getSettings,
   saveSettings,
+  isDemoMode,
   CONFIG_FILE,
   defaultSettings
 };
\ No newline at end of file
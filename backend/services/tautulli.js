@@ -3,8 +3,15 @@
  * Provides methods for interacting with the Tautulli API
  * @module services/tautulli
  */
+const http = require('http');
+const https = require('https');
 const axios = require('axios');
 const { cache } = require('./cacheService');
+const { handleDemoCommand, isDemoServerUrl } = require('./demoTautulli');
+const { recordTautulliRequest } = require('./metrics');
+const { createLogger } = require('../../logger');
+
+const { info, warn, debug, error: logFailure } = createLogger('tautulli');
 
 /**
  * Retry delay in milliseconds
@@ -28,18 +35,93 @@ const MAX_RETRIES = 3;
 const DEFAULT_TIMEOUT = 15000;
 
 /**
- * Enhanced service for interacting with Tautulli API
- * Includes batch processing, connection pooling, metrics, and request deduplication
+ * Maximum number of requests sent to Tautulli at the same time
+ * @type {number}
+ */
+const MAX_CONCURRENT_REQUESTS = 4;
+
+/**
+ * Maximum number of open sockets per Tautulli host
+ * @type {number}
+ */
+const MAX_SOCKETS = 10;
+
+/**
+ * Consecutive connection failures before the circuit breaker opens
+ * Can be overridden with the TAUTULLI_CIRCUIT_THRESHOLD environment variable
+ * @type {number}
+ */
+const CIRCUIT_FAILURE_THRESHOLD = parseInt(process.env.TAUTULLI_CIRCUIT_THRESHOLD) || 5;
+
+/**
+ * Time the circuit stays open before a probe request is allowed, in milliseconds
+ * Can be overridden with the TAUTULLI_CIRCUIT_COOLDOWN environment variable
+ * @type {number}
+ */
+const CIRCUIT_COOLDOWN = parseInt(process.env.TAUTULLI_CIRCUIT_COOLDOWN) || 30000;
+
+/**
+ * Number of circuit state transitions kept for diagnostics
+ * @type {number}
+ */
+const MAX_CIRCUIT_TRANSITIONS = 20;
+
+/**
+ * Circuit breaker states
+ * @type {Object.<string, string>}
+ */
+const CIRCUIT_STATE = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
+/**
+ * Request priorities, lower values are sent first
+ * @type {Object.<string, number>}
+ */
+const PRIORITY = {
+  LIVE: 0,
+  LIBRARY: 1,
+  HISTORY: 2,
+  ARTWORK: 3
+};
+
+/**
+ * Priority per API command
+ * Commands not listed here are scheduled with library priority
+ * @type {Object.<string, number>}
+ */
+const COMMAND_PRIORITIES = {
+  'get_activity': PRIORITY.LIVE,
+  'get_server_info': PRIORITY.LIVE,
+  'get_libraries_table': PRIORITY.LIBRARY,
+  'get_users_table': PRIORITY.LIBRARY,
+  'get_recently_added': PRIORITY.LIBRARY,
+  'get_metadata': PRIORITY.LIBRARY,
+  'get_history': PRIORITY.HISTORY,
+  'pms_image_proxy': PRIORITY.ARTWORK
+};
+
+/**
+ * Enhanced service for interacting with one or more Tautulli servers
+ * Includes batch processing, keep-alive connections, priority scheduling, per-server circuit breaking, metrics, and request deduplication
  * @class
  */
 class TautulliService {
   /**
    * Create a new TautulliService instance
-   * Initializes axios with appropriate defaults
+   * Initializes axios with keep-alive agents so connections to Tautulli are reused
    */
   constructor() {
+    // Keep-alive agents shared by every request to Tautulli
+    this.httpAgent = new http.Agent({ keepAlive: true, maxSockets: MAX_SOCKETS });
+    this.httpsAgent = new https.Agent({ keepAlive: true, maxSockets: MAX_SOCKETS });
+    
     this.api = axios.create({
       timeout: DEFAULT_TIMEOUT,
+      httpAgent: this.httpAgent,
+      httpsAgent: this.httpsAgent,
       headers: { 
         'Accept-Encoding': 'gzip',
         'User-Agent': 'TautulliManager/1.0'
@@ -59,78 +141,313 @@ class TautulliService {
     // Track active requests to avoid duplicates
     this.pendingRequests = new Map();
     
-    // Connection pool for better connection reuse
-    this.connectionPool = {
-      maxSize: 10,  // Maximum connections to keep open
-      idle: [],     // Idle connections
-      active: 0     // Currently active connections
-    };
+    // Per-command queues, drained by priority so live activity never waits behind bulk requests
+    this.commandQueues = new Map();
+    this.inFlightRequests = 0;
+    this.queueSequence = 0;
+    this.queueWakeTimer = null;
+    
+    // Create etag cache for conditional requests
+    this.etagCache = new Map();
     
-    // Command queue for throttling
-    this.commandQueue = [];
-    this.isProcessingQueue = false;
-    this.commandRateLimits = {
+    // Configured servers with their own circuit breaker and rate limits, keyed by server ID
+    this.servers = new Map();
+  }
+  
+  /**
+   * Create the per-command rate limit state for a server
+   * 
+   * @private
+   * @returns {Object.<string, Object>} Rate limits keyed by command
+   */
+  _createRateLimits() {
+    return {
       'get_activity': { max: 2, interval: 5000, current: 0, lastReset: Date.now() },
       'get_users_table': { max: 2, interval: 5000, current: 0, lastReset: Date.now() },
       'get_recently_added': { max: 5, interval: 5000, current: 0, lastReset: Date.now() },
       'get_libraries_table': { max: 2, interval: 5000, current: 0, lastReset: Date.now() },
-      'get_history': { max: 10, interval: 5000, current: 0, lastReset: Date.now() }
+      'get_history': { max: 10, interval: 5000, current: 0, lastReset: Date.now() },
+      'pms_image_proxy': { max: 20, interval: 5000, current: 0, lastReset: Date.now() }
+    };
+  }
+  
+  /**
+   * Create a closed circuit breaker, which fails requests fast while a server is unreachable
+   * 
+   * @private
+   * @returns {Object} Circuit breaker state
+   */
+  _createCircuit() {
+    return {
+      state: CIRCUIT_STATE.CLOSED,
+      failures: 0,
+      threshold: CIRCUIT_FAILURE_THRESHOLD,
+      cooldown: CIRCUIT_COOLDOWN,
+      openedAt: null,
+      probeInFlight: false,
+      lastFailure: null,
+      transitions: []
     };
+  }
+  
+  /**
+   * Replace the configured Tautulli servers
+   * Servers that keep their ID and URL keep their circuit breaker and rate limit state
+   * 
+   * @param {Array<{id: string, name: string, baseUrl: string, apiKey: string}>} servers - Server connections
+   */
+  setServers(servers) {
+    const nextServers = new Map();
     
-    // Create etag cache for conditional requests
-    this.etagCache = new Map();
+    for (const { id, name, baseUrl, apiKey } of servers) {
+      const existing = this.servers.get(id);
+      nextServers.set(id, {
+        id,
+        name,
+        baseUrl,
+        apiKey,
+        circuit: existing?.baseUrl === baseUrl ? existing.circuit : this._createCircuit(),
+        rateLimits: existing ? existing.rateLimits : this._createRateLimits()
+      });
+    }
+    
+    // Requests queued for a removed server can never be sent
+    for (const server of this.servers.values()) {
+      if (!nextServers.has(server.id)) {
+        this._rejectQueuedCommands(server, () => new Error(`Tautulli server ${server.name} was removed`));
+      }
+    }
+    
+    this.servers = nextServers;
   }
-
+  
+  /**
+   * Get the configured servers in settings order
+   * 
+   * @returns {Array<{id: string, name: string, baseUrl: string, apiKey: string}>} Server connections
+   */
+  getServers() {
+    return [...this.servers.values()].map(({ id, name, baseUrl, apiKey }) => ({ id, name, baseUrl, apiKey }));
+  }
+  
   /**
-   * Get a connection from the pool or create a new one
+   * Resolve a server by ID
    * 
    * @private
-   * @returns {Object} Connection object
+   * @param {string} [serverId] - Server ID, defaults to the first configured server
+   * @returns {Object} Server state
+   * @throws {Error} If no server is configured or the ID is unknown
    */
-  _getConnection() {
-    // Check for an idle connection
-    if (this.connectionPool.idle.length > 0) {
-      return this.connectionPool.idle.pop();
+  _getServer(serverId) {
+    const server = serverId ? this.servers.get(serverId) : this.servers.values().next().value;
+    
+    if (!server) {
+      throw new Error(serverId ? `Unknown Tautulli server: ${serverId}` : 'Tautulli configuration missing');
     }
     
-    // If we're at the pool limit, create a temporary connection
-    if (this.connectionPool.active >= this.connectionPool.maxSize) {
-      return { api: this.api, temporary: true };
+    return server;
+  }
+  
+  /**
+   * Move a server's circuit breaker to a new state and record the transition
+   * 
+   * @private
+   * @param {Object} server - Server state
+   * @param {string} state - New circuit state
+   * @param {string} reason - Why the state changed
+   */
+  _setCircuitState(server, state, reason) {
+    const { circuit } = server;
+    const from = circuit.state;
+    if (from === state) return;
+    
+    circuit.state = state;
+    circuit.openedAt = state === CIRCUIT_STATE.OPEN ? Date.now() : null;
+    circuit.transitions.push({ from, to: state, reason, at: new Date().toISOString() });
+    if (circuit.transitions.length > MAX_CIRCUIT_TRANSITIONS) {
+      circuit.transitions.shift();
     }
     
-    // Create a new persistent connection
-    this.connectionPool.active++;
-    return { api: this.api, temporary: false };
+    const logTransition = state === CIRCUIT_STATE.OPEN ? warn : info;
+    logTransition(`Tautulli circuit breaker (${server.name}) ${from} -> ${state}: ${reason}`);
+    
+    // Nothing queued for this server can succeed while the circuit is open
+    if (state === CIRCUIT_STATE.OPEN) {
+      this._rejectQueuedCommands(server, (cmd) => this._createCircuitOpenError(server, cmd));
+    }
   }
   
   /**
-   * Return a connection to the pool
+   * Check if a server's circuit breaker lets a request through
+   * Moves an open circuit to half-open once the cooldown has passed and admits a single probe
    * 
    * @private
-   * @param {Object} connection - Connection object
+   * @param {Object} server - Server state
+   * @returns {boolean} True if the request may be sent
    */
-  _releaseConnection(connection) {
-    if (!connection.temporary) {
-      this.connectionPool.idle.push(connection);
-      
-      // Cap the idle pool size
-      while (this.connectionPool.idle.length > this.connectionPool.maxSize) {
-        this.connectionPool.idle.shift();
-        this.connectionPool.active--;
+  _circuitAllowsRequest(server) {
+    const { circuit } = server;
+    
+    if (circuit.state === CIRCUIT_STATE.OPEN) {
+      if (Date.now() - circuit.openedAt < circuit.cooldown) {
+        return false;
+      }
+      this._setCircuitState(server, CIRCUIT_STATE.HALF_OPEN, 'Cooldown elapsed, probing Tautulli');
+    }
+    
+    if (circuit.state === CIRCUIT_STATE.HALF_OPEN) {
+      if (circuit.probeInFlight) {
+        return false;
+      }
+      circuit.probeInFlight = true;
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Record that a server answered a request
+   * 
+   * @private
+   * @param {Object} server - Server state
+   */
+  _recordCircuitSuccess(server) {
+    server.circuit.failures = 0;
+    server.circuit.probeInFlight = false;
+    
+    if (server.circuit.state === CIRCUIT_STATE.HALF_OPEN) {
+      this._setCircuitState(server, CIRCUIT_STATE.CLOSED, 'Probe request succeeded');
+    }
+  }
+  
+  /**
+   * Record a failed attempt to reach a server
+   * 
+   * @private
+   * @param {Object} server - Server state
+   * @param {Error} error - Request error
+   */
+  _recordCircuitFailure(server, error) {
+    const { circuit } = server;
+    circuit.failures++;
+    circuit.probeInFlight = false;
+    circuit.lastFailure = { message: error.message, at: new Date().toISOString() };
+    
+    if (circuit.state === CIRCUIT_STATE.HALF_OPEN) {
+      this._setCircuitState(server, CIRCUIT_STATE.OPEN, `Probe request failed: ${error.message}`);
+    } else if (circuit.state === CIRCUIT_STATE.CLOSED && circuit.failures >= circuit.threshold) {
+      this._setCircuitState(server, CIRCUIT_STATE.OPEN, `${circuit.failures} consecutive failures: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Check if an error means Tautulli could not be reached
+   * Errors with a 4xx response come from a reachable server and do not count
+   * 
+   * @private
+   * @param {Error} error - Request error
+   * @returns {boolean} True if the error should count towards opening the circuit
+   */
+  _isCircuitFailure(error) {
+    return !!error.isAxiosError && (!error.response || error.response.status >= 500);
+  }
+  
+  /**
+   * Create the error returned while a server's circuit is open
+   * 
+   * @private
+   * @param {Object} server - Server state
+   * @param {string} cmd - API command that was rejected
+   * @returns {Error} Circuit open error
+   */
+  _createCircuitOpenError(server, cmd) {
+    const { circuit } = server;
+    const retryIn = circuit.openedAt ?
+      Math.max(Math.ceil((circuit.openedAt + circuit.cooldown - Date.now()) / 1000), 0) : 0;
+    const error = new Error(`Tautulli (${server.name}) is unavailable (circuit ${circuit.state}), ${cmd} not sent. Retrying in ${retryIn}s`);
+    error.code = 'CIRCUIT_OPEN';
+    return error;
+  }
+  
+  /**
+   * Fail every queued command for a server
+   * 
+   * @private
+   * @param {Object} server - Server state
+   * @param {Function} createError - Creates the rejection error for a command
+   */
+  _rejectQueuedCommands(server, createError) {
+    for (const queue of this.commandQueues.values()) {
+      if (queue[0]?.server.id !== server.id) continue;
+      while (queue.length > 0) {
+        const entry = queue.shift();
+        entry.reject(createError(entry.cmd));
       }
     }
   }
   
+  /**
+   * Get the circuit breaker state of a server
+   * 
+   * Failure messages can hold addresses and hostnames, so they are only included with `details`
+   * 
+   * @param {string} [serverId] - Server ID, defaults to the first configured server
+   * @param {Object} [options={}] - Options
+   * @param {boolean} [options.details=true] - Include failure messages and transition reasons
+   * @returns {Object} Circuit state, counters, and recent transitions
+   */
+  getCircuitState(serverId, { details = true } = {}) {
+    const server = this._getServer(serverId);
+    const { state, failures, threshold, cooldown, openedAt, lastFailure, transitions } = server.circuit;
+    return {
+      server: server.id,
+      name: server.name,
+      state,
+      failures,
+      threshold,
+      cooldown,
+      openedAt: openedAt ? new Date(openedAt).toISOString() : null,
+      retryAt: openedAt ? new Date(openedAt + cooldown).toISOString() : null,
+      lastFailure: lastFailure && !details ? { at: lastFailure.at } : lastFailure,
+      transitions: transitions.map(({ reason, ...transition }) => details ? { ...transition, reason } : transition)
+    };
+  }
+  
+  /**
+   * Get the circuit breaker state of every configured server
+   * 
+   * @param {Object} [options={}] - Options passed to getCircuitState
+   * @returns {Object.<string, Object>} Circuit states keyed by server ID
+   */
+  getCircuitStates(options = {}) {
+    const states = {};
+    for (const serverId of this.servers.keys()) {
+      states[serverId] = this.getCircuitState(serverId, options);
+    }
+    return states;
+  }
+
+  /**
+   * Get the scheduling priority for a command
+   * 
+   * @param {string} cmd - API command
+   * @returns {number} Priority, lower values are sent first
+   */
+  getCommandPriority(cmd) {
+    return COMMAND_PRIORITIES[cmd] ?? PRIORITY.LIBRARY;
+  }
+  
   /**
    * Check and update command rate limits
    * 
    * @private
+   * @param {Object} server - Server state
    * @param {string} cmd - API command
    * @returns {boolean} True if rate limit allows the command
    */
-  _checkCommandRateLimit(cmd) {
+  _checkCommandRateLimit(server, cmd) {
     const now = Date.now();
-    const limit = this.commandRateLimits[cmd] || { max: 10, interval: 5000, current: 0, lastReset: now };
+    const limit = server.rateLimits[cmd] || { max: 10, interval: 5000, current: 0, lastReset: now };
     
     // Reset counter if interval has passed
     if (now - limit.lastReset > limit.interval) {
@@ -147,8 +464,8 @@ class TautulliService {
     limit.current++;
     
     // Update the limits object if using the default
-    if (!this.commandRateLimits[cmd]) {
-      this.commandRateLimits[cmd] = limit;
+    if (!server.rateLimits[cmd]) {
+      server.rateLimits[cmd] = limit;
     }
     
     return true;
@@ -159,63 +476,129 @@ class TautulliService {
    * 
    * @private
    * @param {Function} executor - Function to execute the command
+   * @param {Object} server - Server state
    * @param {string} cmd - API command name
+   * @param {number} priority - Scheduling priority
    * @returns {Promise<Object>} Promise that resolves to the command result
    */
-  async _queueCommand(executor, cmd) {
-    // Create a promise that will resolve when the command is executed
+  _queueCommand(executor, server, cmd, priority) {
     return new Promise((resolve, reject) => {
-      this.commandQueue.push({
-        execute: async () => {
-          try {
-            const result = await executor();
-            resolve(result);
-          } catch (error) {
-            reject(error);
-          }
-        },
-        cmd
-      });
-      
-      // Start processing the queue if not already running
-      if (!this.isProcessingQueue) {
-        this._processCommandQueue();
+      const queueKey = `${server.id}:${cmd}`;
+      if (!this.commandQueues.has(queueKey)) {
+        this.commandQueues.set(queueKey, []);
       }
+      
+      this.commandQueues.get(queueKey).push({
+        executor,
+        server,
+        cmd,
+        priority,
+        sequence: this.queueSequence++,
+        resolve,
+        reject
+      });
+      this._processCommandQueue();
     });
   }
   
   /**
-   * Process the command queue with rate limiting
+   * Pick the next queued command that may run now
+   * Highest priority first, oldest first within a priority; a rate-limited command does not block the others
    * 
    * @private
-   * @async
+   * @returns {{queueKey: string, entry: Object}|null} Next command or null if none can run
    */
-  async _processCommandQueue() {
-    if (this.isProcessingQueue || this.commandQueue.length === 0) {
-      return;
+  _nextQueuedCommand() {
+    let best = null;
+    
+    for (const [queueKey, queue] of this.commandQueues) {
+      if (queue.length === 0) continue;
+      const entry = queue[0];
+      if (best && (best.entry.priority < entry.priority ||
+        (best.entry.priority === entry.priority && best.entry.sequence < entry.sequence))) continue;
+      if (!this._peekCommandRateLimit(entry.server, entry.cmd)) continue;
+      best = { queueKey, entry };
     }
     
-    this.isProcessingQueue = true;
+    // Keep one slot free for live requests so they are never stuck behind bulk work
+    if (best && best.entry.priority > PRIORITY.LIVE && this.inFlightRequests >= MAX_CONCURRENT_REQUESTS - 1) {
+      return null;
+    }
     
-    try {
-      while (this.commandQueue.length > 0) {
-        const { execute, cmd } = this.commandQueue[0];
-        
-        // Check rate limit for this command
-        if (this._checkCommandRateLimit(cmd)) {
-          // Remove from queue first to prevent issues if execution throws
-          this.commandQueue.shift();
-          
-          // Execute the command
-          await execute();
-        } else {
-          // Wait for rate limit to reset
-          await new Promise(resolve => setTimeout(resolve, 200));
-        }
+    return best;
+  }
+  
+  /**
+   * Check if a command is currently allowed by its rate limit without consuming it
+   * 
+   * @private
+   * @param {Object} server - Server state
+   * @param {string} cmd - API command
+   * @returns {boolean} True if the command may be sent now
+   */
+  _peekCommandRateLimit(server, cmd) {
+    const limit = server.rateLimits[cmd];
+    if (!limit) return true;
+    return Date.now() - limit.lastReset > limit.interval || limit.current < limit.max;
+  }
+  
+  /**
+   * Dispatch queued commands by priority while concurrency and rate limits allow
+   * 
+   * @private
+   */
+  _processCommandQueue() {
+    while (this.inFlightRequests < MAX_CONCURRENT_REQUESTS) {
+      const next = this._nextQueuedCommand();
+      if (!next) break;
+      
+      const { queueKey, entry } = next;
+      this.commandQueues.get(queueKey).shift();
+      
+      // Only one probe is sent while half-open, the rest fail fast
+      if (!this._circuitAllowsRequest(entry.server)) {
+        entry.reject(this._createCircuitOpenError(entry.server, entry.cmd));
+        continue;
       }
-    } finally {
-      this.isProcessingQueue = false;
+      
+      this._checkCommandRateLimit(entry.server, entry.cmd);
+      this.inFlightRequests++;
+      
+      entry.executor()
+        .then(entry.resolve, entry.reject)
+        .finally(() => {
+          this.inFlightRequests--;
+          this._processCommandQueue();
+        });
+    }
+    
+    this._scheduleQueueWake();
+  }
+  
+  /**
+   * Wake the dispatcher when the earliest rate limit window resets
+   * 
+   * @private
+   */
+  _scheduleQueueWake() {
+    if (this.queueWakeTimer) return;
+    
+    const now = Date.now();
+    let wakeIn = null;
+    
+    for (const queue of this.commandQueues.values()) {
+      if (queue.length === 0 || this._peekCommandRateLimit(queue[0].server, queue[0].cmd)) continue;
+      const limit = queue[0].server.rateLimits[queue[0].cmd];
+      const resetIn = Math.max(limit.lastReset + limit.interval - now + 1, 10);
+      wakeIn = wakeIn === null ? resetIn : Math.min(wakeIn, resetIn);
     }
+    
+    if (wakeIn === null) return;
+    
+    this.queueWakeTimer = setTimeout(() => {
+      this.queueWakeTimer = null;
+      this._processCommandQueue();
+    }, wakeIn);
   }
 
   /**
@@ -229,6 +612,8 @@ class TautulliService {
    * @param {number} [options.timeout] - Request timeout in milliseconds
    * @param {boolean} [options.deduplicate=true] - Whether to deduplicate identical requests
    * @param {boolean} [options.useConditionalGet=true] - Whether to use conditional GET with ETag
+   * @param {number} [options.priority] - Scheduling priority, defaults to the command's priority
+   * @param {string} [options.server] - Server ID, defaults to the first configured server
    * @returns {Promise<Object>} API response data
    * @throws {Error} If all retries fail or configuration is missing
    */
@@ -238,26 +623,34 @@ class TautulliService {
       maxRetries = MAX_RETRIES, 
       timeout = DEFAULT_TIMEOUT,
       deduplicate = true,
-      useConditionalGet = true
+      useConditionalGet = true,
+      priority = this.getCommandPriority(cmd)
     } = options;
     
     // Validate configuration
-    if (!process.env.TAUTULLI_BASE_URL || !process.env.TAUTULLI_API_KEY) {
+    const server = this._getServer(options.server);
+    if (!server.baseUrl || !server.apiKey) {
       throw new Error('Tautulli configuration missing');
     }
     
+    // Fail fast while the circuit is open instead of waiting out retries and timeouts
+    const { circuit } = server;
+    if (circuit.state === CIRCUIT_STATE.OPEN && Date.now() - circuit.openedAt < circuit.cooldown) {
+      throw this._createCircuitOpenError(server, cmd);
+    }
+    
     // Create a request ID for deduplication
-    const requestId = `${cmd}:${JSON.stringify(params)}`;
+    const requestId = `${server.id}:${cmd}:${JSON.stringify(params)}`;
     
     // If deduplication is enabled and this request is already in progress, reuse the promise
     if (deduplicate && this.pendingRequests.has(requestId)) {
       this.metrics.deduplicatedRequests++;
-      console.log(`Deduplicating request: ${requestId}`);
+      debug(`Deduplicating request: ${requestId}`);
       return this.pendingRequests.get(requestId);
     }
     
     // Create the executor function that will make the actual request
-    const executor = () => this._executeRequest(cmd, params, {
+    const executor = () => this._executeRequest(server, cmd, params, {
       maxRetries,
       timeout,
       requestId,
@@ -265,16 +658,16 @@ class TautulliService {
     });
     
     // Queue the command with rate limiting
-    const requestPromise = this._queueCommand(executor, cmd);
+    const requestPromise = this._queueCommand(executor, server, cmd, priority);
     
     // Store for deduplication if enabled
     if (deduplicate) {
       this.pendingRequests.set(requestId, requestPromise);
       
-      // Clean up after the request completes
-      requestPromise.finally(() => {
-        this.pendingRequests.delete(requestId);
-      });
+      // Clean up after the request completes. The rejection is handled by the
+      // caller, so the derived promise must not surface as an unhandled rejection
+      const cleanup = () => this.pendingRequests.delete(requestId);
+      requestPromise.then(cleanup, cleanup);
     }
     
     return requestPromise;
@@ -285,105 +678,135 @@ class TautulliService {
    * 
    * @async
    * @private
+   * @param {Object} server - Server state
    * @param {string} cmd - Tautulli API command
    * @param {Object} params - Request parameters
    * @param {Object} options - Request options
    * @returns {Promise<Object>} API response data
    * @throws {Error} If all retries fail
    */
-  async _executeRequest(cmd, params, options) {
+  async _executeRequest(server, cmd, params, options) {
     const { maxRetries, timeout, requestId, useConditionalGet } = options;
     let lastError;
     
-    // Get a connection from the pool
-    const connection = this._getConnection();
+    // Update metrics
+    this.metrics.totalRequests++;
     
-    try {
-      // Update metrics
-      this.metrics.totalRequests++;
-      
-      // Start timing
-      const startTime = Date.now();
-      
-      // Prepare headers for conditional request
-      const headers = {};
-      if (useConditionalGet && this.etagCache.has(requestId)) {
-        headers['If-None-Match'] = this.etagCache.get(requestId);
-        console.log(`Using conditional GET for ${cmd} with ETag: ${headers['If-None-Match']}`);
-      }
-      
-      for (let attempt = 1; attempt <= maxRetries; attempt++) {
-        try {
-          const response = await connection.api.get(`${process.env.TAUTULLI_BASE_URL}/api/v2`, {
-            params: {
-              apikey: process.env.TAUTULLI_API_KEY,
-              cmd,
-              ...params
-            },
-            headers,
-            timeout: timeout,
-            validateStatus: status => (status >= 200 && status <= 304) // Accept 304 Not Modified
-          });
+    // Start timing
+    const startTime = Date.now();
+    const recordResult = (success, attempt) => recordTautulliRequest(
+      server.id, cmd, success, attempt - 1, (Date.now() - startTime) / 1000);
+    
+    // Prepare headers for conditional request, only while the response to reuse is still cached
+    const headers = {};
+    if (useConditionalGet && this.etagCache.has(requestId) && cache.get(`apiResponse:${requestId}`, false)) {
+      headers['If-None-Match'] = this.etagCache.get(requestId);
+      debug(`Using conditional GET for ${cmd} with ETag: ${headers['If-None-Match']}`);
+    }
+    
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        const response = await this._sendRequest(server.baseUrl, server.apiKey, cmd, params, {
+          headers,
+          timeout: timeout,
+          validateStatus: status => (status >= 200 && status <= 304) // Accept 304 Not Modified
+        });
+        
+        // Tautulli answered, so the circuit can stay or return to closed
+        this._recordCircuitSuccess(server);
 
-          // Handle 304 Not Modified - return cached data
-          if (response.status === 304) {
-            console.log(`304 Not Modified for ${cmd}, using cached data`);
-            const cachedData = cache.get(`apiResponse:${requestId}`);
-            if (cachedData) {
-              return cachedData;
-            }
-            // If we got 304 but no cached data, continue to process response as normal
-          }
-          
-          // If we have an ETag in the response, store it for future requests
-          if (response.headers.etag) {
-            this.etagCache.set(requestId, response.headers.etag);
-            // Update the cache with this response for future 304 responses
-            cache.set(`apiResponse:${requestId}`, response.data, 3600); // Cache for 1 hour
+        // Handle 304 Not Modified - return cached data
+        if (response.status === 304) {
+          debug(`304 Not Modified for ${cmd}, using cached data`);
+          const cachedData = cache.get(`apiResponse:${requestId}`);
+          if (cachedData) {
+            recordResult(true, attempt);
+            return cachedData;
           }
+          // If we got 304 but no cached data, continue to process response as normal
+        }
+        
+        // If we have an ETag in the response, store it for future requests
+        if (response.headers.etag) {
+          this.etagCache.set(requestId, response.headers.etag);
+          // Update the cache with this response for future 304 responses
+          cache.set(`apiResponse:${requestId}`, response.data, 3600); // Cache for 1 hour
+        }
 
-          if (!response.data?.response) {
-            throw new Error('Invalid response format from Tautulli');
-          }
-          
-          // Request succeeded - update metrics
-          this.metrics.successfulRequests++;
-          
-          // Update average response time
-          const elapsed = Date.now() - startTime;
-          this.metrics.avgResponseTime = 
-            (this.metrics.avgResponseTime * (this.metrics.successfulRequests - 1) + elapsed) / 
-            this.metrics.successfulRequests;
-
-          return response.data;
-        } catch (error) {
-          lastError = error;
-          
-          // Track retry metrics
-          if (attempt > 1) {
-            this.metrics.retries++;
-          }
-          
-          // Check if this is the last attempt
-          if (attempt === maxRetries) {
-            break;
-          }
+        if (!response.data?.response) {
+          throw new Error('Invalid response format from Tautulli');
+        }
+        
+        // Request succeeded - update metrics
+        this.metrics.successfulRequests++;
+        
+        // Update average response time
+        const elapsed = Date.now() - startTime;
+        this.metrics.avgResponseTime = 
+          (this.metrics.avgResponseTime * (this.metrics.successfulRequests - 1) + elapsed) / 
+          this.metrics.successfulRequests;
 
-          // CHANGE: Improved backoff strategy with exponential backoff
-          const backoffDelay = RETRY_DELAY * Math.pow(1.5, attempt - 1);
-          await new Promise(resolve => setTimeout(resolve, backoffDelay));
+        recordResult(true, attempt);
+        return response.data;
+      } catch (error) {
+        lastError = error;
+        
+        if (this._isCircuitFailure(error)) {
+          this._recordCircuitFailure(server, error);
+        } else if (error.response) {
+          this._recordCircuitSuccess(server);
+        }
+        
+        // Track retry metrics
+        if (attempt > 1) {
+          this.metrics.retries++;
+        }
+        
+        // Check if this is the last attempt, or if the circuit opened and retrying is pointless
+        if (attempt === maxRetries || server.circuit.state !== CIRCUIT_STATE.CLOSED) {
+          recordResult(false, attempt);
+          break;
         }
+
+        // CHANGE: Improved backoff strategy with exponential backoff
+        const backoffDelay = RETRY_DELAY * Math.pow(1.5, attempt - 1);
+        await new Promise(resolve => setTimeout(resolve, backoffDelay));
       }
+    }
 
-      // All retries failed - update metrics
-      this.metrics.failedRequests++;
-      
-      // Format a helpful error message
-      throw new Error(this._getErrorMessage(lastError, cmd));
-    } finally {
-      // Return the connection to the pool
-      this._releaseConnection(connection);
+    // All retries failed - update metrics
+    this.metrics.failedRequests++;
+    
+    // Format a helpful error message
+    throw new Error(this._getErrorMessage(lastError, cmd));
+  }
+  
+  /**
+   * Send a single command to a Tautulli server
+   * The demo server is answered in-process without touching the network
+   * 
+   * @async
+   * @private
+   * @param {string} baseUrl - Tautulli base URL
+   * @param {string} apiKey - Tautulli API key
+   * @param {string} cmd - Tautulli API command
+   * @param {Object} params - Request parameters
+   * @param {Object} config - Additional axios request config
+   * @returns {Promise<Object>} Axios-style response with status, headers and data
+   */
+  async _sendRequest(baseUrl, apiKey, cmd, params, config) {
+    if (isDemoServerUrl(baseUrl)) {
+      return { status: 200, headers: {}, data: handleDemoCommand(cmd, params) };
     }
+    
+    return this.api.get(`${baseUrl}/api/v2`, {
+      ...config,
+      params: {
+        apikey: apiKey,
+        cmd,
+        ...params
+      }
+    });
   }
   
   /**
@@ -417,13 +840,15 @@ class TautulliService {
    * @param {Object} [options={}] - Batch options
    * @param {number} [options.maxConcurrent=5] - Maximum concurrent requests
    * @param {number} [options.timeout=8000] - Request timeout
+   * @param {string} [options.server] - Server ID, defaults to the first configured server
    * @returns {Promise<Array<Object>>} Array of response data with same ordering as requests
    */
   async batchRequests(requests, options = {}) {
     const { 
       maxConcurrent = 5,
       // CHANGE: Increased timeout from 8000ms to 15000ms
-      timeout = 15000
+      timeout = 15000,
+      server
     } = options;
     
     // Group requests to process in batches
@@ -440,10 +865,11 @@ class TautulliService {
           return await this.makeRequest(command, params, { 
             timeout,
             deduplicate: true,
-            useConditionalGet: true
+            useConditionalGet: true,
+            server
           });
         } catch (error) {
-          console.error(`Error in batch request for ${command}:`, error.message);
+          logFailure(`Error in batch request for ${command}: ${error.message}`);
           return { error: error.message };
         }
       });
@@ -527,30 +953,105 @@ class TautulliService {
       
       return response?.response?.data?.data?.[0] || null;
     } catch (error) {
-      console.error(`Error fetching history for user ${userId}:`, error.message);
+      logFailure(`Error fetching history for user ${userId}: ${error.message}`);
       return null;
     }
   }
 
+  /**
+   * Fetch artwork through Tautulli's image proxy
+   * Queued with the lowest priority so artwork never delays data requests
+   * 
+   * @async
+   * @param {string} img - Plex image path (e.g. "/library/metadata/123/thumb")
+   * @param {Object} [options={}] - Request options
+   * @param {string} [options.server] - Server ID, defaults to the first configured server
+   * @param {number} [options.width] - Resize width in pixels
+   * @param {number} [options.height] - Resize height in pixels
+   * @param {number} [options.timeout=DEFAULT_TIMEOUT] - Request timeout in milliseconds
+   * @returns {Promise<{data: Buffer, contentType: string}>} Image bytes and content type
+   * @throws {Error} If the image cannot be fetched
+   */
+  async fetchImage(img, options = {}) {
+    const cmd = 'pms_image_proxy';
+    const server = this._getServer(options.server);
+    if (!server.baseUrl || !server.apiKey) {
+      throw new Error('Tautulli configuration missing');
+    }
+    if (isDemoServerUrl(server.baseUrl)) {
+      throw new Error('Artwork is not available in demo mode');
+    }
+    
+    const { circuit } = server;
+    if (circuit.state === CIRCUIT_STATE.OPEN && Date.now() - circuit.openedAt < circuit.cooldown) {
+      throw this._createCircuitOpenError(server, cmd);
+    }
+    
+    const params = { img, fallback: 'poster' };
+    if (options.width) params.width = options.width;
+    if (options.height) params.height = options.height;
+    
+    // Several viewers loading the same poster share one request
+    const requestId = `${server.id}:${cmd}:${JSON.stringify(params)}`;
+    if (this.pendingRequests.has(requestId)) {
+      this.metrics.deduplicatedRequests++;
+      return this.pendingRequests.get(requestId);
+    }
+    
+    const executor = async () => {
+      try {
+        const response = await this._sendRequest(server.baseUrl, server.apiKey, cmd, params, {
+          responseType: 'arraybuffer',
+          timeout: options.timeout || DEFAULT_TIMEOUT
+        });
+        this._recordCircuitSuccess(server);
+        
+        return {
+          data: Buffer.from(response.data),
+          contentType: response.headers['content-type'] || 'image/jpeg'
+        };
+      } catch (error) {
+        if (this._isCircuitFailure(error)) {
+          this._recordCircuitFailure(server, error);
+        } else if (error.response) {
+          this._recordCircuitSuccess(server);
+        }
+        throw new Error(this._getErrorMessage(error, cmd));
+      }
+    };
+    
+    const requestPromise = this._queueCommand(executor, server, cmd, this.getCommandPriority(cmd));
+    this.pendingRequests.set(requestId, requestPromise);
+    const cleanup = () => this.pendingRequests.delete(requestId);
+    requestPromise.then(cleanup, cleanup);
+    
+    return requestPromise;
+  }
+
   /**
    * Get active user sessions only - more efficient than full activity
+   * Errors are rethrown so callers never mistake an outage for "nobody watching"
    * 
    * @async
+   * @param {Object} [options={}] - Request options
+   * @param {string} [options.server] - Server ID, defaults to the first configured server
    * @returns {Promise<Array>} Array of active sessions
+   * @throws {Error} If the activity request fails
    */
-  async getActiveSessions() {
+  async getActiveSessions(options = {}) {
     try {
       const response = await this.makeRequest('get_activity', {}, {
         deduplicate: true,
         useConditionalGet: true,
         // CHANGE: Increased from 3000 to 8000ms
-        timeout: 8000
+        timeout: 8000,
+        server: options.server
       });
       
       return response?.response?.data?.sessions || [];
     } catch (error) {
-      console.error('Error fetching active sessions:', error.message);
-      return [];
+      logFailure(`Error fetching active sessions: ${error.message}`);
+      throw error;
     }
   }
 
@@ -596,28 +1097,46 @@ class TautulliService {
   }
 
   /**
-   * Check if Tautulli is configured
+   * Check if at least one Tautulli server is configured
    * 
    * @returns {boolean} True if configured, false otherwise
    */
   isConfigured() {
-    return !!(process.env.TAUTULLI_BASE_URL && process.env.TAUTULLI_API_KEY);
+    return [...this.servers.values()].some(server => server.baseUrl && server.apiKey);
   }
 
   /**
-   * Get Tautulli configuration
+   * Get the connection of the first configured server
    * 
    * @returns {Object} Configuration object
    * @returns {string} returns.baseUrl - Tautulli base URL
    * @returns {string} returns.apiKey - Tautulli API key
    */
   getConfig() {
+    const server = this.servers.values().next().value;
     return {
-      baseUrl: process.env.TAUTULLI_BASE_URL || '',
-      apiKey: process.env.TAUTULLI_API_KEY || ''
+      baseUrl: server?.baseUrl || '',
+      apiKey: server?.apiKey || ''
     };
   }
   
+  /**
+   * Test a Tautulli URL and API key without changing the active configuration
+   * Sent directly rather than queued, but over the same keep-alive agents
+   * 
+   * @async
+   * @param {string} baseUrl - Tautulli base URL to test
+   * @param {string} apiKey - Tautulli API key to test
+   * @param {Object} [options={}] - Request options
+   * @param {number} [options.timeout=3000] - Request timeout in milliseconds
+   * @returns {Promise<Object>} Raw API response body
+   * @throws {Error} Request error if Tautulli cannot be reached
+   */
+  async testConnection(baseUrl, apiKey, { timeout = 3000 } = {}) {
+    const response = await this._sendRequest(baseUrl, apiKey, 'get_server_info', {}, { timeout });
+    return response.data;
+  }
+  
   /**
    * Get performance metrics
    * 
@@ -632,11 +1151,39 @@ class TautulliService {
       ...this.metrics,
       successRate,
       activeRequests: this.pendingRequests.size,
-      connectionPool: {
-        active: this.connectionPool.active,
-        idle: this.connectionPool.idle.length,
-        max: this.connectionPool.maxSize
-      }
+      inFlightRequests: this.inFlightRequests,
+      queues: this.getQueueStats(),
+      circuits: this.getCircuitStates(),
+      connections: this._getAgentStats()
+    };
+  }
+  
+  /**
+   * Get the number of queued requests per server and command
+   * 
+   * @returns {Object.<string, {queued: number, priority: number}>} Queue sizes keyed by "server:command"
+   */
+  getQueueStats() {
+    const stats = {};
+    for (const [queueKey, queue] of this.commandQueues) {
+      if (queue.length === 0) continue;
+      stats[queueKey] = { queued: queue.length, priority: this.getCommandPriority(queue[0].cmd) };
+    }
+    return stats;
+  }
+  
+  /**
+   * Count open sockets on the keep-alive agents
+   * 
+   * @private
+   * @returns {{active: number, idle: number, max: number}} Socket counts
+   */
+  _getAgentStats() {
+    const count = (sockets) => Object.values(sockets).reduce((total, list) => total + list.length, 0);
+    return {
+      active: count(this.httpAgent.sockets) + count(this.httpsAgent.sockets),
+      idle: count(this.httpAgent.freeSockets) + count(this.httpsAgent.freeSockets),
+      max: MAX_SOCKETS
     };
   }
   
@@ -0,0 +1,425 @@
+/**
+ * Template engine for user and media format fields
+ * Renders the `${variable}` syntax used by saved format templates and adds
+ * defaults, filters, conditional sections and escaping on top of it
+ * @module services/templateEngine
+ *
+ * Syntax:
+ * - `${year}`                      value of a variable
+ * - `${year|default:"?"}`          fallback when the value is empty
+ * - `${title|truncate:30|upper}`   filters, applied left to right
+ * - `{{#if year}} (${year}){{/if}}` section rendered when the value is set
+ * - `{{#unless year}}...{{/unless}}`, with an optional `{{else}}` in both
+ * - `\${` and `\{{` render a literal `${` or `{{`
+ */
+
+/**
+ * Maximum number of compiled templates kept in memory
+ * @type {number}
+ */
+const MAX_COMPILED_TEMPLATES = 500;
+
+/**
+ * Compiled template cache keyed by template source
+ * @type {Map<string, Array<Object>>}
+ */
+const compiledTemplates = new Map();
+
+/**
+ * Check if a value counts as empty for defaults and output
+ *
+ * @param {*} value - Value to check
+ * @returns {boolean} True if the value is null, undefined or an empty string
+ */
+function isEmpty(value) {
+  return value === null || value === undefined || value === '';
+}
+
+/**
+ * Check if a value is truthy for conditional sections
+ * Numeric zero (including "0" and "0%") counts as false so counters can be hidden
+ *
+ * @param {*} value - Value to check
+ * @returns {boolean} True if the section should be rendered
+ */
+function isTruthy(value) {
+  if (isEmpty(value) || value === false) return false;
+  if (Array.isArray(value)) return value.length > 0;
+  const text = String(value).trim();
+  if (/^-?\d+(\.\d+)?%?$/.test(text)) {
+    return parseFloat(text) !== 0;
+  }
+  return true;
+}
+
+/**
+ * Available filters
+ * Each filter receives the current value followed by its arguments
+ * @type {Object.<string, Function>}
+ */
+const FILTERS = {
+  default: (value, fallback = '') => isEmpty(value) ? fallback : value,
+  upper: (value) => String(value).toUpperCase(),
+  lower: (value) => String(value).toLowerCase(),
+  capitalize: (value) => {
+    const text = String(value);
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  },
+  trim: (value) => String(value).trim(),
+  truncate: (value, length = '30', ellipsis = '…') => {
+    const text = String(value);
+    const max = parseInt(length, 10);
+    if (isNaN(max) || text.length <= max) return text;
+    return text.slice(0, Math.max(0, max - ellipsis.length)).trimEnd() + ellipsis;
+  },
+  pad: (value, width = '2', char = '0') => {
+    if (isEmpty(value)) return value;
+    return String(value).padStart(parseInt(width, 10) || 0, char || '0');
+  },
+  round: (value, decimals = '0') => {
+    const number = parseFloat(value);
+    if (isNaN(number)) return value;
+    const places = parseInt(decimals, 10) || 0;
+    const rounded = number.toFixed(places);
+    // Keep a trailing unit such as "45.6%"
+    const suffix = String(value).trim().replace(/^-?[\d.]+/, '');
+    return suffix && suffix !== String(value).trim() ? rounded + suffix : rounded;
+  }
+};
+
+/**
+ * Split a filter expression such as `truncate:30:"..."` into name and arguments
+ *
+ * @param {string} expression - Filter expression
+ * @returns {{name: string, args: Array<string>}} Parsed filter
+ */
+function parseFilter(expression) {
+  const parts = [];
+  let current = '';
+  let quote = null;
+
+  for (let i = 0; i < expression.length; i++) {
+    const char = expression[i];
+    if (quote) {
+      if (char === '\\' && i + 1 < expression.length) {
+        current += expression[++i];
+      } else if (char === quote) {
+        quote = null;
+      } else {
+        current += char;
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === ':') {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+
+  return { name: parts[0].trim(), args: parts.slice(1) };
+}
+
+/**
+ * Split a variable expression on `|` while respecting quoted filter arguments
+ *
+ * @param {string} expression - Contents of a `${...}` expression
+ * @returns {{name: string, filters: Array<Object>}} Variable name and filters
+ */
+function parseExpression(expression) {
+  const segments = [];
+  let current = '';
+  let quote = null;
+
+  for (let i = 0; i < expression.length; i++) {
+    const char = expression[i];
+    if (quote) {
+      if (char === '\\' && i + 1 < expression.length) {
+        current += char + expression[++i];
+        continue;
+      }
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '|') {
+      segments.push(current);
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  segments.push(current);
+
+  return {
+    name: segments[0].trim(),
+    filters: segments.slice(1).map(parseFilter).filter(filter => filter.name)
+  };
+}
+
+/**
+ * Find the closing brace of a `${...}` expression, skipping quoted arguments
+ *
+ * @param {string} template - Template source
+ * @param {number} start - Index just after `${`
+ * @returns {number} Index of the closing brace or -1 if unterminated
+ */
+function findExpressionEnd(template, start) {
+  let quote = null;
+  for (let i = start; i < template.length; i++) {
+    const char = template[i];
+    if (quote) {
+      if (char === '\\') i++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '}') {
+      return i;
+    } else if (char === '\n') {
+      return -1;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Tokenize a template into text, variable and block tokens
+ *
+ * @param {string} template - Template source
+ * @returns {Array<Object>} Token list
+ */
+function tokenize(template) {
+  const tokens = [];
+  let text = '';
+  let i = 0;
+
+  const flushText = () => {
+    if (text) tokens.push({ type: 'text', value: text });
+    text = '';
+  };
+
+  while (i < template.length) {
+    // Escaped opening sequences render literally
+    if (template[i] === '\\' && (template.startsWith('${', i + 1) || template.startsWith('{{', i + 1))) {
+      text += template.substr(i + 1, 2);
+      i += 3;
+      continue;
+    }
+
+    if (template.startsWith('${', i)) {
+      const end = findExpressionEnd(template, i + 2);
+      const expression = end === -1 ? '' : template.slice(i + 2, end);
+      if (end !== -1 && /^\s*[A-Za-z_][\w.]*\s*(\||$)/.test(expression)) {
+        flushText();
+        tokens.push({ type: 'variable', ...parseExpression(expression) });
+        i = end + 1;
+        continue;
+      }
+      // Not a valid expression: keep it as text but remember it for analyzeTemplate()
+      flushText();
+      tokens.push({ type: 'text', value: '${', invalid: end === -1 ? 'unterminated' : 'malformed' });
+      i += 2;
+      continue;
+    }
+
+    if (template.startsWith('{{', i)) {
+      const end = template.indexOf('}}', i + 2);
+      const tag = end === -1 ? null : template.slice(i + 2, end).trim();
+      const block = tag && tag.match(/^(#if|#unless)\s+([A-Za-z_][\w.]*)$|^(else|\/if|\/unless)$/);
+      if (block) {
+        flushText();
+        if (block[1]) {
+          tokens.push({ type: 'open', block: block[1].slice(1), name: block[2] });
+        } else {
+          tokens.push({ type: block[3] === 'else' ? 'else' : 'close', block: block[3].replace('/', '') });
+        }
+        i = end + 2;
+        continue;
+      }
+    }
+
+    text += template[i];
+    i++;
+  }
+
+  flushText();
+  return tokens;
+}
+
+/**
+ * Build a node tree from tokens
+ * Unmatched closing tags are kept as text and unclosed sections end with the template
+ *
+ * @param {Array<Object>} tokens - Token list from tokenize()
+ * @returns {Array<Object>} Root node list
+ */
+function buildTree(tokens) {
+  const root = [];
+  const stack = [{ children: root }];
+
+  for (const token of tokens) {
+    const current = stack[stack.length - 1];
+    const target = current.inElse ? current.alternate : current.children;
+
+    if (token.type === 'open') {
+      const node = { type: 'section', block: token.block, name: token.name, children: [], alternate: [] };
+      target.push(node);
+      stack.push(node);
+    } else if (token.type === 'else' && stack.length > 1 && !current.inElse) {
+      current.inElse = true;
+    } else if (token.type === 'close' && stack.length > 1 && current.block === token.block) {
+      delete current.inElse;
+      stack.pop();
+    } else if (token.type === 'else' || token.type === 'close') {
+      target.push({ type: 'text', value: `{{${token.type === 'else' ? 'else' : `/${token.block}`}}}`, invalid: 'unmatched' });
+    } else {
+      target.push(token);
+    }
+  }
+
+  stack.forEach(node => {
+    delete node.inElse;
+    if (node.type === 'section') node.unclosed = true;
+  });
+  return root;
+}
+
+/**
+ * Compile a template into a node tree, using the compiled template cache
+ *
+ * @param {string} template - Template source
+ * @returns {Array<Object>} Compiled node tree
+ */
+function compileTemplate(template) {
+  const cached = compiledTemplates.get(template);
+  if (cached) return cached;
+
+  const compiled = buildTree(tokenize(template));
+
+  // Limit cache size to prevent memory leaks
+  if (compiledTemplates.size >= MAX_COMPILED_TEMPLATES) {
+    const firstKey = compiledTemplates.keys().next().value;
+    compiledTemplates.delete(firstKey);
+  }
+  compiledTemplates.set(template, compiled);
+
+  return compiled;
+}
+
+/**
+ * Resolve a variable, supporting dotted paths into nested objects
+ * Only own properties are followed, so `constructor` or `__proto__` never reach the prototype chain
+ *
+ * @param {Object} values - Template values
+ * @param {string} name - Variable name
+ * @returns {*} Resolved value or undefined
+ */
+function resolveValue(values, name) {
+  const hasOwn = (value, key) => value != null && Object.prototype.hasOwnProperty.call(value, key);
+  if (hasOwn(values, name)) return values[name];
+  return name.split('.').reduce((value, key) => (hasOwn(value, key) ? value[key] : undefined), values);
+}
+
+/**
+ * Render a compiled node list
+ *
+ * @param {Array<Object>} nodes - Compiled nodes
+ * @param {Object} values - Template values
+ * @returns {string} Rendered text
+ */
+function renderNodes(nodes, values) {
+  let output = '';
+
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      output += node.value;
+    } else if (node.type === 'variable') {
+      let value = resolveValue(values, node.name);
+      if (Array.isArray(value)) value = value.join(', ');
+
+      for (const { name, args } of node.filters) {
+        if (!Object.hasOwn(FILTERS, name)) continue;
+        const filter = FILTERS[name];
+        if (name !== 'default' && isEmpty(value)) continue;
+        value = filter(value, ...args);
+      }
+
+      output += isEmpty(value) ? '' : String(value);
+    } else if (node.type === 'section') {
+      const truthy = isTruthy(resolveValue(values, node.name));
+      const show = node.block === 'unless' ? !truthy : truthy;
+      output += renderNodes(show ? node.children : node.alternate, values);
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Render a format template with the given values
+ * Plain `${variable}` templates render exactly as before; unknown variables render empty
+ *
+ * @param {string} template - Template source
+ * @param {Object} [values={}] - Variable values
+ * @returns {string} Rendered text
+ */
+function renderTemplate(template, values = {}) {
+  if (!template) return '';
+  return renderNodes(compileTemplate(String(template)), values || {});
+}
+
+/**
+ * Inspect a template for the variables and filters it uses
+ * Reports unknown variables and filters plus syntax problems as warnings
+ *
+ * @param {string} template - Template source
+ * @param {Array<string>} [knownVariables] - Variables available for this template type
+ * @returns {Object} Analysis result
+ * @returns {Array<string>} returns.variables - Variables used by the template
+ * @returns {Array<string>} returns.warnings - Human readable warnings
+ */
+function analyzeTemplate(template, knownVariables) {
+  const variables = new Set();
+  const warnings = [];
+  const known = knownVariables ? new Set(knownVariables) : null;
+
+  const checkVariable = (name) => {
+    if (variables.has(name)) return;
+    variables.add(name);
+    if (known && !known.has(name) && !known.has(name.split('.')[0])) {
+      warnings.push(`Unknown variable "${name}"`);
+    }
+  };
+
+  const walk = (nodes) => {
+    for (const node of nodes) {
+      if (node.type === 'variable') {
+        checkVariable(node.name);
+        node.filters
+          .filter(({ name }) => !Object.hasOwn(FILTERS, name))
+          .forEach(({ name }) => warnings.push(`Unknown filter "${name}" on "${node.name}"`));
+      } else if (node.type === 'section') {
+        checkVariable(node.name);
+        if (node.unclosed) warnings.push(`Missing {{/${node.block}}} for {{#${node.block} ${node.name}}}`);
+        walk(node.children);
+        walk(node.alternate);
+      } else if (node.invalid === 'unmatched') {
+        warnings.push(`Unexpected ${node.value}`);
+      } else if (node.invalid) {
+        warnings.push(node.invalid === 'unterminated' ? 'Unterminated "${" expression' : 'Invalid "${...}" expression');
+      }
+    }
+  };
+
+  walk(compileTemplate(String(template || '')));
+
+  return { variables: [...variables], warnings: [...new Set(warnings)] };
+}
+
+module.exports = {
+  FILTERS,
+  analyzeTemplate,
+  compileTemplate,
+  renderTemplate
+};
@@ -0,0 +1,134 @@
+/**
+ * Tautulli webhook service
+ * Verifies webhook secrets and refreshes only the cache data affected by a notification
+ * @module services/webhookService
+ */
+const { createLogger, colors } = require('../../logger');
+const cacheConfig = require('./cacheConfig');
+const { queueUpdate } = require('./cacheService');
+const { recordActivity } = require('./pollingMode');
+const { createSectionKey } = require('./servers');
+const auth = require('./auth');
+
+const { log } = createLogger('webhooks');
+
+/**
+ * Cache keys refreshed by each supported event
+ * @type {Object.<string, Array<string>>}
+ */
+const WEBHOOK_EVENTS = {
+  recently_added: ['libraries', 'recent_media', 'library_details'],
+  play: ['users'],
+  pause: ['users'],
+  stop: ['users'],
+  watched: ['users', 'user_history_index']
+};
+
+/**
+ * Tautulli action names accepted for the supported events
+ * @type {Object.<string, string>}
+ */
+const EVENT_ALIASES = {
+  created: 'recently_added',
+  resume: 'play'
+};
+
+/**
+ * Webhook counters since startup
+ * @type {{received: number, rejected: number, lastReceivedAt: number|null, lastEvent: string|null}}
+ */
+const stats = {
+  received: 0,
+  rejected: 0,
+  lastReceivedAt: null,
+  lastEvent: null
+};
+
+/**
+ * Resolve the event name sent by Tautulli
+ *
+ * @param {string} value - Event or action name from the payload
+ * @returns {string|null} Supported event name, or null if the event is not supported
+ */
+function normalizeEvent(value) {
+  const event = String(value || '').trim().toLowerCase();
+  const resolved = EVENT_ALIASES[event] || event;
+  return WEBHOOK_EVENTS[resolved] ? resolved : null;
+}
+
+/**
+ * Check a webhook secret against the saved hash
+ * Counts failed checks so misconfigured agents show up in the webhook status
+ *
+ * @param {Object} settings - Current settings
+ * @param {string} secret - Secret sent with the webhook
+ * @returns {boolean} True if the secret matches
+ */
+function verifyWebhookSecret(settings, secret) {
+  const valid = auth.verifyToken(secret, settings.webhooks?.secretHash);
+  if (!valid) {
+    stats.rejected++;
+  }
+  return valid;
+}
+
+/**
+ * Queue cache refreshes for a webhook event
+ * recently_added with a section ID only refreshes that section's recent media,
+ * every event returns background polling to its fast intervals
+ *
+ * @param {string} event - Supported event name
+ * @param {Object} options - Event details
+ * @param {string} options.serverId - Server the event came from
+ * @param {string|number} [options.sectionId] - Library section of the item
+ * @returns {Array<string>} Queued cache keys, section refreshes as `recent_media:<section key>`
+ */
+function handleWebhookEvent(event, { serverId, sectionId }) {
+  const sectionKey = sectionId && !isNaN(parseInt(sectionId)) ? createSectionKey(serverId, sectionId) : null;
+
+  const queued = WEBHOOK_EVENTS[event].map(key => {
+    if (key === 'recent_media' && sectionKey) {
+      queueUpdate(key, sectionKey);
+      return `${key}:${sectionKey}`;
+    }
+    queueUpdate(key);
+    return key;
+  });
+
+  stats.received++;
+  stats.lastReceivedAt = Date.now();
+  stats.lastEvent = event;
+  recordActivity('webhook');
+
+  log(`${colors.brightBlue}ℹ${colors.reset} Tautulli webhook: ${event} from ${serverId}, refreshing ${queued.join(', ')}`);
+  return queued;
+}
+
+/**
+ * Check whether Tautulli webhooks are being received
+ * Background polling slows down while they are and speeds up again once they stop arriving
+ *
+ * @returns {boolean} True while the last accepted webhook is within the configured webhook_window
+ */
+function isReceivingWebhooks() {
+  return stats.lastReceivedAt !== null &&
+    Date.now() - stats.lastReceivedAt < cacheConfig.ADAPTIVE.webhook_window * 1000;
+}
+
+/**
+ * Get webhook counters
+ *
+ * @returns {{received: number, rejected: number, lastReceivedAt: number|null, lastEvent: string|null}} Counters
+ */
+function getWebhookStats() {
+  return { ...stats };
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  normalizeEvent,
+  verifyWebhookSecret,
+  handleWebhookEvent,
+  isReceivingWebhooks,
+  getWebhookStats
+};
@@ -5,6 +5,7 @@
  */
 import React, { useState, useEffect } from 'react';
 import { BrowserRouter as Router } from 'react-router-dom';
+import { AlertCircle } from 'lucide-react';
 import { ThemeProvider } from './context/ThemeContext';
 import { Nav, Footer, StaticBackdrop } from './components/layout/Layout';
 import UserView from './components/dashboard/UserView';
@@ -13,6 +14,8 @@ import LibraryView from './components/dashboard/LibraryView';
 import UnifiedFormatManager from './components/managers/UnifiedFormatManager';
 import SectionManager from './components/managers/SectionManager';
 import EndpointsView from './components/managers/EndpointsView';
+import SecurityManager from './components/managers/SecurityManager';
+import LoginView from './components/auth/LoginView';
 
 /**
  * Main application component
@@ -25,6 +28,7 @@ function App() {
   const [loading, setLoading] = useState(true);
   const [activeView, setActiveView] = useState('sectionManager');
   const [isConfigured, setIsConfigured] = useState(false);
+  const [needsLogin, setNeedsLogin] = useState(false);
 
   /**
    * Left navigation items definition
@@ -43,7 +47,8 @@ function App() {
   const rightNavItems = [
     { id: 'formatManager', label: 'Format Settings', component: UnifiedFormatManager },
     { id: 'sectionManager', label: 'Setup', component: SectionManager },
-    { id: 'apiEndpoints', label: 'API Endpoints', component: EndpointsView }
+    { id: 'apiEndpoints', label: 'API Endpoints', component: EndpointsView },
+    { id: 'security', label: 'Security', component: SecurityManager }
   ];
 
   /**
@@ -54,6 +59,14 @@ function App() {
       try {
         setLoading(true);
         
+        // The admin UI needs a login once an admin password is set
+        const authResponse = await fetch('/api/auth/status');
+        const authData = await authResponse.json();
+        if (authData?.response?.enabled && !authData.response.authenticated) {
+          setNeedsLogin(true);
+          return;
+        }
+        
         // Fetch both configuration and settings in parallel
         const [configResponse, settingsResponse] = await Promise.all([
           fetch('/api/config'),
@@ -67,7 +80,7 @@ function App() {
         setSections(settingsData.sections || {});
         
         // Check if Tautulli is configured and sections exist
-        const hasTautulliConfig = !!(configData.baseUrl && configData.apiKey);
+        const hasTautulliConfig = !!(configData.demoMode || configData.servers?.length > 0 || (configData.baseUrl && configData.apiKey));
         const hasSections = !!(
           settingsData.sections?.movies?.length > 0 || 
           settingsData.sections?.shows?.length > 0
@@ -133,6 +146,20 @@ function App() {
     );
   }
 
+  if (needsLogin) {
+    return (
+      <ThemeProvider>
+        <div className="page-container">
+          <StaticBackdrop />
+          <main className="main-content">
+            <LoginView onLogin={() => window.location.reload()} />
+          </main>
+          <Footer />
+        </div>
+      </ThemeProvider>
+    );
+  }
+
   return (
     <ThemeProvider>
       <Router>
@@ -164,6 +191,12 @@ function App() {
             </div>
           )}
           <main className="main-content">
+            {config?.demoMode && (
+              <div className="dark-panel mb-6 p-3 flex items-center gap-2 text-sm text-yellow-400">
+                <AlertCircle className="h-4 w-4 flex-shrink-0" />
+                <span>Demo mode is enabled. Showing built-in sample data instead of Tautulli.</span>
+              </div>
+            )}
             <ActiveComponent 
               onError={() => {}} 
               onSuccess={() => {
@@ -0,0 +1,94 @@
+/**
+ * Login View component
+ * Asks for the admin password before the admin UI is shown
+ * @module components/auth/LoginView
+ */
+import React, { useState } from 'react';
+import { Lock, AlertCircle } from 'lucide-react';
+
+/**
+ * Admin login form
+ *
+ * @param {Object} props - Component props
+ * @param {Function} props.onLogin - Called after a successful login
+ * @returns {JSX.Element} Rendered component
+ */
+const LoginView = ({ onLogin }) => {
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  /**
+   * Submit the password
+   *
+   * @async
+   * @param {Event} e - Form submit event
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!password) return;
+
+    try {
+      setSubmitting(true);
+      setError(null);
+      const response = await fetch('/api/auth/login', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ password })
+      });
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        throw new Error(data?.response?.message || 'Login failed');
+      }
+
+      onLogin();
+    } catch (err) {
+      setError(err.message);
+      setPassword('');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="max-w-sm mx-auto mt-16">
+      <form onSubmit={handleSubmit} className="dark-panel">
+        <div className="table-header flex items-center gap-2">
+          <Lock className="h-4 w-4 text-theme-accent" />
+          <h3 className="header-text">Admin Login</h3>
+        </div>
+        <div className="p-4 space-y-4">
+          <div className="space-y-2">
+            <label className="form-label">Password</label>
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              className="input-field"
+              autoFocus
+              autoComplete="current-password"
+            />
+          </div>
+
+          {error && (
+            <div className="flex items-center gap-2 text-sm text-red-400">
+              <AlertCircle className="h-4 w-4 flex-shrink-0" />
+              <span>{error}</span>
+            </div>
+          )}
+
+          <button
+            type="submit"
+            disabled={submitting || !password}
+            className="btn-primary w-full"
+          >
+            {submitting ? 'Signing in...' : 'Sign In'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default LoginView;
@@ -6,6 +6,7 @@
 import React, { useState, useEffect } from 'react';
 import { Film, Tv, Music } from 'lucide-react';
 import { useBackgroundRefresh } from '../../hooks/useBackgroundRefresh';
+import { isEventStreamConnected } from '../../services/eventStream';
 
 /**
  * Displays library sections with counts and configured status
@@ -54,7 +55,7 @@ const LibraryView = () => {
   const fetchLibraries = async () => {
     try {
       console.log('Fetching library data...');
-      const response = await fetch('/api/media/recent', {
+      const response = await fetch('/api/libraries', {
         headers: {
           'Cache-Control': 'no-cache',
           'Pragma': 'no-cache'
@@ -64,8 +65,8 @@ const LibraryView = () => {
         throw new Error('Failed to fetch library data');
       }
       const data = await response.json();
-      console.log(`Fetched library data: ${data.response.libraries.sections?.length || 0} sections`);
-      return data.response.libraries;
+      console.log(`Fetched library data: ${data.response.data?.length || 0} sections`);
+      return { sections: data.response.data || [], totals: data.response.totals || {} };
     } catch (error) {
       console.error('Error fetching libraries:', error);
       throw new Error('Failed to fetch libraries');
@@ -81,7 +82,7 @@ const LibraryView = () => {
     error,
     refresh,
     lastUpdated
-  } = useBackgroundRefresh(fetchLibraries, refreshInterval);
+  } = useBackgroundRefresh(fetchLibraries, refreshInterval, false, 'libraries');
 
   /**
    * Set up visibility-based refreshing
@@ -95,6 +96,9 @@ const LibraryView = () => {
     
     // Set up a timer with 3x the server interval to reduce frequency
     const refreshTimer = setInterval(() => {
+      // Pushed updates replace polling while the event stream is connected
+      if (isEventStreamConnected()) return;
+
       // Only refresh if the page is visible to the user
       if (document.visibilityState === 'visible') {
         console.log('Periodic refresh - page is visible');
@@ -146,6 +150,23 @@ const LibraryView = () => {
     return library.count_formatted;
   };
 
+  /**
+   * Format plays, size and the last added item of a library
+   * 
+   * @param {Object} library - Library section object
+   * @returns {string} Formatted details
+   */
+  const formatDetails = (library) => {
+    const details = [`${library.plays_formatted} plays`, `${library.total_duration_formatted} played`];
+    if (library.total_file_size > 0) {
+      details.push(library.total_file_size_formatted);
+    }
+    if (library.last_added) {
+      details.push(`Last added: ${library.last_added.title}`);
+    }
+    return details.join(' · ');
+  };
+
   /**
    * Get icon component based on library type
    * 
@@ -214,7 +235,7 @@ const LibraryView = () => {
                 {/* Library Sections */}
                 {sections.map((library) => (
                   <div 
-                    key={library.section_id} 
+                    key={library.section_key} 
                     className="grid grid-cols-4 table-row"
                   >
                     <div>
@@ -222,9 +243,14 @@ const LibraryView = () => {
                         {getSectionIcon(library.section_type)}
                         {library.section_name}
                       </div>
-                      <div className="text-sm text-gray-500">Section {library.section_id}</div>
+                      <div className="text-sm text-gray-500">
+                        {library.server_name ? `${library.server_name} · ` : ''}Section {library.section_id}
+                      </div>
+                    </div>
+                    <div>
+                      <div className="text-white">{formatCount(library)}</div>
+                      <div className="text-sm text-gray-500">{formatDetails(library)}</div>
                     </div>
-                    <div className="text-white">{formatCount(library)}</div>
                     <div className="text-white capitalize">
                       {['artist', 'music', 'audio'].includes(library.section_type) ? 'Music' : library.section_type}
                     </div>
@@ -5,27 +5,22 @@
  */
 import React, { useState, useMemo, useEffect, useRef } from 'react';
 import { Film, Tv, Music, RefreshCw } from 'lucide-react';
-
-/**
- * Maximum number of results to display per section
- * @type {number}
- */
-const RESULTS_PER_SECTION = 15;
+import { useEventStream } from '../../hooks/useEventStream';
 
 /**
  * Individual media item component with vertical poster layout
  * 
  * @param {Object} props - Component props
  * @param {Object} props.item - Media item data
- * @param {string} props.tautulliBaseUrl - Tautulli server base URL
  * @returns {JSX.Element} Rendered component
  */
-const MediaItem = React.memo(({ item, tautulliBaseUrl }) => {
-  // Construct thumbnail URL using the Tautulli image proxy format
+const MediaItem = React.memo(({ item }) => {
+  // Posters are loaded through the backend image proxy, from the server the item came from
   let posterUrl = '/static/poster-placeholder.jpg';
   
-  if (item.ratingKey && tautulliBaseUrl) {
-    posterUrl = `${tautulliBaseUrl}/pms_image_proxy?img=/library/metadata/${item.ratingKey}/thumb`;
+  if (item.ratingKey) {
+    const serverParam = item.server ? `?server=${encodeURIComponent(item.server)}` : '';
+    posterUrl = `/api/image/${item.ratingKey}${serverParam}`;
   }
   
   // Determine if this is a music item
@@ -97,10 +92,9 @@ const MediaItem = React.memo(({ item, tautulliBaseUrl }) => {
  * @param {string} props.title - Section title
  * @param {string} props.subtitle - Section subtitle (e.g., "Movie" or "Show")
  * @param {Array} props.items - Media items to display
- * @param {string} props.tautulliBaseUrl - Tautulli server base URL
  * @returns {JSX.Element} Rendered component
  */
-const MediaSection = ({ title, subtitle, items, tautulliBaseUrl }) => {
+const MediaSection = ({ title, subtitle, items }) => {
   if (!items || items.length === 0) return null;
   
   return (
@@ -114,9 +108,8 @@ const MediaSection = ({ title, subtitle, items, tautulliBaseUrl }) => {
       <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 lg:grid-cols-5 xl:grid-cols-6 gap-4">
         {items.map((item, index) => (
           <MediaItem 
-            key={`${item.section_id}-${item.added_at}-${index}`}
+            key={`${item.section_key}-${item.added_at}-${index}`}
             item={item} 
-            tautulliBaseUrl={tautulliBaseUrl}
           />
         ))}
       </div>
@@ -143,7 +136,7 @@ function createMediaFingerprint(mediaData) {
   const recentItems = mediaItems.slice(0, 5);
   
   // Create strings from key properties to detect additions/removals
-  const idString = recentItems.map(item => `${item.section_id}-${item.added_at}`).join(',');
+  const idString = recentItems.map(item => `${item.section_key}-${item.added_at}`).join(',');
   
   return `count:${itemCount}|ids:${idString}`;
 }
@@ -178,12 +171,6 @@ const RecentMediaView = () => {
    */
   const [error, setError] = useState(null);
   
-  /**
-   * Tautulli base URL for image proxy
-   * @type {[string, Function]}
-   */
-  const [tautulliBaseUrl, setTautulliBaseUrl] = useState('');
-  
   /**
    * Timestamp of last data update
    * @type {React.MutableRefObject<number>}
@@ -235,30 +222,6 @@ const RecentMediaView = () => {
     };
   }, []);
 
-  /**
-   * Fetch configuration when component mounts
-   */
-  useEffect(() => {
-    const fetchConfig = async () => {
-      try {
-        const response = await fetch('/api/config', {
-          headers: {
-            'Cache-Control': 'no-cache',
-            'Pragma': 'no-cache'
-          }
-        });
-        const data = await response.json();
-        if (isMountedRef.current) {
-          setTautulliBaseUrl(data.baseUrl || '');
-        }
-      } catch (error) {
-        console.error('Error fetching configuration:', error);
-      }
-    };
-    
-    fetchConfig();
-  }, []);
-
   /**
    * Fetches recent media data from the API with conditional request support
    * 
@@ -294,7 +257,6 @@ const RecentMediaView = () => {
       if (type) {
         url.searchParams.append('type', type);
       }
-      url.searchParams.append('count', RESULTS_PER_SECTION);
       
       // Add a timestamp parameter to prevent browser caching
       url.searchParams.append('_t', Date.now());
@@ -344,9 +306,17 @@ const RecentMediaView = () => {
     }
   };
 
+  /**
+   * Refetch when the backend reports new media
+   * @type {boolean}
+   */
+  const liveUpdates = useEventStream('recent_media', () => fetchMedia(false));
+  const liveUpdatesRef = useRef(liveUpdates);
+  liveUpdatesRef.current = liveUpdates;
+
   /**
    * Set up visibility-based refreshing
-   * Only refresh when the tab is visible and on a reasonable schedule
+   * Polling only runs while the event stream is disconnected
    */
   useEffect(() => {
     console.log(`Setting up optimized refresh strategy for media (30 seconds)`);
@@ -357,6 +327,9 @@ const RecentMediaView = () => {
     // Set up a timer with 30 seconds for media updates 
     // More frequent than before to catch library changes sooner
     timerRef.current = setInterval(() => {
+      // Pushed updates replace polling while the event stream is connected
+      if (liveUpdatesRef.current) return;
+
       // Only refresh if the page is visible to the user
       if (document.visibilityState === 'visible') {
         console.log('Media data scheduled refresh - page is visible');
@@ -409,8 +382,8 @@ const RecentMediaView = () => {
     return mediaData.response.data.reduce((acc, item) => {
       const mediaType = item.media_type;
       const sectionName = mediaData.response.libraries?.sections?.find(
-        section => section.section_id === item.section_id
-      )?.section_name || `Section ${item.section_id}`;
+        section => section.section_key === item.section_key
+      )?.section_name || `Section ${item.section_key}`;
       
       if (!acc[mediaType]) {
         acc[mediaType] = {};
@@ -508,7 +481,6 @@ const RecentMediaView = () => {
                   title={sectionName}
                   subtitle="Movie"
                   items={items}
-                  tautulliBaseUrl={tautulliBaseUrl}
                 />
               ))}
             </div>
@@ -527,7 +499,6 @@ const RecentMediaView = () => {
                   title={sectionName}
                   subtitle="Show"
                   items={items}
-                  tautulliBaseUrl={tautulliBaseUrl}
                 />
               ))}
             </div>
@@ -546,7 +517,6 @@ const RecentMediaView = () => {
                   title={sectionName}
                   subtitle="Music"
                   items={items}
-                  tautulliBaseUrl={tautulliBaseUrl}
                 />
               ))}
             </div>
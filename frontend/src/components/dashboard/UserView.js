@@ -5,6 +5,7 @@
  */
 import React, { useState, useEffect, useRef } from 'react';
 import { ChevronLeft, ChevronRight, RefreshCw } from 'lucide-react';
+import { useEventStream } from '../../hooks/useEventStream';
 
 /**
  * User Activity dashboard component with optimized refresh strategy
@@ -155,7 +156,7 @@ const UserView = () => {
         
         setFormatFields(fields);
         setUsers(userData.response?.data || []);
-        setTotalRecords(userData.response?.recordsTotal || 0);
+        setTotalRecords(userData.response?.recordsFiltered ?? userData.response?.recordsTotal ?? 0);
         setError(null);
         
         // Update last updated timestamp
@@ -190,9 +191,17 @@ const UserView = () => {
     return () => clearTimeout(timer);
   }, [search, debouncedSearch]);
   
+  /**
+   * Refetch when the backend reports new user activity
+   * @type {boolean}
+   */
+  const liveUpdates = useEventStream('users', fetchUsers);
+  const liveUpdatesRef = useRef(liveUpdates);
+  liveUpdatesRef.current = liveUpdates;
+
   /**
    * Set up visibility-based refreshing
-   * Only refresh when the tab is visible and on a reasonable schedule
+   * Polling only runs while the event stream is disconnected
    */
   useEffect(() => {
     console.log(`Setting up optimized refresh strategy for users (60 seconds)`);
@@ -202,6 +211,9 @@ const UserView = () => {
     
     // Set up a timer with exactly 60 seconds for users
     timerRef.current = setInterval(() => {
+      // Pushed updates replace polling while the event stream is connected
+      if (liveUpdatesRef.current) return;
+
       // Only refresh if the page is visible to the user
       if (document.visibilityState === 'visible') {
         // Always refresh regardless of how recent the data is
@@ -163,7 +163,9 @@ const EndpointsView = () => {
             movieIds.length > 0 ? `?section=${movieIds[0]} (filter by movie section)` : '',
             showIds.length > 0 ? `?section=${showIds[0]} (filter by show section)` : '',
             musicIds.length > 0 ? `?section=${musicIds[0]} (filter by music section)` : '',
-            '?count=10 (limit results to 10 per section)'
+            '?count=10 (limit results to 10 items)',
+            '?start=10&count=10 (next page of 10 items)',
+            '?before=1700000000 (items added before a Unix timestamp)'
           ].filter(Boolean)
         },
         {
@@ -173,6 +175,23 @@ const EndpointsView = () => {
           examples: []
         }
       ]
+    },
+    {
+      title: 'Library Endpoints',
+      endpoints: [
+        {
+          url: `${baseUrl}/api/libraries`,
+          description: 'Get every library section with counts, plays, size and last added item, plus totals of configured sections',
+          examples: [
+            '?server=home (filter by server)'
+          ]
+        },
+        {
+          url: `${baseUrl}/api/libraries/${movieIds[0] || showIds[0] || musicIds[0] || '1'}`,
+          description: 'Get a single library section by section key (server:id) or section ID',
+          examples: []
+        }
+      ]
     }
   ], [baseUrl, movieIds, showIds, musicIds]);
 
@@ -9,8 +9,10 @@ import { Alert, AlertDescription } from '../ui/UIComponents';
 import { 
   generateActivityYaml, 
   generateRecentMediaYaml, 
-  generateMediaCountYaml 
+  generateMediaCountYaml,
+  addTokenHeaders
 } from '../../utils/utils';
+import WidgetTokenSettings from './WidgetTokenSettings';
 
 /**
  * ConfigSection component for displaying YAML with copy functionality
@@ -57,7 +59,7 @@ const ConfigSection = ({ title, yaml, section, copiedSection, copyToClipboard })
  * 
  * @param {Object} props - Component props
  * @param {Object} props.sectionTypes - Section types with their configured sections
- * @param {Object} props.libraryNames - Library names by section ID
+ * @param {Object} props.libraryNames - Library names by section key
  * @param {Object} props.mediaFormats - Media format configurations
  * @param {Array} props.userFields - User format fields
  * @param {string} props.localIp - Local IP address
@@ -113,6 +115,12 @@ const HomepageConfigManager = ({
    */
   const [copiedSection, setCopiedSection] = useState(null);
 
+  /**
+   * API token added to widget requests, null when widget endpoints are public
+   * @type {[string|null, Function]}
+   */
+  const [widgetToken, setWidgetToken] = useState(null);
+
   /**
    * Copy text to clipboard
    * 
@@ -145,12 +153,12 @@ const HomepageConfigManager = ({
 
   // Convert sectionTypes to the format expected by the YAML generation functions
   const processedSectionTypes = {
-    movies: sectionTypes.movies.map(s => parseInt(s.id)),
-    shows: sectionTypes.shows.map(s => parseInt(s.id)),
-    music: sectionTypes.music.map(s => parseInt(s.id))
+    movies: sectionTypes.movies.map(s => s.id),
+    shows: sectionTypes.shows.map(s => s.id),
+    music: sectionTypes.music.map(s => s.id)
   };
 
-  // Ensure we're using integer section IDs consistently
+  // Section keys (server:id) are used consistently
   console.log('Section types for YAML generation:', processedSectionTypes);
   console.log('Media formats:', mediaFormats);
 
@@ -158,14 +166,14 @@ const HomepageConfigManager = ({
     list => !Array.isArray(list) || list.length === 0
   );
 
-  const activityConfig = generateActivityYaml(
+  const activityConfig = addTokenHeaders(generateActivityYaml(
     { users: userFields }, 
     mappingLengths, 
     localIp,
     port
-  );
+  ), widgetToken);
   
-  const recentMediaConfig = generateRecentMediaYaml(
+  const recentMediaConfig = addTokenHeaders(generateRecentMediaYaml(
     processedSectionTypes, 
     mediaFormats,
     libraryNames, 
@@ -175,16 +183,16 @@ const HomepageConfigManager = ({
     showCount,
     useFormattedNumbers,
     port
-  );
+  ), widgetToken);
   
-  const mediaCountConfig = generateMediaCountYaml(
+  const mediaCountConfig = addTokenHeaders(generateMediaCountYaml(
     processedSectionTypes, 
     libraryNames, 
     localIp, 
     showIndividualCounts, 
     useFormattedNumbers,
     port
-  );
+  ), widgetToken);
 
   return (
     <div className="space-y-6">
@@ -348,6 +356,8 @@ const HomepageConfigManager = ({
         </div>
       </div>
 
+      <WidgetTokenSettings onChange={setWidgetToken} />
+
       <Alert className="alert alert-info">
         <AlertDescription>
           Below are example Homepage configurations based on your current section settings.
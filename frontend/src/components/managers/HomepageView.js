@@ -9,8 +9,10 @@ import { Alert, AlertDescription } from '../ui/UIComponents';
 import { 
   generateActivityYaml, 
   generateRecentMediaYaml, 
-  generateMediaCountYaml 
+  generateMediaCountYaml,
+  addTokenHeaders
 } from '../../utils/utils';
+import WidgetTokenSettings from './WidgetTokenSettings';
 
 /**
  * Component for generating Homepage integration configuration
@@ -112,6 +114,12 @@ const HomepageView = () => {
    */
   const [showCount, setShowCount] = useState(false);
 
+  /**
+   * API token added to widget requests, null when widget endpoints are public
+   * @type {[string|null, Function]}
+   */
+  const [widgetToken, setWidgetToken] = useState(null);
+
   /**
    * Initialize data when component mounts
    */
@@ -136,35 +144,32 @@ const HomepageView = () => {
   const fetchSections = async () => {
     try {
       setLoading(true);
-      const [settingsResponse, mediaResponse, configResponse, userFormatResponse] = await Promise.all([
+      const [settingsResponse, librariesResponse, configResponse, userFormatResponse] = await Promise.all([
         fetch('/api/media/settings'),
-        fetch('/api/media/recent'),
+        fetch('/api/libraries'),
         fetch('/api/config'),
         fetch('/api/users/format-settings')
       ]);
       
       const settingsData = await settingsResponse.json();
-      const mediaData = await mediaResponse.json();
+      const librariesData = await librariesResponse.json();
       const configData = await configResponse.json();
       const userFormatData = await userFormatResponse.json();
       
       // Enhanced debugging for section names
-      console.log("Media API Response:", mediaData?.response?.libraries);
-      console.log("Library sections:", mediaData?.response?.libraries?.sections);
+      console.log("Library sections:", librariesData?.response?.data);
       
-      // Build a clean mapping of library names indexed by section ID
+      // Build a clean mapping of library names indexed by section key
       const names = {};
       const processedSections = { shows: [], movies: [], music: [] };
   
       // Process library sections from the API response
-      if (mediaData?.response?.libraries?.sections) {
-        mediaData.response.libraries.sections.forEach(library => {
-          // Make sure section_id is a primitive value (string or number)
-          const sectionId = Number(library.section_id);
+      if (librariesData?.response?.data) {
+        librariesData.response.data.forEach(library => {
+          // Sections are namespaced by server (e.g. "home:2")
+          const sectionId = library.section_key;
           
-          // Store section names with different key formats for robust lookups
           names[sectionId] = library.section_name;
-          names[String(sectionId)] = library.section_name;
           
           if (library.configured) {
             if (library.section_type === 'movie') {
@@ -182,15 +187,15 @@ const HomepageView = () => {
   
         // If we got library data but no processed sections, use settings sections
         if (!processedSections.movies.length && !processedSections.shows.length && !processedSections.music.length) {
-          processedSections.movies = (settingsData.sections?.movies || []).map(Number);
-          processedSections.shows = (settingsData.sections?.shows || []).map(Number);
-          processedSections.music = (settingsData.sections?.music || []).map(Number);
+          processedSections.movies = settingsData.sections?.movies || [];
+          processedSections.shows = settingsData.sections?.shows || [];
+          processedSections.music = settingsData.sections?.music || [];
         }
       } else {
         // Fallback to settings sections
-        processedSections.movies = (settingsData.sections?.movies || []).map(Number);
-        processedSections.shows = (settingsData.sections?.shows || []).map(Number);
-        processedSections.music = (settingsData.sections?.music || []).map(Number);
+        processedSections.movies = settingsData.sections?.movies || [];
+        processedSections.shows = settingsData.sections?.shows || [];
+        processedSections.music = settingsData.sections?.music || [];
       }
       
       // Debug the processed data
@@ -302,14 +307,14 @@ const HomepageView = () => {
   const hasNoSections = sections &&
     Object.values(sections).every(list => !Array.isArray(list) || list.length === 0);
 
-  const activityConfig = generateActivityYaml(
+  const activityConfig = addTokenHeaders(generateActivityYaml(
     { users: userFormatFields }, 
     mappingLengths, 
     localIp,
     port
-  );
+  ), widgetToken);
   
-  const recentMediaConfig = generateRecentMediaYaml(
+  const recentMediaConfig = addTokenHeaders(generateRecentMediaYaml(
     sections, 
     formatFields, 
     libraryNames, 
@@ -319,16 +324,16 @@ const HomepageView = () => {
     showCount,
     useFormattedNumbers,
     port
-  );
+  ), widgetToken);
   
-  const mediaCountConfig = generateMediaCountYaml(
+  const mediaCountConfig = addTokenHeaders(generateMediaCountYaml(
     sections, 
     libraryNames, 
     localIp, 
     showIndividualCounts, 
     useFormattedNumbers,
     port
-  );
+  ), widgetToken);
 
   return (
     <div className="section-spacing">
@@ -448,7 +453,7 @@ const HomepageView = () => {
               <input
                 type="number"
                 min="1"
-                max="15"
+                max="100"
                 value={mappingLengths.movies}
                 onChange={(e) => handleLengthChange('movies', e.target.value)}
                 className="input-field"
@@ -459,7 +464,7 @@ const HomepageView = () => {
               <input
                 type="number"
                 min="1"
-                max="15"
+                max="100"
                 value={mappingLengths.shows}
                 onChange={(e) => handleLengthChange('shows', e.target.value)}
                 className="input-field"
@@ -470,7 +475,7 @@ const HomepageView = () => {
               <input
                 type="number"
                 min="1"
-                max="15"
+                max="100"
                 value={mappingLengths.music}
                 onChange={(e) => handleLengthChange('music', e.target.value)}
                 className="input-field"
@@ -480,6 +485,8 @@ const HomepageView = () => {
         </div>
       </div>
 
+      <WidgetTokenSettings onChange={setWidgetToken} />
+
       <Alert className="alert alert-info">
         <AlertDescription>
           Below are example Homepage configurations based on your current section settings.
@@ -6,6 +6,46 @@
 import React from 'react';
 import { Film, Tv, Music } from 'lucide-react';
 import { variables } from '../../utils/utils';
+import TemplatePreview from './TemplatePreview';
+
+/**
+ * Recently added items fetched per section unless a depth is set, and the largest depth allowed
+ * Matches the backend defaults
+ * @type {number}
+ */
+const DEFAULT_RECENT_MEDIA_DEPTH = 15;
+const MAX_RECENT_MEDIA_DEPTH = 100;
+
+/**
+ * Recent media filters saved per section, with their labels and example values
+ * @type {Array<{name: string, label: string, placeholder: string}>}
+ */
+const FILTER_FIELDS = [
+  { name: 'since', label: 'Added Within', placeholder: '7d' },
+  { name: 'video_resolution', label: 'Resolutions', placeholder: '4k, 1080' },
+  { name: 'genre', label: 'Genres', placeholder: 'Action, Comedy' },
+  { name: 'content_rating', label: 'Content Ratings', placeholder: 'PG-13, R' },
+  { name: 'min_year', label: 'From Year', placeholder: '2000' },
+  { name: 'max_year', label: 'To Year', placeholder: '2024' },
+  { name: 'search', label: 'Title Contains', placeholder: 'Star Wars' },
+  { name: 'exclude', label: 'Exclude Rating Keys', placeholder: '12345, 67890' }
+];
+
+/**
+ * Grouping modes offered per media type
+ * @type {Object.<string, Array<{mode: string|null, label: string}>>}
+ */
+const GROUP_OPTIONS = {
+  shows: [
+    { mode: null, label: 'Episodes' },
+    { mode: 'show', label: 'By Show' },
+    { mode: 'season', label: 'By Season' }
+  ],
+  music: [
+    { mode: null, label: 'Tracks' },
+    { mode: 'album', label: 'By Album' }
+  ]
+};
 
 /**
  * Media format configuration component
@@ -87,6 +127,60 @@ const MediaFormatManager = ({
     });
   };
 
+  /**
+   * Update the number of recently added items fetched for a section
+   * 
+   * @param {string} type - Media type (shows, movies, music)
+   * @param {string} sectionId - Section ID
+   * @param {string} value - New depth value
+   */
+  const updateMediaDepth = (type, sectionId, value) => {
+    const depth = Math.min(Math.max(parseInt(value) || 1, 1), MAX_RECENT_MEDIA_DEPTH);
+    setMediaFormats(prev => {
+      const newFormats = { ...prev };
+      if (!newFormats[type]) newFormats[type] = {};
+      newFormats[type][sectionId] = { fields: [], ...newFormats[type][sectionId], depth };
+      return newFormats;
+    });
+  };
+
+  /**
+   * Update how recently added items of a section are grouped
+   * 
+   * @param {string} type - Media type (shows, movies, music)
+   * @param {string} sectionId - Section ID
+   * @param {string|null} mode - Grouping mode, null to list every item
+   */
+  const updateMediaGroup = (type, sectionId, mode) => {
+    setMediaFormats(prev => {
+      const newFormats = { ...prev };
+      if (!newFormats[type]) newFormats[type] = {};
+      const { group, ...format } = { fields: [], ...newFormats[type][sectionId] };
+      newFormats[type][sectionId] = mode ? { ...format, group: mode } : format;
+      return newFormats;
+    });
+  };
+
+  /**
+   * Update a recent media filter of a section, empty values remove the filter
+   * 
+   * @param {string} type - Media type (shows, movies, music)
+   * @param {string} sectionId - Section ID
+   * @param {string} name - Filter name
+   * @param {string} value - New filter value
+   */
+  const updateMediaFilter = (type, sectionId, name, value) => {
+    setMediaFormats(prev => {
+      const newFormats = { ...prev };
+      if (!newFormats[type]) newFormats[type] = {};
+      const { filters = {}, ...format } = { fields: [], ...newFormats[type][sectionId] };
+      const { [name]: previous, ...otherFilters } = filters;
+      const newFilters = value.trim() ? { ...otherFilters, [name]: value } : otherFilters;
+      newFormats[type][sectionId] = Object.keys(newFilters).length > 0 ? { ...format, filters: newFilters } : format;
+      return newFormats;
+    });
+  };
+
   /**
    * Renders the template variable selection panel
    * 
@@ -195,6 +289,63 @@ const MediaFormatManager = ({
             })()}
           </div>
           <div className="p-4 space-y-6">
+            {(() => {
+              const [type, sectionId] = selectedSection.split('-');
+              return (
+                <div className="space-y-2">
+                  <label className="form-label">Recently Added Items</label>
+                  <input
+                    type="number"
+                    min="1"
+                    max={MAX_RECENT_MEDIA_DEPTH}
+                    value={mediaFormats[type]?.[sectionId]?.depth || DEFAULT_RECENT_MEDIA_DEPTH}
+                    onChange={(e) => updateMediaDepth(type, sectionId, e.target.value)}
+                    className="input-field"
+                  />
+                  <div className="description-text">
+                    Number of recently added items fetched for this section, up to {MAX_RECENT_MEDIA_DEPTH}
+                  </div>
+                  {GROUP_OPTIONS[type] && (
+                    <>
+                      <label className="form-label">Grouping</label>
+                      <div className="flex gap-2">
+                        {GROUP_OPTIONS[type].map(({ mode, label }) => (
+                          <button
+                            key={label}
+                            onClick={() => updateMediaGroup(type, sectionId, mode)}
+                            className={(mediaFormats[type]?.[sectionId]?.group || null) === mode ? 'btn-primary' : 'btn-secondary'}
+                          >
+                            {label}
+                          </button>
+                        ))}
+                      </div>
+                      <div className="description-text">
+                        Collapse new items of the same {type === 'music' ? 'album' : 'show or season'} into one,
+                        described by the episode_count and episode_range variables
+                      </div>
+                    </>
+                  )}
+                  <label className="form-label">Filters</label>
+                  <div className="grid grid-cols-2 gap-4">
+                    {FILTER_FIELDS.map(({ name, label, placeholder }) => (
+                      <div key={name}>
+                        <label className="text-xs text-gray-400">{label}</label>
+                        <input
+                          type="text"
+                          value={mediaFormats[type]?.[sectionId]?.filters?.[name] || ''}
+                          onChange={(e) => updateMediaFilter(type, sectionId, name, e.target.value)}
+                          className="input-field"
+                          placeholder={placeholder}
+                        />
+                      </div>
+                    ))}
+                  </div>
+                  <div className="description-text">
+                    Only recently added items matching every filter are listed; lists match any of their values
+                  </div>
+                </div>
+              );
+            })()}
             {(() => {
               const [type, sectionId] = selectedSection.split('-');
               let fields = [];
@@ -250,6 +401,7 @@ const MediaFormatManager = ({
                       placeholder="Enter display format template"
                     />
                   </div>
+                  <TemplatePreview template={field.template} type={type} sectionId={sectionId} />
                 </div>
               ));
             })()}
@@ -1,14 +1,33 @@
 /**
  * Section Manager component
- * Manages Tautulli connection settings and library section configuration
+ * Manages Tautulli server connections and library section configuration
  * @module components/managers/SectionManager
  */
 import React, { useState, useEffect } from 'react';
-import { RefreshCw, Eye, EyeOff, AlertCircle, Shield, Globe, Key, Film, Tv, Music } from 'lucide-react';
+import { RefreshCw, Eye, EyeOff, AlertCircle, Shield, Globe, Key, Film, Tv, Music, Plus, Trash2 } from 'lucide-react';
 import { Alert, AlertDescription } from '../ui/UIComponents';
 
 /**
- * Component for configuring Tautulli connection and library sections
+ * Counter used to give unsaved servers a stable React key
+ * @type {number}
+ */
+let newServerCounter = 0;
+
+/**
+ * Create an empty server connection for the form
+ * 
+ * @param {number} index - Position of the server in the list
+ * @returns {Object} Server connection with a local key
+ */
+const createEmptyServer = (index) => ({
+  key: `new-${++newServerCounter}`,
+  name: index === 0 ? 'Tautulli' : `Tautulli ${index + 1}`,
+  baseUrl: '',
+  apiKey: ''
+});
+
+/**
+ * Component for configuring Tautulli servers and library sections
  * 
  * @param {Object} props - Component props
  * @param {Function} props.onError - Callback for error notifications
@@ -17,8 +36,8 @@ import { Alert, AlertDescription } from '../ui/UIComponents';
  */
 const SectionManager = ({ onError, onSuccess }) => {
   /**
-   * Selected library sections by type
-   * @type {[{shows: Array<number>, movies: Array<number>, music: Array<number>}, Function]}
+   * Selected library section keys (server:id) by type
+   * @type {[{shows: Array<string>, movies: Array<string>, music: Array<string>}, Function]}
    */
   const [sections, setSections] = useState({
     shows: [],
@@ -27,13 +46,10 @@ const SectionManager = ({ onError, onSuccess }) => {
   });
   
   /**
-   * Tautulli environment variables
-   * @type {[{TAUTULLI_BASE_URL: string, TAUTULLI_API_KEY: string}, Function]}
+   * Tautulli server connections, each with a local key for rendering
+   * @type {[Array<{key: string, id: string, name: string, baseUrl: string, apiKey: string, hasApiKey?: boolean}>, Function]}
    */
-  const [envVars, setEnvVars] = useState({
-    TAUTULLI_BASE_URL: '',
-    TAUTULLI_API_KEY: ''
-  });
+  const [servers, setServers] = useState([createEmptyServer(0)]);
   
   /**
    * Homepage IP address for integration
@@ -72,34 +88,22 @@ const SectionManager = ({ onError, onSuccess }) => {
   const [savingSections, setSavingSections] = useState(false);
   
   /**
-   * Connection test status
-   * @type {[string|null, Function]}
+   * Connection test results by server key
+   * @type {[Object.<string, {status: string, error: string|null, errorType: string|null}>, Function]}
    */
-  const [testStatus, setTestStatus] = useState(null);
+  const [testResults, setTestResults] = useState({});
   
   /**
-   * Specific connection error message
-   * @type {[string|null, Function]}
+   * Server keys whose API key is visible
+   * @type {[Array<string>, Function]}
    */
-  const [connectionError, setConnectionError] = useState(null);
+  const [visibleApiKeys, setVisibleApiKeys] = useState([]);
   
   /**
-   * Specific connection error type for detailed guidance
-   * @type {[string|null, Function]}
+   * Demo mode state, locked when enabled by the DEMO_MODE environment variable
+   * @type {[{enabled: boolean, locked: boolean}, Function]}
    */
-  const [errorType, setErrorType] = useState(null);
-  
-  /**
-   * API key visibility state
-   * @type {[boolean, Function]}
-   */
-  const [showApiKey, setShowApiKey] = useState(false);
-  
-  /**
-   * Test connection start timestamp
-   * @type {[number|null, Function]}
-   */
-  const [testStartTime, setTestStartTime] = useState(null);
+  const [demoMode, setDemoMode] = useState({ enabled: false, locked: false });
 
   /**
    * Check if a URL contains an IP address
@@ -133,29 +137,31 @@ const SectionManager = ({ onError, onSuccess }) => {
   const fetchData = async () => {
     try {
       setLoading(true);
-      const [settingsResponse, mediaResponse, configResponse] = await Promise.all([
+      const [settingsResponse, librariesResponse, configResponse] = await Promise.all([
         fetch('/api/media/settings'),
-        fetch('/api/media/recent'),
+        fetch('/api/libraries'),
         fetch('/api/config')
       ]);
       
       const settingsData = await settingsResponse.json();
-      const mediaData = await mediaResponse.json();
+      const librariesData = await librariesResponse.json();
       const configData = await configResponse.json();
       
       setSections(settingsData.sections || { shows: [], movies: [], music: [] });
-      setEnvVars({
-        TAUTULLI_BASE_URL: configData.baseUrl || '',
-        TAUTULLI_API_KEY: configData.apiKey || ''
-      });
+      setServers(configData.servers?.length > 0 ?
+        configData.servers.map(server => ({ ...server, key: server.id })) :
+        [createEmptyServer(0)]);
+      
+      setDemoMode({ enabled: !!configData.demoMode, locked: !!configData.demoModeLocked });
       
       // Set Homepage IP from stored value
       setHomepageIp(configData.homepageIp || '');
       
       // If no homepage IP is stored but URL contains an IP, use that
-      if (!configData.homepageIp && configData.baseUrl) {
+      const firstBaseUrl = configData.servers?.[0]?.baseUrl || configData.baseUrl;
+      if (!configData.homepageIp && firstBaseUrl) {
         try {
-          const url = new URL(configData.baseUrl);
+          const url = new URL(firstBaseUrl);
           if (/^(?:[0-9]{1,3}\.){3}[0-9]{1,3}$/.test(url.hostname)) {
             setHomepageIp(url.hostname);
           }
@@ -164,9 +170,11 @@ const SectionManager = ({ onError, onSuccess }) => {
         }
       }
 
-      if (mediaData?.response?.libraries?.sections) {
-        const available = mediaData.response.libraries.sections.map(library => ({
-          id: library.section_id,
+      if (librariesData?.response?.data) {
+        const available = librariesData.response.data.map(library => ({
+          id: library.section_key,
+          server: library.server,
+          server_name: library.server_name,
           name: library.section_name,
           type: library.section_type === 'movie' ? 'movies' : 
                 library.section_type === 'show' ? 'shows' : 
@@ -209,7 +217,7 @@ const SectionManager = ({ onError, onSuccess }) => {
    * Add a section to selected sections
    * 
    * @param {string} type - Section type (shows, movies, music)
-   * @param {number} sectionId - Section ID to add
+   * @param {string} sectionId - Section key to add
    */
   const addSection = (type, sectionId) => {
     setSections(prev => ({
@@ -222,7 +230,7 @@ const SectionManager = ({ onError, onSuccess }) => {
    * Remove a section from selected sections
    * 
    * @param {string} type - Section type (shows, movies, music)
-   * @param {number} sectionId - Section ID to remove
+   * @param {string} sectionId - Section key to remove
    */
   const removeSection = (type, sectionId) => {
     setSections(prev => ({
@@ -231,6 +239,59 @@ const SectionManager = ({ onError, onSuccess }) => {
     }));
   };
 
+  /**
+   * Update a field of a server connection
+   * 
+   * @param {string} key - Server key
+   * @param {string} field - Field to update (name, baseUrl, apiKey)
+   * @param {string} value - New value
+   */
+  const updateServer = (key, field, value) => {
+    setServers(prev => prev.map(server => server.key === key ? { ...server, [field]: value } : server));
+  };
+
+  /**
+   * Add an empty server connection to the list
+   */
+  const addServer = () => {
+    setServers(prev => [...prev, createEmptyServer(prev.length)]);
+  };
+
+  /**
+   * Remove a server connection from the list
+   * Its sections are dropped by the backend when the connection is saved
+   * 
+   * @param {string} key - Server key
+   */
+  const removeServer = (key) => {
+    setServers(prev => prev.filter(server => server.key !== key));
+    setTestResults(prev => {
+      const { [key]: removed, ...rest } = prev;
+      return rest;
+    });
+  };
+
+  /**
+   * Toggle the visibility of a server's API key
+   * 
+   * @param {string} key - Server key
+   */
+  const toggleApiKey = (key) => {
+    setVisibleApiKeys(prev => prev.includes(key) ? prev.filter(k => k !== key) : [...prev, key]);
+  };
+
+  /**
+   * Store the connection test result of a server
+   * 
+   * @param {string} key - Server key
+   * @param {string|null} status - Test status (testing, success, error) or null to clear
+   * @param {string|null} [error=null] - Error message
+   * @param {string|null} [errorType=null] - Error type for guidance
+   */
+  const setTestResult = (key, status, error = null, errorType = null) => {
+    setTestResults(prev => ({ ...prev, [key]: { status, error, errorType } }));
+  };
+
   /**
    * Determine error type from error message for targeted guidance
    * 
@@ -270,52 +331,49 @@ const SectionManager = ({ onError, onSuccess }) => {
   };
 
   /**
-   * Test Tautulli connection with current settings
+   * Validate a server connection before testing or saving
+   * 
+   * @param {Object} server - Server connection
+   * @returns {{message: string, type: string}|null} Validation error or null if valid
+   */
+  const validateServer = (server) => {
+    if (!server.baseUrl && !server.apiKey) {
+      return { message: 'Please enter both Base URL and API Key', type: 'missing_fields' };
+    }
+    
+    if (!server.baseUrl) {
+      return { message: 'Tautulli Base URL is required', type: 'missing_url' };
+    }
+    
+    if (!server.apiKey) {
+      return { message: 'Tautulli API Key is required', type: 'missing_api_key' };
+    }
+    
+    if (!isValidUrl(server.baseUrl)) {
+      return { message: 'Invalid URL format. URL must include http:// or https://', type: 'invalid_url' };
+    }
+    
+    return null;
+  };
+
+  /**
+   * Test the connection to a Tautulli server
    * 
    * @async
+   * @param {Object} server - Server connection to test
    */
-  const handleTestConnection = async () => {
+  const handleTestConnection = async (server) => {
     try {
-      // Reset error states
-      setErrorType(null);
-      
       // Validate inputs before sending request
-      if (!envVars.TAUTULLI_BASE_URL && !envVars.TAUTULLI_API_KEY) {
-        setTestStatus('error');
-        setConnectionError('Please enter both Base URL and API Key');
-        setErrorType('missing_fields');
-        onError('Please enter both Base URL and API Key');
-        return;
-      }
-      
-      if (!envVars.TAUTULLI_BASE_URL) {
-        setTestStatus('error');
-        setConnectionError('Tautulli Base URL is required');
-        setErrorType('missing_url');
-        onError('Tautulli Base URL is required');
-        return;
-      }
-      
-      if (!envVars.TAUTULLI_API_KEY) {
-        setTestStatus('error');
-        setConnectionError('Tautulli API Key is required');
-        setErrorType('missing_api_key');
-        onError('Tautulli API Key is required');
-        return;
-      }
-      
-      // Validate URL format
-      if (!isValidUrl(envVars.TAUTULLI_BASE_URL)) {
-        setTestStatus('error');
-        setConnectionError('Invalid URL format. URL must include http:// or https://');
-        setErrorType('invalid_url');
-        onError('Invalid URL format');
+      const validationError = validateServer(server);
+      if (validationError) {
+        setTestResult(server.key, 'error', validationError.message, validationError.type);
+        onError(validationError.message);
         return;
       }
 
-      setTestStatus('testing');
-      setConnectionError(null);
-      setTestStartTime(Date.now());
+      setTestResult(server.key, 'testing');
+      const testStartTime = Date.now();
       
       // Define the endpoint with parameters optimized for quick response
       const response = await fetch('/api/test-connection', {
@@ -324,8 +382,9 @@ const SectionManager = ({ onError, onSuccess }) => {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({ 
-          baseUrl: envVars.TAUTULLI_BASE_URL,
-          apiKey: envVars.TAUTULLI_API_KEY
+          baseUrl: server.baseUrl,
+          apiKey: server.apiKey,
+          serverId: server.id // Lets the backend use the saved key while it is masked
         }),
       });
 
@@ -345,36 +404,34 @@ const SectionManager = ({ onError, onSuccess }) => {
           await new Promise(resolve => setTimeout(resolve, 1500 - testDuration));
         }
         
-        setTestStatus('success');
-        setConnectionError(null);
-        setErrorType(null);
-        setTimeout(() => setTestStatus(null), 3000);
+        setTestResult(server.key, 'success');
+        setTimeout(() => setTestResult(server.key, null), 3000);
       } else {
         throw new Error(data.error || 'Connection verification failed');
       }
     } catch (error) {
-      setTestStatus('error');
-      
-      // Set the specific error message
+      // Set the specific error message and its type for targeted guidance
       const errorMessage = error.message || 'Failed to connect to Tautulli';
-      setConnectionError(errorMessage);
-      
-      // Determine the error type for targeted guidance
-      setErrorType(determineErrorType(errorMessage));
+      setTestResult(server.key, 'error', errorMessage, determineErrorType(errorMessage));
       
       onError(errorMessage);
     }
   };
 
   /**
-   * Save Tautulli connection settings
+   * Save Tautulli server connections
    * 
    * @async
    */
   const handleSaveConnection = async () => {
     try {
-      if (!envVars.TAUTULLI_BASE_URL || !envVars.TAUTULLI_API_KEY) {
-        onError('Please enter both Base URL and API Key');
+      // Demo mode needs no connection, so untouched server forms are left out
+      const serversToSave = demoMode.enabled ?
+        servers.filter(server => server.baseUrl || server.apiKey) :
+        servers;
+      const invalidServer = serversToSave.find(server => validateServer(server));
+      if (invalidServer) {
+        onError(`${invalidServer.name || 'Server'}: ${validateServer(invalidServer).message}`);
         return;
       }
 
@@ -385,21 +442,22 @@ const SectionManager = ({ onError, onSuccess }) => {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({ 
-          baseUrl: envVars.TAUTULLI_BASE_URL,
-          apiKey: envVars.TAUTULLI_API_KEY,
+          servers: serversToSave.map(({ id, name, baseUrl, apiKey }) => ({ id, name, baseUrl, apiKey })),
+          demoMode: demoMode.enabled,
           homepageIp: homepageIp // Include the homepage IP
         }),
       });
 
       if (!response.ok) {
-        throw new Error('Failed to save connection settings');
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error || 'Failed to save connection settings');
       }
 
       onSuccess();
       await fetchData();
     } catch (error) {
       console.error('Connection save error:', error);
-      onError('Failed to save connection settings');
+      onError(error.message || 'Failed to save connection settings');
     } finally {
       setSavingConnection(false);
     }
@@ -447,9 +505,10 @@ const SectionManager = ({ onError, onSuccess }) => {
   /**
    * Render error guidance based on error type
    * 
+   * @param {string|null} errorType - Error type from determineErrorType()
    * @returns {JSX.Element|null} Error guidance component
    */
-  const renderErrorGuidance = () => {
+  const renderErrorGuidance = (errorType) => {
     if (!errorType) return null;
 
     switch (errorType) {
@@ -584,6 +643,7 @@ const SectionManager = ({ onError, onSuccess }) => {
       return section.type === type;
     });
     const selectedIds = sections[type];
+    const showServerNames = new Set(availableSections.map(section => section.server)).size > 1;
 
     if (loading) {
       return (
@@ -644,7 +704,12 @@ const SectionManager = ({ onError, onSuccess }) => {
                     }}
                     className="rounded border-white/10 bg-black/20 text-theme"
                   />
-                  <span className="text-white flex-1">{section.name}</span>
+                  <span className="text-white flex-1">
+                    {section.name}
+                    {showServerNames && (
+                      <span className="block text-xs text-gray-500">{section.server_name}</span>
+                    )}
+                  </span>
                   <div className="text-sm text-gray-500 text-right">
                     <div>{section.count_formatted} items</div>
                     {section.extra && (
@@ -672,6 +737,177 @@ const SectionManager = ({ onError, onSuccess }) => {
     );
   };
 
+  /**
+   * Render the form for a single server connection
+   * 
+   * @param {Object} server - Server connection
+   * @returns {JSX.Element} Server form
+   */
+  const renderServerForm = (server) => {
+    const result = testResults[server.key] || {};
+    const apiKeyVisible = visibleApiKeys.includes(server.key);
+
+    return (
+      <div key={server.key} className="p-4 space-y-4 border border-white/5 rounded-lg">
+        <div className="space-y-2">
+          <label className="form-label">Server Name</label>
+          <input
+            type="text"
+            value={server.name}
+            onChange={(e) => updateServer(server.key, 'name', e.target.value)}
+            placeholder="Tautulli"
+            className="input-field"
+          />
+        </div>
+
+        <div className="space-y-2">
+          <label className="form-label">Tautulli Base URL</label>
+          <input
+            type="url"
+            value={server.baseUrl}
+            onChange={(e) => updateServer(server.key, 'baseUrl', e.target.value)}
+            placeholder="http://localhost:8181"
+            className="input-field"
+          />
+        </div>
+
+        <div className="space-y-2">
+          <label className="form-label">Tautulli API Key</label>
+          <div className="relative">
+            <input
+              type={apiKeyVisible ? "text" : "password"}
+              value={server.apiKey}
+              onChange={(e) => updateServer(server.key, 'apiKey', e.target.value)}
+              onFocus={(e) => server.hasApiKey && e.target.select()}
+              placeholder="Your Tautulli API key"
+              className="input-field pr-10"
+            />
+            <button
+              type="button"
+              onClick={() => toggleApiKey(server.key)}
+              className="absolute right-2 top-1/2 -translate-y-1/2 p-1 text-gray-400 hover:text-white"
+            >
+              {apiKeyVisible ? <EyeOff className="h-4 w-4" /> : <Eye className="h-4 w-4" />}
+            </button>
+          </div>
+          {server.hasApiKey && (
+            <div className="text-xs text-gray-500">
+              The saved key is hidden. Leave it as is to keep it, or enter a new key to replace it. Changing the URL requires entering the key again.
+            </div>
+          )}
+        </div>
+
+        {result.status === 'error' && result.error && (
+          <div className="mt-4 p-3 bg-red-950/30 border border-red-700/50 rounded-lg">
+            <div className="flex items-start gap-2">
+              <div className="text-red-400 mt-0.5 flex-shrink-0">
+                <AlertCircle className="h-5 w-5" />
+              </div>
+              <div className="flex-1">
+                <h4 className="text-red-400 font-medium mb-1">Connection Failed</h4>
+                <p className="text-red-200 text-sm">{result.error}</p>
+                
+                {renderErrorGuidance(result.errorType)}
+              </div>
+            </div>
+          </div>
+        )}
+
+        <div className="flex gap-2">
+          <button
+            onClick={() => handleTestConnection(server)}
+            disabled={result.status === 'testing'}
+            className={`btn-secondary ${
+              result.status === 'success' ? '!bg-green-600/80 hover:!bg-green-600 text-white' :
+              result.status === 'error' ? '!bg-red-600/80 hover:!bg-red-600 text-white' :
+              ''
+            }`}
+          >
+            {result.status === 'success' ? 'Connection Successful!' :
+             result.status === 'error' ? 'Connection Failed' :
+             result.status === 'testing' ? 'Testing...' :
+             'Test Connection'}
+          </button>
+          {servers.length > 1 && (
+            <button
+              onClick={() => removeServer(server.key)}
+              className="btn-secondary flex items-center gap-2"
+              title="Remove Server"
+            >
+              <Trash2 className="h-4 w-4" />
+              Remove
+            </button>
+          )}
+        </div>
+      </div>
+    );
+  };
+
+  /**
+   * Render the Tautulli connection panel with every server and the Homepage IP
+   * 
+   * @param {string} homepageIpHint - Help text shown below the Homepage IP field
+   * @returns {JSX.Element} Connection panel
+   */
+  const renderConnectionPanel = (homepageIpHint) => (
+    <div className="dark-panel">
+      <div className="table-header">
+        <h3 className="header-text">Tautulli Servers</h3>
+      </div>
+      <div className="p-4 space-y-4">
+        {servers.map(renderServerForm)}
+
+        <button
+          onClick={addServer}
+          className="btn-secondary flex items-center gap-2"
+        >
+          <Plus className="h-4 w-4" />
+          Add Server
+        </button>
+
+        <div className="space-y-2">
+          <label className="form-label">Homepage Integration IP</label>
+          <input
+            type="text"
+            value={homepageIp}
+            onChange={(e) => setHomepageIp(e.target.value)}
+            placeholder="IP address for Homepage integration (e.g., 192.168.1.100)"
+            className="input-field"
+          />
+          <div className="text-xs text-gray-400">
+            {homepageIpHint}
+          </div>
+        </div>
+
+        <div className="space-y-2">
+          <label className="flex items-center gap-3 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={demoMode.enabled}
+              disabled={demoMode.locked}
+              onChange={(e) => setDemoMode(prev => ({ ...prev, enabled: e.target.checked }))}
+              className="rounded border-white/10 bg-black/20 text-theme"
+            />
+            <span className="text-sm text-gray-300">Demo Mode</span>
+          </label>
+          <div className="text-xs text-gray-400">
+            {demoMode.locked ?
+              'Enabled by the DEMO_MODE environment variable.' :
+              'Use built-in sample data instead of your Tautulli servers. Saved servers are kept.'}
+          </div>
+        </div>
+
+        <button
+          onClick={handleSaveConnection}
+          disabled={savingConnection}
+          className="btn-primary"
+        >
+          {savingConnection ? 'Saving...' : 'Save Connection'}
+        </button>
+      </div>
+    </div>
+  );
+
   const hasSections = sections && 
     (sections.shows?.length > 0 || sections.movies?.length > 0 || sections.music?.length > 0);
 
@@ -690,109 +926,15 @@ const SectionManager = ({ onError, onSuccess }) => {
         <Alert className="alert alert-info">
           <AlertDescription className="flex items-center gap-2">
             <AlertCircle className="h-4 w-4" />
-            Initial setup is required. Configure your Tautulli connection, then select which libraries to include.
+            Initial setup is required. Configure your Tautulli servers, then select which libraries to include.
           </AlertDescription>
         </Alert>
 
-        <div className="dark-panel">
-          <div className="table-header">
-            <h3 className="header-text">Tautulli Connection</h3>
-          </div>
-          <div className="p-4 space-y-4">
-            <div className="space-y-2">
-              <label className="form-label">Tautulli Base URL</label>
-              <input
-                type="url"
-                value={envVars.TAUTULLI_BASE_URL}
-                onChange={(e) => setEnvVars({
-                  ...envVars,
-                  TAUTULLI_BASE_URL: e.target.value
-                })}
-                placeholder="http://localhost:8181"
-                className="input-field"
-              />
-            </div>
-
-            <div className="space-y-2">
-              <label className="form-label">Tautulli API Key</label>
-              <div className="relative">
-                <input
-                  type={showApiKey ? "text" : "password"}
-                  value={envVars.TAUTULLI_API_KEY}
-                  onChange={(e) => setEnvVars({
-                    ...envVars,
-                    TAUTULLI_API_KEY: e.target.value
-                  })}
-                  placeholder="Your Tautulli API key"
-                  className="input-field pr-10"
-                />
-                <button
-                  type="button"
-                  onClick={() => setShowApiKey(!showApiKey)}
-                  className="absolute right-2 top-1/2 -translate-y-1/2 p-1 text-gray-400 hover:text-white"
-                >
-                  {showApiKey ? <EyeOff className="h-4 w-4" /> : <Eye className="h-4 w-4" />}
-                </button>
-              </div>
-            </div>
-
-            <div className="space-y-2">
-              <label className="form-label">Homepage Integration IP</label>
-              <input
-                type="text"
-                value={homepageIp}
-                onChange={(e) => setHomepageIp(e.target.value)}
-                placeholder="IP address for Homepage integration (e.g., 192.168.1.100)"
-                className="input-field"
-              />
-              <div className="text-xs text-gray-400">
-                This IP address is required for Homepage YAML configurations.
-                Enter the IP address that Homepage can use to reach this application.
-                If not set, Homepage integration will not work.
-              </div>
-            </div>
-
-            {testStatus === 'error' && connectionError && (
-              <div className="mt-4 p-3 bg-red-950/30 border border-red-700/50 rounded-lg">
-                <div className="flex items-start gap-2">
-                  <div className="text-red-400 mt-0.5 flex-shrink-0">
-                    <AlertCircle className="h-5 w-5" />
-                  </div>
-                  <div className="flex-1">
-                    <h4 className="text-red-400 font-medium mb-1">Connection Failed</h4>
-                    <p className="text-red-200 text-sm">{connectionError}</p>
-                    
-                    {renderErrorGuidance()}
-                  </div>
-                </div>
-              </div>
-            )}
-
-            <div className="flex gap-2">
-              <button
-                onClick={handleTestConnection}
-                disabled={testStatus === 'testing'}
-                className={`btn-secondary ${
-                  testStatus === 'success' ? '!bg-green-600/80 hover:!bg-green-600 text-white' :
-                  testStatus === 'error' ? '!bg-red-600/80 hover:!bg-red-600 text-white' :
-                  ''
-                }`}
-              >
-                {testStatus === 'success' ? 'Connection Successful!' :
-                 testStatus === 'error' ? 'Connection Failed' :
-                 testStatus === 'testing' ? 'Testing...' :
-                 'Test Connection'}
-              </button>
-              <button
-                onClick={handleSaveConnection}
-                disabled={savingConnection}
-                className="btn-primary"
-              >
-                {savingConnection ? 'Saving...' : 'Save Connection'}
-              </button>
-            </div>
-          </div>
-        </div>
+        {renderConnectionPanel(
+          'This IP address is required for Homepage YAML configurations. ' +
+          'Enter the IP address that Homepage can use to reach this application. ' +
+          'If not set, Homepage integration will not work.'
+        )}
 
         <div className="dark-panel">
           <div className="table-header">
@@ -825,108 +967,14 @@ const SectionManager = ({ onError, onSuccess }) => {
       <Alert className="alert alert-info">
         <AlertDescription className="flex items-center gap-2">
           <AlertCircle className="h-4 w-4" />
-          Configure your Tautulli connection and select which libraries to include in your dashboard.
+          Configure your Tautulli servers and select which libraries to include in your dashboard.
         </AlertDescription>
       </Alert>
 
-      <div className="dark-panel">
-        <div className="table-header">
-          <h3 className="header-text">Tautulli Connection</h3>
-        </div>
-        <div className="p-4 space-y-4">
-          <div className="space-y-2">
-            <label className="form-label">Tautulli Base URL</label>
-            <input
-              type="url"
-              value={envVars.TAUTULLI_BASE_URL}
-              onChange={(e) => setEnvVars({
-                ...envVars,
-                TAUTULLI_BASE_URL: e.target.value
-              })}
-              placeholder="http://localhost:8181"
-              className="input-field"
-            />
-          </div>
-
-          <div className="space-y-2">
-            <label className="form-label">Tautulli API Key</label>
-            <div className="relative">
-              <input
-                type={showApiKey ? "text" : "password"}
-                value={envVars.TAUTULLI_API_KEY}
-                onChange={(e) => setEnvVars({
-                  ...envVars,
-                  TAUTULLI_API_KEY: e.target.value
-                })}
-                placeholder="Your Tautulli API key"
-                className="input-field pr-10"
-              />
-              <button
-                type="button"
-                onClick={() => setShowApiKey(!showApiKey)}
-                className="absolute right-2 top-1/2 -translate-y-1/2 p-1 text-gray-400 hover:text-white"
-              >
-                {showApiKey ? <EyeOff className="h-4 w-4" /> : <Eye className="h-4 w-4" />}
-              </button>
-            </div>
-          </div>
-
-          <div className="space-y-2">
-            <label className="form-label">Homepage Integration IP</label>
-            <input
-              type="text"
-              value={homepageIp}
-              onChange={(e) => setHomepageIp(e.target.value)}
-              placeholder="IP address for Homepage integration (e.g., 192.168.1.100)"
-              className="input-field"
-            />
-            <div className="text-xs text-gray-400">
-              This IP address will be used exclusively in Homepage YAML configurations.
-              Enter the IP address that Homepage can use to reach this application.
-            </div>
-          </div>
-
-          {testStatus === 'error' && connectionError && (
-            <div className="mt-4 p-3 bg-red-950/30 border border-red-700/50 rounded-lg">
-              <div className="flex items-start gap-2">
-                <div className="text-red-400 mt-0.5 flex-shrink-0">
-                  <AlertCircle className="h-5 w-5" />
-                </div>
-                <div className="flex-1">
-                  <h4 className="text-red-400 font-medium mb-1">Connection Failed</h4>
-                  <p className="text-red-200 text-sm">{connectionError}</p>
-                  
-                  {renderErrorGuidance()}
-                </div>
-              </div>
-            </div>
-          )}
-
-          <div className="flex gap-2">
-            <button
-              onClick={handleTestConnection}
-              disabled={testStatus === 'testing'}
-              className={`btn-secondary ${
-                testStatus === 'success' ? '!bg-green-600/80 hover:!bg-green-600 text-white' :
-                testStatus === 'error' ? '!bg-red-600/80 hover:!bg-red-600 text-white' :
-                ''
-              }`}
-            >
-              {testStatus === 'success' ? 'Connection Successful!' :
-               testStatus === 'error' ? 'Connection Failed' :
-               testStatus === 'testing' ? 'Testing...' :
-               'Test Connection'}
-            </button>
-            <button
-              onClick={handleSaveConnection}
-              disabled={savingConnection}
-              className="btn-primary"
-            >
-              {savingConnection ? 'Saving...' : 'Save Connection'}
-            </button>
-          </div>
-        </div>
-      </div>
+      {renderConnectionPanel(
+        'This IP address will be used exclusively in Homepage YAML configurations. ' +
+        'Enter the IP address that Homepage can use to reach this application.'
+      )}
 
       <div className="dark-panel">
         <div className="table-header">
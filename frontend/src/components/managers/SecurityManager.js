@@ -0,0 +1,572 @@
+/**
+ * Security Manager component
+ * Manages the admin password, widget endpoint access, API tokens and the Tautulli webhook secret
+ * @module components/managers/SecurityManager
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+import { Lock, Key, LogOut, Copy, CheckCircle2, AlertCircle, Trash2, Plus, Webhook } from 'lucide-react';
+import { formatRelativeTime } from '../../utils/utils';
+
+/**
+ * Minimum admin password length, matches the backend rule
+ * @type {number}
+ */
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * JSON data to enter in the Tautulli webhook notification agent
+ * @type {string}
+ */
+const WEBHOOK_BODY = '{"event": "{action}", "section_id": "{section_id}"}';
+
+/**
+ * Send JSON to an auth endpoint and unwrap the response
+ *
+ * @async
+ * @param {string} url - Endpoint URL
+ * @param {Object} [body] - Request body
+ * @param {string} [method='POST'] - HTTP method
+ * @returns {Promise<Object>} Response payload
+ * @throws {Error} With the server's message if the request failed
+ */
+const postJson = async (url, body, method = 'POST') => {
+  const response = await fetch(url, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new Error(data?.response?.message || 'Request failed');
+  }
+  return data.response;
+};
+
+/**
+ * Component for configuring authentication
+ *
+ * @param {Object} props - Component props
+ * @param {Function} props.onError - Callback for error notifications
+ * @returns {JSX.Element} Rendered component
+ */
+const SecurityManager = ({ onError }) => {
+  /**
+   * Authentication state from /api/auth/status
+   * @type {[Object|null, Function]}
+   */
+  const [status, setStatus] = useState(null);
+
+  /**
+   * Password form values
+   * @type {[{current: string, next: string, confirm: string}, Function]}
+   */
+  const [passwords, setPasswords] = useState({ current: '', next: '', confirm: '' });
+
+  /**
+   * API tokens and the scopes they can be granted
+   * @type {[{tokens: Array<Object>, scopes: Array<string>}, Function]}
+   */
+  const [tokenList, setTokenList] = useState({ tokens: [], scopes: [] });
+
+  /**
+   * New token form values
+   * @type {[{name: string, scopes: Array<string>}, Function]}
+   */
+  const [newToken, setNewToken] = useState({ name: '', scopes: ['users:read', 'media:read'] });
+
+  /**
+   * Newly created token, only available until the page is left
+   * @type {[{name: string, token: string}|null, Function]}
+   */
+  const [createdToken, setCreatedToken] = useState(null);
+
+  /**
+   * Webhook state from /api/webhooks/status
+   * @type {[Object|null, Function]}
+   */
+  const [webhookStatus, setWebhookStatus] = useState(null);
+
+  /**
+   * Newly generated webhook secret, only available until the page is left
+   * @type {[string|null, Function]}
+   */
+  const [webhookSecret, setWebhookSecret] = useState(null);
+
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [copied, setCopied] = useState(null);
+
+  /**
+   * Load the authentication state
+   *
+   * @async
+   */
+  const fetchStatus = useCallback(async () => {
+    try {
+      const response = await fetch('/api/auth/status');
+      const data = await response.json();
+      setStatus(data.response);
+
+      if (data.response?.authenticated) {
+        const tokensResponse = await fetch('/api/auth/tokens');
+        const tokensData = await tokensResponse.json();
+        setTokenList({
+          tokens: tokensData.response?.tokens || [],
+          scopes: tokensData.response?.scopes || []
+        });
+
+        const webhookResponse = await fetch('/api/webhooks/status');
+        const webhookData = await webhookResponse.json();
+        setWebhookStatus(webhookData.response || null);
+      }
+    } catch (err) {
+      setError('Failed to load security settings');
+      onError?.(err.message);
+    }
+  }, [onError]);
+
+  useEffect(() => {
+    fetchStatus();
+  }, [fetchStatus]);
+
+  /**
+   * Run an action and report its outcome
+   *
+   * @async
+   * @param {Function} action - Async action returning a success message
+   */
+  const runAction = async (action) => {
+    try {
+      setSaving(true);
+      setError(null);
+      setMessage(await action());
+      await fetchStatus();
+    } catch (err) {
+      setError(err.message);
+      setMessage(null);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Set or change the admin password
+   */
+  const handleSavePassword = () => runAction(async () => {
+    if (passwords.next.length < MIN_PASSWORD_LENGTH) {
+      throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+    if (passwords.next !== passwords.confirm) {
+      throw new Error('Passwords do not match');
+    }
+
+    await postJson('/api/auth/password', {
+      currentPassword: passwords.current,
+      newPassword: passwords.next
+    });
+    setPasswords({ current: '', next: '', confirm: '' });
+    return status?.enabled ? 'Admin password changed' : 'Admin password set, the admin UI now requires a login';
+  });
+
+  /**
+   * Remove the admin password
+   */
+  const handleRemovePassword = () => runAction(async () => {
+    await postJson('/api/auth/password', { currentPassword: passwords.current, newPassword: '' });
+    setPasswords({ current: '', next: '', confirm: '' });
+    return 'Admin password removed';
+  });
+
+  /**
+   * Change whether widget endpoints require the token
+   *
+   * @param {boolean} publicWidgets - Whether widget endpoints are public
+   */
+  const handleWidgetAccess = (publicWidgets) => runAction(async () => {
+    const result = await postJson('/api/auth/widget-access', { publicWidgets });
+    if (result.token) setCreatedToken({ name: 'Widget token', token: result.token });
+    return publicWidgets ? 'Widget endpoints are public' : 'Widget endpoints now require a token';
+  });
+
+  /**
+   * Toggle a scope in the new token form
+   *
+   * @param {string} scope - Scope name
+   */
+  const toggleNewTokenScope = (scope) => {
+    setNewToken(prev => ({
+      ...prev,
+      scopes: prev.scopes.includes(scope) ?
+        prev.scopes.filter(s => s !== scope) :
+        [...prev.scopes, scope]
+    }));
+  };
+
+  /**
+   * Create an API token
+   */
+  const handleCreateToken = () => runAction(async () => {
+    const result = await postJson('/api/auth/tokens', newToken);
+    setCreatedToken({ name: result.name, token: result.token });
+    setNewToken(prev => ({ ...prev, name: '' }));
+    return `Token "${result.name}" created`;
+  });
+
+  /**
+   * Revoke an API token
+   *
+   * @param {Object} token - Token to revoke
+   */
+  const handleRevokeToken = (token) => {
+    if (!window.confirm(`Revoke "${token.name}"? Anything using it will stop working.`)) return;
+    runAction(async () => {
+      await postJson(`/api/auth/tokens/${token.id}`, null, 'DELETE');
+      return `Token "${token.name}" revoked`;
+    });
+  };
+
+  /**
+   * Generate a webhook secret, replacing the current one
+   */
+  const handleGenerateWebhookSecret = () => {
+    if (webhookStatus?.enabled &&
+        !window.confirm('Generate a new webhook secret? Tautulli must be updated with the new one.')) return;
+    runAction(async () => {
+      const result = await postJson('/api/webhooks/secret');
+      setWebhookSecret(result.secret);
+      return 'Webhook secret generated';
+    });
+  };
+
+  /**
+   * Disable webhooks by removing the secret
+   */
+  const handleDisableWebhooks = () => runAction(async () => {
+    await postJson('/api/webhooks/secret', null, 'DELETE');
+    setWebhookSecret(null);
+    return 'Tautulli webhooks disabled';
+  });
+
+  /**
+   * Log out of the admin session
+   *
+   * @async
+   */
+  const handleLogout = async () => {
+    await fetch('/api/auth/logout', { method: 'POST' });
+    window.location.reload();
+  };
+
+  /**
+   * Copy a value to the clipboard
+   *
+   * @async
+   * @param {string} id - Which value was copied, for the copy confirmation
+   * @param {string} value - Text to copy
+   */
+  const handleCopy = async (id, value) => {
+    try {
+      await navigator.clipboard.writeText(value);
+      setCopied(id);
+      setTimeout(() => setCopied(null), 2000);
+    } catch (err) {
+      setError('Failed to copy to clipboard');
+    }
+  };
+
+  if (!status) {
+    return (
+      <div className="p-8 flex justify-center items-center">
+        <div className="loading-spinner" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="section-spacing space-y-6">
+      {(message || error) && (
+        <div className={`dark-panel p-3 flex items-center gap-2 text-sm ${error ? 'text-red-400' : 'text-green-400'}`}>
+          {error ? <AlertCircle className="h-4 w-4 flex-shrink-0" /> : <CheckCircle2 className="h-4 w-4 flex-shrink-0" />}
+          <span>{error || message}</span>
+        </div>
+      )}
+
+      <div className="dark-panel">
+        <div className="table-header flex items-center justify-between">
+          <div className="flex items-center gap-2">
+            <Lock className="h-4 w-4 text-theme-accent" />
+            <h3 className="header-text">Admin Password</h3>
+          </div>
+          {status.enabled && (
+            <button onClick={handleLogout} className="btn-secondary flex items-center gap-2">
+              <LogOut className="h-4 w-4" />
+              Log Out
+            </button>
+          )}
+        </div>
+        <div className="p-4 space-y-4">
+          <div className="text-sm text-gray-400">
+            {status.enabled ?
+              'The admin UI and all settings endpoints require a login.' :
+              'No admin password is set. Anyone on your network can change these settings.'}
+          </div>
+
+          {status.enabled && (
+            <div className="space-y-2">
+              <label className="form-label">Current Password</label>
+              <input
+                type="password"
+                value={passwords.current}
+                onChange={(e) => setPasswords(prev => ({ ...prev, current: e.target.value }))}
+                className="input-field"
+                autoComplete="current-password"
+              />
+            </div>
+          )}
+
+          <div className="space-y-2">
+            <label className="form-label">{status.enabled ? 'New Password' : 'Password'}</label>
+            <input
+              type="password"
+              value={passwords.next}
+              onChange={(e) => setPasswords(prev => ({ ...prev, next: e.target.value }))}
+              placeholder={`At least ${MIN_PASSWORD_LENGTH} characters`}
+              className="input-field"
+              autoComplete="new-password"
+            />
+          </div>
+
+          <div className="space-y-2">
+            <label className="form-label">Confirm Password</label>
+            <input
+              type="password"
+              value={passwords.confirm}
+              onChange={(e) => setPasswords(prev => ({ ...prev, confirm: e.target.value }))}
+              className="input-field"
+              autoComplete="new-password"
+            />
+          </div>
+
+          <div className="flex gap-2">
+            <button
+              onClick={handleSavePassword}
+              disabled={saving || !passwords.next}
+              className="btn-primary"
+            >
+              {status.enabled ? 'Change Password' : 'Set Password'}
+            </button>
+            {status.enabled && (
+              <button
+                onClick={handleRemovePassword}
+                disabled={saving || !passwords.current}
+                className="btn-secondary"
+              >
+                Remove Password
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+
+      <div className="dark-panel">
+        <div className="table-header flex items-center gap-2">
+          <Key className="h-4 w-4 text-theme-accent" />
+          <h3 className="header-text">Widget Access</h3>
+        </div>
+        <div className="p-4 space-y-4">
+          <label className="flex items-center gap-3 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={!status.public_widgets}
+              disabled={saving}
+              onChange={(e) => handleWidgetAccess(!e.target.checked)}
+              className="rounded border-white/10 bg-black/20 text-theme"
+            />
+            <span className="text-sm text-gray-300">Require a token for widget endpoints</span>
+          </label>
+          <div className="text-xs text-gray-400">
+            Applies to /api/users, /api/media/recent and /api/libraries. Send an API token with the matching read scope
+            in an X-API-Key header or as a ?token= query parameter.
+          </div>
+        </div>
+      </div>
+
+      <div className="dark-panel">
+        <div className="table-header flex items-center gap-2">
+          <Key className="h-4 w-4 text-theme-accent" />
+          <h3 className="header-text">API Tokens</h3>
+        </div>
+        <div className="p-4 space-y-4">
+          {createdToken && (
+            <div className="space-y-2">
+              <label className="form-label">{createdToken.name}</label>
+              <div className="flex gap-2">
+                <input type="text" readOnly value={createdToken.token} className="input-field font-mono" />
+                <button onClick={() => handleCopy('token', createdToken.token)} className="btn-secondary" title="Copy token">
+                  {copied === 'token' ? <CheckCircle2 className="h-4 w-4" /> : <Copy className="h-4 w-4" />}
+                </button>
+              </div>
+              <div className="text-xs text-yellow-400">
+                Copy this token now, it is stored hashed and cannot be shown again.
+              </div>
+            </div>
+          )}
+
+          {tokenList.tokens.length === 0 ? (
+            <div className="text-sm text-gray-400">No API tokens have been created.</div>
+          ) : (
+            <div className="space-y-2">
+              {tokenList.tokens.map(token => (
+                <div
+                  key={token.id}
+                  className="flex items-center justify-between gap-4 p-3 rounded-lg bg-black/20 border border-white/5"
+                >
+                  <div className="min-w-0">
+                    <div className="text-sm text-white font-medium">
+                      {token.name}
+                      {token.hint && <span className="ml-2 text-gray-500 font-mono">…{token.hint}</span>}
+                    </div>
+                    <div className="text-xs text-gray-400">{token.scopes.join(', ')}</div>
+                    <div className="text-xs text-gray-500">
+                      {token.use_count} {token.use_count === 1 ? 'request' : 'requests'} · Last used{' '}
+                      {token.last_used_at ? formatRelativeTime(token.last_used_at / 1000) : 'never'}
+                    </div>
+                  </div>
+                  <button
+                    onClick={() => handleRevokeToken(token)}
+                    disabled={saving}
+                    className="btn-secondary flex items-center gap-2"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                    Revoke
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div className="space-y-2">
+            <label className="form-label">New Token</label>
+            <input
+              type="text"
+              value={newToken.name}
+              onChange={(e) => setNewToken(prev => ({ ...prev, name: e.target.value }))}
+              placeholder="Name, e.g. Homepage"
+              maxLength={64}
+              className="input-field"
+            />
+            <div className="flex flex-wrap gap-4">
+              {tokenList.scopes.map(scope => (
+                <label key={scope} className="flex items-center gap-2 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={newToken.scopes.includes(scope)}
+                    onChange={() => toggleNewTokenScope(scope)}
+                    className="rounded border-white/10 bg-black/20 text-theme"
+                  />
+                  <span className="text-sm text-gray-300 font-mono">{scope}</span>
+                </label>
+              ))}
+            </div>
+            <button
+              onClick={handleCreateToken}
+              disabled={saving || !newToken.name.trim() || newToken.scopes.length === 0}
+              className="btn-primary flex items-center gap-2"
+            >
+              <Plus className="h-4 w-4" />
+              Create Token
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {webhookStatus && (
+        <div className="dark-panel">
+          <div className="table-header flex items-center gap-2">
+            <Webhook className="h-4 w-4 text-theme-accent" />
+            <h3 className="header-text">Tautulli Webhooks</h3>
+          </div>
+          <div className="p-4 space-y-4">
+            <div className="text-sm text-gray-400">
+              Add a Webhook notification agent in Tautulli for Recently Added, Playback Start, Pause, Resume,
+              Stop and Watched so new media and playback show up right away. Background polling slows down
+              once webhooks arrive.
+            </div>
+
+            <div className="space-y-2">
+              <label className="form-label">Webhook URL</label>
+              <div className="flex gap-2">
+                <input
+                  type="text"
+                  readOnly
+                  value={`${window.location.origin}/api/webhooks/tautulli`}
+                  className="input-field font-mono"
+                />
+                <button
+                  onClick={() => handleCopy('url', `${window.location.origin}/api/webhooks/tautulli`)}
+                  className="btn-secondary"
+                  title="Copy URL"
+                >
+                  {copied === 'url' ? <CheckCircle2 className="h-4 w-4" /> : <Copy className="h-4 w-4" />}
+                </button>
+              </div>
+              <div className="text-xs text-gray-400">
+                Method POST. Use this JSON data for every trigger, and add a ?server= parameter with the
+                server ID when more than one Tautulli server is configured:
+              </div>
+              <code className="block text-xs text-gray-300 font-mono p-2 rounded bg-black/20">{WEBHOOK_BODY}</code>
+            </div>
+
+            {webhookSecret && (
+              <div className="space-y-2">
+                <label className="form-label">Webhook Headers</label>
+                <div className="flex gap-2">
+                  <input
+                    type="text"
+                    readOnly
+                    value={`{"X-Webhook-Secret": "${webhookSecret}"}`}
+                    className="input-field font-mono"
+                  />
+                  <button
+                    onClick={() => handleCopy('secret', `{"X-Webhook-Secret": "${webhookSecret}"}`)}
+                    className="btn-secondary"
+                    title="Copy headers"
+                  >
+                    {copied === 'secret' ? <CheckCircle2 className="h-4 w-4" /> : <Copy className="h-4 w-4" />}
+                  </button>
+                </div>
+                <div className="text-xs text-yellow-400">
+                  Copy the secret now, it is stored hashed and cannot be shown again.
+                </div>
+              </div>
+            )}
+
+            <div className="text-xs text-gray-500">
+              {webhookStatus.enabled ?
+                `${webhookStatus.received} received, ${webhookStatus.rejected} rejected since startup · Last event ${
+                  webhookStatus.last_received_at ?
+                    `${webhookStatus.last_event} ${formatRelativeTime(webhookStatus.last_received_at / 1000)}` :
+                    'never'}` :
+                'Webhooks are disabled until a secret is generated.'}
+            </div>
+
+            <div className="flex gap-2">
+              <button onClick={handleGenerateWebhookSecret} disabled={saving} className="btn-primary">
+                {webhookStatus.enabled ? 'Regenerate Secret' : 'Generate Secret'}
+              </button>
+              {webhookStatus.enabled && (
+                <button onClick={handleDisableWebhooks} disabled={saving} className="btn-secondary">
+                  Disable Webhooks
+                </button>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SecurityManager;
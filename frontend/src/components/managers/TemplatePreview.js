@@ -0,0 +1,96 @@
+/**
+ * Template Preview component
+ * Renders a format template against cached data while it is being edited
+ * @module components/managers/TemplatePreview
+ */
+import React, { useState, useEffect } from 'react';
+import { AlertCircle } from 'lucide-react';
+
+/**
+ * Delay before requesting a preview after the last keystroke (ms)
+ * @type {number}
+ */
+const PREVIEW_DEBOUNCE = 300;
+
+/**
+ * Live preview of a format template
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.template - Template being edited
+ * @param {string} props.type - Template type (users, shows, movies, music)
+ * @param {string|number} [props.sectionId] - Media section ID
+ * @returns {JSX.Element} Rendered component
+ */
+const TemplatePreview = ({ template, type, sectionId }) => {
+  const [preview, setPreview] = useState([]);
+  const [warnings, setWarnings] = useState([]);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!template) {
+      setPreview([]);
+      setWarnings([]);
+      setError(null);
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      try {
+        const response = await fetch('/api/format/preview', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ template, type, section_id: sectionId }),
+          signal: controller.signal
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+          throw new Error(data?.response?.message || 'Preview failed');
+        }
+
+        setPreview(data.response.preview || []);
+        setWarnings(data.response.warnings || []);
+        setError(null);
+      } catch (err) {
+        if (err.name !== 'AbortError') {
+          setError(err.message);
+        }
+      }
+    }, PREVIEW_DEBOUNCE);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [template, type, sectionId]);
+
+  if (!template) return null;
+
+  return (
+    <div className="space-y-2">
+      <label className="form-label">Preview</label>
+      <div className="bg-black/20 rounded-lg p-3 space-y-1">
+        {error ? (
+          <div className="text-sm text-red-400">{error}</div>
+        ) : preview.length > 0 ? (
+          preview.map((line, index) => (
+            <div key={index} className="text-sm text-white truncate">
+              {line || <span className="text-gray-500 italic">(empty)</span>}
+            </div>
+          ))
+        ) : (
+          <div className="text-sm text-gray-500 italic">Nothing to preview yet</div>
+        )}
+      </div>
+      {warnings.map(warning => (
+        <div key={warning} className="flex items-center gap-2 text-sm text-yellow-400">
+          <AlertCircle className="h-4 w-4 flex-shrink-0" />
+          <span>{warning}</span>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default TemplatePreview;
@@ -136,10 +136,10 @@ const UnifiedFormatManager = ({ onError, onSuccess }) => {
       setUserFields(initialUserFields);
       
       // Fetch media format settings and configuration data
-      const [mediaResponse, configResponse, mediaRecentResponse] = await Promise.all([
+      const [mediaResponse, configResponse, librariesResponse] = await Promise.all([
         fetch('/api/media/settings'),
         fetch('/api/config'),
-        fetch('/api/media/recent')
+        fetch('/api/libraries')
       ]);
       
       if (!mediaResponse.ok) throw new Error('Failed to fetch media format settings');
@@ -147,7 +147,7 @@ const UnifiedFormatManager = ({ onError, onSuccess }) => {
       
       const mediaData = await mediaResponse.json();
       const configData = await configResponse.json();
-      const mediaRecentData = await mediaRecentResponse.json();
+      const librariesData = await librariesResponse.json();
       
       // Extract sections and formats
       const sections = {
@@ -184,11 +184,11 @@ const UnifiedFormatManager = ({ onError, onSuccess }) => {
       setLocalIp(configData.homepageIp || '');
       setPort(configData.port || '3010');
       
-      // Get library names from media recent data
+      // Get library names from the library list
       const libraryNamesMap = {};
-      if (mediaRecentData?.response?.libraries?.sections) {
-        mediaRecentData.response.libraries.sections.forEach(library => {
-          libraryNamesMap[library.section_id] = library.section_name;
+      if (librariesData?.response?.data) {
+        librariesData.response.data.forEach(library => {
+          libraryNamesMap[library.section_key] = library.section_name;
         });
       }
       setLibraryNames(libraryNamesMap);
@@ -239,15 +239,15 @@ const UnifiedFormatManager = ({ onError, onSuccess }) => {
       
       // Format the sections and formats for the API
       const formattedSections = Object.entries(sectionTypes).reduce((acc, [type, sections]) => {
-        acc[type] = sections.map(s => parseInt(s.id));
+        acc[type] = sections.map(s => s.id);
         return acc;
       }, {});
       
       const formattedFormats = Object.entries(mediaFormats).reduce((acc, [type, sections]) => {
         acc[type] = {};
         Object.entries(sections).forEach(([sectionId, data]) => {
-          // Convert to number ID for consistency with API
-          acc[type][parseInt(sectionId)] = data;
+          // Section keys (server:id) are sent as-is
+          acc[type][sectionId] = data;
         });
         return acc;
       }, {});
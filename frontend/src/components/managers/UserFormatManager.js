@@ -5,6 +5,7 @@
  */
 import React from 'react';
 import { variables } from '../../utils/utils';
+import TemplatePreview from './TemplatePreview';
 
 /**
  * User format configuration component
@@ -120,6 +121,7 @@ const UserFormatManager = ({
                   placeholder="Enter display format template"
                 />
               </div>
+              <TemplatePreview template={field.template} type="users" />
             </div>
           ))}
         </div>
@@ -0,0 +1,126 @@
+/**
+ * Widget Token Settings component
+ * Chooses the API token added to generated Homepage widgets when widget endpoints are locked
+ * @module components/managers/WidgetTokenSettings
+ */
+import React, { useState, useEffect } from 'react';
+import { Key, AlertCircle } from 'lucide-react';
+import { TOKEN_PLACEHOLDER } from '../../utils/utils';
+
+/**
+ * Scopes granted to tokens created for Homepage
+ * @type {Array<string>}
+ */
+const HOMEPAGE_SCOPES = ['users:read', 'media:read', 'libraries:read'];
+
+/**
+ * Panel for entering or creating the Homepage widget token
+ * Renders nothing while widget endpoints are public
+ *
+ * @param {Object} props - Component props
+ * @param {Function} props.onChange - Called with the token to add to widgets, or null when none is needed
+ * @returns {JSX.Element|null} Rendered component
+ */
+const WidgetTokenSettings = ({ onChange }) => {
+  /**
+   * Whether widget endpoints require a token
+   * @type {[boolean, Function]}
+   */
+  const [required, setRequired] = useState(false);
+
+  /**
+   * Token entered or created by the user
+   * @type {[string, Function]}
+   */
+  const [token, setToken] = useState('');
+
+  const [creating, setCreating] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchStatus = async () => {
+      try {
+        const response = await fetch('/api/auth/status');
+        const data = await response.json();
+        setRequired(data?.response?.public_widgets === false);
+      } catch (err) {
+        console.error('Failed to load widget access settings:', err);
+      }
+    };
+
+    fetchStatus();
+  }, []);
+
+  useEffect(() => {
+    onChange(required ? (token.trim() || TOKEN_PLACEHOLDER) : null);
+  }, [required, token, onChange]);
+
+  /**
+   * Create a read-only token for Homepage
+   *
+   * @async
+   */
+  const handleCreateToken = async () => {
+    try {
+      setCreating(true);
+      setError(null);
+      const response = await fetch('/api/auth/tokens', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: 'Homepage', scopes: HOMEPAGE_SCOPES })
+      });
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        throw new Error(data?.response?.message || 'Failed to create token');
+      }
+      setToken(data.response.token);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  if (!required) return null;
+
+  return (
+    <div className="dark-panel">
+      <div className="table-header flex items-center gap-2">
+        <Key className="h-4 w-4 text-theme-accent" />
+        <h3 className="header-text">Widget Token</h3>
+      </div>
+      <div className="p-4 space-y-3">
+        <div className="text-sm text-gray-400">
+          Widget endpoints require a token, so an X-API-Key header is added to every widget below.
+          Without a token here, the <code className="text-gray-300">{TOKEN_PLACEHOLDER}</code> Homepage
+          variable is used instead.
+        </div>
+        <div className="flex gap-2">
+          <input
+            type="text"
+            value={token}
+            onChange={(e) => setToken(e.target.value)}
+            placeholder="Paste an API token"
+            className="input-field font-mono"
+          />
+          <button
+            onClick={handleCreateToken}
+            disabled={creating}
+            className="btn-secondary whitespace-nowrap"
+          >
+            {creating ? 'Creating...' : 'Create Token'}
+          </button>
+        </div>
+        {error && (
+          <div className="flex items-center gap-2 text-sm text-red-400">
+            <AlertCircle className="h-4 w-4 flex-shrink-0" />
+            <span>{error}</span>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default WidgetTokenSettings;
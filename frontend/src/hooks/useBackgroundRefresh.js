@@ -4,13 +4,18 @@
  * @module hooks/useBackgroundRefresh
  */
 import { useState, useEffect, useRef, useCallback } from 'react';
+import { useEventStream } from './useEventStream';
+import { isEventStreamConnected } from '../services/eventStream';
 
 /**
  * Custom hook for fetching data with periodic background refresh
+ * With an event topic, data is refetched when the backend pushes an update and polling only runs
+ * while the event stream is disconnected
  * 
  * @param {Function} fetchFn - Async function to fetch data
  * @param {number} [initialInterval=null] - Refresh interval in milliseconds (optional override)
  * @param {boolean} [isUserData=false] - Flag to indicate if this is user data (for special handling)
+ * @param {string|null} [eventTopic=null] - Event stream topic (users, recent_media, libraries)
  * @returns {Object} Hook state and controls
  * @returns {*} returns.data - The fetched data
  * @returns {boolean} returns.loading - Loading state
@@ -18,7 +23,7 @@ import { useState, useEffect, useRef, useCallback } from 'react';
  * @returns {Date|null} returns.lastUpdated - Timestamp of last successful update
  * @returns {Function} returns.refresh - Function to manually trigger refresh
  */
-export const useBackgroundRefresh = (fetchFn, initialInterval = null, isUserData = false) => {
+export const useBackgroundRefresh = (fetchFn, initialInterval = null, isUserData = false, eventTopic = null) => {
   const [data, setData] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -145,6 +150,9 @@ export const useBackgroundRefresh = (fetchFn, initialInterval = null, isUserData
     }
   }, [fetchFn, isUserData]);
 
+  // Refetch when the backend reports new data
+  useEventStream(eventTopic, () => fetch(false));
+
   // Set up initial fetch and interval
   useEffect(() => {
     // Initial fetch
@@ -154,6 +162,9 @@ export const useBackgroundRefresh = (fetchFn, initialInterval = null, isUserData
 
     // Set up interval with a reference to prevent stale closures
     const intervalId = setInterval(() => {
+      // Pushed updates replace polling while the event stream is connected
+      if (isEventStreamConnected()) return;
+
       // Only trigger refresh if document is visible to save resources
       if (document.visibilityState === 'visible') {
         console.log(`Background refresh interval triggered${isUserData ? ' for user data' : ''}`);
@@ -0,0 +1,44 @@
+/**
+ * Custom hook for backend push updates
+ * Subscribes a component to the shared /api/events stream
+ * @module hooks/useEventStream
+ */
+import { useState, useEffect, useRef } from 'react';
+import { subscribe, onConnectionChange, isEventStreamConnected } from '../services/eventStream';
+
+/**
+ * Call a function whenever the backend reports new data for a topic
+ * Events are ignored while the page is hidden; components refresh when it becomes visible again
+ *
+ * @param {string|null} topic - users, recent_media or libraries, null to stay unsubscribed
+ * @param {Function} onUpdate - Called with the event payload, usually to refetch data
+ * @returns {boolean} True while the stream is connected and polling can be skipped
+ */
+export const useEventStream = (topic, onUpdate) => {
+  const [connected, setConnected] = useState(isEventStreamConnected());
+
+  // Keep the latest callback without resubscribing on every render
+  const onUpdateRef = useRef(onUpdate);
+  useEffect(() => {
+    onUpdateRef.current = onUpdate;
+  }, [onUpdate]);
+
+  useEffect(() => {
+    if (!topic) return undefined;
+
+    const unsubscribe = subscribe(topic, (data) => {
+      if (document.visibilityState === 'visible') {
+        onUpdateRef.current(data);
+      }
+    });
+    const removeConnectionListener = onConnectionChange(setConnected);
+    setConnected(isEventStreamConnected());
+
+    return () => {
+      removeConnectionListener();
+      unsubscribe();
+    };
+  }, [topic]);
+
+  return connected;
+};
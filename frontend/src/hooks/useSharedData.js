@@ -4,6 +4,7 @@
  * @module hooks/useSharedData
  */
 import { useState, useEffect, useCallback } from 'react';
+import { subscribe, isEventStreamConnected } from '../services/eventStream';
 
 // Global store for shared data
 const dataStore = {
@@ -12,6 +13,16 @@ const dataStore = {
   libraries: { data: null, timestamp: 0, listeners: [], loading: false, error: null }
 };
 
+// Event stream topic of each data type
+const eventTopics = {
+  users: 'users',
+  media: 'recent_media',
+  libraries: 'libraries'
+};
+
+// Event stream subscriptions, held while a data type has listeners
+const eventSubscriptions = {};
+
 // Function to notify all listeners when data changes
 function notifyListeners(dataType, updates) {
   const store = dataStore[dataType];
@@ -96,7 +107,7 @@ const fetchers = {
       // Mark as loading
       notifyListeners('libraries', { loading: true, error: null });
       
-      const response = await fetch('/api/media/recent', {
+      const response = await fetch('/api/libraries', {
         headers: {
           'Cache-Control': 'no-cache',
           'Pragma': 'no-cache'
@@ -108,7 +119,7 @@ const fetchers = {
       }
       
       const data = await response.json();
-      const libraryData = data.response?.libraries || { sections: [], totals: {} };
+      const libraryData = { sections: data.response?.data || [], totals: data.response?.totals || {} };
       
       // Update store and notify listeners
       notifyListeners('libraries', { 
@@ -137,9 +148,9 @@ function setupRefreshTimers() {
   if (mediaRefreshTimer) clearInterval(mediaRefreshTimer);
   if (libraryRefreshTimer) clearInterval(libraryRefreshTimer);
   
-  // Setup user data refresh - every 60 seconds
+  // Setup user data refresh - every 60 seconds, skipped while updates are pushed
   userRefreshTimer = setInterval(() => {
-    if (dataStore.users.listeners.length > 0 && document.visibilityState === 'visible') {
+    if (dataStore.users.listeners.length > 0 && document.visibilityState === 'visible' && !isEventStreamConnected()) {
       console.log('Refreshing shared user data');
       fetchers.users();
     }
@@ -148,7 +159,7 @@ function setupRefreshTimers() {
   // Setup media data refresh - every 60 seconds, offset by 20 seconds
   setTimeout(() => {
     mediaRefreshTimer = setInterval(() => {
-      if (dataStore.media.listeners.length > 0 && document.visibilityState === 'visible') {
+      if (dataStore.media.listeners.length > 0 && document.visibilityState === 'visible' && !isEventStreamConnected()) {
         console.log('Refreshing shared media data');
         fetchers.media();
       }
@@ -158,7 +169,7 @@ function setupRefreshTimers() {
   // Setup library data refresh - every 60 seconds, offset by 40 seconds
   setTimeout(() => {
     libraryRefreshTimer = setInterval(() => {
-      if (dataStore.libraries.listeners.length > 0 && document.visibilityState === 'visible') {
+      if (dataStore.libraries.listeners.length > 0 && document.visibilityState === 'visible' && !isEventStreamConnected()) {
         console.log('Refreshing shared library data');
         fetchers.libraries();
       }
@@ -240,6 +251,15 @@ export function useSharedData(dataType) {
   useEffect(() => {
     dataStore[dataType].listeners.push(handleUpdate);
     
+    // The first listener subscribes the data type to pushed updates
+    if (!eventSubscriptions[dataType]) {
+      eventSubscriptions[dataType] = subscribe(eventTopics[dataType], () => {
+        if (document.visibilityState === 'visible') {
+          fetchers[dataType]();
+        }
+      });
+    }
+    
     // Initial data fetch if needed
     if (!dataStore[dataType].data && !dataStore[dataType].loading) {
       console.log(`Initial fetch for ${dataType} data`);
@@ -252,6 +272,11 @@ export function useSharedData(dataType) {
       if (index !== -1) {
         dataStore[dataType].listeners.splice(index, 1);
       }
+      
+      if (dataStore[dataType].listeners.length === 0 && eventSubscriptions[dataType]) {
+        eventSubscriptions[dataType]();
+        delete eventSubscriptions[dataType];
+      }
     };
   }, [dataType, handleUpdate]);
   
@@ -0,0 +1,161 @@
+/**
+ * Event stream service for frontend
+ * Shares one connection to the backend /api/events stream between all subscribers
+ * @module services/eventStream
+ */
+
+/**
+ * Event stream endpoint
+ * @type {string}
+ */
+const EVENTS_URL = '/api/events';
+
+/**
+ * Delay before reopening a stream the browser gave up on
+ * @type {number}
+ */
+const RECONNECT_DELAY = 30000; // 30 seconds
+
+/**
+ * Topics pushed by the backend
+ * @type {Array<string>}
+ */
+export const EVENT_TOPICS = ['users', 'recent_media', 'libraries'];
+
+/**
+ * Callbacks by topic
+ * @type {Object.<string, Set<Function>>}
+ */
+const subscribers = EVENT_TOPICS.reduce((acc, topic) => {
+  acc[topic] = new Set();
+  return acc;
+}, {});
+
+/**
+ * Callbacks for connection state changes
+ * @type {Set<Function>}
+ */
+const connectionListeners = new Set();
+
+let source = null;
+let connected = false;
+let reconnectTimer = null;
+
+/**
+ * Check whether any topic has subscribers
+ *
+ * @returns {boolean} True if the stream is needed
+ */
+function hasSubscribers() {
+  return EVENT_TOPICS.some(topic => subscribers[topic].size > 0);
+}
+
+/**
+ * Update the connection state and notify listeners
+ *
+ * @param {boolean} value - Whether the stream is open
+ */
+function setConnected(value) {
+  if (connected === value) return;
+  connected = value;
+  connectionListeners.forEach(listener => listener(value));
+}
+
+/**
+ * Open the stream if it is needed and not already open
+ * The browser reconnects on its own after network errors; a failed response closes the stream for good,
+ * so it is reopened after RECONNECT_DELAY
+ */
+function connect() {
+  if (source || !hasSubscribers() || typeof EventSource === 'undefined') return;
+
+  source = new EventSource(EVENTS_URL);
+
+  source.addEventListener('ready', () => setConnected(true));
+
+  EVENT_TOPICS.forEach(topic => {
+    source.addEventListener(topic, (event) => {
+      let data = {};
+      try {
+        data = JSON.parse(event.data);
+      } catch (err) {
+        console.error(`Invalid ${topic} event:`, err);
+      }
+      subscribers[topic].forEach(callback => callback(data));
+    });
+  });
+
+  source.onerror = () => {
+    setConnected(false);
+
+    if (source.readyState === EventSource.CLOSED) {
+      source = null;
+      if (!reconnectTimer) {
+        reconnectTimer = setTimeout(() => {
+          reconnectTimer = null;
+          connect();
+        }, RECONNECT_DELAY);
+      }
+    }
+  };
+}
+
+/**
+ * Close the stream once nothing is subscribed
+ */
+function disconnectIfIdle() {
+  if (hasSubscribers()) return;
+
+  if (reconnectTimer) {
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+  }
+  if (source) {
+    source.close();
+    source = null;
+  }
+  setConnected(false);
+}
+
+/**
+ * Subscribe to updates of a topic
+ *
+ * @param {string} topic - users, recent_media or libraries
+ * @param {Function} callback - Called with the event payload whenever the backend cache changes
+ * @returns {Function} Unsubscribe function
+ * @throws {Error} If the topic is unknown
+ */
+export function subscribe(topic, callback) {
+  if (!subscribers[topic]) {
+    throw new Error(`Invalid event topic: ${topic}. Must be one of: ${EVENT_TOPICS.join(', ')}`);
+  }
+
+  subscribers[topic].add(callback);
+  connect();
+
+  return () => {
+    subscribers[topic].delete(callback);
+    disconnectIfIdle();
+  };
+}
+
+/**
+ * Listen for the stream opening and closing
+ *
+ * @param {Function} listener - Called with true when connected, false when disconnected
+ * @returns {Function} Function removing the listener
+ */
+export function onConnectionChange(listener) {
+  connectionListeners.add(listener);
+  return () => connectionListeners.delete(listener);
+}
+
+/**
+ * Check whether updates are currently pushed by the backend
+ * Polling is only needed while this is false
+ *
+ * @returns {boolean} True if the stream is open
+ */
+export function isEventStreamConnected() {
+  return connected;
+}
@@ -218,7 +218,8 @@ export const variables = {
     { code: '${progress_time}', description: 'Current timestamp and total duration (e.g., "1:15:30 / 2:30:00")' },
     { code: '${is_watching}', description: 'Current activity status ("Watching", "Paused", or "Watched")' },
     { code: '${last_seen_formatted}', description: 'Time since last activity with online indicator (e.g., "🟢" for online, "2 hours ago")' },
-    { code: '${stream_container_decision}', description: 'Stream container decision type ("transcode", "direct play", "copy")' }
+    { code: '${stream_container_decision}', description: 'Stream container decision type ("transcode", "direct play", "copy")' },
+    { code: '${offline}', description: 'Shows "(offline)" while Tautulli is unreachable and cached data is served, empty otherwise' }
   ],
   movies: [
     { code: '${title}', description: 'Movie title (e.g., "Inception")' },
@@ -227,7 +228,22 @@ export const variables = {
     { code: '${content_rating}', description: 'Content rating for the movie (e.g., "PG-13", "R")' },
     { code: '${video_resolution}', description: 'Video quality/resolution (e.g., "1080p", "4K")' },
     { code: '${added_at_relative}', description: 'Relative time since addition to library (e.g., "2d ago")' },
-    { code: '${added_at_short}', description: 'Short date format for addition date (e.g., "Feb 10")' }
+    { code: '${added_at_short}', description: 'Short date format for addition date (e.g., "Feb 10")' },
+    { code: '${summary}', description: 'Plot summary, loaded from Tautulli metadata when used' },
+    { code: '${tagline}', description: 'Tagline (e.g., "Your mind is the scene of the crime")' },
+    { code: '${directors}', description: 'Directors (e.g., "Christopher Nolan")' },
+    { code: '${actors}', description: 'First five actors (e.g., "Leonardo DiCaprio, Elliot Page")' },
+    { code: '${writers}', description: 'Writers (e.g., "Christopher Nolan")' },
+    { code: '${audience_rating}', description: 'Audience rating (e.g., "9.1")' },
+    { code: '${originally_available_at}', description: 'Release or air date (e.g., "2010-07-16")' },
+    { code: '${video_codec}', description: 'Video codec (e.g., "HEVC")' },
+    { code: '${audio_codec}', description: 'Audio codec (e.g., "EAC3")' },
+    { code: '${audio_channels}', description: 'Audio channel layout (e.g., "5.1")' },
+    { code: '${bitrate}', description: 'Overall bitrate (e.g., "24.0 Mbps")' },
+    { code: '${file_size}', description: 'File size (e.g., "8.4 GB")' },
+    { code: '${container}', description: 'File container (e.g., "MKV")' },
+    { code: '${hdr}', description: 'Dynamic range when not SDR (e.g., "HDR", "Dolby Vision"), empty otherwise' },
+    { code: '${offline}', description: 'Shows "(offline)" while Tautulli is unreachable and cached data is served, empty otherwise' }
   ],
   shows: [
     { code: '${grandparent_title}', description: 'TV show name (e.g., "Breaking Bad")' },
@@ -238,7 +254,25 @@ export const variables = {
     { code: '${content_rating}', description: 'Content rating for the show (e.g., "TV-MA")' },
     { code: '${video_resolution}', description: 'Video quality/resolution (e.g., "1080p", "4K")' },
     { code: '${added_at_relative}', description: 'Relative time since addition to library (e.g., "2d ago")' },
-    { code: '${added_at_short}', description: 'Short date format for addition date (e.g., "Feb 10")' }
+    { code: '${added_at_short}', description: 'Short date format for addition date (e.g., "Feb 10")' },
+    { code: '${episode_count}', description: 'Number of new episodes collapsed into this item when grouping (e.g., "8")' },
+    { code: '${episode_range}', description: 'Episodes covered by this item (e.g., "S02E01–E08")' },
+    { code: '${latest_added_relative}', description: 'Relative time since the newest episode of the group was added (e.g., "2h ago")' },
+    { code: '${summary}', description: 'Plot summary, loaded from Tautulli metadata when used' },
+    { code: '${tagline}', description: 'Tagline (e.g., "Your mind is the scene of the crime")' },
+    { code: '${directors}', description: 'Directors (e.g., "Christopher Nolan")' },
+    { code: '${actors}', description: 'First five actors (e.g., "Leonardo DiCaprio, Elliot Page")' },
+    { code: '${writers}', description: 'Writers (e.g., "Christopher Nolan")' },
+    { code: '${audience_rating}', description: 'Audience rating (e.g., "9.1")' },
+    { code: '${originally_available_at}', description: 'Release or air date (e.g., "2010-07-16")' },
+    { code: '${video_codec}', description: 'Video codec (e.g., "HEVC")' },
+    { code: '${audio_codec}', description: 'Audio codec (e.g., "EAC3")' },
+    { code: '${audio_channels}', description: 'Audio channel layout (e.g., "5.1")' },
+    { code: '${bitrate}', description: 'Overall bitrate (e.g., "24.0 Mbps")' },
+    { code: '${file_size}', description: 'File size (e.g., "8.4 GB")' },
+    { code: '${container}', description: 'File container (e.g., "MKV")' },
+    { code: '${hdr}', description: 'Dynamic range when not SDR (e.g., "HDR", "Dolby Vision"), empty otherwise' },
+    { code: '${offline}', description: 'Shows "(offline)" while Tautulli is unreachable and cached data is served, empty otherwise' }
   ],
   music: [
     { code: '${parent_title}', description: 'Artist name (e.g., "Pink Floyd")' },
@@ -247,7 +281,14 @@ export const variables = {
     { code: '${studio}', description: 'Record label or studio (e.g., "Columbia Records")' },
     { code: '${genres}', description: 'Music genre(s) (e.g., "Progressive Rock, Psychedelic")' },
     { code: '${added_at_relative}', description: 'Relative time since addition to library (e.g., "2d ago")' },
-    { code: '${added_at_short}', description: 'Short date format for addition date (e.g., "Feb 10")' }
+    { code: '${added_at_short}', description: 'Short date format for addition date (e.g., "Feb 10")' },
+    { code: '${episode_count}', description: 'Number of new tracks collapsed into this item when grouping by album (e.g., "12")' },
+    { code: '${episode_range}', description: 'Track numbers covered by this item (e.g., "01–12")' },
+    { code: '${latest_added_relative}', description: 'Relative time since the newest track of the group was added (e.g., "2h ago")' },
+    { code: '${summary}', description: 'Album description, loaded from Tautulli metadata when used' },
+    { code: '${audience_rating}', description: 'Audience rating (e.g., "8.5")' },
+    { code: '${originally_available_at}', description: 'Release date (e.g., "1973-03-01")' },
+    { code: '${offline}', description: 'Shows "(offline)" while Tautulli is unreachable and cached data is served, empty otherwise' }
   ]
 };
 
@@ -430,15 +471,14 @@ ${mappings}`;
         if (showCount) {
           movieYaml += `
           - type: customapi
-            url: http://${localIp}:${port}/api/media/recent
+            url: http://${localIp}:${port}/api/libraries
             method: GET
             display: block
             mappings:
             - field:
                 response:
-                  libraries:
-                    totals:
-                      movies: total_items${valueParam}
+                  totals:
+                    movies: total_items${valueParam}
               format: numbers
               label: Movies`;
         }
@@ -477,29 +517,26 @@ ${mappings}`;
         if (showCount) {
           showYaml += `
           - type: customapi
-            url: http://${localIp}:${port}/api/media/recent
+            url: http://${localIp}:${port}/api/libraries
             method: GET
             display: block
             mappings:
             - field:
                 response:
-                  libraries:
-                    totals:
-                      shows: total_items${valueParam}
+                  totals:
+                    shows: total_items${valueParam}
               format: numbers
               label: Shows
             - field:
                 response:
-                  libraries:
-                    totals:
-                      shows: total_seasons${valueParam}
+                  totals:
+                    shows: total_seasons${valueParam}
               format: numbers
               label: Seasons
             - field:
                 response:
-                  libraries:
-                    totals:
-                      shows: total_episodes${valueParam}
+                  totals:
+                    shows: total_episodes${valueParam}
               format: numbers
               label: Episodes`;
         }
@@ -538,29 +575,26 @@ ${mappings}`;
         if (showCount) {
           musicYaml += `
           - type: customapi
-            url: http://${localIp}:${port}/api/media/recent
+            url: http://${localIp}:${port}/api/libraries
             method: GET
             display: block
             mappings:
             - field:
                 response:
-                  libraries:
-                    totals:
-                      music: total_items${valueParam}
+                  totals:
+                    music: total_items${valueParam}
               format: numbers
               label: Artists
             - field:
                 response:
-                  libraries:
-                    totals:
-                      music: total_albums${valueParam}
+                  totals:
+                    music: total_albums${valueParam}
               format: numbers
               label: Albums
             - field:
                 response:
-                  libraries:
-                    totals:
-                      music: total_tracks${valueParam}
+                  totals:
+                    music: total_tracks${valueParam}
               format: numbers
               label: Tracks`;
         }
@@ -568,7 +602,6 @@ ${mappings}`;
         yaml.push(musicYaml);
       }
     } else {
-      let sectionIndex = 0;
       // Individual section for each library section
       if (movieSections.length > 0) {
         movieSections.forEach(sectionId => {
@@ -609,21 +642,18 @@ ${mappings}`;
           if (showCount) {
             sectionYaml += `
           - type: customapi
-            url: http://${localIp}:${port}/api/media/recent
+            url: http://${localIp}:${port}/api/libraries/${sectionId}
             method: GET
             display: block
             mappings:
             - field:
                 response:
-                  libraries:
-                    sections:
-                      ${sectionIndex}: count${valueParam}
+                  data: count${valueParam}
               format: numbers
               label: Movies`;
           }
 
           yaml.push(sectionYaml);
-          sectionIndex++;
         });
       }
 
@@ -666,35 +696,28 @@ ${mappings}`;
           if (showCount) {
             sectionYaml += `
           - type: customapi
-            url: http://${localIp}:${port}/api/media/recent
+            url: http://${localIp}:${port}/api/libraries/${sectionId}
             method: GET
             display: block
             mappings:
             - field:
                 response:
-                  libraries:
-                    sections:
-                      ${sectionIndex}: count${valueParam}
+                  data: count${valueParam}
               format: numbers
               label: Shows
             - field:
                 response:
-                  libraries:
-                    sections:
-                      ${sectionIndex}: parent_count${valueParam}
+                  data: parent_count${valueParam}
               format: numbers
               label: Seasons
             - field:
                 response:
-                  libraries:
-                    sections:
-                      ${sectionIndex}: child_count${valueParam}
+                  data: child_count${valueParam}
               format: numbers
               label: Episodes`;
           }
 
           yaml.push(sectionYaml);
-          sectionIndex++;
         });
       }
       
@@ -737,35 +760,28 @@ ${mappings}`;
           if (showCount) {
             sectionYaml += `
           - type: customapi
-            url: http://${localIp}:${port}/api/media/recent
+            url: http://${localIp}:${port}/api/libraries/${sectionId}
             method: GET
             display: block
             mappings:
             - field:
                 response:
-                  libraries:
-                    sections:
-                      ${sectionIndex}: count${valueParam}
+                  data: count${valueParam}
               format: numbers
               label: Artists
             - field:
                 response:
-                  libraries:
-                    sections:
-                      ${sectionIndex}: parent_count${valueParam}
+                  data: parent_count${valueParam}
               format: numbers
               label: Albums
             - field:
                 response:
-                  libraries:
-                    sections:
-                      ${sectionIndex}: child_count${valueParam}
+                  data: child_count${valueParam}
               format: numbers
               label: Tracks`;
           }
 
           yaml.push(sectionYaml);
-          sectionIndex++;
         });
       }
     }
@@ -815,7 +831,7 @@ export function generateMediaCountYaml(
 
     // Add Movies sections
     if (movieSections.length > 0) {
-      movieSections.forEach((sectionId, index) => {
+      movieSections.forEach(sectionId => {
         // Get section name
         let sectionName = `Movies Section ${sectionId}`;
         try {
@@ -829,15 +845,13 @@ export function generateMediaCountYaml(
         yaml.push(`    - ${sectionName}:
          widgets:
            - type: customapi
-             url: http://${localIp}:${port}/api/media/recent
+             url: http://${localIp}:${port}/api/libraries/${sectionId}
              method: GET
              display: block
              mappings:
              - field:
                  response:
-                   libraries:
-                     sections:
-                       ${index}: count${valueParam}
+                   data: count${valueParam}
                format: numbers
                label: Movies`);
       });
@@ -845,7 +859,7 @@ export function generateMediaCountYaml(
 
     // Add Shows sections
     if (showSections.length > 0) {
-      showSections.forEach((sectionId, index) => {
+      showSections.forEach(sectionId => {
         // Get section name
         let sectionName = `Shows Section ${sectionId}`;
         try {
@@ -856,34 +870,26 @@ export function generateMediaCountYaml(
           console.error(`Error getting name for section ${sectionId}:`, e);
         }
         
-        const showIndex = movieSections.length + index;
-        
         yaml.push(`    - ${sectionName}:
          widgets:
            - type: customapi
-             url: http://${localIp}:${port}/api/media/recent
+             url: http://${localIp}:${port}/api/libraries/${sectionId}
              method: GET
              display: block
              mappings:
              - field:
                  response:
-                   libraries:
-                     sections:
-                       ${showIndex}: count${valueParam}
+                   data: count${valueParam}
                format: numbers
                label: Shows
              - field:
                  response:
-                   libraries:
-                     sections:
-                       ${showIndex}: parent_count${valueParam}
+                   data: parent_count${valueParam}
                format: numbers
                label: Seasons
              - field:
                  response:
-                   libraries:
-                     sections:
-                       ${showIndex}: child_count${valueParam}
+                   data: child_count${valueParam}
                format: numbers
                label: Episodes`);
       });
@@ -891,7 +897,7 @@ export function generateMediaCountYaml(
     
     // Add Music sections
     if (musicSections.length > 0) {
-      musicSections.forEach((sectionId, index) => {
+      musicSections.forEach(sectionId => {
         // Get section name
         let sectionName = `Music Section ${sectionId}`;
         try {
@@ -902,34 +908,26 @@ export function generateMediaCountYaml(
           console.error(`Error getting name for section ${sectionId}:`, e);
         }
         
-        const musicIndex = movieSections.length + showSections.length + index;
-        
         yaml.push(`    - ${sectionName}:
          widgets:
            - type: customapi
-             url: http://${localIp}:${port}/api/media/recent
+             url: http://${localIp}:${port}/api/libraries/${sectionId}
              method: GET
              display: block
              mappings:
              - field:
                  response:
-                   libraries:
-                     sections:
-                       ${musicIndex}: count${valueParam}
+                   data: count${valueParam}
                format: numbers
                label: Artists
              - field:
                  response:
-                   libraries:
-                     sections:
-                       ${musicIndex}: parent_count${valueParam}
+                   data: parent_count${valueParam}
                format: numbers
                label: Albums
              - field:
                  response:
-                   libraries:
-                     sections:
-                       ${musicIndex}: child_count${valueParam}
+                   data: child_count${valueParam}
                format: numbers
                label: Tracks`);
       });
@@ -942,44 +940,40 @@ export function generateMediaCountYaml(
     - Movies:
          widgets:
            - type: customapi
-             url: http://${localIp}:${port}/api/media/recent
+             url: http://${localIp}:${port}/api/libraries
              method: GET
              display: block
              mappings:
              - field:
                  response:
-                   libraries:
-                     totals:
-                       movies: total_items${valueParam}
+                   totals:
+                     movies: total_items${valueParam}
                format: numbers
                label: Movies
 
     - Shows:
          widgets:
            - type: customapi
-             url: http://${localIp}:${port}/api/media/recent
+             url: http://${localIp}:${port}/api/libraries
              method: GET
              display: block
              mappings:
              - field:
                  response:
-                   libraries:
-                     totals:
-                       shows: total_items${valueParam}
+                   totals:
+                     shows: total_items${valueParam}
                format: numbers
                label: Shows
              - field:
                  response:
-                   libraries:
-                     totals:
-                       shows: total_seasons${valueParam}
+                   totals:
+                     shows: total_seasons${valueParam}
                format: numbers
                label: Seasons
              - field:
                  response:
-                   libraries:
-                     totals:
-                       shows: total_episodes${valueParam}
+                   totals:
+                     shows: total_episodes${valueParam}
                format: numbers
                label: Episodes`;
                
@@ -989,33 +983,50 @@ export function generateMediaCountYaml(
     - Music:
          widgets:
            - type: customapi
-             url: http://${localIp}:${port}/api/media/recent
+             url: http://${localIp}:${port}/api/libraries
              method: GET
              display: block
              mappings:
              - field:
                  response:
-                   libraries:
-                     totals:
-                       music: total_items${valueParam}
+                   totals:
+                     music: total_items${valueParam}
                format: numbers
                label: Artists
              - field:
                  response:
-                   libraries:
-                     totals:
-                       music: total_albums${valueParam}
+                   totals:
+                     music: total_albums${valueParam}
                format: numbers
                label: Albums
              - field:
                  response:
-                   libraries:
-                     totals:
-                       music: total_tracks${valueParam}
+                   totals:
+                     music: total_tracks${valueParam}
                format: numbers
                label: Tracks`;
     }
     
     return yaml;
   }
-}
\ No newline at end of file
+}
+/**
+ * Homepage variable used as the widget token when no token has been entered
+ * Homepage replaces it with the HOMEPAGE_VAR_TAUTULLI_MANAGER_TOKEN environment variable
+ * @type {string}
+ */
+export const TOKEN_PLACEHOLDER = '{{HOMEPAGE_VAR_TAUTULLI_MANAGER_TOKEN}}';
+
+/**
+ * Add an X-API-Key header to every widget in a generated YAML configuration
+ * 
+ * @param {string} yaml - Generated YAML configuration
+ * @param {string|null} token - API token, headers are only added when set
+ * @returns {string} YAML configuration with token headers
+ */
+export function addTokenHeaders(yaml, token) {
+  if (!yaml || !token) return yaml;
+  
+  return yaml.replace(/^([ \t]*)method: GET[ \t]*$/gm, (line, indent) =>
+    `${indent}method: GET\n${indent}headers:\n${indent}  X-API-Key: ${token}`);
+}
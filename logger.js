@@ -1,6 +1,6 @@
 /**
  * Logger module for application-wide logging with color support
- * Provides formatted console output for various log types
+ * Provides leveled, per-module logging as colored text or JSON lines, and keeps recent entries in memory
  * @module logger
  */
 
@@ -14,7 +14,7 @@ const colors = {
   dim: '\x1b[2m',
   italic: '\x1b[3m',
   underline: '\x1b[4m',
-  
+
   // Regular colors
   black: '\x1b[30m',
   red: '\x1b[31m',
@@ -24,7 +24,7 @@ const colors = {
   magenta: '\x1b[35m',
   cyan: '\x1b[36m',
   white: '\x1b[37m',
-  
+
   // Bright colors
   brightRed: '\x1b[91m',
   brightGreen: '\x1b[92m',
@@ -40,9 +40,115 @@ const colors = {
   bgCyan: '\x1b[46m'
 };
 
+/**
+ * Log levels by severity, lower is more severe
+ * @type {Object.<string, number>}
+ */
+const LOG_LEVELS = {
+  error: 0,
+  warn: 1,
+  info: 2,
+  debug: 3,
+  trace: 4
+};
+
+/**
+ * Module name used by log() and logError()
+ * @type {string}
+ */
+const DEFAULT_MODULE = 'app';
+
+/**
+ * Output format, text for colored lines or json for one JSON object per line
+ * @type {string}
+ */
+const LOG_FORMAT = process.env.LOG_FORMAT === 'json' ? 'json' : 'text';
+
+/**
+ * Number of entries kept for GET /api/debug/logs
+ * @type {number}
+ */
+const LOG_BUFFER_SIZE = parseInt(process.env.LOG_BUFFER_SIZE) || 1000;
+
+/**
+ * Level colors for text output
+ * @type {Object.<string, string>}
+ */
+const LEVEL_COLORS = {
+  error: colors.brightRed,
+  warn: colors.brightYellow,
+  debug: colors.brightCyan,
+  trace: colors.dim
+};
+
+/**
+ * Query parameters whose values are never logged, such as the Tautulli API key in request URLs
+ * @type {RegExp}
+ */
+const SECRET_PARAM_PATTERN = /([?&](?:apikey|api_key|token|secret)=)[^&\s"']+/gi;
+
+/**
+ * JSON fields whose values are never logged
+ * @type {RegExp}
+ */
+const SECRET_FIELD_PATTERN = /("(?:apikey|api_key|token|secret|secretHash|password|passwordHash)"\s*:\s*")[^"]*/gi;
+
+/**
+ * Matches ANSI escape codes, removed from stored and JSON entries
+ * @type {RegExp}
+ */
+const ANSI_PATTERN = /\x1b\[[0-9;]*m/g;
+
+/**
+ * Resolve a level name
+ *
+ * @param {string} level - Level name
+ * @returns {string|null} Level name, or null if unknown
+ */
+function parseLevel(level) {
+  const name = String(level || '').trim().toLowerCase();
+  return Object.hasOwn(LOG_LEVELS, name) ? name : null;
+}
+
+/**
+ * Level for modules without their own level
+ * @type {string}
+ */
+let defaultLevel = parseLevel(process.env.LOG_LEVEL) || 'info';
+
+/**
+ * Levels by module name, from LOG_MODULE_LEVELS (e.g. "cache=debug,tautulli=trace") or set at runtime
+ * @type {Map<string, string>}
+ */
+const moduleLevels = new Map(
+  String(process.env.LOG_MODULE_LEVELS || '')
+    .split(',')
+    .map(pair => pair.split('=').map(part => part.trim()))
+    .filter(([name, level]) => name && parseLevel(level))
+    .map(([name, level]) => [name, parseLevel(level)])
+);
+
+/**
+ * Recent entries, oldest first
+ * @type {Array<Object>}
+ */
+const buffer = [];
+
+/**
+ * ID of the last entry
+ * @type {number}
+ */
+let lastEntryId = 0;
+
+/**
+ * Callbacks receiving every new entry
+ * @type {Set<Function>}
+ */
+const entryListeners = new Set();
+
 /**
  * Gets current timestamp with color formatting
- * 
+ *
  * @returns {string} Colored timestamp string
  */
 function getColoredTimestamp() {
@@ -60,12 +166,234 @@ function getColoredTimestamp() {
 }
 
 /**
- * Logs a message to the console with timestamp
- * 
+ * Replace secrets such as Tautulli API keys with asterisks
+ *
+ * @param {string} text - Text that may contain a URL or payload
+ * @returns {string} Text with secret values replaced
+ */
+function redactSecrets(text) {
+  return String(text)
+    .replace(SECRET_PARAM_PATTERN, '$1********')
+    .replace(SECRET_FIELD_PATTERN, '$1********');
+}
+
+/**
+ * Remove ANSI color codes
+ *
+ * @param {string} text - Colored text
+ * @returns {string} Plain text
+ */
+function stripColors(text) {
+  return String(text).replace(ANSI_PATTERN, '');
+}
+
+/**
+ * Get the level a module logs at
+ *
+ * @param {string} module - Module name
+ * @returns {string} Level name
+ */
+function getLogLevel(module) {
+  return moduleLevels.get(module) || defaultLevel;
+}
+
+/**
+ * Check whether a module logs a level
+ * Use it to skip building expensive messages
+ *
+ * @param {string} module - Module name
+ * @param {string} level - Level name
+ * @returns {boolean} True if entries of the level are written
+ */
+function isLevelEnabled(module, level) {
+  return LOG_LEVELS[level] <= LOG_LEVELS[getLogLevel(module)];
+}
+
+/**
+ * Change the default level or the level of one module
+ *
+ * @param {string|null} module - Module name, null for the default level
+ * @param {string|null} level - Level name, null to return a module to the default level
+ * @throws {Error} If the level is unknown
+ */
+function setLogLevel(module, level) {
+  if (level === null && module) {
+    moduleLevels.delete(module);
+    return;
+  }
+
+  const parsed = parseLevel(level);
+  if (!parsed) {
+    throw new Error(`Invalid log level: ${level}. Must be one of: ${Object.keys(LOG_LEVELS).join(', ')}`);
+  }
+
+  if (module) {
+    moduleLevels.set(module, parsed);
+  } else {
+    defaultLevel = parsed;
+  }
+}
+
+/**
+ * Get the default level and the module levels
+ *
+ * @returns {{default: string, modules: Object.<string, string>}} Current levels
+ */
+function getLogLevels() {
+  return { default: defaultLevel, modules: Object.fromEntries(moduleLevels) };
+}
+
+/**
+ * Write an entry to the console in the configured format
+ *
+ * @param {Object} entry - Log entry
+ * @param {string} text - Colored message for text output
+ */
+function writeEntry(entry, text) {
+  if (LOG_FORMAT === 'json') {
+    console.log(JSON.stringify(entry));
+    return;
+  }
+
+  const levelTag = entry.level === 'info' ? '' :
+    `${LEVEL_COLORS[entry.level]}[${entry.level} ${entry.module}]${colors.reset} `;
+  console.log(`${getColoredTimestamp()} ${levelTag}${text}`);
+
+  if (entry.error) {
+    console.log(`${getColoredTimestamp()} ${colors.dim}${entry.error}${colors.reset}`);
+  }
+}
+
+/**
+ * Record an entry and write it if the module logs its level
+ *
+ * @param {string} module - Module name
+ * @param {string} level - Level name
+ * @param {string} message - Message, may contain color codes
+ * @param {Object} [fields] - Extra fields for JSON output and the log buffer
+ */
+function writeLog(module, level, message, fields = {}) {
+  if (!isLevelEnabled(module, level)) return;
+
+  const text = redactSecrets(message);
+  const entry = {
+    id: ++lastEntryId,
+    time: new Date().toISOString(),
+    level,
+    module,
+    message: stripColors(text)
+  };
+  Object.entries(fields).forEach(([key, value]) => {
+    if (value !== undefined) {
+      entry[key] = typeof value === 'string' ? stripColors(redactSecrets(value)) : value;
+    }
+  });
+
+  buffer.push(entry);
+  if (buffer.length > LOG_BUFFER_SIZE) {
+    buffer.shift();
+  }
+
+  writeEntry(entry, text);
+  entryListeners.forEach(listener => listener(entry));
+}
+
+/**
+ * Get the message of an error or error-like object
+ *
+ * @param {Error|Object|string} error - Error
+ * @returns {string} Error message
+ */
+function getErrorMessage(error) {
+  if (typeof error === 'string') return error;
+  return error?.message || 'Unknown error';
+}
+
+/**
+ * Create a logger for a module
+ * log() and logError() keep their signatures so modules only change how they import them
+ *
+ * @param {string} module - Module name, used for per-module levels and in every entry
+ * @returns {Object} Logger with error, warn, info, debug and trace methods, log() and logError()
+ */
+function createLogger(module) {
+  const logAt = level => (message, fields) => writeLog(module, level, message, fields);
+
+  return {
+    error: logAt('error'),
+    warn: logAt('warn'),
+    info: logAt('info'),
+    debug: logAt('debug'),
+    trace: logAt('trace'),
+    log: logAt('info'),
+    logError: (context, error) => writeLog(module, 'error',
+      `${colors.brightRed}${colors.bright}${context}${colors.reset}`,
+      { context, error: getErrorMessage(error) }),
+    isLevelEnabled: level => isLevelEnabled(module, level)
+  };
+}
+
+const defaultLogger = createLogger(DEFAULT_MODULE);
+
+/**
+ * Logs a message at info level
+ *
  * @param {string} message - Message to log
  */
 function log(message) {
-  console.log(`${getColoredTimestamp()} ${message}`);
+  defaultLogger.log(message);
+}
+
+/**
+ * Logs error with context
+ *
+ * @param {string} context - Error context description
+ * @param {Error|Object} error - Error object or message
+ */
+function logError(context, error) {
+  defaultLogger.logError(context, error);
+}
+
+/**
+ * Get recent log entries
+ *
+ * @param {Object} [filter] - Filter options
+ * @param {string} [filter.level] - Most verbose level to include, e.g. warn for warnings and errors
+ * @param {string} [filter.module] - Only entries of this module
+ * @param {string} [filter.search] - Case-insensitive text the message must contain
+ * @param {number} [filter.after] - Only entries with a higher ID
+ * @param {number} [filter.limit] - Return at most this many of the newest matching entries
+ * @returns {Array<Object>} Matching entries, oldest first
+ */
+function getLogEntries(filter = {}) {
+  const matches = buffer.filter(entry => matchesLogFilter(entry, filter));
+  return filter.limit ? matches.slice(-filter.limit) : matches;
+}
+
+/**
+ * Check an entry against a filter of getLogEntries()
+ *
+ * @param {Object} entry - Log entry
+ * @param {Object} filter - Filter options
+ * @returns {boolean} True if the entry matches
+ */
+function matchesLogFilter(entry, { level, module, search, after } = {}) {
+  if (level && LOG_LEVELS[entry.level] > LOG_LEVELS[level]) return false;
+  if (module && entry.module !== module) return false;
+  if (after && entry.id <= after) return false;
+  if (search && !entry.message.toLowerCase().includes(search.toLowerCase())) return false;
+  return true;
+}
+
+/**
+ * Listen for new log entries
+ *
+ * @param {Function} listener - Called with every written entry
+ * @returns {Function} Function removing the listener
+ */
+function onLogEntry(listener) {
+  entryListeners.add(listener);
+  return () => entryListeners.delete(listener);
 }
 
 /**
@@ -81,35 +409,25 @@ ${colors.brightYellow}${colors.bright}╚═════════════
 
 /**
  * Logs server start with configuration details
- * 
+ * The banner is left out of JSON output
+ *
  * @param {number} port - Server port
  * @param {Object} config - Server configuration
  */
 function logServerStart(port, config) {
   // Configuration loaded message
   log(`${colors.brightYellow}✓${colors.reset} ${colors.brightWhite}Loaded configuration${colors.reset}`);
-  log('');
-  
-  // Title Banner
-  console.log(banner);
-  log('');
-}
 
-/**
- * Logs error with context
- * 
- * @param {string} context - Error context description
- * @param {Error|Object} error - Error object or message
- */
-function logError(context, error) {
-  log(`${colors.brightRed}${colors.bright}ERROR: ${context}${colors.reset}`);
-  log(`${colors.dim}${error.message}${colors.reset}`);
+  // Title Banner, written directly so it stays out of the log buffer
+  if (LOG_FORMAT === 'text') {
+    console.log(`\n${banner}\n`);
+  }
 }
 
 /**
  * Logs HTTP request with timing information
  * Skips logging for static files, favicon, and API calls
- * 
+ *
  * @param {string} method - HTTP method
  * @param {string} path - Request path
  * @param {number} status - HTTP status code
@@ -118,7 +436,7 @@ function logError(context, error) {
 function logRequest(method, path, status, duration) {
   // Skip logging for static files, favicon, and API calls
   if (path.startsWith('/static/') || path.includes('favicon') || path.startsWith('/api/')) return;
-  
+
   const statusColor = status >= 500 ? colors.brightRed : status >= 400 ? colors.brightYellow : colors.yellow;
   const methodColor = {
     GET: colors.yellow,
@@ -127,13 +445,27 @@ function logRequest(method, path, status, duration) {
     DELETE: colors.brightRed
   }[method] || colors.brightWhite;
 
-  log(`${methodColor}${method}${colors.reset} ${colors.brightWhite}${path}${colors.reset} ${statusColor}${status}${colors.reset} ${colors.dim}${duration}ms${colors.reset}`);
+  writeLog('http', 'info',
+    `${methodColor}${method}${colors.reset} ${colors.brightWhite}${path}${colors.reset} ${statusColor}${status}${colors.reset} ${colors.dim}${duration}ms${colors.reset}`,
+    { method, path, status, duration_ms: duration });
 }
 
 module.exports = {
+  LOG_LEVELS,
+  LOG_FORMAT,
+  LOG_BUFFER_SIZE,
+  createLogger,
   logServerStart,
   logError,
   logRequest,
   log,
+  redactSecrets,
+  isLevelEnabled,
+  setLogLevel,
+  getLogLevel,
+  getLogLevels,
+  getLogEntries,
+  matchesLogFilter,
+  onLogEntry,
   colors
-};
\ No newline at end of file
+};
@@ -8,14 +8,31 @@ const path = require('path');
 const os = require('os');
 const compression = require('compression');
 const logger = require('./logger');
-const axios = require('axios');
 const { userRouter } = require('./backend/api/users');
 const { mediaRouter } = require('./backend/api/media');
+const { librariesRouter } = require('./backend/api/libraries');
 const { debugRouter } = require('./backend/api/debug');
-const { initSettings, getSettings, saveSettings } = require('./backend/services/settings');
-const { cache, initializeCache } = require('./backend/services/cacheService');
-// Import the fixed startBackgroundRefresh function
-const { startBackgroundRefresh } = require('./backend/services/fix-background-refresh');
+const { formatRouter } = require('./backend/api/format');
+const { imageRouter } = require('./backend/api/image');
+const { eventsRouter, getEventClientCount } = require('./backend/api/events');
+const { webhookRouter } = require('./backend/api/webhook');
+const { metricsRouter } = require('./backend/api/metrics');
+const { authRouter, isAdminRequest, requireApiAccess } = require('./backend/api/auth');
+const { initSettings, getSettings, saveSettings, isDemoMode } = require('./backend/services/settings');
+const { cache, initializeCache, startBackgroundUpdates } = require('./backend/services/cacheService');
+const { initImageCache, getImageCacheStats } = require('./backend/services/imageCache');
+const { getMetadataCacheStats } = require('./backend/services/metadataCache');
+const { recordActivity, getPollingStatus } = require('./backend/services/pollingMode');
+const { recordHttpRequest } = require('./backend/services/metrics');
+const { tautulliService } = require('./backend/services/tautulli');
+const {
+  createServerId,
+  parseSectionKey,
+  isMaskedSecret,
+  resolveMaskedApiKey,
+  maskServer
+} = require('./backend/services/servers');
+const { DEMO_SERVER } = require('./backend/services/demoTautulli');
 
 /**
  * Gets the local IP address of the server
@@ -37,6 +54,78 @@ function getLocalIpAddress() {
   return '127.0.0.1';
 }
 
+/**
+ * Build the server list from a /api/config request body
+ * Older clients send a single baseUrl/apiKey, which replaces the first server
+ * A masked API key keeps the key saved for that server
+ * 
+ * @param {Object} body - Request body
+ * @param {Array<Object>} currentServers - Servers currently saved
+ * @returns {{servers: Array<Object>}|{error: string}} Server connections with IDs, or a validation error
+ */
+function buildConfigServers(body, currentServers) {
+  const requested = Array.isArray(body.servers) ? body.servers :
+    [{ ...currentServers[0], baseUrl: body.baseUrl, apiKey: body.apiKey }, ...currentServers.slice(1)];
+
+  if (requested.length === 0) {
+    return { error: 'At least one Tautulli server is required' };
+  }
+
+  // New servers never reuse the ID of a saved server, so removed sections cannot reattach
+  const currentIds = currentServers.map(server => server.id);
+  const ids = [];
+  const servers = [];
+
+  for (const [index, server] of requested.entries()) {
+    const name = String(server?.name || '').trim() || `Tautulli ${index + 1}`;
+    const baseUrl = String(server?.baseUrl || '').trim().replace(/\/+$/, '');
+    let apiKey = String(server?.apiKey || '').trim();
+
+    if (isMaskedSecret(apiKey)) {
+      apiKey = resolveMaskedApiKey(server.id, baseUrl, currentServers);
+      if (!apiKey) {
+        return { error: `Enter the API key again for ${name}, its base URL changed` };
+      }
+    }
+
+    if (!baseUrl || !apiKey) {
+      return { error: `Missing baseUrl or apiKey for ${name}` };
+    }
+
+    const id = currentIds.includes(server.id) && !ids.includes(server.id) ?
+      server.id :
+      createServerId(name, [...currentIds, ...ids]);
+    ids.push(id);
+    servers.push({ id, name, baseUrl, apiKey });
+  }
+
+  return { servers };
+}
+
+/**
+ * Remove sections and section formats that belong to servers no longer configured
+ * 
+ * @param {Object} settings - Settings object, updated in place
+ * @param {Array<string>} serverIds - IDs of the configured servers
+ */
+function pruneServerSections(settings, serverIds) {
+  const isOrphaned = (key) => {
+    const { server } = parseSectionKey(key);
+    return server !== null && !serverIds.includes(server);
+  };
+
+  ['shows', 'movies', 'music'].forEach(type => {
+    if (Array.isArray(settings.sections?.[type])) {
+      settings.sections[type] = settings.sections[type].filter(key => !isOrphaned(key));
+    }
+    if (settings.mediaFormats?.[type]) {
+      settings.mediaFormats[type] = Object.fromEntries(
+        Object.entries(settings.mediaFormats[type]).filter(([key]) => !isOrphaned(key))
+      );
+    }
+  });
+}
+
 // Request tracking for rate limiting
 const requestTracker = {
   requests: {},
@@ -157,28 +246,68 @@ app.use((req, res, next) => {
   next();
 });
 
+/**
+ * HTTP metrics middleware
+ * Records requests by route pattern, so IDs in paths do not create new label values
+ */
+app.use((req, res, next) => {
+  const start = process.hrtime.bigint();
+  res.on('finish', () => {
+    let route = 'static';
+    if (req.route) {
+      route = `${req.baseUrl || ''}${req.route.path}`.replace(/(.)\/$/, '$1');
+    } else if (req.path.startsWith('/api/')) {
+      route = 'unmatched';
+    }
+    recordHttpRequest(req.method, route, res.statusCode, Number(process.hrtime.bigint() - start) / 1e9);
+  });
+  next();
+});
+
+/**
+ * Access control middleware
+ * Requires an admin session for the admin UI and write routes once an admin password is set
+ */
+app.use('/api', requireApiAccess);
+
+/**
+ * Client activity middleware
+ * Data requests keep background polling alive and wake it up when it was suspended or backed off
+ */
+app.use(['/api/users', '/api/media', '/api/libraries'], (req, res, next) => {
+  recordActivity('request');
+  next();
+});
+
 // Essential API Routes
+app.use('/api/auth', authRouter);
 app.use('/api/users', userRouter);
 app.use('/api/media', mediaRouter);
+app.use('/api/libraries', librariesRouter);
 app.use('/api/debug', debugRouter);
+app.use('/api/format', formatRouter);
+app.use('/api/image', imageRouter);
+app.use('/api/events', eventsRouter);
+app.use('/api/webhooks', webhookRouter);
+app.use('/metrics', requireApiAccess, metricsRouter);
 
 /**
  * Health check endpoint
- * Verifies Tautulli connection configuration
+ * Verifies Tautulli connection configuration and reports cache and circuit breaker state
  * 
  * @route GET /api/health
  */
 app.get('/api/health', async (req, res) => {
   try {
-    const settings = await getSettings();
-    const { TAUTULLI_BASE_URL: baseUrl, TAUTULLI_API_KEY: apiKey } = settings.env;
-    
     let status = 'ok';
     let configured = true;
     let message = null;
     let cacheHealth = {};
+    // Health is public, failure messages can reveal internal addresses
+    const details = await isAdminRequest(req).catch(() => false);
+    const circuits = tautulliService.getCircuitStates({ details });
 
-    if (!baseUrl || !apiKey) {
+    if (!tautulliService.isConfigured()) {
       status = 'unconfigured';
       configured = false;
       message = 'Tautulli connection not configured';
@@ -192,8 +321,33 @@ app.get('/api/health', async (req, res) => {
         hits: cacheStats.hits,
         misses: cacheStats.misses,
         hitRate: hitRate.hitRate,
-        lastUpdated: cache.getLastSuccessfulTimestamp() || null
+        lastUpdated: cache.getLastSuccessfulTimestamp() || null,
+        snapshot: cache.getSnapshotStatus(),
+        images: getImageCacheStats(),
+        metadata: getMetadataCacheStats(),
+        staleness: ['users', 'libraries', 'recent_media'].reduce((acc, key) => {
+          acc[key] = cache.getStaleness(key);
+          return acc;
+        }, {})
       };
+
+      // Report degraded mode when any key is being served from last known good data
+      const staleKeys = Object.keys(cacheHealth.staleness)
+        .filter(key => cacheHealth.staleness[key].stale);
+      if (staleKeys.length > 0) {
+        status = 'degraded';
+        message = `Serving last known good data for ${staleKeys.join(', ')}`;
+      }
+
+      // Requests to a server fail fast while its circuit breaker is not closed
+      const openCircuits = Object.values(circuits).filter(circuit => circuit.state !== 'closed');
+      if (openCircuits.length > 0) {
+        status = 'degraded';
+        const circuitMessage = openCircuits
+          .map(circuit => `Tautulli circuit breaker is ${circuit.state} for ${circuit.name}`)
+          .join('. ');
+        message = circuitMessage + (message ? `. ${message}` : '');
+      }
     }
 
     res.json({ 
@@ -201,6 +355,9 @@ app.get('/api/health', async (req, res) => {
       configured,
       message,
       cache: cacheHealth,
+      circuits,
+      event_clients: getEventClientCount(),
+      polling: getPollingStatus(),
       server_time: new Date().toISOString()
     });
   } catch (error) {
@@ -214,11 +371,30 @@ app.get('/api/health', async (req, res) => {
 /**
  * Test Tautulli connection endpoint
  * Verifies connection to Tautulli API server
+ * A masked API key is replaced by the key saved for serverId
  * 
  * @route POST /api/test-connection
  */
 app.post('/api/test-connection', async (req, res) => {
-  const { baseUrl, apiKey } = req.body;
+  const { baseUrl, serverId } = req.body;
+  let { apiKey } = req.body;
+  
+  // The saved key is only tested against the URL it was saved with
+  if (isMaskedSecret(apiKey)) {
+    try {
+      const settings = await getSettings();
+      apiKey = resolveMaskedApiKey(serverId, baseUrl, settings.servers);
+    } catch (error) {
+      apiKey = null;
+    }
+
+    if (!apiKey) {
+      return res.status(400).json({
+        success: false,
+        error: 'Enter the API key again, the base URL changed'
+      });
+    }
+  }
   
   if (!baseUrl || !apiKey) {
     return res.status(400).json({ 
@@ -228,16 +404,11 @@ app.post('/api/test-connection', async (req, res) => {
   }
 
   try {
-    // Use a lightweight API command for fast response
-    const testUrl = `${baseUrl}/api/v2?apikey=${encodeURIComponent(apiKey)}&cmd=get_server_info`;
-    
-    // Set a short timeout (3 seconds)
-    const response = await axios.get(testUrl, {
-      timeout: 3000
-    });
+    // Use a lightweight API command with a short timeout (3 seconds)
+    const data = await tautulliService.testConnection(baseUrl, apiKey, { timeout: 3000 });
     
     // Verify we got a valid response
-    if (response.data?.response?.result === 'success') {
+    if (data?.response?.result === 'success') {
       return res.json({ success: true });
     } else {
       return res.status(400).json({
@@ -246,7 +417,7 @@ app.post('/api/test-connection', async (req, res) => {
       });
     }
   } catch (error) {
-    console.error('Tautulli connection test failed:', error.message);
+    logger.logError('Tautulli Connection Test', error);
     let errorMessage = 'Failed to connect to Tautulli';
     
     if (error.code === 'ECONNABORTED') {
@@ -266,16 +437,23 @@ app.post('/api/test-connection', async (req, res) => {
 
 /**
  * Get configuration endpoint
- * Returns system configuration including Tautulli settings
+ * Returns system configuration including Tautulli servers and demo mode
+ * API keys are masked, hasApiKey tells whether one is saved
+ * baseUrl and apiKey mirror the first server for older clients
  * 
  * @route GET /api/config
  */
 app.get('/api/config', async (req, res) => {
   try {
     const settings = await getSettings();
+    const servers = (settings.servers || []).map(maskServer);
     res.json({
-      baseUrl: settings.env.TAUTULLI_BASE_URL || '',
-      apiKey: settings.env.TAUTULLI_API_KEY || '',
+      servers,
+      baseUrl: servers[0]?.baseUrl || '',
+      apiKey: servers[0]?.apiKey || '',
+      hasApiKey: !!servers[0]?.hasApiKey,
+      demoMode: isDemoMode(settings),
+      demoModeLocked: process.env.DEMO_MODE === 'true',
       homepageIp: settings.env.HOMEPAGE_IP || '', // Add homepage IP
       port: process.env.TAUTULLI_CUSTOM_PORT || 3010,
       refreshInterval: parseInt(process.env.TAUTULLI_REFRESH_INTERVAL || 60000),
@@ -289,22 +467,41 @@ app.get('/api/config', async (req, res) => {
 
 /**
  * Update configuration endpoint
- * Saves Tautulli connection settings
+ * Saves Tautulli server connections and demo mode, sections of removed servers are dropped
  * 
  * @route POST /api/config
  */
 app.post('/api/config', express.json(), async (req, res) => {
   try {
-    const { baseUrl, apiKey, homepageIp } = req.body;
+    const { homepageIp } = req.body;
     
     // Get current settings
     const settings = await getSettings();
     
+    if (typeof req.body.demoMode === 'boolean') {
+      settings.demoMode = req.body.demoMode;
+    }
+    const demoMode = isDemoMode(settings);
+    
+    // Requests without connection fields keep the saved servers, demo mode does not need any
+    const hasServers = Array.isArray(req.body.servers) ?
+      req.body.servers.length > 0 :
+      'baseUrl' in req.body || 'apiKey' in req.body;
+    
+    if (hasServers || (!demoMode && settings.servers.length === 0)) {
+      const { servers, error } = buildConfigServers(req.body, settings.servers || []);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      settings.servers = servers;
+    }
+    
+    const serverIds = settings.servers.map(server => server.id);
+    pruneServerSections(settings, demoMode ? [...serverIds, DEMO_SERVER.id] : serverIds);
+    
     // Update environment settings
     settings.env = {
       ...settings.env,
-      TAUTULLI_BASE_URL: baseUrl?.replace(/\/+$/, '') || '',
-      TAUTULLI_API_KEY: apiKey || '',
       HOMEPAGE_IP: homepageIp || '' // Store the homepage IP
     };
     
@@ -349,13 +546,25 @@ async function startServer() {
     await initSettings();
     const settings = await getSettings();
 
-    // Set environment variables from settings
+    // Set environment variables from settings, Tautulli servers are applied by initSettings
     if (settings.env) {
-      process.env.TAUTULLI_BASE_URL = settings.env.TAUTULLI_BASE_URL || '';
-      process.env.TAUTULLI_API_KEY = settings.env.TAUTULLI_API_KEY || '';
       process.env.HOST_IP = settings.env.HOST_IP || '';
     }
 
+    if (isDemoMode(settings)) {
+      logger.log(`${logger.colors.yellow}⚠${logger.colors.reset} Demo mode enabled, serving built-in sample data instead of Tautulli`);
+    }
+
+    // Warm-start from the last snapshot so widgets have data while Tautulli is queried
+    try {
+      await cache.loadSnapshot();
+    } catch (error) {
+      logger.logError('Cache Snapshot Restore', error);
+    }
+
+    // Index the artwork cache, errors are logged and the cache starts empty
+    await initImageCache();
+
     // Initialize cache but don't fail if it doesn't succeed
     logger.log('Initializing cache with initial data...');
     try {
@@ -365,13 +574,13 @@ async function startServer() {
       // Continue server startup
     }
 
-    // Start background updates with staggered refresh
-    startBackgroundRefresh();
+    // Start the background refresh jobs
+    startBackgroundUpdates();
     
     // Start the server
     app.listen(PORT, () => {
       logger.logServerStart(PORT, {
-        baseUrl: settings.env.TAUTULLI_BASE_URL || null,
+        servers: tautulliService.getServers().map(({ name, baseUrl }) => ({ name, baseUrl })),
         sections: settings.sections || {}
       });
     });
@@ -381,5 +590,24 @@ async function startServer() {
   }
 }
 
+/**
+ * Writes a final cache snapshot before the process exits
+ * 
+ * @async
+ * @param {string} signal - Signal that triggered the shutdown
+ */
+async function shutdown(signal) {
+  logger.log(`Received ${signal}, saving cache snapshot...`);
+  try {
+    await cache.saveSnapshot();
+  } catch (error) {
+    logger.logError('Cache Snapshot Save', error);
+  }
+  process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
 // Start the server
 startServer();
\ No newline at end of file